@@ -0,0 +1,417 @@
+/**
+ * Queue admin console for Git-Archiver Web
+ * Lists archive requests through the worker's /admin/queue routes and applies
+ * cancel, retry and priority changes to one or many of them.
+ */
+
+const Admin = {
+    // The admin token lives in sessionStorage, so it is forgotten with the tab
+    TOKEN_KEY: 'adminToken',
+
+    // Display labels for job states and priorities reported by the worker
+    JOB_STATE_LABELS: {
+        queued: 'Queued',
+        running: 'Archiving',
+        succeeded: 'Done',
+        unchanged: 'No changes',
+        failed: 'Failed',
+        cancelled: 'Cancelled'
+    },
+    PRIORITY_LABELS: {
+        high: 'High',
+        normal: 'Normal',
+        low: 'Low'
+    },
+
+    state: {
+        token: null,
+        filter: 'open',
+        text: '',
+        page: 1,
+        jobs: [],
+        total: null,
+        hasMore: false,
+        // Issue numbers ticked for a bulk action
+        selected: new Set(),
+        busy: false
+    },
+
+    // DOM elements cache
+    elements: {},
+
+    /**
+     * Initialize the console, unlocking it with a token from this tab if there is one
+     */
+    async init() {
+        this.cacheElements();
+        this.bindEvents();
+
+        let token = null;
+        try {
+            token = sessionStorage.getItem(this.TOKEN_KEY);
+        } catch (e) {
+            // sessionStorage unavailable; ask for the token every time
+        }
+        if (token) {
+            await this.unlock(token);
+        }
+    },
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        this.elements = {
+            loginSection: document.getElementById('admin-login'),
+            loginForm: document.getElementById('admin-login-form'),
+            tokenInput: document.getElementById('admin-token'),
+            loginBtn: document.getElementById('admin-login-btn'),
+            loginMessage: document.getElementById('admin-login-message'),
+            queueSection: document.getElementById('admin-queue'),
+            refreshBtn: document.getElementById('admin-refresh-btn'),
+            lockBtn: document.getElementById('admin-lock-btn'),
+            stateSelect: document.getElementById('admin-state'),
+            filterInput: document.getElementById('admin-filter'),
+            selectAll: document.getElementById('admin-select-all'),
+            selectedCount: document.getElementById('admin-selected-count'),
+            bulkPriority: document.getElementById('admin-bulk-priority'),
+            reasonInput: document.getElementById('admin-reason'),
+            loading: document.getElementById('admin-loading'),
+            empty: document.getElementById('admin-empty'),
+            list: document.getElementById('admin-list'),
+            results: document.getElementById('admin-results'),
+            prevBtn: document.getElementById('admin-prev-btn'),
+            nextBtn: document.getElementById('admin-next-btn'),
+            pageInfo: document.getElementById('admin-page-info')
+        };
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.elements.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const token = this.elements.tokenInput.value.trim();
+            if (token) this.unlock(token);
+        });
+        this.elements.lockBtn.addEventListener('click', () => this.lock());
+        this.elements.refreshBtn.addEventListener('click', () => this.loadQueue());
+
+        this.elements.stateSelect.addEventListener('change', () => {
+            this.state.filter = this.elements.stateSelect.value;
+            this.state.page = 1;
+            this.loadQueue();
+        });
+        this.elements.filterInput.addEventListener('input', Utils.debounce(() => {
+            this.state.text = this.elements.filterInput.value.trim().toLowerCase();
+            this.renderQueue();
+        }, 200));
+
+        this.elements.prevBtn.addEventListener('click', () => {
+            this.state.page = Math.max(this.state.page - 1, 1);
+            this.loadQueue();
+        });
+        this.elements.nextBtn.addEventListener('click', () => {
+            this.state.page++;
+            this.loadQueue();
+        });
+
+        // Bulk actions apply to the ticked rows that are currently visible
+        this.elements.selectAll.addEventListener('change', () => {
+            const visible = this.visibleJobs().map(job => job.issue_number);
+            if (this.elements.selectAll.checked) {
+                visible.forEach(number => this.state.selected.add(number));
+            } else {
+                this.state.selected.clear();
+            }
+            this.renderQueue();
+        });
+        this.elements.queueSection.querySelectorAll('[data-bulk]').forEach(btn => {
+            btn.addEventListener('click', () => this.runAction(btn.dataset.bulk, this.selectedIssues()));
+        });
+        this.elements.bulkPriority.addEventListener('change', () => {
+            const priority = this.elements.bulkPriority.value;
+            this.elements.bulkPriority.value = '';
+            if (priority) this.runAction('priority', this.selectedIssues(), { priority });
+        });
+
+        // Row controls are re-rendered with the list, so delegate from it
+        this.elements.list.addEventListener('change', (e) => {
+            const row = e.target.closest('.admin-job');
+            if (!row) return;
+            const issue = parseInt(row.dataset.issue, 10);
+
+            if (e.target.classList.contains('admin-job-select')) {
+                if (e.target.checked) this.state.selected.add(issue);
+                else this.state.selected.delete(issue);
+                this.updateSelection();
+            } else if (e.target.classList.contains('admin-priority')) {
+                this.runAction('priority', [issue], { priority: e.target.value });
+            }
+        });
+        this.elements.list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const row = btn?.closest('.admin-job');
+            if (row) this.runAction(btn.dataset.action, [parseInt(row.dataset.issue, 10)]);
+        });
+    },
+
+    /**
+     * Check a token by loading the queue with it, and keep it for this tab if it works
+     */
+    async unlock(token) {
+        this.state.token = token;
+        this.setLoginLoading(true);
+        Utils.hide(this.elements.loginMessage);
+
+        const loaded = await this.loadQueue();
+        this.setLoginLoading(false);
+        if (!loaded) return;
+
+        try {
+            sessionStorage.setItem(this.TOKEN_KEY, token);
+        } catch (e) {
+            // Not persisted; the console stays unlocked until the page is left
+        }
+        this.elements.tokenInput.value = '';
+        Utils.hide(this.elements.loginSection);
+        Utils.show(this.elements.queueSection);
+    },
+
+    /**
+     * Forget the token and return to the unlock form
+     */
+    lock(message = null) {
+        try {
+            sessionStorage.removeItem(this.TOKEN_KEY);
+        } catch (e) {
+            // Nothing stored
+        }
+        this.state.token = null;
+        this.state.jobs = [];
+        this.state.selected.clear();
+        this.elements.list.innerHTML = '';
+        Utils.hide(this.elements.queueSection);
+        Utils.show(this.elements.loginSection);
+
+        if (message) {
+            this.elements.loginMessage.textContent = message;
+            this.elements.loginMessage.className = 'form-message error';
+            Utils.show(this.elements.loginMessage);
+        }
+    },
+
+    /**
+     * Load the current page of requests
+     * @returns {Promise<boolean>} Whether the queue loaded
+     */
+    async loadQueue() {
+        Utils.show(this.elements.loading);
+        this.elements.refreshBtn.classList.add('spinning');
+
+        try {
+            const data = await API.fetchAdminQueue({ state: this.state.filter, page: this.state.page }, this.state.token);
+            this.state.jobs = data.jobs;
+            this.state.total = data.total;
+            this.state.hasMore = data.has_more;
+
+            // Forget selections that are no longer listed
+            const listed = new Set(data.jobs.map(job => job.issue_number));
+            this.state.selected.forEach(number => {
+                if (!listed.has(number)) this.state.selected.delete(number);
+            });
+
+            this.renderQueue();
+            return true;
+        } catch (error) {
+            Logger.error('Error loading admin queue:', error);
+            if (error.status === 401 || error.status === 403) {
+                this.lock(error.message || 'Invalid admin token');
+            } else {
+                Toast.error(error.message || 'Failed to load the queue');
+            }
+            return false;
+        } finally {
+            Utils.hide(this.elements.loading);
+            this.elements.refreshBtn.classList.remove('spinning');
+        }
+    },
+
+    /**
+     * Jobs on this page that match the text filter
+     */
+    visibleJobs() {
+        if (!this.state.text) return this.state.jobs;
+        return this.state.jobs.filter(job => (job.url || '').toLowerCase().includes(this.state.text));
+    },
+
+    /**
+     * Ticked issue numbers in list order
+     */
+    selectedIssues() {
+        return this.visibleJobs()
+            .map(job => job.issue_number)
+            .filter(number => this.state.selected.has(number));
+    },
+
+    /**
+     * Render the request list and pager
+     */
+    renderQueue() {
+        const jobs = this.visibleJobs();
+
+        if (jobs.length === 0) {
+            Utils.show(this.elements.empty);
+        } else {
+            Utils.hide(this.elements.empty);
+        }
+
+        // All content is sanitized via Utils.escapeHtml in renderJob
+        this.elements.list.innerHTML = jobs.map(job => this.renderJob(job)).join('');
+
+        const { page, total, hasMore } = this.state;
+        this.elements.pageInfo.textContent = total === null ? `Page ${page}` : `Page ${page} · ${total} open`;
+        this.elements.prevBtn.disabled = page <= 1;
+        this.elements.nextBtn.disabled = !hasMore;
+        this.updateSelection();
+    },
+
+    /**
+     * Render one request row
+     */
+    renderJob(job) {
+        // Self-hosted forges are not known here; their requests show the plain URL
+        const parsed = Utils.parseRepoUrl(job.url || '');
+        const name = parsed ? Forges.displayName(parsed) : (job.url || 'Unknown repository');
+        const target = job.ref ? `${name}@${job.ref}` : name;
+        const state = this.JOB_STATE_LABELS[job.state] ? job.state : 'queued';
+        const queued = job.state === 'queued';
+        const retryable = ['queued', 'failed', 'cancelled'].includes(job.state);
+        const options = [job.mode === 'mirror' ? 'mirror' : null, job.full_project ? 'issues & wiki' : null].filter(Boolean);
+
+        const priority = queued
+            ? `<select class="explorer-version admin-priority" aria-label="Priority">
+                ${Object.entries(this.PRIORITY_LABELS).map(([value, label]) =>
+                    `<option value="${value}"${value === job.priority ? ' selected' : ''}>${label}</option>`).join('')}
+            </select>`
+            : `<span class="admin-job-priority ${Utils.escapeHtml(job.priority)}">${Utils.escapeHtml(this.PRIORITY_LABELS[job.priority] || job.priority)}</span>`;
+
+        return `
+            <div class="queue-item admin-job" data-issue="${Utils.escapeHtml(String(job.issue_number))}">
+                <input type="checkbox" class="admin-job-select" aria-label="Select #${Utils.escapeHtml(String(job.issue_number))}"${this.state.selected.has(job.issue_number) ? ' checked' : ''}>
+                <span class="job-state ${state}"><span class="status-dot"></span>${this.JOB_STATE_LABELS[state]}</span>
+                <div class="admin-job-main">
+                    <span class="queue-item-url">${Utils.escapeHtml(target)}</span>
+                    <span class="queue-item-time">
+                        <a href="${Utils.escapeHtml(job.issue_url || '#')}" target="_blank" rel="noopener">#${Utils.escapeHtml(String(job.issue_number))}</a>
+                        · ${Utils.formatRelativeTime(job.created_at)}${options.length ? ` · ${Utils.escapeHtml(options.join(', '))}` : ''}
+                    </span>
+                    ${job.failure_reason ? `<span class="admin-job-reason">${Utils.escapeHtml(job.failure_reason)}</span>` : ''}
+                </div>
+                ${priority}
+                <div class="admin-job-actions">
+                    ${retryable ? '<button class="cancel-btn admin-small-btn" data-action="retry">Retry</button>' : ''}
+                    ${queued ? '<button class="cancel-btn admin-small-btn" data-action="cancel">Cancel</button>' : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Sync the select-all box and the selection count with the ticked rows
+     */
+    updateSelection() {
+        const count = this.selectedIssues().length;
+        const visible = this.visibleJobs().length;
+        this.elements.selectedCount.textContent = `${count} selected`;
+        this.elements.selectAll.checked = count > 0 && count === visible;
+        this.elements.selectAll.indeterminate = count > 0 && count < visible;
+    },
+
+    /**
+     * Cancel, retry or reprioritize requests, then reload the list
+     * @param {string} action - cancel, retry or priority
+     * @param {Array<number>} issues - Issue numbers, in the order to process them
+     * @param {Object} options - { priority } for action priority
+     */
+    async runAction(action, issues, options = {}) {
+        if (this.state.busy) return;
+        if (issues.length === 0) {
+            Toast.warning('Select at least one request');
+            return;
+        }
+        if (action === 'cancel' && !window.confirm(`Cancel ${issues.length} request${issues.length > 1 ? 's' : ''}?`)) {
+            return;
+        }
+
+        const reason = this.elements.reasonInput.value.trim();
+        if (action === 'cancel' && reason) options = { ...options, reason };
+
+        this.state.busy = true;
+        this.elements.queueSection.classList.add('busy');
+        try {
+            const result = await API.bulkQueueAction(action, issues, options, this.state.token);
+            const { successful, failed } = result.summary;
+            if (failed === 0) {
+                Toast.success(`${action === 'priority' ? 'Reprioritized' : action === 'retry' ? 'Retried' : 'Cancelled'} ${successful} request${successful === 1 ? '' : 's'}`);
+                Utils.hide(this.elements.results);
+            } else {
+                Toast.warning(`${successful} done, ${failed} failed`);
+                this.showResults(result.results);
+            }
+            result.results.forEach(r => {
+                if (r.success) this.state.selected.delete(r.issue);
+            });
+            if (action === 'cancel') this.elements.reasonInput.value = '';
+        } catch (error) {
+            Logger.error('Error applying queue action:', error);
+            if (error.status === 401 || error.status === 403) {
+                this.lock(error.message || 'Invalid admin token');
+                return;
+            }
+            Toast.error(error.message || 'Failed to update the queue');
+        } finally {
+            this.state.busy = false;
+            this.elements.queueSection.classList.remove('busy');
+        }
+
+        await this.loadQueue();
+    },
+
+    /**
+     * Show the per-request outcome of an action that partly failed
+     */
+    showResults(results) {
+        Utils.show(this.elements.results);
+        this.elements.results.innerHTML = results.map(r => `
+            <div class="bulk-result-item">
+                <span class="bulk-result-icon">${r.success ? '✓' : '✗'}</span>
+                <span class="bulk-result-url">#${Utils.escapeHtml(String(r.issue))}</span>
+                <span class="bulk-result-status ${r.success ? 'success' : 'error'}">
+                    ${r.success ? `#${Utils.escapeHtml(String(r.job.issue_number))}` : Utils.escapeHtml(r.error)}
+                </span>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Set unlock button loading state
+     */
+    setLoginLoading(loading) {
+        this.elements.loginBtn.disabled = loading;
+        const btnText = this.elements.loginBtn.querySelector('.btn-text');
+        const btnLoading = this.elements.loginBtn.querySelector('.btn-loading');
+
+        if (loading) {
+            Utils.hide(btnText);
+            Utils.show(btnLoading);
+        } else {
+            Utils.show(btnText);
+            Utils.hide(btnLoading);
+        }
+    }
+};
+
+// Initialize console when DOM is ready
+document.addEventListener('DOMContentLoaded', () => Admin.init());
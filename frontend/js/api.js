@@ -1,5 +1,6 @@
 /**
  * API client for Git-Archiver Web
+ * Worker calls are built from the route table in routes.js
  */
 
 const API = {
@@ -99,6 +100,92 @@ const API = {
         return true;
     },
 
+    /**
+     * Call a worker endpoint described by the route table (routes.js)
+     * Parameters are checked against the table before anything is sent, so a
+     * bad value fails here with the same message the worker would return.
+     * @param {string} routeId - Route id, e.g. 'search'
+     * @param {Object} params - Path, query and body values by name
+     * @param {Object} options - { signal, timeout: false for long downloads, raw: resolve with the Response,
+     *   token: bearer credential for routes that need one }
+     * @returns {Promise<Object|Response>} Parsed JSON body, or the Response when raw
+     * @throws {Error} With status and data set when the worker answers with an error
+     */
+    async request(routeId, params = {}, options = {}) {
+        const route = Routes.get(routeId);
+
+        // Path and query values travel as strings; body fields keep their JSON types
+        const input = { path: {}, query: {}, body: null };
+        const present = name => params[name] !== undefined && params[name] !== null;
+        Routes.pathParams(route).forEach(({ name }) => {
+            if (present(name)) input.path[name] = String(params[name]);
+        });
+        Routes.fields(route.query).forEach(({ name }) => {
+            if (present(name)) input.query[name] = String(params[name]);
+        });
+        if (route.body) {
+            input.body = {};
+            Routes.fields(route.body).forEach(({ name }) => {
+                if (present(name)) input.body[name] = params[name];
+            });
+        }
+
+        const checked = Routes.validate(route, input);
+        if (checked.error) {
+            throw new Error(checked.error);
+        }
+
+        const init = { method: route.method, headers: {} };
+        if (options.signal) init.signal = options.signal;
+        if (options.token) init.headers['Authorization'] = `Bearer ${options.token}`;
+        if (route.body) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(input.body);
+        }
+
+        const url = this.url(routeId, params);
+        // M1: Use fetch with timeout, except for downloads that may outlast it
+        const response = options.timeout === false
+            ? await fetch(url, init)
+            : await this.fetchWithTimeout(url, init);
+
+        if (options.raw && response.ok) {
+            return response;
+        }
+
+        // M2: Validate response size
+        this.validateResponseSize(response);
+
+        // M9: Wrap JSON parsing with try-catch
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (parseError) {
+            if (response.ok) {
+                throw new Error(`Failed to parse ${routeId} response: ${parseError.message}`);
+            }
+        }
+
+        if (!response.ok) {
+            const error = new Error(data?.error || Routes.errors[response.status] || `Request failed: ${response.status}`);
+            error.status = response.status;
+            error.data = data;
+            throw error;
+        }
+
+        return data;
+    },
+
+    /**
+     * Full URL of a worker endpoint
+     * @param {string} routeId - Route id from routes.js
+     * @param {Object} params - Path and query values by name
+     * @returns {string}
+     */
+    url(routeId, params = {}) {
+        return `${this.config.WORKER_URL}${Routes.buildPath(Routes.get(routeId), params)}`;
+    },
+
     /**
      * Fetch the master index of all archived repositories
      * Uses the worker to proxy the request and avoid CORS issues
@@ -106,23 +193,7 @@ const API = {
      */
     async fetchIndex() {
         try {
-            // M1: Use fetch with timeout
-            const response = await this.fetchWithTimeout(`${this.config.WORKER_URL}/index`);
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch index: ${response.status}`);
-            }
-
-            // M2: Validate response size
-            this.validateResponseSize(response);
-
-            // M9: Wrap JSON parsing with try-catch
-            let index;
-            try {
-                index = await response.json();
-            } catch (parseError) {
-                throw new Error('Failed to parse index JSON: ' + parseError.message);
-            }
+            const index = await this.request('index');
 
             if (!this.validateIndex(index)) {
                 Logger.warn('Index validation failed, using empty index');
@@ -136,6 +207,26 @@ const API = {
         }
     },
 
+    /**
+     * Search the index server-side via worker
+     * @param {Object} params - { q, owner, status, sort, page, per_page }
+     * @returns {Promise<Object>} { total, page, per_page, total_pages, results }
+     */
+    async searchRepos(params = {}) {
+        try {
+            const data = await this.request('search', params);
+
+            if (!Array.isArray(data.results) || typeof data.total !== 'number') {
+                throw new Error('Invalid search response');
+            }
+
+            return data;
+        } catch (error) {
+            Logger.error('Error searching repositories:', error);
+            throw error;
+        }
+    },
+
     /**
      * Fetch pending archive requests (open issues)
      * @returns {Promise<Array>}
@@ -162,13 +253,15 @@ const API = {
                 throw new Error('Failed to parse issues JSON: ' + parseError.message);
             }
 
-            // Parse issue body to extract URL
+            // Parse issue body to extract URL and optional ref
             return issues.map(issue => {
-                const urlMatch = issue.body?.match(/url:\s*(https:\/\/github\.com\/[^\s]+)/);
+                const urlMatch = issue.body?.match(/url:\s*(https:\/\/[^\s]+)/);
+                const refMatch = issue.body?.match(/^ref:[ \t]*(\S+)[ \t]*$/m);
                 return {
                     id: issue.id,
                     number: issue.number,
                     url: urlMatch ? urlMatch[1] : null,
+                    ref: refMatch ? refMatch[1] : null,
                     created_at: issue.created_at,
                     title: issue.title
                 };
@@ -180,80 +273,108 @@ const API = {
     },
 
     /**
-     * Fetch releases for a specific repository
-     * @param {string} owner - Repo owner
-     * @param {string} repo - Repo name
+     * Owner, repo and host as route params
+     * GitHub repositories leave host out, keeping their URLs (and cache entries) as before
+     * @param {Object} source - { host, owner, repo }
+     * @returns {Object}
+     */
+    sourceParams({ host, owner, repo }) {
+        return host && host !== Forges.DEFAULT_HOST ? { host, owner, repo } : { owner, repo };
+    },
+
+    /**
+     * Self-hosted forge instances the worker accepts, for Utils.parseRepoUrl()
+     * Falls back to none, leaving the hosts built into forges.js
+     * @returns {Promise<Object>} hostname -> forge id
+     */
+    async fetchForgeHosts() {
+        try {
+            const data = await this.request('forges');
+            const hosts = {};
+            (data.forges || []).forEach(forge => {
+                (forge.hosts || []).forEach(host => { hosts[host] = forge.id; });
+            });
+            return hosts;
+        } catch (error) {
+            Logger.error('Error fetching forges:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Fetch every archived version of a repository via worker
+     * The worker pages through all releases with its token and attaches parsed metadata.json
+     * @param {Object} source - { host, owner, repo }; host defaults to github.com
      * @returns {Promise<Array>}
      */
-    async fetchRepoVersions(owner, repo) {
+    async fetchRepoVersions(source) {
         try {
-            // Fetch all releases and filter by tag prefix
-            const prefix = `${owner}__${repo}__`;
-            const url = `${this.config.GITHUB_API}/repos/${this.config.GITHUB_OWNER}/${this.config.GITHUB_REPO}/releases?per_page=100`;
-            // M1: Use fetch with timeout
-            const response = await this.fetchWithTimeout(url);
+            const data = await this.request('versions', this.sourceParams(source));
+            return Array.isArray(data.versions) ? data.versions : [];
+        } catch (error) {
+            Logger.error('Error fetching repo versions:', error);
+            return [];
+        }
+    },
 
-            if (!response.ok) {
-                throw new Error(`Failed to fetch releases: ${response.status}`);
-            }
+    /**
+     * Download an archived tarball via worker (release downloads lack CORS headers)
+     * Skips FETCH_TIMEOUT: archives can take longer than that to arrive
+     * @param {Object} source - { host, owner, repo }; host defaults to github.com
+     * @param {string} tag - Release tag of the version
+     * @param {AbortSignal} signal - Cancels the download
+     * @returns {Promise<Response>} Response whose body streams the .tar.gz
+     */
+    async fetchArchive(source, tag, signal) {
+        return this.request('archive', { ...this.sourceParams(source), tag }, { signal, timeout: false, raw: true });
+    },
 
-            // M2: Validate response size
-            this.validateResponseSize(response);
+    /**
+     * Browse issues and PRs captured by a full-project archive via worker
+     * @param {Object} source - { host, owner, repo }; host defaults to github.com
+     * @param {Object} params - { tag, q, type, state, page, per_page } (all optional)
+     * @returns {Promise<Object>} { tag, total, page, per_page, items, ... }
+     */
+    async fetchProjectIssues(source, params = {}) {
+        try {
+            const data = await this.request('projectIssues', { ...params, ...this.sourceParams(source) });
 
-            // M9: Wrap JSON parsing with try-catch
-            let releases;
-            try {
-                releases = await response.json();
-            } catch (parseError) {
-                throw new Error('Failed to parse releases JSON: ' + parseError.message);
+            if (!Array.isArray(data.items) || typeof data.total !== 'number') {
+                throw new Error('Invalid archived issues response');
             }
 
-            // Filter releases for this repo
-            return releases
-                .filter(release => release.tag_name.startsWith(prefix))
-                .map(release => ({
-                    tag: release.tag_name,
-                    date: release.published_at,
-                    assets: release.assets.map(asset => ({
-                        name: asset.name,
-                        size: asset.size,
-                        download_url: asset.browser_download_url
-                    }))
-                }));
+            return data;
         } catch (error) {
-            Logger.error('Error fetching repo versions:', error);
-            return [];
+            Logger.error('Error fetching archived issues:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Fetch one captured issue or PR with its comments via worker
+     * @param {Object} source - { host, owner, repo }; host defaults to github.com
+     * @param {number} number - Issue or PR number
+     * @param {string} tag - Release tag holding the export
+     * @returns {Promise<Object>} { tag, item, comments }
+     */
+    async fetchProjectIssue(source, number, tag) {
+        try {
+            return await this.request('projectIssue', { ...this.sourceParams(source), number, tag });
+        } catch (error) {
+            Logger.error('Error fetching archived issue:', error);
+            throw error;
         }
     },
 
     /**
      * Fetch README content from a release via worker proxy
-     * @param {string} owner - Repo owner
-     * @param {string} repo - Repo name
+     * @param {Object} source - { host, owner, repo }; host defaults to github.com
      * @param {string} tag - Release tag (optional, uses latest if not provided)
      * @returns {Promise<string>}
      */
-    async fetchReadme(owner, repo, tag = null) {
+    async fetchReadme(source, tag = null) {
         try {
-            let url = `${this.config.WORKER_URL}/readme?owner=${encodeURIComponent(owner)}&repo=${encodeURIComponent(repo)}`;
-            if (tag) {
-                url += `&tag=${encodeURIComponent(tag)}`;
-            }
-
-            // M1: Use fetch with timeout
-            const response = await this.fetchWithTimeout(url);
-            if (!response.ok) return null;
-
-            // M2: Validate response size
-            this.validateResponseSize(response);
-
-            // M9: Wrap JSON parsing with try-catch
-            let data;
-            try {
-                data = await response.json();
-            } catch (parseError) {
-                throw new Error('Failed to parse README JSON: ' + parseError.message);
-            }
+            const data = await this.request('readme', { ...this.sourceParams(source), tag });
             return data.readme;
         } catch (error) {
             Logger.error('Error fetching README:', error);
@@ -263,30 +384,13 @@ const API = {
 
     /**
      * Check if original repository is online/offline
-     * @param {string} owner - Repo owner
-     * @param {string} repo - Repo name
+     * @param {Object} source - { host, owner, repo }; host defaults to github.com
      * @param {AbortSignal} signal - Optional abort signal for cancellation
      * @returns {Promise<Object>}
      */
-    async checkRepoStatus(owner, repo, signal = null) {
+    async checkRepoStatus(source, signal = null) {
         try {
-            const url = `${this.config.WORKER_URL}/status?owner=${encodeURIComponent(owner)}&repo=${encodeURIComponent(repo)}`;
-            // M1: Use fetch with timeout, pass signal if provided
-            const response = await this.fetchWithTimeout(url, signal ? { signal } : {});
-
-            if (!response.ok) {
-                return { online: null, status: 'error', message: 'Failed to check status' };
-            }
-
-            // M2: Validate response size
-            this.validateResponseSize(response);
-
-            // M9: Wrap JSON parsing with try-catch
-            try {
-                return await response.json();
-            } catch (parseError) {
-                throw new Error('Failed to parse status JSON: ' + parseError.message);
-            }
+            return await this.request('status', this.sourceParams(source), { signal });
         } catch (error) {
             if (error.name === 'AbortError') throw error; // Re-throw abort errors
             Logger.error('Error checking repo status:', error);
@@ -295,81 +399,100 @@ const API = {
     },
 
     /**
-     * Submit multiple repository URLs for archiving
-     * @param {Array<string>} urls - Array of GitHub repository URLs
-     * @returns {Promise<Object>}
+     * Fetch the normalized status of an archive request via worker
+     * @param {number} issueNumber - Archive request issue number
+     * @param {AbortSignal} signal - Optional abort signal for cancellation
+     * @returns {Promise<Object|null>} Job status, or null if unavailable
      */
-    async bulkSubmit(urls) {
+    async fetchJobStatus(issueNumber, signal = null) {
         try {
-            // M1: Use fetch with timeout
-            const response = await this.fetchWithTimeout(`${this.config.WORKER_URL}/bulk-submit`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ urls })
-            });
-
-            // M2: Validate response size
-            this.validateResponseSize(response);
-
-            // M9: Wrap JSON parsing with try-catch
-            let data;
-            try {
-                data = await response.json();
-            } catch (parseError) {
-                throw new Error('Failed to parse bulk submit response: ' + parseError.message);
-            }
+            return await this.request('job', { issue: issueNumber }, { signal });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error; // Re-throw abort errors
+            Logger.error('Error fetching job status:', error);
+            return null;
+        }
+    },
 
-            if (!response.ok && !data.results) {
-                throw new Error(data.error || 'Bulk submission failed');
-            }
+    /**
+     * Check a version's signed provenance attestation via worker
+     * @param {Object} source - { host, owner, repo }; host defaults to github.com
+     * @param {string} tag - Release tag of the version
+     * @param {string|null} archiveHash - SHA-256 computed over the downloaded tarball, to compare with the signed one
+     * @returns {Promise<Object|null>} { valid, key_id, checks, error, provenance }, or null if unavailable
+     */
+    async verifyProvenance(source, tag, archiveHash = null) {
+        try {
+            return await this.request('verify', { ...this.sourceParams(source), tag, archive_hash: archiveHash });
+        } catch (error) {
+            Logger.error('Error verifying provenance:', error);
+            return null;
+        }
+    },
 
-            return data;
+    /**
+     * Submit multiple repository URLs for archiving
+     * @param {Array<string>} urls - Repository URLs on any supported forge
+     * @returns {Promise<Object>} { batch, status_url }, or { summary, results } from a worker without batches
+     */
+    async bulkSubmit(urls) {
+        try {
+            return await this.request('bulkSubmit', { urls });
         } catch (error) {
             Logger.error('Error bulk submitting URLs:', error);
             throw error;
         }
     },
 
+    /**
+     * Fetch a bulk submission batch and its per-URL results
+     * @param {string} batchId - Batch id returned by bulkSubmit
+     * @param {AbortSignal} signal - Optional abort signal for cancellation
+     * @returns {Promise<Object>} { id, status, summary, results }
+     */
+    async fetchBatch(batchId, signal = null) {
+        return this.request('batch', { id: batchId }, { signal });
+    },
+
     /**
      * Submit a new repository URL for archiving
-     * @param {string} url - GitHub repository URL
+     * An owner URL (https://github.com/<owner>) returns a preview of the owner's
+     * repositories, or queues them as a batch with { confirm: true }.
+     * @param {string} url - Repository URL on a supported forge, or a GitHub owner URL
+     * @param {Object} options - Optional submission fields, e.g. { mode: 'mirror' }, { skip_forks, confirm }
      * @returns {Promise<Object>}
      */
-    async submitUrl(url) {
+    async submitUrl(url, options = {}) {
         try {
-            // M1: Use fetch with timeout
-            const response = await this.fetchWithTimeout(`${this.config.WORKER_URL}/submit`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ url })
-            });
-
-            // M2: Validate response size
-            this.validateResponseSize(response);
-
-            // M9: Wrap JSON parsing with try-catch
-            let data;
-            try {
-                data = await response.json();
-            } catch (parseError) {
-                throw new Error('Failed to parse submit response: ' + parseError.message);
-            }
-
-            if (!response.ok) {
-                throw new Error(data.error || 'Submission failed');
-            }
-
-            return data;
+            return await this.request('submit', { ...options, url });
         } catch (error) {
             Logger.error('Error submitting URL:', error);
             throw error;
         }
     },
 
+    /**
+     * List archive requests for operators
+     * @param {Object} params - { state, page, per_page } (all optional)
+     * @param {string} token - Admin token
+     * @returns {Promise<Object>} { state, total, has_more, jobs }
+     */
+    async fetchAdminQueue(params, token) {
+        return this.request('listQueue', params, { token });
+    },
+
+    /**
+     * Cancel, retry or reprioritize archive requests
+     * @param {string} action - cancel, retry or priority
+     * @param {Array<number>} issues - Archive request issue numbers
+     * @param {Object} options - { priority, reason }
+     * @param {string} token - Admin token
+     * @returns {Promise<Object>} { summary, results: [{ issue, success, job, error }] }
+     */
+    async bulkQueueAction(action, issues, options, token) {
+        return this.request('bulkQueueAction', { ...options, action, issues }, { token });
+    },
+
     /**
      * Check if a repository exists on GitHub
      * @param {string} owner
@@ -419,6 +542,15 @@ const API = {
      */
     getDownloadUrl(tag) {
         return `https://github.com/${this.config.GITHUB_OWNER}/${this.config.GITHUB_REPO}/releases/download/${tag}/archive.tar.gz`;
+    },
+
+    /**
+     * Get the Atom feed URL of new archives
+     * @param {string} [owner] - Only follow this owner's repositories
+     * @returns {string}
+     */
+    getFeedUrl(owner = null) {
+        return this.url('feed', { owner });
     }
 };
 
@@ -12,15 +12,65 @@ const App = {
         searchQuery: '',
         currentPage: 1,
         pageSize: 50,
-        hasMore: true
+        hasMore: true,
+        // Server-side search mode (used once the index grows past SERVER_SEARCH_THRESHOLD)
+        serverSearch: false,
+        serverTotal: 0,
+        // Self-hosted forge instances the worker accepts (GET /forges), hostname -> forge id
+        forgeHosts: {}
     },
 
+    // Index size above which search and pagination move to the worker's /search endpoint
+    SERVER_SEARCH_THRESHOLD: 2000,
+
+    // Incremented per server search so stale responses can be discarded
+    searchRequestId: 0,
+
     // Infinite scroll observer
     scrollObserver: null,
 
     // M6: Track pending status check requests to prevent race conditions
     pendingStatusChecks: new Map(),
 
+    // Last known job status per queued issue number (keeps queue rows stable across refreshes)
+    jobStatuses: new Map(),
+
+    // Display labels for job states reported by the worker
+    JOB_STATE_LABELS: {
+        queued: 'Queued',
+        running: 'Archiving',
+        succeeded: 'Done',
+        unchanged: 'No changes',
+        failed: 'Failed',
+        cancelled: 'Cancelled'
+    },
+
+    // Issues tab of the open modal: { host, owner, repo, tag, query, page, items, total, loaded, requestId }
+    projectState: null,
+
+    // Asset suffix of full-project exports (issues, PRs, releases, wiki as JSON lines)
+    PROJECT_ASSET_SUFFIX: '.project.jsonl.gz',
+    PROJECT_PAGE_SIZE: 30,
+
+    // Ed25519-signed attestation of an archive's source, commit and hash (see worker/src/provenance.js)
+    PROVENANCE_ASSET: 'provenance.json',
+
+    // Files tab of the open modal: { host, owner, repo, versions, files, tree, selectedId, objectUrl, controller, requestId }
+    explorerState: null,
+
+    // Archives are downloaded and unpacked in the browser, so keep them bounded
+    EXPLORER_MAX_ARCHIVE_BYTES: 200 * 1024 * 1024,
+    EXPLORER_MAX_UNPACKED_BYTES: 1024 * 1024 * 1024,
+    EXPLORER_MAX_PREVIEW_BYTES: 1024 * 1024,
+
+    // Compare view of the Versions tab: { host, owner, repo, versions, changes, controller, requestId }
+    // Both archives are unpacked in the browser under the Files tab limits
+    compareState: null,
+
+    // SHA-256 checks in the Versions tab: { host, owner, repo, versions, controllers: Map(index -> AbortController), localRequestId }
+    // Hashes come from each version's metadata.json (archive_hash, bundle_hash) or its signed provenance.json
+    verifyState: null,
+
     // DOM elements cache
     elements: {},
 
@@ -28,12 +78,29 @@ const App = {
     QUEUE_REFRESH_INTERVAL: 30000,
     refreshTimer: null,
 
+    // Bulk submission being processed by the worker: { id, timer }
+    // Polling also keeps the batch moving (the worker resumes it on read), so it continues while the modal is closed
+    bulkBatch: null,
+    BULK_POLL_INTERVAL: 3000,
+    MAX_BULK_URLS: 100,
+
+    // Dependency manifests imported into the bulk modal: largest file read and
+    // most registry lookups (each package not naming its repository needs one)
+    MAX_MANIFEST_BYTES: 5 * 1024 * 1024,
+    MANIFEST_LOOKUP_LIMIT: 300,
+
+    // Owner-wide archive awaiting confirmation: { url, options, preview }
+    ownerPreview: null,
+
     /**
      * Initialize the application
      */
     async init() {
         this.cacheElements();
         this.bindEvents();
+        if (this.elements.feedLink) {
+            this.elements.feedLink.href = API.getFeedUrl();
+        }
         await this.loadData();
         this.startAutoRefresh();
     },
@@ -50,6 +117,10 @@ const App = {
                 clearInterval(this.refreshTimer);
                 this.refreshTimer = null;
             }
+            if (this.bulkBatch) {
+                clearTimeout(this.bulkBatch.timer);
+                this.bulkBatch = null;
+            }
             // M6: Also abort and clear pending status checks
             if (this.pendingStatusChecks) {
                 this.pendingStatusChecks.forEach(controller => controller.abort());
@@ -85,6 +156,8 @@ const App = {
             // Form
             submitForm: document.getElementById('submit-form'),
             repoUrlInput: document.getElementById('repo-url'),
+            mirrorModeInput: document.getElementById('mirror-mode'),
+            fullProjectInput: document.getElementById('full-project'),
             submitBtn: document.getElementById('submit-btn'),
             formMessage: document.getElementById('form-message'),
 
@@ -108,6 +181,9 @@ const App = {
             queueList: document.getElementById('queue-list'),
             queueRefreshBtn: document.getElementById('queue-refresh-btn'),
 
+            // Footer
+            feedLink: document.getElementById('feed-link'),
+
             // Modal
             modal: document.getElementById('repo-modal'),
             modalBody: document.getElementById('modal-body'),
@@ -121,9 +197,25 @@ const App = {
             bulkMessage: document.getElementById('bulk-message'),
             bulkSubmitBtn: document.getElementById('bulk-submit-btn'),
             bulkCancelBtn: document.getElementById('bulk-cancel-btn'),
+            bulkImportBtn: document.getElementById('bulk-import-btn'),
+            bulkFile: document.getElementById('bulk-file'),
             bulkResults: document.getElementById('bulk-results'),
             bulkClose: document.querySelector('.bulk-close'),
-            bulkBackdrop: document.querySelector('.bulk-backdrop')
+            bulkBackdrop: document.querySelector('.bulk-backdrop'),
+
+            // Owner Archive
+            ownerModal: document.getElementById('owner-modal'),
+            ownerTitle: document.getElementById('owner-title'),
+            ownerDescription: document.getElementById('owner-description'),
+            ownerSkipForks: document.getElementById('owner-skip-forks'),
+            ownerSkipArchived: document.getElementById('owner-skip-archived'),
+            ownerSummary: document.getElementById('owner-summary'),
+            ownerList: document.getElementById('owner-list'),
+            ownerMessage: document.getElementById('owner-message'),
+            ownerConfirmBtn: document.getElementById('owner-confirm-btn'),
+            ownerCancelBtn: document.getElementById('owner-cancel-btn'),
+            ownerClose: document.querySelector('.owner-close'),
+            ownerBackdrop: document.querySelector('.owner-backdrop')
         };
     },
 
@@ -158,10 +250,32 @@ const App = {
         // Modal close
         this.elements.modalClose.addEventListener('click', () => this.closeModal());
         this.elements.modalBackdrop.addEventListener('click', () => this.closeModal());
+
+        // Files dropped anywhere on the repo modal are checked against recorded hashes
+        this.elements.modalBody.addEventListener('dragover', (e) => {
+            const dropZone = this.elements.modalBody.querySelector('#verify-drop');
+            if (!dropZone || !e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            dropZone.classList.add('active');
+        });
+        this.elements.modalBody.addEventListener('dragleave', (e) => {
+            if (!this.elements.modalBody.contains(e.relatedTarget)) {
+                this.elements.modalBody.querySelector('#verify-drop')?.classList.remove('active');
+            }
+        });
+        this.elements.modalBody.addEventListener('drop', (e) => {
+            const dropZone = this.elements.modalBody.querySelector('#verify-drop');
+            if (!dropZone) return;
+            e.preventDefault();
+            dropZone.classList.remove('active');
+            const file = e.dataTransfer?.files[0];
+            if (file) this.verifyLocalFile(file);
+        });
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeModal();
                 this.closeBulkModal();
+                this.closeOwnerModal();
             }
         });
 
@@ -171,6 +285,37 @@ const App = {
         this.elements.bulkBackdrop.addEventListener('click', () => this.closeBulkModal());
         this.elements.bulkCancelBtn.addEventListener('click', () => this.closeBulkModal());
         this.elements.bulkSubmitBtn.addEventListener('click', () => this.handleBulkSubmit());
+        this.elements.bulkImportBtn.addEventListener('click', () => this.elements.bulkFile.click());
+        this.elements.bulkFile.addEventListener('change', () => {
+            const file = this.elements.bulkFile.files[0];
+            this.elements.bulkFile.value = '';
+            if (file) this.importManifestFile(file);
+        });
+
+        // Manifest files can also be dropped on the URL list
+        this.elements.bulkUrls.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            this.elements.bulkUrls.classList.add('dragover');
+        });
+        this.elements.bulkUrls.addEventListener('dragleave', () => {
+            this.elements.bulkUrls.classList.remove('dragover');
+        });
+        this.elements.bulkUrls.addEventListener('drop', (e) => {
+            const file = e.dataTransfer?.files[0];
+            if (!file) return;
+            e.preventDefault();
+            this.elements.bulkUrls.classList.remove('dragover');
+            this.importManifestFile(file);
+        });
+
+        // Owner archive modal
+        this.elements.ownerClose.addEventListener('click', () => this.closeOwnerModal());
+        this.elements.ownerBackdrop.addEventListener('click', () => this.closeOwnerModal());
+        this.elements.ownerCancelBtn.addEventListener('click', () => this.closeOwnerModal());
+        this.elements.ownerConfirmBtn.addEventListener('click', () => this.confirmOwnerArchive());
+        this.elements.ownerSkipForks.addEventListener('change', () => this.renderOwnerPreview());
+        this.elements.ownerSkipArchived.addEventListener('change', () => this.renderOwnerPreview());
     },
 
     /**
@@ -181,15 +326,24 @@ const App = {
         this.showLoading();
 
         try {
-            // Load index and pending requests in parallel
-            const [index, pending] = await Promise.all([
+            // Load index, pending requests and the accepted forge hosts in parallel
+            const [index, pending, forgeHosts] = await Promise.all([
                 API.fetchIndex(),
-                API.fetchPendingRequests()
+                API.fetchPendingRequests(),
+                API.fetchForgeHosts()
             ]);
 
             this.state.index = index;
             this.state.pendingRequests = pending;
-            this.state.filteredRepos = this.getRepoList();
+            this.state.forgeHosts = forgeHosts;
+            this.state.serverSearch = (index?.total_repos || 0) > this.SERVER_SEARCH_THRESHOLD;
+            this.resetPagination();
+
+            if (this.state.serverSearch) {
+                await this.fetchServerPage();
+            } else {
+                this.state.filteredRepos = this.getRepoList();
+            }
 
             this.updateStats();
             this.renderRepos();
@@ -204,36 +358,88 @@ const App = {
 
     /**
      * Get sorted list of repositories from index
-     * L3: Validates archive_count at data layer to prevent invalid values
+     * In server search mode this is the set of pages fetched so far
      */
     getRepoList() {
+        if (this.state.serverSearch) return this.state.filteredRepos;
         if (!this.state.index?.repositories) return [];
 
         return Object.entries(this.state.index.repositories)
-            .map(([url, data]) => ({
-                url,
-                ...data,
-                // L3: Validate archive_count at data layer (clamp to 1-999)
-                archive_count: Math.min(Math.max(parseInt(data.archive_count, 10) || 1, 1), 999)
-            }))
+            .map(([url, data]) => this.normalizeRepo(url, data))
             .sort((a, b) => new Date(b.last_archived) - new Date(a.last_archived));
     },
 
+    /**
+     * Shape an index entry for rendering
+     * L3: Validates archive_count at data layer to prevent invalid values
+     */
+    normalizeRepo(url, data) {
+        return {
+            url,
+            ...data,
+            // L3: Validate archive_count at data layer (clamp to 1-999)
+            archive_count: Math.min(Math.max(parseInt(data.archive_count, 10) || 1, 1), 999)
+        };
+    },
+
     /**
      * Get paginated subset of filtered repos
+     * Server search mode appends one worker page per scroll, so everything fetched is shown
      */
     getPaginatedRepos() {
+        if (this.state.serverSearch) {
+            this.state.hasMore = this.state.filteredRepos.length < this.state.serverTotal;
+            return this.state.filteredRepos;
+        }
+
         const end = this.state.currentPage * this.state.pageSize;
         this.state.hasMore = end < this.state.filteredRepos.length;
         return this.state.filteredRepos.slice(0, end);
     },
 
+    /**
+     * Fetch the current page of results from the worker's search endpoint
+     * Page 1 replaces the list; later pages are appended
+     */
+    async fetchServerPage() {
+        const requestId = ++this.searchRequestId;
+        const page = this.state.currentPage;
+
+        const data = await API.searchRepos({
+            q: this.state.searchQuery,
+            page,
+            per_page: this.state.pageSize
+        });
+
+        // A newer search started while this one was in flight
+        if (requestId !== this.searchRequestId) return false;
+
+        const repos = data.results.map(({ url, score, ...repoData }) => this.normalizeRepo(url, repoData));
+        this.state.filteredRepos = page === 1 ? repos : this.state.filteredRepos.concat(repos);
+        this.state.serverTotal = data.total;
+        return true;
+    },
+
     /**
      * Load more repositories (for infinite scroll)
      */
-    loadMore() {
+    async loadMore() {
         if (!this.state.hasMore || this.state.isLoading) return;
         this.state.currentPage++;
+
+        if (this.state.serverSearch) {
+            this.state.isLoading = true;
+            try {
+                if (!await this.fetchServerPage()) return;
+            } catch (error) {
+                Logger.error('Failed to load more repositories:', error);
+                this.state.currentPage--;
+                return;
+            } finally {
+                this.state.isLoading = false;
+            }
+        }
+
         this.renderRepos();
     },
 
@@ -319,6 +525,7 @@ const App = {
         this.pendingStatusChecks.clear();
 
         const allRepos = this.state.filteredRepos;
+        const totalCount = this.state.serverSearch ? this.state.serverTotal : allRepos.length;
 
         if (allRepos.length === 0) {
             Utils.show(this.elements.reposEmpty);
@@ -332,7 +539,7 @@ const App = {
         const repos = this.getPaginatedRepos();
 
         // Build HTML with repos count (all content is sanitized via Utils.escapeHtml in renderRepoCard)
-        let html = `<div class="repos-count">Showing ${repos.length} of ${allRepos.length} repositories</div>`;
+        let html = `<div class="repos-count">Showing ${repos.length} of ${totalCount} repositories</div>`;
         html += repos.map(repo => this.renderRepoCard(repo)).join('');
 
         // Add load-more sentinel if there are more repos
@@ -354,10 +561,9 @@ const App = {
             });
 
             // Check source status (async, will update card when complete)
-            const owner = card.dataset.owner;
-            const repo = card.dataset.repo;
+            const { host, owner, repo } = card.dataset;
             if (owner && repo) {
-                this.checkRepoSourceStatus(owner, repo, card);
+                this.checkRepoSourceStatus({ host, owner, repo }, card);
             }
         });
 
@@ -374,10 +580,53 @@ const App = {
             ? repo.status.charAt(0).toUpperCase() + repo.status.slice(1)
             : 'Active';
 
+        // Taken-down repos keep their card but show the reason instead of details
+        if (repo.status === 'removed') {
+            return `
+            <div class="repo-card removed" data-url="${Utils.escapeHtml(repo.url)}">
+                <div class="repo-card-header">
+                    <span class="repo-name">${Utils.escapeHtml(Forges.displayName(repo))}</span>
+                    <div class="repo-status-group">
+                        <span class="repo-status removed">${statusLabel}</span>
+                    </div>
+                </div>
+                <p class="repo-description">${Utils.escapeHtml(repo.removed_reason || 'Removed from the archive')}</p>
+                <div class="repo-meta">
+                    <span title="Removed">Removed ${Utils.formatRelativeTime(repo.removed_at)}</span>
+                </div>
+            </div>
+        `;
+        }
+
+        // Gists are named by their owner and first file, and list their files
+        if (repo.forge === 'gist') {
+            const files = this.gistFiles(repo);
+            return `
+            <div class="repo-card gist" data-url="${Utils.escapeHtml(repo.url)}" data-host="${Utils.escapeHtml(repo.host)}" data-owner="${Utils.escapeHtml(repo.owner)}" data-repo="${Utils.escapeHtml(repo.repo)}">
+                <div class="repo-card-header">
+                    <span class="repo-name" title="${Utils.escapeHtml(Forges.displayName(repo))}">${Utils.escapeHtml(this.gistTitle(repo))}</span>
+                    <div class="repo-status-group">
+                        <span class="repo-status gist">Gist</span>
+                        ${statusClass !== 'active' ? `<span class="repo-status ${statusClass}">${statusLabel}</span>` : ''}
+                        <span class="repo-source-status checking"><span class="status-dot pulse"></span></span>
+                    </div>
+                </div>
+                ${repo.description ? `<p class="repo-description">${Utils.escapeHtml(repo.description)}</p>` : ''}
+                ${files.length > 0 ? `<p class="gist-file-names">${Utils.escapeHtml(files.slice(0, 5).join(' · '))}${files.length > 5 ? ` +${files.length - 5} more` : ''}</p>` : ''}
+                <div class="repo-meta">
+                    <span title="Archive count">📦 ${Math.min(Math.max(repo.archive_count || 1, 1), 999)} version${(repo.archive_count || 1) > 1 ? 's' : ''}</span>
+                    <span title="Files">📄 ${files.length} file${files.length === 1 ? '' : 's'}</span>
+                    <span title="Size">${Utils.formatBytes((repo.latest_size_mb || 0) * 1024 * 1024)}</span>
+                    <span title="Last archived">${Utils.formatRelativeTime(repo.last_archived)}</span>
+                </div>
+            </div>
+        `;
+        }
+
         return `
-            <div class="repo-card" data-url="${Utils.escapeHtml(repo.url)}" data-owner="${Utils.escapeHtml(repo.owner)}" data-repo="${Utils.escapeHtml(repo.repo)}">
+            <div class="repo-card" data-url="${Utils.escapeHtml(repo.url)}" data-host="${Utils.escapeHtml(repo.host || Forges.DEFAULT_HOST)}" data-owner="${Utils.escapeHtml(repo.owner)}" data-repo="${Utils.escapeHtml(repo.repo)}">
                 <div class="repo-card-header">
-                    <span class="repo-name">${Utils.escapeHtml(repo.owner)}/${Utils.escapeHtml(repo.repo)}</span>
+                    <span class="repo-name">${Utils.escapeHtml(Forges.displayName(repo))}</span>
                     <div class="repo-status-group">
                         <span class="repo-status ${statusClass}">${statusLabel}</span>
                         <span class="repo-source-status checking"><span class="status-dot pulse"></span></span>
@@ -393,6 +642,40 @@ const App = {
         `;
     },
 
+    /**
+     * File names of a gist, as recorded in the index when it was archived
+     */
+    gistFiles(repo) {
+        return Array.isArray(repo.files) ? repo.files.filter(name => typeof name === 'string') : [];
+    },
+
+    /**
+     * Display name of a gist: its owner and first file, since gist ids mean little to people
+     */
+    gistTitle(repo) {
+        const [first] = this.gistFiles(repo);
+        return `${repo.owner} / ${first || repo.repo}`;
+    },
+
+    /**
+     * Heading of a repository or gist in the detail modal
+     */
+    repoTitle(repo) {
+        return repo.forge === 'gist' ? this.gistTitle(repo) : Forges.displayName(repo);
+    },
+
+    /**
+     * File listing of a gist for the detail modal
+     */
+    renderGistFiles(repo) {
+        const files = this.gistFiles(repo);
+        if (files.length === 0) return '';
+        return `
+                    <ul class="gist-files" aria-label="Gist files">
+                        ${files.map(name => `<li>${Utils.escapeHtml(name)}</li>`).join('')}
+                    </ul>`;
+    },
+
     /**
      * Render pending queue
      */
@@ -406,22 +689,80 @@ const App = {
 
         Utils.show(this.elements.queueSection);
 
+        // Forget statuses for issues that have left the queue
+        const queuedNumbers = new Set(pendingRequests.map(item => item.number));
+        this.jobStatuses.forEach((status, number) => {
+            if (!queuedNumbers.has(number)) this.jobStatuses.delete(number);
+        });
+
         this.elements.queueList.innerHTML = pendingRequests.map(item => `
-            <div class="queue-item">
-                <span class="spinner"></span>
-                <span class="queue-item-url">${Utils.escapeHtml(item.url)}</span>
+            <div class="queue-item" data-issue="${Utils.escapeHtml(String(item.number))}">
+                ${this.renderJobState(this.jobStatuses.get(item.number))}
+                <span class="queue-item-url">${Utils.escapeHtml(item.ref ? `${item.url}@${item.ref}` : item.url)}</span>
                 <span class="queue-item-time">${Utils.formatRelativeTime(item.created_at)}</span>
             </div>
         `).join('');
+
+        // Fetch per-item progress (async, will update each row when complete)
+        this.elements.queueList.querySelectorAll('.queue-item').forEach(row => {
+            const issueNumber = parseInt(row.dataset.issue, 10);
+            if (issueNumber) this.checkJobStatus(issueNumber, row);
+        });
+    },
+
+    /**
+     * Render the progress indicator for a queued job
+     * @param {Object|undefined} job - Job status from the worker, if known
+     */
+    renderJobState(job) {
+        if (!job) {
+            return '<span class="job-state checking"><span class="status-dot pulse"></span></span>';
+        }
+
+        const state = this.JOB_STATE_LABELS[job.state] ? job.state : 'queued';
+        const indicator = state === 'running' ? '<span class="spinner"></span>' : '<span class="status-dot"></span>';
+        const title = job.failure_reason ? ` title="${Utils.escapeHtml(job.failure_reason)}"` : '';
+
+        return `<span class="job-state ${state}"${title}>${indicator}${this.JOB_STATE_LABELS[state]}</span>`;
+    },
+
+    /**
+     * Check and update job status for a queue row
+     */
+    async checkJobStatus(issueNumber, rowElement) {
+        const job = await API.fetchJobStatus(issueNumber);
+        if (!job) return;
+
+        this.jobStatuses.set(issueNumber, job);
+
+        // Row may have been replaced by a newer render in the meantime
+        const stateElement = rowElement.isConnected ? rowElement.querySelector('.job-state') : null;
+        if (stateElement) {
+            stateElement.outerHTML = this.renderJobState(job);
+        }
     },
 
     /**
      * Handle search input
      */
-    handleSearch(query) {
+    async handleSearch(query) {
         // L2: Limit search query length to prevent performance issues
         const limitedQuery = query.slice(0, 200);
         this.state.searchQuery = limitedQuery.toLowerCase().trim();
+
+        if (this.state.serverSearch) {
+            this.resetPagination();
+            try {
+                if (!await this.fetchServerPage()) return;
+            } catch (error) {
+                Logger.error('Search failed:', error);
+                Toast.error('Search failed. Please try again.');
+                return;
+            }
+            this.renderRepos();
+            return;
+        }
+
         const repos = this.getRepoList();
 
         if (!this.state.searchQuery) {
@@ -445,23 +786,28 @@ const App = {
 
         const url = this.elements.repoUrlInput.value.trim();
 
+        // An owner URL archives all of its repositories, after a preview
+        if (Utils.parseGitHubOwnerUrl(url)) {
+            await this.previewOwnerArchive(url);
+            return;
+        }
+
         // Validate URL
-        if (!Utils.isValidGitHubUrl(url)) {
-            this.showFormMessage('Please enter a valid GitHub repository URL', 'error');
+        if (!Utils.isValidRepoUrl(url, this.state.forgeHosts)) {
+            this.showFormMessage('Please enter a valid GitHub, GitLab, Codeberg/Gitea or Bitbucket repository URL, or a gist URL', 'error');
             return;
         }
 
         // Parse URL
-        const parsed = Utils.parseGitHubUrl(url);
+        const parsed = Utils.parseRepoUrl(url, this.state.forgeHosts);
         if (!parsed) {
             this.showFormMessage('Could not parse repository URL', 'error');
             return;
         }
 
-        // Check if already archived recently
-        const repoKey = `https://github.com/${parsed.owner}/${parsed.repo}`;
-        const existingRepo = this.state.index?.repositories?.[repoKey];
-        if (existingRepo) {
+        // Check if already archived recently (the index tracks the default branch only)
+        const existingRepo = this.state.index?.repositories?.[parsed.url];
+        if (existingRepo && !parsed.ref) {
             const lastArchived = new Date(existingRepo.last_archived);
             const hoursSince = (Date.now() - lastArchived) / (1000 * 60 * 60);
             if (hoursSince < 24) {
@@ -475,7 +821,7 @@ const App = {
 
         // Check if already in queue
         const inQueue = this.state.pendingRequests.some(item =>
-            item.url.includes(`${parsed.owner}/${parsed.repo}`)
+            item.url.toLowerCase() === parsed.url.toLowerCase() && (item.ref || null) === parsed.ref
         );
         if (inQueue) {
             this.showFormMessage('This repository is already in the queue', 'info');
@@ -486,7 +832,10 @@ const App = {
         this.setFormLoading(true);
 
         try {
-            const result = await API.submitUrl(url);
+            const options = {};
+            if (this.elements.mirrorModeInput?.checked) options.mode = 'mirror';
+            if (this.elements.fullProjectInput?.checked) options.full_project = true;
+            const result = await API.submitUrl(url, options);
 
             Toast.success('Repository queued! Issue #' + result.issue_number);
             this.elements.repoUrlInput.value = '';
@@ -502,6 +851,168 @@ const App = {
         }
     },
 
+    /**
+     * Fetch the repositories an owner URL would archive and show them for confirmation
+     * @param {string} url - https://github.com/<owner>
+     */
+    async previewOwnerArchive(url) {
+        this.setFormLoading(true);
+
+        try {
+            const options = {};
+            if (this.elements.mirrorModeInput?.checked) options.mode = 'mirror';
+            if (this.elements.fullProjectInput?.checked) options.full_project = true;
+            const preview = await API.submitUrl(url, options);
+
+            this.ownerPreview = { url, options, preview };
+            this.openOwnerModal();
+        } catch (error) {
+            Toast.error(error.message || 'Failed to list repositories');
+        } finally {
+            this.setFormLoading(false);
+        }
+    },
+
+    /**
+     * Open the owner archive modal for the current preview
+     */
+    openOwnerModal() {
+        const { preview } = this.ownerPreview;
+        const kind = preview.owner_type === 'Organization' ? 'organization' : 'user';
+
+        this.elements.ownerTitle.textContent = `Archive everything by ${preview.owner}`;
+        this.elements.ownerDescription.textContent = `Every repository the ${kind} owns${preview.mode === 'mirror' ? ', with full history' : ''}${preview.full_project ? ', with issues and wiki' : ''}. Each one is checked again when it is queued; repositories already queued or archived today are skipped then.`;
+        this.elements.ownerSkipForks.checked = false;
+        this.elements.ownerSkipArchived.checked = false;
+        Utils.hide(this.elements.ownerMessage);
+        this.renderOwnerPreview();
+
+        Utils.show(this.elements.ownerModal);
+        document.body.style.overflow = 'hidden';
+    },
+
+    /**
+     * Close the owner archive modal
+     */
+    closeOwnerModal() {
+        Utils.hide(this.elements.ownerModal);
+        document.body.style.overflow = '';
+        this.ownerPreview = null;
+    },
+
+    /**
+     * Why a previewed repository would not be queued, given the skip options
+     * Mirrors the worker's checks so the options can be changed without another request
+     * @returns {string|null}
+     */
+    ownerSkipReason(repo, skipForks, skipArchived) {
+        if (repo.refusal) return repo.refusal;
+        if (skipForks && repo.fork) return 'Fork';
+        if (skipArchived && repo.archived) return 'Archived on GitHub';
+        return null;
+    },
+
+    /**
+     * Render the owner's repositories with what would be queued
+     */
+    renderOwnerPreview() {
+        if (!this.ownerPreview) return;
+
+        const { preview } = this.ownerPreview;
+        const skipForks = this.elements.ownerSkipForks.checked;
+        const skipArchived = this.elements.ownerSkipArchived.checked;
+
+        let eligible = 0;
+        const rows = preview.repositories.map(repo => {
+            let reason = this.ownerSkipReason(repo, skipForks, skipArchived);
+            if (!reason && eligible >= preview.max_repositories) {
+                reason = `Over the limit of ${preview.max_repositories} repositories per request`;
+            }
+            if (!reason) eligible++;
+
+            return `
+                <div class="bulk-result-item">
+                    <span class="bulk-result-icon">${reason ? '–' : '✓'}</span>
+                    <span class="bulk-result-url">${Utils.escapeHtml(repo.name)}</span>
+                    <span class="bulk-result-status ${reason ? 'pending' : 'success'}">
+                        ${reason ? Utils.escapeHtml(reason) : Utils.formatBytes(repo.size)}
+                    </span>
+                </div>
+            `;
+        });
+
+        const skipped = preview.repositories.length - eligible;
+        this.elements.ownerSummary.innerHTML = `
+            <strong>${eligible}</strong> of ${preview.repositories.length} repositories will be queued${skipped > 0 ? `, <strong>${skipped}</strong> skipped` : ''}
+            ${preview.truncated ? `<br>Only the first ${preview.repositories.length} repositories were listed` : ''}
+        `;
+        this.elements.ownerList.innerHTML = rows.join('') || '<div class="bulk-result-item">No public repositories</div>';
+
+        const btnText = this.elements.ownerConfirmBtn.querySelector('.btn-text');
+        btnText.textContent = `Archive ${eligible} ${eligible === 1 ? 'repository' : 'repositories'}`;
+        this.elements.ownerConfirmBtn.disabled = eligible === 0;
+    },
+
+    /**
+     * Queue the previewed repositories and follow the batch in the bulk modal
+     */
+    async confirmOwnerArchive() {
+        if (!this.ownerPreview) return;
+
+        if (this.bulkBatch) {
+            this.showOwnerMessage('Wait for the current bulk submission to finish', 'error');
+            return;
+        }
+
+        const { url, options } = this.ownerPreview;
+        this.setOwnerLoading(true);
+
+        try {
+            const result = await API.submitUrl(url, {
+                ...options,
+                skip_forks: this.elements.ownerSkipForks.checked,
+                skip_archived: this.elements.ownerSkipArchived.checked,
+                confirm: true
+            });
+
+            this.closeOwnerModal();
+            Toast.success(`Archiving ${result.batch.summary.total} repositories of ${result.owner}`);
+            this.openBulkModal();
+            this.showBulkResults(result.batch);
+            this.watchBulkBatch(result.batch);
+        } catch (error) {
+            this.showOwnerMessage(error.message || 'Failed to submit', 'error');
+        } finally {
+            this.setOwnerLoading(false);
+        }
+    },
+
+    /**
+     * Show owner archive message
+     */
+    showOwnerMessage(message, type) {
+        this.elements.ownerMessage.textContent = message;
+        this.elements.ownerMessage.className = `form-message ${type}`;
+        Utils.show(this.elements.ownerMessage);
+    },
+
+    /**
+     * Set owner archive confirm loading state
+     */
+    setOwnerLoading(loading) {
+        this.elements.ownerConfirmBtn.disabled = loading;
+        const btnText = this.elements.ownerConfirmBtn.querySelector('.btn-text');
+        const btnLoading = this.elements.ownerConfirmBtn.querySelector('.btn-loading');
+
+        if (loading) {
+            Utils.hide(btnText);
+            Utils.show(btnLoading);
+        } else {
+            Utils.show(btnText);
+            Utils.hide(btnLoading);
+        }
+    },
+
     /**
      * Show form message
      */
@@ -543,11 +1054,26 @@ const App = {
 
         Utils.show(this.elements.modal);
         document.body.style.overflow = 'hidden';
+        this.projectState = null;
+        this.resetExplorer();
+        this.resetCompare();
+        this.resetVerify();
+
+        if (repo.status === 'removed') {
+            this.elements.modalBody.innerHTML = `
+                <div class="modal-header">
+                    <h3>${Utils.escapeHtml(this.repoTitle(repo))}</h3>
+                    <p><span class="repo-status removed">Removed</span></p>
+                </div>
+                <p class="removed-notice">This repository was removed from the archive ${Utils.formatRelativeTime(repo.removed_at)}: ${Utils.escapeHtml(repo.removed_reason || 'no reason given')}. Its archives are no longer available.</p>
+            `;
+            return;
+        }
 
         // Show loading state
         this.elements.modalBody.innerHTML = `
             <div class="modal-header">
-                <h3>${Utils.escapeHtml(repo.owner)}/${Utils.escapeHtml(repo.repo)}</h3>
+                <h3>${Utils.escapeHtml(this.repoTitle(repo))}</h3>
                 <p>${Utils.escapeHtml(repo.description || 'No description')}</p>
             </div>
             <div class="loading-state">
@@ -559,37 +1085,128 @@ const App = {
         try {
             // Fetch versions and README in parallel
             const [versions, readme] = await Promise.all([
-                API.fetchRepoVersions(repo.owner, repo.repo),
-                API.fetchReadme(repo.owner, repo.repo)
+                API.fetchRepoVersions(repo),
+                API.fetchReadme(repo)
             ]);
 
             // H1: Validate URL protocol before rendering
             let safeUrl = '';
             try {
                 const urlObj = new URL(repo.url);
-                if (urlObj.protocol === 'https:' && urlObj.hostname === 'github.com') {
+                if (urlObj.protocol === 'https:' && urlObj.hostname === (repo.host || Forges.DEFAULT_HOST)) {
                     safeUrl = Utils.escapeHtml(repo.url);
                 }
             } catch (e) {
                 Logger.error('Invalid URL:', repo.url);
             }
 
+            // Newest version carrying a full-project export backs the Issues tab
+            const projectVersion = versions.find(v =>
+                v.assets.some(a => a.name.endsWith(this.PROJECT_ASSET_SUFFIX))
+            );
+            if (projectVersion) {
+                this.projectState = {
+                    host: repo.host,
+                    owner: repo.owner,
+                    repo: repo.repo,
+                    tag: projectVersion.tag,
+                    query: '',
+                    page: 1,
+                    items: [],
+                    total: 0,
+                    loaded: false,
+                    requestId: 0
+                };
+            }
+
+            // Every version with a tarball can be opened in the Files tab
+            const archiveVersions = versions.filter(v => v.assets.some(a => a.name.endsWith('.tar.gz')));
+            if (archiveVersions.length > 0) {
+                this.explorerState = {
+                    host: repo.host,
+                    owner: repo.owner,
+                    repo: repo.repo,
+                    versions: archiveVersions,
+                    files: null,
+                    tree: null,
+                    selectedId: null,
+                    objectUrl: null,
+                    controller: null,
+                    requestId: 0
+                };
+            }
+
+            // Any two of those versions can be compared
+            if (archiveVersions.length > 1) {
+                this.compareState = {
+                    host: repo.host,
+                    owner: repo.owner,
+                    repo: repo.repo,
+                    versions: archiveVersions,
+                    changes: null,
+                    controller: null,
+                    requestId: 0
+                };
+            }
+
+            // Versions whose metadata recorded a hash, or that carry a signed attestation, can be checked
+            const recordedHashes = versions.filter(v => v.metadata?.archive_hash || v.metadata?.bundle_hash).length;
+            const provenanceVersion = versions.find(v => v.assets.some(a => a.name === this.PROVENANCE_ASSET));
+            if (recordedHashes > 0 || provenanceVersion) {
+                this.verifyState = {
+                    host: repo.host,
+                    owner: repo.owner,
+                    repo: repo.repo,
+                    versions,
+                    controllers: new Map(),
+                    localRequestId: 0
+                };
+            }
+
             // Render modal content with tabs
             this.elements.modalBody.innerHTML = `
                 <div class="modal-header">
-                    <h3>${Utils.escapeHtml(repo.owner)}/${Utils.escapeHtml(repo.repo)}</h3>
+                    <h3>${Utils.escapeHtml(this.repoTitle(repo))}</h3>
                     <p>${Utils.escapeHtml(repo.description || 'No description')}</p>
-                    ${safeUrl ? `<p><a href="${safeUrl}" target="_blank">View on GitHub →</a></p>` : ''}
+                    ${safeUrl ? `<p><a href="${safeUrl}" target="_blank">View on ${Utils.escapeHtml(Forges.name(repo.forge))} →</a></p>` : ''}
+                    ${repo.forge === 'gist' ? this.renderGistFiles(repo) : ''}
+                    ${provenanceVersion ? '<p id="provenance-status" class="provenance-status">Checking signed provenance...</p>' : ''}
                 </div>
 
                 <div class="modal-tabs">
                     <button class="tab-btn active" data-tab="versions">Versions (${versions.length})</button>
                     <button class="tab-btn" data-tab="readme">README</button>
+                    ${archiveVersions.length > 0 ? '<button class="tab-btn" data-tab="files">Files</button>' : ''}
+                    ${projectVersion ? '<button class="tab-btn" data-tab="issues">Issues</button>' : ''}
                 </div>
 
                 <div class="tab-content" id="tab-versions">
+                    ${archiveVersions.length > 1 ? `
+                    <details class="compare-panel">
+                        <summary>Compare versions</summary>
+                        <div class="explorer-toolbar">
+                            <select id="compare-base" class="explorer-version" aria-label="Base version">
+                                ${archiveVersions.map(version => this.renderExplorerOption(version)).join('')}
+                            </select>
+                            <span class="compare-arrow">→</span>
+                            <select id="compare-head" class="explorer-version" aria-label="Head version">
+                                ${archiveVersions.map(version => this.renderExplorerOption(version)).join('')}
+                            </select>
+                            <button id="compare-open" class="explorer-open">Compare</button>
+                        </div>
+                        <div id="compare-body" class="compare-body">
+                            <p class="empty-message">Comparing downloads both archives and unpacks them in your browser.</p>
+                        </div>
+                    </details>
+                    ` : ''}
+                    ${recordedHashes > 0 ? `
+                    <div class="verify-drop" id="verify-drop">
+                        <p>Already have this file? Drop a downloaded archive or bundle here, or <label class="verify-pick">choose one<input type="file" id="verify-file" hidden></label>, to check it against the recorded SHA-256 hashes.</p>
+                        <div id="verify-local-result" class="verify-local-result"></div>
+                    </div>
+                    ` : ''}
                     <div class="version-list">
-                        ${versions.length > 0 ? versions.map(version => this.renderVersion(version, repo)).join('') : '<p class="empty-message">No versions found</p>'}
+                        ${versions.length > 0 ? versions.map((version, index) => this.renderVersion(version, repo, index)).join('') : '<p class="empty-message">No versions found</p>'}
                     </div>
                 </div>
 
@@ -598,8 +1215,78 @@ const App = {
                         ${readme ? Utils.renderMarkdown(readme) : '<p class="empty-message">No README available</p>'}
                     </div>
                 </div>
+
+                ${archiveVersions.length > 0 ? `
+                <div class="tab-content" id="tab-files" hidden>
+                    <div class="explorer-toolbar">
+                        <select id="explorer-version" class="explorer-version" aria-label="Version">
+                            ${archiveVersions.map(version => this.renderExplorerOption(version)).join('')}
+                        </select>
+                        <button id="explorer-open" class="explorer-open">Open</button>
+                    </div>
+                    <div id="explorer-body" class="explorer-body">
+                        <p class="empty-message">Opening a version downloads its archive and unpacks it in your browser.</p>
+                    </div>
+                </div>
+                ` : ''}
+
+                ${projectVersion ? `
+                <div class="tab-content" id="tab-issues" hidden>
+                    <p class="project-note">Issues and pull requests as captured on ${Utils.escapeHtml(Utils.formatDate(Utils.parseReleaseTag(projectVersion.tag)?.date || projectVersion.date))}</p>
+                    <input type="search" id="project-search" class="project-search" placeholder="Filter by title or #number..." autocomplete="off">
+                    <div id="project-issues" class="project-issues"></div>
+                </div>
+                ` : ''}
             `;
 
+            const explorerOpen = this.elements.modalBody.querySelector('#explorer-open');
+            if (explorerOpen) {
+                explorerOpen.addEventListener('click', () => {
+                    this.loadExplorer(this.elements.modalBody.querySelector('#explorer-version').value);
+                });
+            }
+
+            const compareOpen = this.elements.modalBody.querySelector('#compare-open');
+            if (compareOpen) {
+                // Default to the two newest versions, older one as the base
+                const baseSelect = this.elements.modalBody.querySelector('#compare-base');
+                const headSelect = this.elements.modalBody.querySelector('#compare-head');
+                baseSelect.value = archiveVersions[1].tag;
+                headSelect.value = archiveVersions[0].tag;
+                compareOpen.addEventListener('click', () => {
+                    this.loadCompare(baseSelect.value, headSelect.value);
+                });
+                // toggle does not bubble, so listen in the capture phase
+                this.elements.modalBody.querySelector('#compare-body').addEventListener('toggle', (e) => {
+                    const row = e.target.closest('.compare-file');
+                    if (row?.open) this.renderCompareDiff(row, parseInt(row.dataset.change, 10));
+                }, true);
+            }
+
+            if (provenanceVersion) {
+                this.loadProvenance(repo, provenanceVersion);
+            }
+
+            const verifyFile = this.elements.modalBody.querySelector('#verify-file');
+            if (verifyFile) {
+                verifyFile.addEventListener('change', () => {
+                    if (verifyFile.files[0]) this.verifyLocalFile(verifyFile.files[0]);
+                    verifyFile.value = '';
+                });
+            }
+
+            this.elements.modalBody.querySelector('.version-list').addEventListener('click', (e) => {
+                const verifyBtn = e.target.closest('.version-verify');
+                if (verifyBtn) this.verifyVersion(parseInt(verifyBtn.dataset.verify, 10));
+            });
+
+            const projectSearch = this.elements.modalBody.querySelector('#project-search');
+            if (projectSearch) {
+                projectSearch.addEventListener('input',
+                    Utils.debounce((e) => this.searchProjectIssues(e.target.value), 300)
+                );
+            }
+
             // M7: Only bind tab events if data loaded successfully
             const tabButtons = this.elements.modalBody.querySelectorAll('.tab-btn');
             if (tabButtons.length > 0) {
@@ -611,7 +1298,7 @@ const App = {
             Logger.error('Error loading modal content:', error);
             this.elements.modalBody.innerHTML = `
                 <div class="modal-header">
-                    <h3>${Utils.escapeHtml(repo.owner)}/${Utils.escapeHtml(repo.repo)}</h3>
+                    <h3>${Utils.escapeHtml(this.repoTitle(repo))}</h3>
                     <p>${Utils.escapeHtml(repo.description || 'No description')}</p>
                 </div>
                 <div class="error-state">
@@ -635,32 +1322,810 @@ const App = {
         this.elements.modalBody.querySelectorAll('.tab-content').forEach(content => {
             content.hidden = content.id !== `tab-${tabId}`;
         });
+
+        // Captured issues are only downloaded once the tab is opened
+        if (tabId === 'issues' && this.projectState && !this.projectState.loaded) {
+            this.loadProjectIssues();
+        }
     },
 
     /**
-     * Render a version item
+     * Filter the Issues tab by title or number
      */
-    renderVersion(version, repo) {
-        // Find archive (support both old "archive.tar.gz" and new "{owner}_{repo}.tar.gz" naming)
-        const archive = version.assets.find(a => a.name.endsWith('.tar.gz'));
-        const metadata = version.assets.find(a => a.name === 'metadata.json');
+    searchProjectIssues(query) {
+        const project = this.projectState;
+        if (!project) return;
 
-        const parsed = Utils.parseReleaseTag(version.tag);
-        const date = parsed?.date || version.date;
-        const archiveName = repo ? `${repo.owner}_${repo.repo}.tar.gz` : (archive?.name || 'archive.tar.gz');
+        project.query = query.trim();
+        project.page = 1;
+        this.loadProjectIssues();
+    },
 
-        // H2: Validate download URL starts with https:// before rendering
-        let safeDownloadLink = '';
-        if (archive && archive.download_url) {
-            try {
-                const downloadUrl = new URL(archive.download_url);
-                if (downloadUrl.protocol === 'https:') {
-                    const escapedUrl = Utils.escapeHtml(archive.download_url);
-                    const escapedName = Utils.escapeHtml(archiveName);
-                    safeDownloadLink = `<a href="${escapedUrl}" class="version-download" download="${escapedName}">Download</a>`;
-                }
-            } catch (e) {
-                Logger.error('Invalid download URL:', archive.download_url);
+    /**
+     * Load a page of captured issues into the Issues tab
+     * @param {boolean} append - Add the page to the current list instead of replacing it
+     */
+    async loadProjectIssues(append = false) {
+        const project = this.projectState;
+        const container = this.elements.modalBody.querySelector('#project-issues');
+        if (!project || !container) return;
+
+        project.loaded = true;
+        const requestId = ++project.requestId;
+
+        if (!append) {
+            container.innerHTML = `
+                <div class="loading-state">
+                    <span class="spinner"></span>
+                    <p>Loading archived issues...</p>
+                </div>
+            `;
+        }
+
+        try {
+            const data = await API.fetchProjectIssues(project, {
+                tag: project.tag,
+                q: project.query,
+                page: project.page,
+                per_page: this.PROJECT_PAGE_SIZE
+            });
+
+            // Discard responses for a closed modal or a superseded filter
+            if (this.projectState !== project || requestId !== project.requestId) return;
+
+            project.items = append ? project.items.concat(data.items) : data.items;
+            project.total = data.total;
+            this.renderProjectIssues();
+        } catch (error) {
+            if (this.projectState !== project || requestId !== project.requestId) return;
+            container.innerHTML = `<p class="empty-message">Failed to load archived issues. ${Utils.escapeHtml(error.message)}</p>`;
+        }
+    },
+
+    /**
+     * Render the captured issue list
+     */
+    renderProjectIssues() {
+        const project = this.projectState;
+        const container = this.elements.modalBody.querySelector('#project-issues');
+        if (!project || !container) return;
+
+        if (project.items.length === 0) {
+            container.innerHTML = `<p class="empty-message">${project.query ? 'No matching issues' : 'No issues or pull requests were captured'}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            ${project.items.map(item => `
+                <button class="project-issue" data-number="${Utils.escapeHtml(String(item.number))}">
+                    <span class="project-issue-state ${this.projectItemStateClass(item)}">${item.type === 'pull_request' ? 'PR' : 'Issue'}</span>
+                    <span class="project-issue-title">${Utils.escapeHtml(item.title || '(untitled)')}</span>
+                    <span class="project-issue-meta">#${Utils.escapeHtml(String(item.number))} · ${Utils.escapeHtml(item.user || 'unknown')} · ${Utils.escapeHtml(String(item.comments))} comments</span>
+                </button>
+            `).join('')}
+            ${project.items.length < project.total ? `<button class="project-more">Show more (${project.total - project.items.length} left)</button>` : ''}
+        `;
+
+        container.querySelectorAll('.project-issue').forEach(btn => {
+            btn.addEventListener('click', () => this.openProjectIssue(parseInt(btn.dataset.number, 10)));
+        });
+
+        const moreBtn = container.querySelector('.project-more');
+        if (moreBtn) {
+            moreBtn.addEventListener('click', () => {
+                moreBtn.disabled = true;
+                project.page++;
+                this.loadProjectIssues(true);
+            });
+        }
+    },
+
+    /**
+     * CSS modifier for an issue's state (merged PRs get their own colour)
+     */
+    projectItemStateClass(item) {
+        if (item.merged_at) return 'merged';
+        return item.state === 'open' ? 'open' : 'closed';
+    },
+
+    /**
+     * Show one captured issue with its comments
+     */
+    async openProjectIssue(number) {
+        const project = this.projectState;
+        const container = this.elements.modalBody.querySelector('#project-issues');
+        if (!project || !container) return;
+
+        const requestId = ++project.requestId;
+        container.innerHTML = `
+            <div class="loading-state">
+                <span class="spinner"></span>
+                <p>Loading #${Utils.escapeHtml(String(number))}...</p>
+            </div>
+        `;
+
+        try {
+            const { item, comments } = await API.fetchProjectIssue(project, number, project.tag);
+            if (this.projectState !== project || requestId !== project.requestId) return;
+
+            container.innerHTML = `
+                <button class="project-back">← All issues</button>
+                <div class="project-thread">
+                    <h4>
+                        <span class="project-issue-state ${this.projectItemStateClass(item)}">${item.type === 'pull_request' ? 'PR' : 'Issue'}</span>
+                        ${Utils.escapeHtml(item.title || '(untitled)')} <span class="project-issue-meta">#${Utils.escapeHtml(String(item.number))}</span>
+                    </h4>
+                    ${item.labels?.length ? `<div class="project-labels">${item.labels.map(label => `<span class="project-label">${Utils.escapeHtml(label)}</span>`).join('')}</div>` : ''}
+                    ${this.renderProjectPost(item.user, item.created_at, item.body)}
+                    ${comments.map(comment => this.renderProjectPost(
+                        comment.user,
+                        comment.created_at,
+                        comment.body,
+                        comment.type === 'review_comment' ? comment.path : null
+                    )).join('')}
+                </div>
+            `;
+        } catch (error) {
+            if (this.projectState !== project || requestId !== project.requestId) return;
+            container.innerHTML = `
+                <button class="project-back">← All issues</button>
+                <p class="empty-message">Failed to load #${Utils.escapeHtml(String(number))}. ${Utils.escapeHtml(error.message)}</p>
+            `;
+        }
+
+        container.querySelector('.project-back')?.addEventListener('click', () => this.renderProjectIssues());
+    },
+
+    /**
+     * Render an issue body or comment
+     * @param {string|null} path - File path for review comments
+     */
+    renderProjectPost(user, createdAt, body, path = null) {
+        return `
+            <div class="project-post">
+                <div class="project-post-header">
+                    <strong>${Utils.escapeHtml(user || 'unknown')}</strong>
+                    <span>${Utils.escapeHtml(Utils.formatDate(createdAt))}</span>
+                    ${path ? `<span class="mono">on ${Utils.escapeHtml(path)}</span>` : ''}
+                </div>
+                <div class="project-post-body readme-content">
+                    ${body ? Utils.renderMarkdown(body) : '<p class="empty-message">No description provided.</p>'}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Render a version choice for the Files tab
+     */
+    renderExplorerOption(version) {
+        const archive = version.assets.find(a => a.name.endsWith('.tar.gz'));
+        const parsed = Utils.parseReleaseTag(version.tag);
+        const label = [
+            Utils.formatDate(parsed?.date || version.date),
+            parsed?.ref,
+            Utils.formatBytes(archive.size)
+        ].filter(Boolean).join(' · ');
+        return `<option value="${Utils.escapeHtml(version.tag)}">${Utils.escapeHtml(label)}</option>`;
+    },
+
+    /**
+     * Download a version's tarball and unpack it into the Files tab
+     * @param {string} tag - Release tag of the version to open
+     */
+    async loadExplorer(tag) {
+        const explorer = this.explorerState;
+        const container = this.elements.modalBody.querySelector('#explorer-body');
+        if (!explorer || !container) return;
+
+        const version = explorer.versions.find(v => v.tag === tag);
+        const archive = version?.assets.find(a => a.name.endsWith('.tar.gz'));
+        if (!archive) return;
+
+        if (archive.size > this.EXPLORER_MAX_ARCHIVE_BYTES) {
+            container.innerHTML = `<p class="empty-message">This archive is ${Utils.escapeHtml(Utils.formatBytes(archive.size))}, too large to open in the browser (limit ${Utils.escapeHtml(Utils.formatBytes(this.EXPLORER_MAX_ARCHIVE_BYTES))}). Download it from the Versions tab instead.</p>`;
+            return;
+        }
+
+        // Cancel any download still in flight and drop the previous version
+        if (explorer.controller) explorer.controller.abort();
+        this.revokeExplorerUrl();
+        const controller = new AbortController();
+        const requestId = ++explorer.requestId;
+        explorer.controller = controller;
+        explorer.files = null;
+        explorer.tree = null;
+        explorer.selectedId = null;
+
+        container.innerHTML = `
+            <div class="loading-state">
+                <span class="spinner"></span>
+                <p>Downloading ${Utils.escapeHtml(Utils.formatBytes(archive.size))} archive... <span id="explorer-progress"></span></p>
+            </div>
+        `;
+        const progress = container.querySelector('#explorer-progress');
+
+        try {
+            const response = await API.fetchArchive(explorer, tag, controller.signal);
+            const entries = await Tar.readArchive(response.body, {
+                maxBytes: this.EXPLORER_MAX_UNPACKED_BYTES,
+                onProgress: (bytes) => {
+                    if (progress) progress.textContent = `${Utils.formatBytes(bytes)} unpacked`;
+                }
+            });
+
+            // Discard results for a closed modal or a superseded version
+            if (this.explorerState !== explorer || requestId !== explorer.requestId) return;
+
+            // Buttons refer to files by position: paths may contain quotes, which escapeHtml keeps
+            explorer.files = entries.filter(e => e.type !== 'directory');
+            explorer.files.forEach((file, id) => { file.id = id; });
+            explorer.tree = Tar.buildTree(entries);
+            explorer.controller = null;
+            this.renderExplorer();
+        } catch (error) {
+            if (this.explorerState !== explorer || requestId !== explorer.requestId) return;
+            explorer.controller = null;
+            Logger.error('Failed to open archive:', error);
+            container.innerHTML = `<p class="empty-message">Failed to open archive. ${Utils.escapeHtml(error.message)}</p>`;
+        }
+    },
+
+    /**
+     * Render the file tree and an empty viewer
+     */
+    renderExplorer() {
+        const explorer = this.explorerState;
+        const container = this.elements.modalBody.querySelector('#explorer-body');
+        if (!explorer?.tree || !container) return;
+
+        const files = explorer.files;
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+        container.innerHTML = `
+            <p class="project-note">${files.length} files · ${Utils.escapeHtml(Utils.formatBytes(totalSize))} unpacked</p>
+            <div class="explorer-layout">
+                <div class="explorer-tree">
+                    ${files.length > 0 ? this.renderExplorerDir(explorer.tree) : '<p class="empty-message">This archive is empty</p>'}
+                </div>
+                <div class="explorer-viewer" id="explorer-viewer">
+                    <p class="empty-message">Select a file to view it</p>
+                </div>
+            </div>
+        `;
+
+        container.querySelector('.explorer-tree').addEventListener('click', (e) => {
+            const fileBtn = e.target.closest('.explorer-file');
+            if (fileBtn) this.openExplorerFile(parseInt(fileBtn.dataset.file, 10));
+        });
+    },
+
+    /**
+     * Render a directory's contents: subdirectories (collapsed) first, then files
+     * @param {Object} node - Tree node from Tar.buildTree
+     */
+    renderExplorerDir(node) {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const dirs = [...node.dirs.values()].sort(byName);
+        const files = [...node.files].sort(byName);
+
+        return `
+            ${dirs.map(dir => `
+                <details class="explorer-dir">
+                    <summary>${Utils.escapeHtml(dir.name)}/</summary>
+                    <div class="explorer-children">${this.renderExplorerDir(dir)}</div>
+                </details>
+            `).join('')}
+            ${files.map(file => `
+                <button class="explorer-file" data-file="${file.id}">
+                    <span class="explorer-file-name">${Utils.escapeHtml(file.name)}${file.type === 'symlink' ? ' →' : ''}</span>
+                    <span class="explorer-file-size">${file.type === 'file' ? Utils.escapeHtml(Utils.formatBytes(file.size)) : ''}</span>
+                </button>
+            `).join('')}
+        `;
+    },
+
+    /**
+     * Show one file in the viewer, with a download link for its bytes
+     * @param {number} id - Position of the file in explorerState.files
+     */
+    async openExplorerFile(id) {
+        const explorer = this.explorerState;
+        const viewer = this.elements.modalBody.querySelector('#explorer-viewer');
+        const entry = explorer?.files?.[id];
+        if (!entry || !viewer) return;
+
+        const path = entry.path;
+        explorer.selectedId = id;
+        this.elements.modalBody.querySelectorAll('.explorer-file').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.file === String(id));
+        });
+        this.revokeExplorerUrl();
+
+        if (entry.type !== 'file') {
+            viewer.innerHTML = `
+                <div class="explorer-viewer-header mono">${Utils.escapeHtml(path)}</div>
+                <p class="empty-message">${entry.type === 'symlink' ? `Symbolic link to <span class="mono">${Utils.escapeHtml(entry.linkTarget || '')}</span>` : 'Not a regular file'}</p>
+            `;
+            return;
+        }
+
+        explorer.objectUrl = URL.createObjectURL(entry.blob);
+        const header = `
+            <div class="explorer-viewer-header">
+                <span class="mono">${Utils.escapeHtml(path)}</span>
+                <span class="explorer-file-size">${Utils.escapeHtml(Utils.formatBytes(entry.size))}</span>
+                <a class="version-download explorer-download">Download</a>
+            </div>
+        `;
+
+        let body;
+        if (entry.size > this.EXPLORER_MAX_PREVIEW_BYTES) {
+            body = '<p class="empty-message">File too large to preview</p>';
+        } else {
+            const bytes = new Uint8Array(await entry.blob.arrayBuffer());
+            // A newer selection or a closed modal wins
+            if (this.explorerState !== explorer || explorer.selectedId !== id) return;
+
+            // NUL bytes in the first 8KB mean binary, the same heuristic git uses
+            body = bytes.subarray(0, 8000).includes(0)
+                ? '<p class="empty-message">Binary file not shown</p>'
+                : `<pre class="explorer-code"><code>${Utils.escapeHtml(new TextDecoder().decode(bytes))}</code></pre>`;
+        }
+
+        viewer.innerHTML = header + body;
+        // Set as properties: file names can contain quotes
+        const download = viewer.querySelector('.explorer-download');
+        download.href = explorer.objectUrl;
+        download.download = path.split('/').pop();
+    },
+
+    /**
+     * Release the object URL backing the viewer's download link
+     */
+    revokeExplorerUrl() {
+        if (this.explorerState?.objectUrl) {
+            URL.revokeObjectURL(this.explorerState.objectUrl);
+            this.explorerState.objectUrl = null;
+        }
+    },
+
+    /**
+     * Cancel any archive download and free the unpacked files
+     */
+    resetExplorer() {
+        if (!this.explorerState) return;
+        if (this.explorerState.controller) this.explorerState.controller.abort();
+        this.revokeExplorerUrl();
+        this.explorerState = null;
+    },
+
+    /**
+     * Download and unpack two versions, then list the files that differ
+     * @param {string} baseTag - Older side of the comparison
+     * @param {string} headTag - Newer side of the comparison
+     */
+    async loadCompare(baseTag, headTag) {
+        const compare = this.compareState;
+        const container = this.elements.modalBody.querySelector('#compare-body');
+        if (!compare || !container) return;
+
+        if (baseTag === headTag) {
+            container.innerHTML = '<p class="empty-message">Pick two different versions to compare.</p>';
+            return;
+        }
+
+        const archives = [baseTag, headTag].map(tag =>
+            compare.versions.find(v => v.tag === tag)?.assets.find(a => a.name.endsWith('.tar.gz'))
+        );
+        if (archives.some(archive => !archive)) return;
+
+        const tooLarge = archives.find(archive => archive.size > this.EXPLORER_MAX_ARCHIVE_BYTES);
+        if (tooLarge) {
+            container.innerHTML = `<p class="empty-message">An archive is ${Utils.escapeHtml(Utils.formatBytes(tooLarge.size))}, too large to compare in the browser (limit ${Utils.escapeHtml(Utils.formatBytes(this.EXPLORER_MAX_ARCHIVE_BYTES))}).</p>`;
+            return;
+        }
+
+        if (compare.controller) compare.controller.abort();
+        const controller = new AbortController();
+        const requestId = ++compare.requestId;
+        compare.controller = controller;
+        compare.changes = null;
+
+        container.innerHTML = `
+            <div class="loading-state">
+                <span class="spinner"></span>
+                <p id="compare-progress">Downloading archives...</p>
+            </div>
+        `;
+        const progress = container.querySelector('#compare-progress');
+        const isCurrent = () => this.compareState === compare && requestId === compare.requestId;
+
+        try {
+            // One archive at a time keeps a single download and unpack in memory
+            const sides = [];
+            for (const [label, tag, archive] of [['base', baseTag, archives[0]], ['head', headTag, archives[1]]]) {
+                const response = await API.fetchArchive(compare, tag, controller.signal);
+                const entries = await Tar.readArchive(response.body, {
+                    maxBytes: this.EXPLORER_MAX_UNPACKED_BYTES,
+                    onProgress: (bytes) => {
+                        if (progress) progress.textContent = `Unpacking ${label} (${Utils.formatBytes(archive.size)})... ${Utils.formatBytes(bytes)}`;
+                    }
+                });
+                sides.push(new Map(entries.filter(e => e.type !== 'directory').map(e => [e.path, e])));
+                if (!isCurrent()) return;
+            }
+
+            if (progress) progress.textContent = 'Comparing files...';
+            const changes = await this.compareEntries(sides[0], sides[1]);
+            if (!isCurrent()) return;
+
+            compare.changes = changes;
+            compare.controller = null;
+            this.renderCompare(baseTag, headTag);
+        } catch (error) {
+            if (!isCurrent()) return;
+            compare.controller = null;
+            Logger.error('Failed to compare versions:', error);
+            container.innerHTML = `<p class="empty-message">Failed to compare versions. ${Utils.escapeHtml(error.message)}</p>`;
+        }
+    },
+
+    /**
+     * Classify every path of two unpacked archives
+     * @param {Map} base - path -> entry from Tar.readArchive
+     * @param {Map} head - path -> entry from Tar.readArchive
+     * @returns {Promise<Object>} { files: [{ path, status, base, head }], unchanged }
+     */
+    async compareEntries(base, head) {
+        const files = [];
+        let unchanged = 0;
+
+        for (const [path, before] of base) {
+            const after = head.get(path);
+            if (!after) {
+                files.push({ path, status: 'removed', base: before, head: null });
+            } else if (await this.entriesEqual(before, after)) {
+                unchanged++;
+            } else {
+                files.push({ path, status: 'modified', base: before, head: after });
+            }
+        }
+        for (const [path, after] of head) {
+            if (!base.has(path)) {
+                files.push({ path, status: 'added', base: null, head: after });
+            }
+        }
+
+        files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+        // Rows refer to changes by position: paths may contain quotes, which escapeHtml keeps
+        files.forEach((file, id) => { file.id = id; });
+        return { files, unchanged };
+    },
+
+    /**
+     * Same type, same link target and, for files, the same bytes
+     */
+    async entriesEqual(a, b) {
+        if (a.type !== b.type || a.size !== b.size || a.linkTarget !== b.linkTarget) return false;
+        if (a.type !== 'file') return true;
+
+        const [left, right] = await Promise.all([a.blob.arrayBuffer(), b.blob.arrayBuffer()]);
+        const x = new Uint8Array(left);
+        const y = new Uint8Array(right);
+        for (let i = 0; i < x.length; i++) {
+            if (x[i] !== y[i]) return false;
+        }
+        return true;
+    },
+
+    /**
+     * Render the change summary; each file's diff is built when it is expanded
+     */
+    renderCompare(baseTag, headTag) {
+        const compare = this.compareState;
+        const container = this.elements.modalBody.querySelector('#compare-body');
+        if (!compare?.changes || !container) return;
+
+        const { files, unchanged } = compare.changes;
+        const count = status => files.filter(f => f.status === status).length;
+        const dateOf = tag => Utils.formatDate(Utils.parseReleaseTag(tag)?.date);
+        const statusLabels = { added: 'A', removed: 'D', modified: 'M' };
+
+        container.innerHTML = `
+            <p class="project-note">
+                ${Utils.escapeHtml(dateOf(baseTag))} → ${Utils.escapeHtml(dateOf(headTag))}:
+                <span class="compare-count compare-added">${count('added')} added</span> ·
+                <span class="compare-count compare-removed">${count('removed')} removed</span> ·
+                <span class="compare-count compare-modified">${count('modified')} modified</span> ·
+                ${unchanged} unchanged
+            </p>
+            ${files.length > 0 ? `
+            <div class="compare-files">
+                ${files.map(file => `
+                    <details class="compare-file" data-change="${file.id}">
+                        <summary>
+                            <span class="compare-status compare-${file.status}" title="${file.status}">${statusLabels[file.status]}</span>
+                            <span class="explorer-file-name mono">${Utils.escapeHtml(file.path)}</span>
+                            <span class="explorer-file-size">${Utils.escapeHtml(this.formatCompareSizes(file))}</span>
+                        </summary>
+                        <div class="compare-diff"></div>
+                    </details>
+                `).join('')}
+            </div>
+            ` : '<p class="empty-message">These versions have identical files</p>'}
+        `;
+
+    },
+
+    formatCompareSizes(file) {
+        const size = entry => (entry?.type === 'file' ? Utils.formatBytes(entry.size) : entry?.type || '');
+        if (file.status === 'added') return size(file.head);
+        if (file.status === 'removed') return size(file.base);
+        return `${size(file.base)} → ${size(file.head)}`;
+    },
+
+    /**
+     * Fill an expanded row with the unified diff of one file
+     * @param {HTMLElement} row - The file's <details>
+     * @param {number} id - Position of the change in compareState.changes.files
+     */
+    async renderCompareDiff(row, id) {
+        const compare = this.compareState;
+        const change = compare?.changes?.files[id];
+        const target = row.querySelector('.compare-diff');
+        if (!change || !target || target.dataset.rendered) return;
+        target.dataset.rendered = 'true';
+
+        const entries = [change.base, change.head];
+        const note = message => { target.innerHTML = `<p class="empty-message">${message}</p>`; };
+
+        // Links and other special entries compare by target, not content
+        if (entries.some(entry => entry && entry.type !== 'file')) {
+            const describe = entry => {
+                if (!entry) return 'absent';
+                if (entry.type === 'symlink') return `symbolic link to <span class="mono">${Utils.escapeHtml(entry.linkTarget || '')}</span>`;
+                return entry.type === 'file' ? `file (${Utils.escapeHtml(Utils.formatBytes(entry.size))})` : Utils.escapeHtml(entry.type);
+            };
+            note(`${describe(change.base)} → ${describe(change.head)}`);
+            return;
+        }
+
+        if (entries.some(entry => entry && entry.size > this.EXPLORER_MAX_PREVIEW_BYTES)) {
+            note('File too large to diff');
+            return;
+        }
+
+        const texts = [];
+        for (const entry of entries) {
+            const bytes = entry ? new Uint8Array(await entry.blob.arrayBuffer()) : new Uint8Array(0);
+            // NUL bytes in the first 8KB mean binary, the same heuristic git uses
+            if (bytes.subarray(0, 8000).includes(0)) {
+                note('Binary file not shown');
+                return;
+            }
+            texts.push(new TextDecoder().decode(bytes));
+        }
+        if (this.compareState !== compare) return;
+
+        const hunks = Diff.unified(texts[0], texts[1]);
+        if (!hunks) {
+            note('Too many changes to show a diff');
+            return;
+        }
+        if (hunks.length === 0) {
+            note(change.status === 'modified' ? 'No line changes' : 'Empty file');
+            return;
+        }
+
+        const lineClass = { ' ': 'diff-context', '-': 'diff-removed', '+': 'diff-added' };
+        const lines = [];
+        for (const hunk of hunks) {
+            lines.push(`<span class="diff-hunk">${Utils.escapeHtml(hunk.header)}</span>`);
+            for (const line of hunk.lines) {
+                lines.push(`<span class="${lineClass[line.type]}">${Utils.escapeHtml(line.type + line.text)}</span>`);
+                if (line.noNewline) lines.push('<span class="diff-hunk">\\ No newline at end of file</span>');
+            }
+        }
+        target.innerHTML = `<pre class="explorer-code compare-code"><code>${lines.join('')}</code></pre>`;
+    },
+
+    /**
+     * Cancel any comparison in flight and free both unpacked archives
+     */
+    resetCompare() {
+        if (!this.compareState) return;
+        if (this.compareState.controller) this.compareState.controller.abort();
+        this.compareState = null;
+    },
+
+    /**
+     * Check the newest signed version's attestation and show the result in the modal header
+     * @param {Object} repo - Index entry the modal was opened for
+     * @param {Object} version - Newest version carrying provenance.json
+     */
+    async loadProvenance(repo, version) {
+        const status = this.elements.modalBody.querySelector('#provenance-status');
+        if (!status) return;
+
+        const result = await API.verifyProvenance(repo, version.tag);
+        // The modal was closed or re-rendered for another repo
+        if (!status.isConnected) return;
+
+        const date = Utils.formatDate(Utils.parseReleaseTag(version.tag)?.date || version.date);
+        if (!result) {
+            status.className = 'provenance-status';
+            status.textContent = 'Signed provenance could not be checked right now';
+        } else if (result.valid) {
+            const commit = result.provenance.commit_hash ? ` · commit ${result.provenance.commit_hash.slice(0, 7)}` : '';
+            status.className = 'provenance-status provenance-pass';
+            status.innerHTML = `<span class="verify-badge verify-pass">✓ Provenance verified</span> ${Utils.escapeHtml(date)} version${Utils.escapeHtml(commit)}, signed by key <span class="mono">${Utils.escapeHtml(result.key_id)}</span>`;
+            status.title = `Signed archive SHA-256: ${result.provenance.archive_hash}`;
+        } else {
+            status.className = 'provenance-status provenance-fail';
+            status.innerHTML = `<span class="verify-badge verify-fail">✗ Provenance invalid</span> ${Utils.escapeHtml(date)} version: ${Utils.escapeHtml(result.error || 'verification failed')}`;
+        }
+    },
+
+    /**
+     * Download a version's tarball and check its SHA-256
+     * Versions with a signed attestation are checked against the signed hash through
+     * the worker; others against metadata.json's archive_hash. Clicking again while
+     * it runs cancels the check.
+     * @param {number} index - Position of the version in verifyState.versions
+     */
+    async verifyVersion(index) {
+        const verify = this.verifyState;
+        const version = verify?.versions[index];
+        const expected = version?.metadata?.archive_hash || null;
+        const signedVersion = version?.assets.some(a => a.name === this.PROVENANCE_ASSET);
+        const button = this.elements.modalBody.querySelector(`.version-verify[data-verify="${index}"]`);
+        if ((!expected && !signedVersion) || !button) return;
+
+        if (verify.controllers.has(index)) {
+            verify.controllers.get(index).abort();
+            return;
+        }
+
+        const controller = new AbortController();
+        verify.controllers.set(index, controller);
+        const archive = version.assets.find(a => a.name.endsWith('.tar.gz'));
+        button.classList.remove('verify-pass', 'verify-fail');
+        button.textContent = 'Verifying...';
+        button.title = 'Click to cancel';
+
+        try {
+            const response = await API.fetchArchive(verify, version.tag, controller.signal);
+            const actual = await Sha256.hashStream(response.body, (bytes) => {
+                if (archive?.size) button.textContent = `Verifying ${Math.min(99, Math.floor(bytes / archive.size * 100))}%`;
+            });
+            const signed = signedVersion
+                ? await API.verifyProvenance(verify, version.tag, actual)
+                : null;
+            if (this.verifyState !== verify) return;
+            if (!signed && !expected) {
+                throw new Error('Signed provenance could not be checked');
+            }
+
+            const ok = signed ? signed.valid : actual === expected.toLowerCase();
+            button.textContent = ok ? '✓ Verified' : '✗ Mismatch';
+            button.classList.add(ok ? 'verify-pass' : 'verify-fail');
+            if (signed) {
+                button.title = ok ? `Matches the signed provenance: SHA-256 ${actual}` : `${signed.error} (SHA-256 ${actual})`;
+            } else {
+                button.title = ok ? `SHA-256 matches ${actual}` : `Expected ${expected}, got ${actual}`;
+            }
+        } catch (error) {
+            if (this.verifyState !== verify) return;
+            if (error.name === 'AbortError') {
+                button.textContent = 'Verify';
+                button.title = 'Check the download against its recorded SHA-256';
+            } else {
+                Logger.error('Failed to verify archive:', error);
+                button.textContent = 'Verify failed';
+                button.title = error.message;
+            }
+        } finally {
+            if (this.verifyState === verify) verify.controllers.delete(index);
+        }
+    },
+
+    /**
+     * Hash a local file and look for a version whose archive or bundle has that hash
+     * @param {File} file - Dropped or picked file
+     */
+    async verifyLocalFile(file) {
+        const verify = this.verifyState;
+        const result = this.elements.modalBody.querySelector('#verify-local-result');
+        if (!verify || !result) return;
+
+        const requestId = ++verify.localRequestId;
+        result.innerHTML = `<p>Hashing <span class="mono">${Utils.escapeHtml(file.name)}</span> (${Utils.escapeHtml(Utils.formatBytes(file.size))})... <span id="verify-local-progress"></span></p>`;
+        const progress = result.querySelector('#verify-local-progress');
+
+        try {
+            const actual = await Sha256.hashStream(file.stream(), (bytes) => {
+                if (file.size) progress.textContent = `${Math.min(99, Math.floor(bytes / file.size * 100))}%`;
+            });
+            if (this.verifyState !== verify || requestId !== verify.localRequestId) return;
+
+            let match = null;
+            for (const version of verify.versions) {
+                if (version.metadata?.archive_hash === actual) match = { version, kind: 'archive' };
+                else if (version.metadata?.bundle_hash === actual) match = { version, kind: 'bundle' };
+                if (match) break;
+            }
+
+            if (match) {
+                const date = Utils.parseReleaseTag(match.version.tag)?.date || match.version.date;
+                result.innerHTML = `<p><span class="verify-badge verify-pass">✓ Verified</span> Matches the ${match.kind} of the ${Utils.escapeHtml(Utils.formatDate(date))} version.</p>`;
+            } else {
+                result.innerHTML = `<p><span class="verify-badge verify-fail">✗ No match</span> No recorded hash matches this file. Its SHA-256 is <span class="mono">${actual}</span>.</p>`;
+            }
+        } catch (error) {
+            if (this.verifyState !== verify || requestId !== verify.localRequestId) return;
+            Logger.error('Failed to hash file:', error);
+            result.innerHTML = `<p class="empty-message">Failed to read file. ${Utils.escapeHtml(error.message)}</p>`;
+        }
+    },
+
+    /**
+     * Cancel any hash checks still downloading
+     */
+    resetVerify() {
+        if (!this.verifyState) return;
+        this.verifyState.controllers.forEach(controller => controller.abort());
+        this.verifyState = null;
+    },
+
+    /**
+     * Render a version item
+     * @param {Object} version - From API.fetchRepoVersions
+     * @param {Object} repo - Index entry the modal was opened for
+     * @param {number} index - Position in the version list, used by the Verify button
+     */
+    renderVersion(version, repo, index) {
+        // Find archive (support both old "archive.tar.gz" and new "{owner}_{repo}.tar.gz" naming)
+        const archive = version.assets.find(a => a.name.endsWith('.tar.gz'));
+        const bundle = version.assets.find(a => a.name.endsWith('.bundle'));
+        const metadata = version.assets.find(a => a.name === 'metadata.json');
+
+        const parsed = Utils.parseReleaseTag(version.tag);
+        const date = parsed?.date || version.date;
+        const commitHash = version.metadata?.commit_hash;
+        // Snapshots of a specific branch, tag or commit; default-branch archives have no ref suffix
+        const ref = version.metadata?.ref_type && version.metadata.ref_type !== 'default'
+            ? version.metadata.ref
+            : parsed?.ref;
+        const archiveName = repo ? `${repo.owner}_${repo.repo}.tar.gz` : (archive?.name || 'archive.tar.gz');
+
+        // H2: Validate download URL starts with https:// before rendering
+        let safeDownloadLink = '';
+        if (archive && archive.download_url) {
+            try {
+                const downloadUrl = new URL(archive.download_url);
+                if (downloadUrl.protocol === 'https:') {
+                    const escapedUrl = Utils.escapeHtml(archive.download_url);
+                    const escapedName = Utils.escapeHtml(archiveName);
+                    safeDownloadLink = `<a href="${escapedUrl}" class="version-download" download="${escapedName}">Download</a>`;
+                }
+            } catch (e) {
+                Logger.error('Invalid download URL:', archive.download_url);
+            }
+        }
+
+        // Mirror archives also carry a full-history git bundle
+        let safeBundleLink = '';
+        if (bundle && bundle.download_url) {
+            try {
+                const bundleUrl = new URL(bundle.download_url);
+                if (bundleUrl.protocol === 'https:') {
+                    const escapedUrl = Utils.escapeHtml(bundle.download_url);
+                    const escapedName = Utils.escapeHtml(bundle.name);
+                    safeBundleLink = `<a href="${escapedUrl}" class="version-download version-download-secondary" download="${escapedName}" title="Full history - clone with: git clone ${escapedName}">Bundle · ${Utils.formatBytes(bundle.size)}</a>`;
+                }
+            } catch (e) {
+                Logger.error('Invalid bundle URL:', bundle.download_url);
             }
         }
 
@@ -668,9 +2133,15 @@ const App = {
             <div class="version-item">
                 <div class="version-info">
                     <span class="version-date">${Utils.formatDate(date)}</span>
+                    ${ref ? `<span class="version-ref mono" title="${Utils.escapeHtml(ref)}">${Utils.escapeHtml(ref)}</span>` : ''}
                     <span class="version-meta">${archive ? Utils.formatBytes(archive.size) : 'Unknown size'}</span>
+                    ${commitHash ? `<span class="version-meta mono" title="${Utils.escapeHtml(commitHash)}">· ${Utils.escapeHtml(commitHash.slice(0, 7))}</span>` : ''}
+                </div>
+                <div class="version-actions">
+                    ${archive && (version.metadata?.archive_hash || version.assets.some(a => a.name === this.PROVENANCE_ASSET)) ? `<button class="version-download version-download-secondary version-verify" data-verify="${index}" title="Check the download against its recorded SHA-256">Verify</button>` : ''}
+                    ${safeBundleLink}
+                    ${safeDownloadLink}
                 </div>
-                ${safeDownloadLink}
             </div>
         `;
     },
@@ -681,6 +2152,10 @@ const App = {
     closeModal() {
         Utils.hide(this.elements.modal);
         document.body.style.overflow = '';
+        this.projectState = null;
+        this.resetExplorer();
+        this.resetCompare();
+        this.resetVerify();
     },
 
     /**
@@ -691,7 +2166,10 @@ const App = {
         document.body.style.overflow = 'hidden';
         this.elements.bulkUrls.value = '';
         Utils.hide(this.elements.bulkMessage);
-        Utils.hide(this.elements.bulkResults);
+        // Keep showing a batch that is still being processed
+        if (!this.bulkBatch) {
+            Utils.hide(this.elements.bulkResults);
+        }
         this.elements.bulkUrls.focus();
     },
 
@@ -724,13 +2202,24 @@ const App = {
             return;
         }
 
-        if (urls.length > 20) {
-            this.showBulkMessage('Maximum 20 URLs allowed per bulk submission', 'error');
+        // A pasted manifest is imported first; its repositories replace it in the list
+        if (!urls.every(url => Utils.isValidRepoUrl(url, this.state.forgeHosts)) && Manifests.detect(text)) {
+            await this.importManifest(text);
+            return;
+        }
+
+        if (urls.length > this.MAX_BULK_URLS) {
+            this.showBulkMessage(`Maximum ${this.MAX_BULK_URLS} URLs allowed per bulk submission`, 'error');
+            return;
+        }
+
+        if (this.bulkBatch) {
+            this.showBulkMessage('Wait for the current bulk submission to finish', 'error');
             return;
         }
 
         // Validate URLs
-        const invalidUrls = urls.filter(url => !Utils.isValidGitHubUrl(url));
+        const invalidUrls = urls.filter(url => !Utils.isValidRepoUrl(url, this.state.forgeHosts));
         if (invalidUrls.length > 0) {
             this.showBulkMessage(`Invalid URL(s): ${invalidUrls.slice(0, 3).join(', ')}${invalidUrls.length > 3 ? '...' : ''}`, 'error');
             return;
@@ -745,17 +2234,13 @@ const App = {
             const result = await API.bulkSubmit(urls);
 
             // Show results
-            this.showBulkResults(result);
-
-            // Show toast summary
-            if (result.summary.successful > 0) {
-                Toast.success(`${result.summary.successful} repositories queued!`);
-                this.state.pendingRequests = await API.fetchPendingRequests();
-                this.renderQueue();
-                this.updateStats();
-            }
-            if (result.summary.failed > 0) {
-                Toast.error(`${result.summary.failed} submissions failed`);
+            if (result.batch) {
+                this.elements.bulkUrls.value = '';
+                this.showBulkResults(result.batch);
+                this.watchBulkBatch(result.batch);
+            } else {
+                this.showBulkResults(result);
+                await this.announceBulkResults(result.summary);
             }
 
         } catch (error) {
@@ -765,6 +2250,163 @@ const App = {
         }
     },
 
+    /**
+     * Import a manifest file picked or dropped on the bulk modal
+     * @param {File} file
+     */
+    async importManifestFile(file) {
+        if (file.size > this.MAX_MANIFEST_BYTES) {
+            this.showBulkMessage(`${file.name} is larger than ${Utils.formatBytes(this.MAX_MANIFEST_BYTES)}`, 'error');
+            return;
+        }
+
+        try {
+            await this.importManifest(await file.text(), file.name);
+        } catch (error) {
+            Logger.error('Failed to read manifest:', error);
+            this.showBulkMessage(`Could not read ${file.name}`, 'error');
+        }
+    },
+
+    /**
+     * List the GitHub repositories a dependency manifest depends on
+     * Registry lookups run in the browser; repositories not yet archived are
+     * put in the URL list, ready to submit.
+     * @param {string} text - Manifest content
+     * @param {string|null} filename - Helps detect the format
+     */
+    async importManifest(text, filename = null) {
+        if (this.bulkBatch) {
+            this.showBulkMessage('Wait for the current bulk submission to finish', 'error');
+            return;
+        }
+
+        const parsed = Manifests.parse(text, filename);
+        if (parsed.error) {
+            this.showBulkMessage(parsed.error, 'error');
+            return;
+        }
+        if (parsed.packages.length === 0) {
+            this.showBulkMessage(`No dependencies found in ${parsed.format}`, 'error');
+            return;
+        }
+
+        this.setBulkLoading(true);
+        Utils.hide(this.elements.bulkResults);
+        this.showBulkMessage(`Reading ${parsed.packages.length} dependencies from ${parsed.format}...`, 'info');
+
+        try {
+            const { repositories, unresolved } = await Manifests.resolve(parsed.packages, {
+                fetch,
+                limit: this.MANIFEST_LOOKUP_LIMIT,
+                onProgress: (done, total) => {
+                    this.showBulkMessage(`Looking up dependencies on their registries: ${done} of ${total}`, 'info');
+                }
+            });
+
+            const marked = Manifests.markArchived(repositories, this.state.index);
+            const fresh = marked.filter(repo => !repo.archived);
+            const listed = fresh.slice(0, this.MAX_BULK_URLS);
+            this.elements.bulkUrls.value = listed.map(repo => repo.url).join('\n');
+            this.showManifestImport(parsed.format, marked, unresolved);
+
+            const archived = marked.length - fresh.length;
+            if (marked.length === 0) {
+                this.showBulkMessage(`None of the dependencies in ${parsed.format} has a GitHub repository`, 'error');
+            } else if (fresh.length === 0) {
+                this.showBulkMessage(marked.length === 1 ? 'Its repository is already archived' : `All ${marked.length} repositories are already archived`, 'success');
+            } else {
+                const more = fresh.length > listed.length ? ` (the first ${listed.length} of ${fresh.length}; import again after submitting for the rest)` : '';
+                this.showBulkMessage(`${fresh.length} of ${marked.length} repositories are not archived yet and are listed above${more}. Submit All to archive them.`, 'info');
+            }
+        } catch (error) {
+            Logger.error('Failed to import manifest:', error);
+            this.showBulkMessage('Failed to look up dependencies', 'error');
+        } finally {
+            this.setBulkLoading(false);
+        }
+    },
+
+    /**
+     * List an imported manifest's repositories, new ones first, then the
+     * archived ones and the packages without a GitHub repository
+     */
+    showManifestImport(format, repositories, unresolved) {
+        Utils.show(this.elements.bulkResults);
+
+        const fresh = repositories.filter(repo => !repo.archived);
+        const archived = repositories.filter(repo => repo.archived);
+        const row = (icon, label, status, statusClass, title) => `
+                <div class="bulk-result-item" title="${Utils.escapeHtml(title)}">
+                    <span class="bulk-result-icon">${icon}</span>
+                    <span class="bulk-result-url">${Utils.escapeHtml(label)}</span>
+                    <span class="bulk-result-status ${statusClass}">${Utils.escapeHtml(status)}</span>
+                </div>
+            `;
+        const repoLabel = repo => {
+            const parsed = Utils.parseRepoUrl(repo.url);
+            return parsed ? Forges.displayName(parsed) : repo.url;
+        };
+
+        this.elements.bulkResults.innerHTML = `
+            <div class="bulk-summary">
+                ${Utils.escapeHtml(format)}: <strong>${fresh.length}</strong> new, <strong>${archived.length}</strong> already archived, <strong>${unresolved.length}</strong> without a GitHub repository
+            </div>
+            ${fresh.map(repo => row('+', repoLabel(repo), 'New', '', repo.packages.join(', '))).join('')}
+            ${archived.map(repo => row('✓', repoLabel(repo), 'Archived', 'success', repo.packages.join(', '))).join('')}
+            ${unresolved.map(pkg => row('–', pkg.name, pkg.reason, 'pending', `${pkg.ecosystem}: ${pkg.name}`)).join('')}
+        `;
+    },
+
+    /**
+     * Poll a bulk submission batch until the worker has processed every URL
+     * @param {Object} batch - Batch as returned by the worker
+     */
+    watchBulkBatch(batch) {
+        if (batch.status === 'completed') {
+            this.bulkBatch = null;
+            this.announceBulkResults(batch.summary);
+            return;
+        }
+
+        const watched = { id: batch.id, timer: null };
+        this.bulkBatch = watched;
+        watched.timer = setTimeout(async () => {
+            let next = batch;
+            try {
+                next = await API.fetchBatch(batch.id);
+            } catch (error) {
+                Logger.error('Failed to refresh bulk submission:', error);
+                // Batches expire after a week; anything else is retried on the next poll
+                if (error.status === 404 && this.bulkBatch === watched) {
+                    this.bulkBatch = null;
+                    return;
+                }
+            }
+
+            // Discard responses for a batch that is no longer watched
+            if (this.bulkBatch !== watched) return;
+            this.showBulkResults(next);
+            this.watchBulkBatch(next);
+        }, this.BULK_POLL_INTERVAL);
+    },
+
+    /**
+     * Toast the outcome of a bulk submission and refresh the queue
+     * @param {Object} summary - { successful, failed }
+     */
+    async announceBulkResults(summary) {
+        if (summary.successful > 0) {
+            Toast.success(`${summary.successful} repositories queued!`);
+            this.state.pendingRequests = await API.fetchPendingRequests();
+            this.renderQueue();
+            this.updateStats();
+        }
+        if (summary.failed > 0) {
+            Toast.error(`${summary.failed} submissions failed`);
+        }
+    },
+
     /**
      * Show bulk upload message
      */
@@ -779,6 +2421,7 @@ const App = {
      */
     setBulkLoading(loading) {
         this.elements.bulkSubmitBtn.disabled = loading;
+        this.elements.bulkImportBtn.disabled = loading;
         const btnText = this.elements.bulkSubmitBtn.querySelector('.btn-text');
         const btnLoading = this.elements.bulkSubmitBtn.querySelector('.btn-loading');
 
@@ -793,20 +2436,31 @@ const App = {
 
     /**
      * Show bulk upload results
+     * Batches still being processed list their remaining URLs as pending.
      */
     showBulkResults(result) {
         Utils.show(this.elements.bulkResults);
 
         const { summary, results } = result;
+        const pending = summary.pending || 0;
 
         this.elements.bulkResults.innerHTML = `
             <div class="bulk-summary">
-                <strong>${summary.successful}</strong> queued, <strong>${summary.failed}</strong> failed
+                <strong>${summary.successful}</strong> queued, <strong>${summary.failed}</strong> failed${pending > 0 ? `, <strong>${pending}</strong> pending` : ''}
             </div>
             ${results.map(r => {
-                const parsed = Utils.parseGitHubUrl(r.url);
+                const parsed = Utils.parseRepoUrl(r.url, this.state.forgeHosts);
                 // H3: Truncate fallback URLs to prevent UI issues
-                const displayUrl = parsed ? `${parsed.owner}/${parsed.repo}` : Utils.truncate(r.url, 100);
+                const displayUrl = parsed ? Forges.displayName(parsed) : Utils.truncate(r.url, 100);
+                if (r.state === 'pending') {
+                    return `
+                <div class="bulk-result-item">
+                    <span class="bulk-result-icon"><span class="spinner"></span></span>
+                    <span class="bulk-result-url">${Utils.escapeHtml(displayUrl)}</span>
+                    <span class="bulk-result-status pending">Pending</span>
+                </div>
+            `;
+                }
                 return `
                 <div class="bulk-result-item">
                     <span class="bulk-result-icon">${r.success ? '✓' : '✗'}</span>
@@ -822,17 +2476,17 @@ const App = {
     /**
      * Check and update source status for a repo card
      */
-    async checkRepoSourceStatus(owner, repo, cardElement) {
+    async checkRepoSourceStatus(source, cardElement) {
         const statusContainer = cardElement.querySelector('.repo-source-status');
         if (!statusContainer) return;
 
         // M6: Create AbortController for this status check
-        const checkKey = `${owner}/${repo}`;
+        const checkKey = Forges.displayName(source);
         const abortController = new AbortController();
         this.pendingStatusChecks.set(checkKey, abortController);
 
         try {
-            const status = await API.checkRepoStatus(owner, repo, abortController.signal);
+            const status = await API.checkRepoStatus(source, abortController.signal);
 
             // Check if request was aborted
             if (abortController.signal.aborted) return;
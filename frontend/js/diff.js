@@ -0,0 +1,168 @@
+/**
+ * Line diff for Git-Archiver Web
+ *
+ * Myers' O(ND) algorithm over lines, grouped into unified-diff hunks the way
+ * `git diff` prints them. Used by the compare view of the Versions tab.
+ */
+
+const Diff = {
+    // Lines of unchanged context around each change
+    CONTEXT_LINES: 3,
+
+    // Past this many edits the trace gets large; callers show "too large" instead
+    MAX_EDIT_DISTANCE: 2000,
+
+    /**
+     * Split text into lines, keeping each line's "\n"
+     * A last line without one then differs from the same line with one, so a
+     * missing final newline shows up in the diff like it does in git.
+     */
+    splitLines(text) {
+        return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+    },
+
+    /**
+     * Edit script turning `a` into `b`
+     * @param {string[]} a - Old lines
+     * @param {string[]} b - New lines
+     * @returns {Array|null} [{ type: ' ' | '-' | '+', text }], or null past MAX_EDIT_DISTANCE
+     */
+    diffLines(a, b) {
+        // Only the differing middle goes through Myers
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const middle = this.myers(a.slice(start, endA), b.slice(start, endB));
+        if (!middle) return null;
+
+        const same = text => ({ type: ' ', text });
+        return [...a.slice(0, start).map(same), ...middle, ...a.slice(endA).map(same)];
+    },
+
+    /**
+     * Shortest edit script (Myers 1986), backtracked from the saved V arrays
+     */
+    myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        // trace[d] holds diagonals -d..d as they were before round d
+        const trace = [];
+
+        let found = -1;
+        for (let d = 0; d <= max && found === -1; d++) {
+            if (d > this.MAX_EDIT_DISTANCE) return null;
+            trace.push(v.slice(offset - d, offset + d + 1));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = d;
+                    break;
+                }
+            }
+        }
+
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = found; d > 0; d--) {
+            const previous = trace[d];
+            const at = k => previous[k + d];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push({ type: ' ', text: a[--x] });
+                y--;
+            }
+            if (x === prevX) {
+                ops.push({ type: '+', text: b[--y] });
+            } else {
+                ops.push({ type: '-', text: a[--x] });
+            }
+        }
+        while (x > 0 && y > 0) {
+            ops.push({ type: ' ', text: a[--x] });
+            y--;
+        }
+
+        return ops.reverse();
+    },
+
+    /**
+     * Unified diff hunks between two texts
+     * @param {string} oldText
+     * @param {string} newText
+     * @returns {Array|null} [{ header, lines: [{ type, text, noNewline }] }], or null when too large
+     */
+    unified(oldText, newText) {
+        const ops = this.diffLines(this.splitLines(oldText), this.splitLines(newText));
+        if (!ops) return null;
+
+        // Number every line on the side(s) it belongs to
+        let oldLine = 1;
+        let newLine = 1;
+        const numbered = ops.map(op => {
+            const entry = { ...op, oldLine, newLine };
+            if (op.type !== '+') oldLine++;
+            if (op.type !== '-') newLine++;
+            return entry;
+        });
+
+        // Changes closer than twice the context share a hunk
+        const hunks = [];
+        let current = null;
+        numbered.forEach((op, i) => {
+            if (op.type === ' ') return;
+            const from = Math.max(0, i - this.CONTEXT_LINES);
+            if (current && from <= current.end) {
+                current.end = Math.min(numbered.length, i + this.CONTEXT_LINES + 1);
+            } else {
+                current = { start: from, end: Math.min(numbered.length, i + this.CONTEXT_LINES + 1) };
+                hunks.push(current);
+            }
+        });
+
+        return hunks.map(({ start, end }) => {
+            const slice = numbered.slice(start, end);
+            const oldCount = slice.filter(op => op.type !== '+').length;
+            const newCount = slice.filter(op => op.type !== '-').length;
+            // Empty ranges start at the line before, as in git
+            const oldStart = oldCount ? slice[0].oldLine : slice[0].oldLine - 1;
+            const newStart = newCount ? slice[0].newLine : slice[0].newLine - 1;
+
+            return {
+                header: `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+                lines: slice.map(op => ({
+                    type: op.type,
+                    text: op.text.replace(/\n$/, ''),
+                    noNewline: !op.text.endsWith('\n')
+                }))
+            };
+        });
+    }
+};
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Diff;
+}
@@ -0,0 +1,163 @@
+/**
+ * Source forges for Git-Archiver Web
+ *
+ * Repositories can come from GitHub, GitLab, Gitea (Codeberg, Forgejo) and
+ * Bitbucket, and gists from gist.github.com, where the gist id takes the place
+ * of the repository name. This table says which hosts each forge serves and how
+ * its web URLs name a repository and a ref; it is loaded as a plain script by the site and
+ * imported by the worker, whose forges.js adds the API calls per forge.
+ * Self-hosted instances are added through the worker's FORGE_HOSTS setting and
+ * reach the site via GET /forges.
+ */
+
+const Forges = {
+    DEFAULT_HOST: 'github.com',
+
+    // Per forge: display name, hosts served out of the box, the web path that
+    // selects a ref (after /owner/repo; null when refs cannot be chosen), the
+    // longest owner/repo name, an optional stricter repo pattern, and whether
+    // other hosts may run it (see FORGE_HOSTS in the worker)
+    PROVIDERS: {
+        github: {
+            name: 'GitHub',
+            hosts: ['github.com'],
+            refPath: /^\/tree\/(.+)$/,
+            maxNameLength: 39
+        },
+        gitlab: {
+            name: 'GitLab',
+            hosts: ['gitlab.com'],
+            refPath: /^\/-\/tree\/(.+)$/,
+            maxNameLength: 100,
+            selfHosted: true
+        },
+        gitea: {
+            name: 'Gitea',
+            hosts: ['codeberg.org', 'gitea.com'],
+            refPath: /^\/src\/(?:branch|tag|commit)\/(.+)$/,
+            maxNameLength: 100,
+            selfHosted: true
+        },
+        bitbucket: {
+            name: 'Bitbucket',
+            hosts: ['bitbucket.org'],
+            // /src/<ref>/<file path>: only the first segment names the ref, so
+            // branches with a slash must be URL-encoded (feature%2Fx)
+            refPath: /^\/src\/([^/]+)(?:\/.*)?$/,
+            maxNameLength: 100
+        },
+        gist: {
+            name: 'GitHub Gist',
+            hosts: ['gist.github.com'],
+            // Gists are archived at their latest revision
+            refPath: null,
+            maxNameLength: 39,
+            // Hex ids, or the numeric ids of gists from before 2014
+            repoPattern: /^(?:[a-f0-9]{20,32}|[0-9]{1,10})$/
+        }
+    },
+
+    HOST_PATTERN: /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)+$/,
+
+    /**
+     * Every supported host and its forge
+     * @param {Object} extraHosts - Self-hosted instances, hostname -> forge id
+     * @returns {Object} hostname -> forge id
+     */
+    hostMap(extraHosts = {}) {
+        const hosts = {};
+        for (const [id, provider] of Object.entries(this.PROVIDERS)) {
+            provider.hosts.forEach(host => { hosts[host] = id; });
+        }
+        for (const [host, id] of Object.entries(extraHosts || {})) {
+            if (!hosts[host] && this.PROVIDERS[id]?.selfHosted && this.HOST_PATTERN.test(host)) hosts[host] = id;
+        }
+        return hosts;
+    },
+
+    /**
+     * The forge serving a host
+     * @returns {string|null} Forge id, or null for unsupported hosts
+     */
+    forgeOf(host, extraHosts = {}) {
+        return this.hostMap(extraHosts)[String(host || '').toLowerCase()] || null;
+    },
+
+    /**
+     * Parse a repository URL on any supported forge
+     * Accepts https://<host>/<owner>/<repo>, optionally ending in .git or in the
+     * forge's ref path: /tree/<ref> (GitHub), /-/tree/<ref> (GitLab),
+     * /src/branch|tag|commit/<ref> (Gitea), /src/<ref>[/<file path>] (Bitbucket). Gists are
+     * https://gist.github.com/<user>/<id>, with the id as repo.
+     * Nested GitLab groups (group/subgroup/repo) are not supported.
+     *
+     * @param {string} url
+     * @param {Object} extraHosts - Self-hosted instances, hostname -> forge id
+     * @returns {Object|null} { forge, host, owner, repo, ref, url } - url is the repository's canonical URL; ref is still URL-encoded
+     */
+    parseRepoUrl(url, extraHosts = {}) {
+        if (!url || typeof url !== 'string') return null;
+        const trimmed = url.trim();
+        if (trimmed.length > 300) return null;
+
+        const match = trimmed.match(/^https?:\/\/(?:www\.)?([a-zA-Z0-9.-]{1,253})\/([a-zA-Z0-9_.-]{1,100})\/([a-zA-Z0-9_.-]{1,100})(\/.*)?$/);
+        if (!match) return null;
+
+        const host = match[1].toLowerCase();
+        const forge = this.forgeOf(host, extraHosts);
+        if (!forge) return null;
+
+        const provider = this.PROVIDERS[forge];
+        const owner = match[2];
+        const repo = match[3].replace(/\.git$/i, '');
+        if (provider.repoPattern && !provider.repoPattern.test(repo)) return null;
+        let ref = null;
+        const rest = (match[4] || '').replace(/\/$/, '');
+        if (rest) {
+            const refMatch = provider.refPath && rest.match(provider.refPath);
+            if (!refMatch) return null;
+            ref = refMatch[1];
+        }
+
+        return { forge, host, owner, repo, ref, url: this.repoUrl({ host, owner, repo }) };
+    },
+
+    /**
+     * Canonical URL of a repository, as used for index keys
+     * @param {Object} source - { host, owner, repo }
+     */
+    repoUrl({ host = this.DEFAULT_HOST, owner, repo }) {
+        return `https://${host}/${owner}/${repo}`;
+    },
+
+    /**
+     * Start of the release tags of a repository's archives
+     * GitHub keeps the original owner__repo__ form; other hosts come first, which
+     * cannot clash because GitHub owner names never contain a dot.
+     * @param {Object} source - { host, owner, repo }
+     */
+    releasePrefix({ host = this.DEFAULT_HOST, owner, repo }) {
+        return host === this.DEFAULT_HOST ? `${owner}__${repo}__` : `${host}__${owner}__${repo}__`;
+    },
+
+    /**
+     * owner/repo, prefixed with the host for repositories not on GitHub
+     * @param {Object} source - { host, owner, repo }
+     */
+    displayName({ host = this.DEFAULT_HOST, owner, repo }) {
+        return host === this.DEFAULT_HOST ? `${owner}/${repo}` : `${host}/${owner}/${repo}`;
+    },
+
+    /**
+     * Display name of a forge
+     * @param {string} forge - Forge id; index entries without one are from GitHub
+     */
+    name(forge) {
+        return this.PROVIDERS[forge || 'github']?.name || forge;
+    }
+};
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Forges;
+}
@@ -0,0 +1,459 @@
+/**
+ * Dependency manifest import for Git-Archiver Web
+ *
+ * Finds the GitHub repositories behind a package.json, package-lock.json,
+ * requirements.txt, go.mod or Cargo.toml. GitHub dependency specs, git URLs and
+ * github.com module paths name their repository directly; other packages are
+ * looked up on npm, PyPI or crates.io and resolved through the repository and
+ * homepage fields of their metadata. Loaded as a plain script by the site (bulk
+ * modal) and imported by the worker (POST /manifests/resolve), so it must stay
+ * free of browser and Workers APIs: callers pass fetch in.
+ */
+
+const Manifests = {
+    FORMATS: ['package.json', 'package-lock.json', 'requirements.txt', 'go.mod', 'Cargo.toml'],
+
+    // Registry metadata per ecosystem: valid names, where to look one up and
+    // which fields may link to its repository, most specific first
+    REGISTRIES: {
+        npm: {
+            pattern: /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i,
+            url: name => `https://registry.npmjs.org/${name}/latest`,
+            links: data => [data.repository?.url || data.repository, data.homepage, data.bugs?.url]
+        },
+        pypi: {
+            pattern: /^[a-z0-9][a-z0-9._-]*$/i,
+            url: name => `https://pypi.org/pypi/${name}/json`,
+            links: data => {
+                const projectUrls = Object.entries(data.info?.project_urls || {});
+                const preferred = projectUrls.filter(([label]) => /source|repo|code|github/i.test(label));
+                return [...preferred, ...projectUrls].map(([, url]) => url)
+                    .concat([data.info?.home_page, data.info?.download_url]);
+            }
+        },
+        cargo: {
+            pattern: /^[a-z0-9_-]+$/i,
+            url: name => `https://crates.io/api/v1/crates/${name}`,
+            links: data => [data.crate?.repository, data.crate?.homepage, data.crate?.documentation]
+        }
+    },
+
+    // Go module hosts that redirect to GitHub: path prefix -> repository owner
+    // (gopkg.in is handled separately because the owner is part of the path)
+    GO_VANITY_HOSTS: {
+        'golang.org/x/': 'golang',
+        'go.uber.org/': 'uber-go',
+        'k8s.io/': 'kubernetes',
+        'sigs.k8s.io/': 'kubernetes-sigs'
+    },
+    GO_VANITY_MODULES: {
+        'google.golang.org/grpc': 'https://github.com/grpc/grpc-go',
+        'google.golang.org/protobuf': 'https://github.com/protocolbuffers/protobuf-go',
+        'google.golang.org/genproto': 'https://github.com/googleapis/go-genproto',
+        'google.golang.org/api': 'https://github.com/googleapis/google-api-go-client'
+    },
+
+    /**
+     * The GitHub repository a URL or dependency spec points at
+     * Accepts https, git+https, git://, ssh and scp-style URLs and github:owner/repo.
+     * @param {string} value
+     * @returns {string|null} https://github.com/owner/repo, or null when it is not a GitHub repository
+     */
+    githubUrl(value) {
+        if (typeof value !== 'string' || value.length > 500) return null;
+        const match = value.trim().match(
+            /^(?:github:|(?:git\+)?(?:https?|git|ssh):\/\/(?:[^@/]+@)?(?:www\.)?github\.com[:/]|git@github\.com:)([a-z0-9](?:[a-z0-9-]{0,38}))\/([a-z0-9._-]{1,100})/i
+        );
+        if (!match) return null;
+
+        const repo = match[2].replace(/\.git$/i, '');
+        if (!repo || /^\.+$/.test(repo)) return null;
+        return `https://github.com/${match[1]}/${repo}`;
+    },
+
+    /**
+     * Work out a manifest's format from its file name, or else its content
+     * @param {string} text - Manifest content
+     * @param {string|null} filename - e.g. requirements-dev.txt
+     * @returns {string|null} One of FORMATS, or null when it is not a manifest
+     */
+    detect(text, filename = null) {
+        const base = String(filename || '').split(/[\\/]/).pop().toLowerCase();
+        if (base === 'package.json') return 'package.json';
+        if (base === 'package-lock.json' || base === 'npm-shrinkwrap.json') return 'package-lock.json';
+        if (base === 'go.mod') return 'go.mod';
+        if (base === 'cargo.toml') return 'Cargo.toml';
+        if (/^requirements.*\.txt$/.test(base)) return 'requirements.txt';
+
+        const trimmed = String(text || '').trim();
+        if (trimmed.startsWith('{')) {
+            return /"lockfileVersion"\s*:/.test(trimmed) ? 'package-lock.json' : 'package.json';
+        }
+        if (/^module\s+\S+/m.test(trimmed)) return 'go.mod';
+        if (/^\[(package|workspace|(dev-|build-)?dependencies)\b/m.test(trimmed)) return 'Cargo.toml';
+        if (/^[a-z0-9][a-z0-9._-]*\s*(\[[^\]]*\])?\s*(===?|[<>!~]=|[<>@;]|$)/im.test(trimmed)) return 'requirements.txt';
+        return null;
+    },
+
+    /**
+     * Parse a manifest into the packages it depends on
+     * Local path dependencies are left out. Packages are { ecosystem, name, url, reason }:
+     * url when the manifest names the GitHub repository, reason when it cannot have one.
+     * @param {string} text - Manifest content
+     * @param {string|null} filename - Helps detection; optional
+     * @returns {Object} { format, packages } or { error }
+     */
+    parse(text, filename = null) {
+        const format = this.detect(text, filename);
+        if (!format) {
+            return { error: `Not a supported manifest. Supported: ${this.FORMATS.join(', ')}` };
+        }
+
+        let packages;
+        try {
+            if (format === 'package.json') packages = this.parsePackageJson(text);
+            else if (format === 'package-lock.json') packages = this.parsePackageLock(text);
+            else if (format === 'requirements.txt') packages = this.parseRequirements(text);
+            else if (format === 'go.mod') packages = this.parseGoMod(text);
+            else packages = this.parseCargoToml(text);
+        } catch (error) {
+            return { format, error: `Could not parse ${format}: ${error.message}` };
+        }
+
+        // The same package is often listed more than once (dev and runtime, lockfile paths)
+        const seen = new Set();
+        packages = packages.filter(pkg => {
+            const key = `${pkg.ecosystem}:${pkg.name.toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        return { format, packages };
+    },
+
+    /**
+     * An npm dependency: registry name, npm: alias, GitHub spec or git URL
+     * @returns {Object|null} Package, or null for local (file:, link:, workspace:) dependencies
+     */
+    npmPackage(name, spec) {
+        spec = typeof spec === 'string' ? spec.trim() : '';
+        if (/^(file|link|workspace|portal):/.test(spec)) return null;
+
+        const alias = spec.match(/^npm:((?:@[^@/]+\/)?[^@]+)/);
+        if (alias) {
+            return { ecosystem: 'npm', name: alias[1], url: null };
+        }
+
+        // owner/repo[#ref] is npm's shorthand for a GitHub dependency
+        const url = this.githubUrl(spec) ||
+            (/^[a-z0-9][a-z0-9-]{0,38}\/[a-z0-9._-]{1,100}(#.*)?$/i.test(spec) ? this.githubUrl(`github:${spec}`) : null);
+        if (!url && /^(git\+|git:|ssh:|https?:|[a-z]+:)/.test(spec)) {
+            return { ecosystem: 'npm', name, url: null, reason: 'Not hosted on GitHub' };
+        }
+        return { ecosystem: 'npm', name, url };
+    },
+
+    parsePackageJson(text) {
+        const data = JSON.parse(text);
+        const packages = [];
+        for (const field of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+            for (const [name, spec] of Object.entries(data[field] || {})) {
+                packages.push(this.npmPackage(name, spec));
+            }
+        }
+        return packages.filter(Boolean);
+    },
+
+    // Lockfile v2/v3 list every installed package under "packages"; v1 nests "dependencies"
+    parsePackageLock(text) {
+        const data = JSON.parse(text);
+        const packages = [];
+
+        if (data.packages) {
+            for (const [path, entry] of Object.entries(data.packages)) {
+                // "" is the project itself; links are workspace packages
+                if (!path || !path.includes('node_modules/') || entry.link) continue;
+                const name = entry.name || path.slice(path.lastIndexOf('node_modules/') + 'node_modules/'.length);
+                const spec = /^(git|github:)/.test(entry.resolved || '') ? entry.resolved : entry.version;
+                packages.push(this.npmPackage(name, spec));
+            }
+        } else {
+            const walk = dependencies => {
+                for (const [name, entry] of Object.entries(dependencies || {})) {
+                    packages.push(this.npmPackage(name, entry.version));
+                    walk(entry.dependencies);
+                }
+            };
+            walk(data.dependencies);
+        }
+
+        return packages.filter(Boolean);
+    },
+
+    // PyPI compares names case-insensitively with runs of - _ . treated alike
+    pypiName(name) {
+        return name.toLowerCase().replace(/[-_.]+/g, '-');
+    },
+
+    parseRequirements(text) {
+        const packages = [];
+        const lines = text.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+
+        for (let line of lines) {
+            line = line.replace(/(^|\s)#.*$/, '').trim();
+            if (!line) continue;
+
+            const editable = line.match(/^(?:-e|--editable)\s+(.+)$/);
+            if (editable) {
+                line = editable[1].trim();
+            } else if (line.startsWith('-')) {
+                continue; // -r, -c, --index-url and other options
+            }
+
+            // name @ <url>, or a bare VCS or archive URL
+            const direct = line.match(/^([a-z0-9][a-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*@\s*(\S+)/i);
+            const reference = direct ? direct[2] : (/^([a-z+]+:\/\/|git@)/i.test(line) ? line : null);
+            if (reference) {
+                const egg = reference.match(/#egg=([a-z0-9._-]+)/i);
+                const url = this.githubUrl(reference);
+                packages.push({
+                    ecosystem: 'pypi',
+                    name: direct ? this.pypiName(direct[1]) : (egg ? this.pypiName(egg[1]) : reference),
+                    url,
+                    ...(url ? {} : { reason: 'Not hosted on GitHub' })
+                });
+                continue;
+            }
+
+            const name = line.match(/^[a-z0-9][a-z0-9._-]*/i);
+            if (name) {
+                packages.push({ ecosystem: 'pypi', name: this.pypiName(name[0]), url: null });
+            }
+        }
+
+        return packages;
+    },
+
+    /**
+     * The GitHub repository of a Go module path
+     * @returns {string|null}
+     */
+    goModuleUrl(path) {
+        const github = path.match(/^github\.com\/([^/]+)\/([^/]+)/);
+        if (github) return this.githubUrl(`https://github.com/${github[1]}/${github[2]}`);
+
+        if (this.GO_VANITY_MODULES[path]) return this.GO_VANITY_MODULES[path];
+
+        for (const [prefix, owner] of Object.entries(this.GO_VANITY_HOSTS)) {
+            if (path.startsWith(prefix)) {
+                return this.githubUrl(`https://github.com/${owner}/${path.slice(prefix.length).split('/')[0]}`);
+            }
+        }
+
+        // gopkg.in/user/pkg.v1 -> github.com/user/pkg, gopkg.in/pkg.v1 -> github.com/go-pkg/pkg
+        const gopkg = path.match(/^gopkg\.in\/(?:([^/.]+)\/)?([^/.]+)\.v\d+/);
+        if (gopkg) return this.githubUrl(`https://github.com/${gopkg[1] || `go-${gopkg[2]}`}/${gopkg[2]}`);
+
+        return null;
+    },
+
+    parseGoMod(text) {
+        const required = [];
+        const replaced = {};
+        let block = null;
+
+        const directive = (verb, line) => {
+            if (verb === 'require') {
+                const path = line.split(/\s+/)[0];
+                if (path) required.push(path);
+            } else if (verb === 'replace') {
+                const [from, to] = line.split('=>').map(side => side.trim().split(/\s+/)[0]);
+                // Replacements with a local directory keep the original module's repository
+                if (from && to && !/^(\.|\/)/.test(to)) replaced[from] = to;
+            }
+        };
+
+        for (let line of text.split(/\r?\n/)) {
+            line = line.replace(/\/\/.*$/, '').trim();
+            if (!line) continue;
+
+            if (block) {
+                if (line === ')') block = null;
+                else directive(block, line);
+                continue;
+            }
+
+            const match = line.match(/^(require|replace)\s*(\()?\s*(.*)$/);
+            if (!match) continue;
+            if (match[2]) block = match[1];
+            else directive(match[1], match[3]);
+        }
+
+        return required.map(path => {
+            const url = this.goModuleUrl(replaced[path] || path);
+            return { ecosystem: 'go', name: path, url, ...(url ? {} : { reason: 'Not hosted on GitHub' }) };
+        });
+    },
+
+    // First string in a TOML value, e.g. "1.0" # comment
+    tomlString(value) {
+        const match = value.match(/^\s*(?:"((?:[^"\\]|\\.)*)"|'([^']*)')/);
+        return match ? (match[1] ?? match[2]) : value.trim();
+    },
+
+    // A dependency's TOML value: a version string or an inline table of string and boolean keys
+    tomlDependency(value) {
+        value = value.trim();
+        if (!value.startsWith('{')) {
+            return { version: this.tomlString(value) };
+        }
+
+        const fields = {};
+        const pairs = /([a-z0-9_-]+)\s*=\s*("(?:[^"\\]|\\.)*"|'[^']*'|[^,}]+)/gi;
+        let match;
+        while ((match = pairs.exec(value)) !== null) {
+            fields[match[1]] = this.tomlString(match[2]);
+        }
+        return fields;
+    },
+
+    cargoPackage(key, fields) {
+        const name = fields.package || key;
+        if (fields.git) {
+            const url = this.githubUrl(fields.git);
+            return { ecosystem: 'cargo', name, url, ...(url ? {} : { reason: 'Not hosted on GitHub' }) };
+        }
+        if (fields.path) return null; // crate in the same workspace
+        return { ecosystem: 'cargo', name, url: null };
+    },
+
+    parseCargoToml(text) {
+        const packages = [];
+        // 'list' inside [dependencies]-style tables; { key, fields } inside [dependencies.<crate>]
+        let table = null;
+
+        const flush = () => {
+            if (table && table !== 'list') packages.push(this.cargoPackage(table.key, table.fields));
+        };
+
+        for (let line of text.split(/\r?\n/)) {
+            line = line.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const header = line.match(/^\[\[?([^\]]+)\]\]?/);
+            if (header) {
+                flush();
+                const dependencies = header[1].trim().match(/(?:^|\.)(?:dev-|build-)?dependencies(?:\.(.+))?$/);
+                if (!dependencies || line.startsWith('[[')) table = null;
+                else if (dependencies[1]) table = { key: dependencies[1].replace(/["']/g, ''), fields: {} };
+                else table = 'list';
+                continue;
+            }
+
+            const pair = line.match(/^(["']?[a-z0-9_.-]+["']?)\s*=\s*(.+)$/i);
+            if (!pair || !table) continue;
+
+            const key = pair[1].replace(/["']/g, '');
+            if (table === 'list') packages.push(this.cargoPackage(key, this.tomlDependency(pair[2])));
+            else table.fields[key] = this.tomlString(pair[2]);
+        }
+        flush();
+
+        return packages.filter(Boolean);
+    },
+
+    /**
+     * Find the GitHub repository of one package on its registry
+     * @returns {Promise<Object>} { url } or { reason }
+     */
+    async lookup(pkg, fetch) {
+        const registry = this.REGISTRIES[pkg.ecosystem];
+        try {
+            const response = await fetch(registry.url(pkg.name), { headers: { 'Accept': 'application/json' } });
+            if (response.status === 404) return { reason: 'Not found on the registry' };
+            if (!response.ok) return { reason: `Registry lookup failed (${response.status})` };
+
+            const data = await response.json();
+            for (const link of registry.links(data)) {
+                const url = this.githubUrl(link);
+                if (url) return { url };
+            }
+            return { reason: 'No GitHub repository listed' };
+        } catch (error) {
+            return { reason: 'Registry lookup failed' };
+        }
+    },
+
+    /**
+     * Find the GitHub repository of each package
+     * Packages whose manifest entry names the repository need no lookup; the rest
+     * are looked up on their registry, at most `limit` of them, `concurrency` at a time.
+     * @param {Array} packages - From parse()
+     * @param {Object} options - { fetch, limit, concurrency, onProgress(done, total) }
+     * @returns {Promise<Object>} { repositories: [{ url, packages }], unresolved: [{ ecosystem, name, reason }] }
+     */
+    async resolve(packages, { fetch, limit = Infinity, concurrency = 6, onProgress = null }) {
+        const found = new Map();
+        const unresolved = [];
+        const lookups = [];
+
+        const add = (url, pkg) => {
+            const key = url.toLowerCase();
+            if (!found.has(key)) found.set(key, { url, packages: [] });
+            found.get(key).packages.push(pkg.name);
+        };
+
+        for (const pkg of packages) {
+            const registry = this.REGISTRIES[pkg.ecosystem];
+            if (pkg.url) {
+                add(pkg.url, pkg);
+            } else if (pkg.reason || !registry) {
+                unresolved.push({ ecosystem: pkg.ecosystem, name: pkg.name, reason: pkg.reason || 'Not hosted on GitHub' });
+            } else if (!registry.pattern.test(pkg.name)) {
+                unresolved.push({ ecosystem: pkg.ecosystem, name: pkg.name, reason: 'Invalid package name' });
+            } else if (lookups.length >= limit) {
+                unresolved.push({ ecosystem: pkg.ecosystem, name: pkg.name, reason: `Not looked up: over ${limit} registry lookups` });
+            } else {
+                lookups.push(pkg);
+            }
+        }
+
+        let next = 0;
+        let done = 0;
+        const work = async () => {
+            while (next < lookups.length) {
+                const pkg = lookups[next++];
+                const result = await this.lookup(pkg, fetch);
+                if (result.url) add(result.url, pkg);
+                else unresolved.push({ ecosystem: pkg.ecosystem, name: pkg.name, reason: result.reason });
+
+                done++;
+                if (onProgress) onProgress(done, lookups.length);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, lookups.length) }, work));
+
+        const byName = (a, b) => (a.url || a.name).localeCompare(b.url || b.name);
+        return {
+            repositories: [...found.values()].sort(byName),
+            unresolved: unresolved.sort(byName)
+        };
+    },
+
+    /**
+     * Flag the repositories that are already in the archive
+     * @param {Array} repositories - From resolve()
+     * @param {Object} index - index.json, { repositories: { url: data } }
+     * @returns {Array} The repositories with archived: true/false
+     */
+    markArchived(repositories, index) {
+        const archived = new Set(Object.keys(index?.repositories || {}).map(url => url.toLowerCase()));
+        return repositories.map(repo => ({ ...repo, archived: archived.has(repo.url.toLowerCase()) }));
+    }
+};
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Manifests;
+}
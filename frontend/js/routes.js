@@ -0,0 +1,845 @@
+/**
+ * Route table for Git-Archiver Web
+ *
+ * Every worker endpoint is defined here once: its path, parameters, request
+ * body, success response and error codes. The worker matches and validates
+ * requests against it and serves it as GET /openapi.json; api.js builds its
+ * requests from it. Loaded as a plain script by the site and imported by the
+ * worker, so it must stay free of browser and Workers APIs.
+ */
+
+const Routes = {
+    info: {
+        title: 'Git-Archiver Web API',
+        version: '1.0.0',
+        description: 'Archive public GitHub, GitLab, Gitea and Bitbucket repositories to GitHub Releases and browse the archives.'
+    },
+
+    // Parameters and body fields, referenced by name from the routes below.
+    // A route names a field as 'name' (required) or 'name?' (optional), or as
+    // { name, ...overrides } where it needs a different default or description.
+    params: {
+        owner: {
+            type: 'string',
+            pattern: '^[a-zA-Z0-9]([a-zA-Z0-9._-]{0,98}[a-zA-Z0-9])?$',
+            maxLength: 100,
+            description: 'User, group or organization (at most 39 characters on GitHub)'
+        },
+        repo: {
+            type: 'string',
+            pattern: '^[a-zA-Z0-9]([a-zA-Z0-9._-]{0,98}[a-zA-Z0-9])?$',
+            maxLength: 100,
+            description: 'Repository name, or the gist id on gist.github.com'
+        },
+        host: {
+            type: 'string',
+            pattern: '^[a-z0-9.-]{1,253}$',
+            default: 'github.com',
+            description: 'Host of the source forge, e.g. gitlab.com, codeberg.org or gist.github.com (see /forges)'
+        },
+        tag: {
+            type: 'string',
+            pattern: '^[a-zA-Z0-9._-]{1,300}$',
+            description: 'Release tag of an archived version (owner__repo__date[__ref], prefixed with host__ outside GitHub); the latest version when omitted'
+        },
+        base: {
+            type: 'string',
+            pattern: '^[a-zA-Z0-9._-]{1,300}$',
+            description: 'Release tag of the older version'
+        },
+        head: {
+            type: 'string',
+            pattern: '^[a-zA-Z0-9._-]{1,300}$',
+            description: 'Release tag of the newer version'
+        },
+        path: {
+            type: 'string',
+            maxLength: 1000,
+            description: 'File path inside the archive'
+        },
+        q: {
+            type: 'string',
+            maxLength: 200,
+            description: 'Search text'
+        },
+        status: {
+            type: 'string',
+            enum: ['active', 'archived', 'deleted', 'removed'],
+            description: 'Only repositories with this status (removed: taken down from the archive)'
+        },
+        sort: {
+            type: 'string',
+            enum: ['relevance', 'recent', 'name', 'size', 'versions'],
+            description: 'Result order; relevance when q is given, otherwise recent'
+        },
+        type: {
+            type: 'string',
+            enum: ['all', 'issue', 'pull_request'],
+            default: 'all',
+            description: 'Only issues or only pull requests'
+        },
+        state: {
+            type: 'string',
+            enum: ['all', 'open', 'closed'],
+            default: 'all',
+            description: 'Only open or only closed items'
+        },
+        page: {
+            type: 'integer',
+            minimum: 1,
+            default: 1,
+            description: 'Page number, from 1'
+        },
+        per_page: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            description: 'Results per page'
+        },
+        number: {
+            type: 'integer',
+            pattern: '^[1-9][0-9]{0,9}$',
+            minimum: 1,
+            description: 'Issue or pull request number in the source repository'
+        },
+        issue: {
+            type: 'integer',
+            pattern: '^[1-9][0-9]{0,9}$',
+            minimum: 1,
+            description: 'Archive request issue number, as returned by /submit'
+        },
+        id: {
+            type: 'string',
+            pattern: '^[a-f0-9]{16}$',
+            description: 'Identifier returned when the resource was created'
+        },
+        url: {
+            type: 'string',
+            maxLength: 300,
+            description: 'Repository URL on GitHub, GitLab, Codeberg/Gitea or Bitbucket, or a gist URL (https://gist.github.com/<user>/<id>); a ref URL (/tree/<ref>, /-/tree/<ref>, /src/branch/<ref>, /src/<ref>) also selects the ref. /submit also takes https://github.com/<owner> to archive every repository of a GitHub user or organization'
+        },
+        ref: {
+            type: 'string',
+            maxLength: 200,
+            description: 'Branch, tag or commit to archive instead of the default branch'
+        },
+        mode: {
+            type: 'string',
+            enum: ['snapshot', 'mirror'],
+            default: 'snapshot',
+            description: 'snapshot archives a shallow clone; mirror adds a full-history git bundle'
+        },
+        full_project: {
+            type: 'boolean',
+            default: false,
+            description: 'Also export issues, pull requests, comments, releases and the wiki (GitHub repositories only)'
+        },
+        skip_forks: {
+            type: 'boolean',
+            default: false,
+            description: 'Owner URLs only: leave out forks'
+        },
+        skip_archived: {
+            type: 'boolean',
+            default: false,
+            description: 'Owner URLs only: leave out repositories archived (read-only) on GitHub'
+        },
+        confirm: {
+            type: 'boolean',
+            default: false,
+            description: 'Owner URLs only: queue the repositories; without it the response is a preview of what would be queued'
+        },
+        urls: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            description: 'Repository URLs, as strings or { url, ref, mode, full_project } objects (at most 20 when the worker has no BATCHES namespace)'
+        },
+        manifest: {
+            type: 'string',
+            description: 'Content of a package.json, package-lock.json, requirements.txt, go.mod or Cargo.toml (request body at most 2 MB)'
+        },
+        filename: {
+            type: 'string',
+            maxLength: 200,
+            description: 'The manifest\'s file name, e.g. requirements-dev.txt; the format is detected from the content when omitted'
+        },
+        label: {
+            type: 'string',
+            maxLength: 100,
+            description: 'Name to recognise the key by'
+        },
+        limits: {
+            type: 'object',
+            description: 'Rate limit overrides keyed by endpoint, e.g. { "submit": { "limit": 200, "windowSeconds": 3600 } }'
+        },
+        events: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Events to deliver: archive.completed, archive.unchanged, archive.failed, source.unavailable (default: all)'
+        },
+        event: {
+            type: 'string',
+            description: 'archive.completed, archive.unchanged or archive.failed'
+        },
+        provenance: {
+            type: 'object',
+            description: 'A provenance.json document to check instead of the one attached to a release'
+        },
+        archive_hash: {
+            type: 'string',
+            pattern: '^[a-fA-F0-9]{64}$',
+            description: 'SHA-256 of the tarball as computed by the caller, compared with the signed hash'
+        },
+        pattern: {
+            type: 'string',
+            maxLength: 201,
+            description: 'owner/repo, a whole owner (owner or owner/*), or a glob such as */*-miner'
+        },
+        reason: {
+            type: 'string',
+            maxLength: 500,
+            description: 'Why the entry was added'
+        },
+        priority: {
+            type: 'string',
+            enum: ['high', 'normal', 'low'],
+            description: 'Queue priority; operators retry stalled requests highest first'
+        },
+        action: {
+            type: 'string',
+            enum: ['cancel', 'retry', 'priority'],
+            description: 'What to do with each request'
+        },
+        issues: {
+            type: 'array',
+            items: { type: 'integer' },
+            minItems: 1,
+            maxItems: 20,
+            description: 'Archive request issue numbers'
+        }
+    },
+
+    // Meaning of each error status, shared by every route that returns it
+    errors: {
+        400: 'Invalid parameters or body',
+        401: 'Missing or invalid credentials',
+        403: 'Credentials do not grant access, the browser origin is not allowed, or the repository is blocked',
+        404: 'Not found',
+        405: 'Method not allowed on this path',
+        409: 'Conflicts with a queued request, an existing release or a limit',
+        410: 'The archive was removed by a takedown',
+        413: 'Request body or archive too large to process',
+        415: 'Body must be application/json',
+        429: 'Rate limit exceeded; see Retry-After',
+        500: 'Internal error',
+        503: 'Not configured on this deployment, or GitHub or the source forge is unavailable'
+    },
+
+    // Bearer credentials; any rate-limited route also accepts an API key for its own quota
+    auth: {
+        apiKey: 'API key minted via POST /admin/keys (gaw_...)',
+        admin: 'ADMIN_TOKEN secret',
+        dispatch: 'WEBHOOK_DISPATCH_TOKEN secret shared with archive.yml'
+    },
+
+    // rateLimit names the RATE_LIMITS bucket the worker charges
+    routes: [
+        {
+            id: 'root',
+            method: 'GET',
+            path: '/',
+            summary: 'List the endpoints of this API',
+            response: { status: 200 }
+        },
+        {
+            id: 'health',
+            method: 'GET',
+            path: '/health',
+            summary: 'Health check',
+            response: { status: 200 }
+        },
+        {
+            id: 'openapi',
+            method: 'GET',
+            path: '/openapi.json',
+            summary: 'OpenAPI 3.1 description of this API',
+            response: { status: 200 }
+        },
+        {
+            id: 'forges',
+            method: 'GET',
+            path: '/forges',
+            summary: 'List the forges and hosts repositories can be archived from',
+            response: { status: 200 }
+        },
+        {
+            id: 'submit',
+            method: 'POST',
+            path: '/submit',
+            summary: 'Submit a repository URL, or an owner URL for all of its repositories, for archiving',
+            body: ['url', 'ref?', 'mode?', 'full_project?', 'skip_forks?', 'skip_archived?', 'confirm?'],
+            rateLimit: 'submit',
+            response: { status: 201, description: 'Queued; the issue number tracks the job via /jobs/{issue}. Owner URLs: 200 with a preview, or 202 with a batch to poll at /batches/{id} when confirmed' },
+            errors: [400, 403, 404, 409, 413, 415, 503]
+        },
+        {
+            id: 'bulkSubmit',
+            method: 'POST',
+            path: '/bulk-submit',
+            summary: 'Submit several repository URLs at once',
+            body: ['urls'],
+            rateLimit: 'bulkSubmit',
+            response: { status: 202, description: 'The batch, submitted in the background; poll GET /batches/{id}. Without a BATCHES namespace: per-URL results, 201 when at least one was queued' },
+            errors: [400, 413, 415]
+        },
+        {
+            id: 'batch',
+            method: 'GET',
+            path: '/batches/{id}',
+            summary: 'Track a bulk submission (queued, processing, completed) and its per-URL results',
+            rateLimit: 'batches',
+            response: { status: 200 },
+            errors: [400, 404, 503]
+        },
+        {
+            id: 'resolveManifest',
+            method: 'POST',
+            path: '/manifests/resolve',
+            summary: 'Find the GitHub repositories a dependency manifest depends on, and which are already archived',
+            body: ['manifest', 'filename?'],
+            rateLimit: 'manifests',
+            response: { status: 200, description: 'The repositories (with the packages that led to each), and the packages without one. Registry lookups stop after 40; submit the new repositories with /bulk-submit' },
+            errors: [400, 413, 415]
+        },
+        {
+            id: 'index',
+            method: 'GET',
+            path: '/index',
+            summary: 'Fetch the master index of archived repositories',
+            rateLimit: 'index',
+            response: { status: 200 }
+        },
+        {
+            id: 'search',
+            method: 'GET',
+            path: '/search',
+            summary: 'Search, filter and page through the index',
+            query: ['q?', 'owner?', 'status?', 'sort?', 'page?', { name: 'per_page?', default: 50 }],
+            rateLimit: 'search',
+            response: { status: 200 },
+            errors: [400]
+        },
+        {
+            id: 'feed',
+            method: 'GET',
+            path: '/feed.atom',
+            summary: 'Atom feed of newly archived repositories and new versions',
+            query: [{ name: 'owner?', description: 'Only follow this user or organization' }],
+            rateLimit: 'feed',
+            response: { status: 200, contentType: 'application/atom+xml' },
+            errors: [400]
+        },
+        {
+            id: 'readme',
+            method: 'GET',
+            path: '/readme',
+            summary: 'Fetch the README of an archived version',
+            query: ['owner', 'repo', 'host?', 'tag?'],
+            rateLimit: 'readme',
+            response: { status: 200 },
+            errors: [400, 404, 410]
+        },
+        {
+            id: 'status',
+            method: 'GET',
+            path: '/status',
+            summary: 'Check whether the source repository is still online',
+            query: ['owner', 'repo', 'host?'],
+            rateLimit: 'status',
+            response: { status: 200 },
+            errors: [400]
+        },
+        {
+            id: 'files',
+            method: 'GET',
+            path: '/files',
+            summary: 'List the files inside an archived tarball',
+            query: ['owner', 'repo', 'host?', 'tag?'],
+            rateLimit: 'files',
+            response: { status: 200 },
+            errors: [400, 404, 410]
+        },
+        {
+            id: 'raw',
+            method: 'GET',
+            path: '/raw',
+            summary: 'Fetch one file from an archived tarball',
+            query: ['owner', 'repo', 'host?', 'tag?', 'path'],
+            rateLimit: 'files',
+            response: { status: 200, contentType: 'application/octet-stream' },
+            errors: [400, 404, 410, 413]
+        },
+        {
+            id: 'archive',
+            method: 'GET',
+            path: '/archive',
+            summary: 'Download an archived tarball with CORS headers, for in-browser browsing',
+            query: ['owner', 'repo', 'host?', 'tag?'],
+            rateLimit: 'files',
+            response: { status: 200, contentType: 'application/gzip' },
+            errors: [400, 404, 410]
+        },
+        {
+            id: 'versions',
+            method: 'GET',
+            path: '/repos/{owner}/{repo}/versions',
+            summary: 'List every archived version with assets and metadata',
+            query: ['host?'],
+            rateLimit: 'versions',
+            response: { status: 200 },
+            errors: [400, 410]
+        },
+        {
+            id: 'compare',
+            method: 'GET',
+            path: '/repos/{owner}/{repo}/compare',
+            summary: 'Summarize files added, removed and modified between two archived versions',
+            query: ['host?', 'base', 'head'],
+            rateLimit: 'compare',
+            response: { status: 200 },
+            errors: [400, 404, 410, 413]
+        },
+        {
+            id: 'projectIssues',
+            method: 'GET',
+            path: '/repos/{owner}/{repo}/project/issues',
+            summary: 'Browse issues and PRs captured by a full-project archive',
+            query: ['host?', 'tag?', 'q?', 'type?', 'state?', 'page?', { name: 'per_page?', default: 30 }],
+            rateLimit: 'project',
+            response: { status: 200 },
+            errors: [400, 404, 410]
+        },
+        {
+            id: 'projectIssue',
+            method: 'GET',
+            path: '/repos/{owner}/{repo}/project/issues/{number}',
+            summary: 'Read one captured issue or PR with its comments',
+            query: ['host?', 'tag?'],
+            rateLimit: 'project',
+            response: { status: 200 },
+            errors: [400, 404, 410]
+        },
+        {
+            id: 'job',
+            method: 'GET',
+            path: '/jobs/{issue}',
+            summary: 'Track an archive request (queued, running, succeeded, unchanged, failed, cancelled)',
+            rateLimit: 'jobs',
+            response: { status: 200 },
+            errors: [400, 404]
+        },
+        {
+            id: 'listWebhooks',
+            method: 'GET',
+            path: '/webhooks',
+            summary: 'List your webhook subscriptions',
+            auth: 'apiKey',
+            rateLimit: 'webhooks',
+            response: { status: 200 },
+            errors: [401, 503]
+        },
+        {
+            id: 'createWebhook',
+            method: 'POST',
+            path: '/webhooks',
+            summary: 'Subscribe to archive and source-status events for a repo or a whole owner on one host',
+            body: [{ name: 'url', maxLength: 500, description: 'HTTPS endpoint that receives signed POSTs' }, 'host?', 'owner', 'repo?', 'events?'],
+            auth: 'apiKey',
+            rateLimit: 'webhooks',
+            response: { status: 201, description: 'Created; the signing secret is only shown once' },
+            errors: [400, 401, 409, 413, 415, 503]
+        },
+        {
+            id: 'deleteWebhook',
+            method: 'DELETE',
+            path: '/webhooks/{id}',
+            summary: 'Delete a webhook subscription',
+            auth: 'apiKey',
+            rateLimit: 'webhooks',
+            response: { status: 200 },
+            errors: [400, 401, 404, 503]
+        },
+        {
+            id: 'archiveEvent',
+            method: 'POST',
+            path: '/events/archive',
+            summary: 'Report a finished archive job so subscribers are notified (used by archive.yml)',
+            body: [
+                'event', 'host?', 'owner', 'repo', 'ref?', 'tag?',
+                { name: 'download_url?', type: 'string', description: 'Release asset URL' },
+                { name: 'hash?', type: 'string', description: 'SHA-256 of the archive' },
+                { name: 'reason?', type: 'string', description: 'Why the job failed or was skipped' },
+                { name: 'issue_number?', type: 'integer', description: 'Archive request issue number' },
+                { name: 'source_status?', type: 'string', description: 'deleted or dmca when the source vanished' }
+            ],
+            auth: 'dispatch',
+            rateLimit: 'webhooks',
+            response: { status: 202 },
+            errors: [400, 401, 403, 413, 415, 503]
+        },
+        {
+            id: 'publicKey',
+            method: 'GET',
+            path: '/pubkey',
+            summary: 'Ed25519 public key that signs archive provenance attestations',
+            rateLimit: 'provenance',
+            response: { status: 200 },
+            errors: [503]
+        },
+        {
+            id: 'verify',
+            method: 'POST',
+            path: '/verify',
+            summary: 'Verify a provenance attestation, from a release ({ owner, repo, tag }) or given inline ({ provenance })',
+            body: ['owner?', 'repo?', 'host?', { name: 'tag?', description: 'Release tag of the version to verify' }, 'provenance?', 'archive_hash?'],
+            rateLimit: 'provenance',
+            response: { status: 200, description: 'Verification result; valid is false for a bad attestation' },
+            errors: [400, 404, 410, 413, 415, 503]
+        },
+        {
+            id: 'listApiKeys',
+            method: 'GET',
+            path: '/admin/keys',
+            summary: 'List API keys (metadata only)',
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [401, 403, 503]
+        },
+        {
+            id: 'createApiKey',
+            method: 'POST',
+            path: '/admin/keys',
+            summary: 'Mint an API key with optional per-endpoint rate limits',
+            body: ['label', 'limits?'],
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 201, description: 'Created; the key is only shown once' },
+            errors: [400, 401, 403, 413, 415, 503]
+        },
+        {
+            id: 'revokeApiKey',
+            method: 'DELETE',
+            path: '/admin/keys/{id}',
+            summary: 'Revoke an API key',
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [400, 401, 403, 404, 503]
+        },
+        {
+            id: 'listQueue',
+            method: 'GET',
+            path: '/admin/queue',
+            summary: 'List archive requests with their priority and failure reasons',
+            query: [
+                {
+                    name: 'state?',
+                    enum: ['open', 'queued', 'running', 'failed', 'cancelled'],
+                    default: 'open',
+                    description: 'open (queued and running, highest priority first) or one job state'
+                },
+                'page?',
+                { name: 'per_page?', maximum: 30, default: 30 }
+            ],
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [400, 401, 403]
+        },
+        {
+            id: 'cancelJob',
+            method: 'POST',
+            path: '/admin/queue/{issue}/cancel',
+            summary: 'Cancel a queued archive request',
+            body: [{ name: 'reason?', description: 'Posted on the request issue' }],
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [400, 401, 403, 404, 409, 413, 415]
+        },
+        {
+            id: 'retryJob',
+            method: 'POST',
+            path: '/admin/queue/{issue}/retry',
+            summary: 'Re-run a failed, cancelled or stalled request as a new request',
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 201, description: 'The new request; the old one links to it' },
+            errors: [400, 401, 403, 404, 409]
+        },
+        {
+            id: 'prioritizeJob',
+            method: 'POST',
+            path: '/admin/queue/{issue}/priority',
+            summary: 'Change the priority of a queued request',
+            body: ['priority'],
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [400, 401, 403, 404, 409, 413, 415]
+        },
+        {
+            id: 'bulkQueueAction',
+            method: 'POST',
+            path: '/admin/queue/bulk',
+            summary: 'Cancel, retry or reprioritize several requests, with a result per request',
+            body: ['action', 'issues', { name: 'priority?', description: 'New priority, for action priority' }, { name: 'reason?', description: 'Posted on cancelled requests' }],
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [400, 401, 403, 413, 415]
+        },
+        {
+            id: 'listBlocklist',
+            method: 'GET',
+            path: '/admin/blocklist',
+            summary: 'List the repositories and owners that cannot be submitted',
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [401, 403, 503]
+        },
+        {
+            id: 'createBlockRule',
+            method: 'POST',
+            path: '/admin/blocklist',
+            summary: 'Block submissions of a repository, a whole owner or a glob of names on one host',
+            body: ['host?', 'pattern', { name: 'reason?', description: 'Internal note; submitters only see that the repository is blocked' }],
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 201 },
+            errors: [400, 401, 403, 409, 413, 415, 503]
+        },
+        {
+            id: 'deleteBlockRule',
+            method: 'DELETE',
+            path: '/admin/blocklist/{id}',
+            summary: 'Remove a blocklist rule',
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [400, 401, 403, 404, 503]
+        },
+        {
+            id: 'listTakedowns',
+            method: 'GET',
+            path: '/admin/takedowns',
+            summary: 'List repositories removed from the archive',
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [401, 403, 503]
+        },
+        {
+            id: 'createTakedown',
+            method: 'POST',
+            path: '/admin/takedowns',
+            summary: 'Remove a repository: hide it from the index, stop serving its archives and block resubmission',
+            body: ['host?', 'owner', 'repo', { name: 'reason', description: 'Shown publicly in place of the archive, e.g. "DMCA notice of 2026-01-01"' }],
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 201 },
+            errors: [400, 401, 403, 413, 415, 503]
+        },
+        {
+            id: 'deleteTakedown',
+            method: 'DELETE',
+            path: '/admin/takedowns/{host}/{owner}/{repo}',
+            summary: 'Reinstate a removed repository',
+            auth: 'admin',
+            rateLimit: 'admin',
+            response: { status: 200 },
+            errors: [400, 401, 403, 404, 503]
+        }
+    ],
+
+    /**
+     * Look up a route by id
+     * @param {string} id
+     * @returns {Object}
+     */
+    get(id) {
+        const route = this.routes.find(r => r.id === id);
+        if (!route) throw new Error(`Unknown route: ${id}`);
+        return route;
+    },
+
+    /**
+     * Resolve a route's field list into full parameter definitions
+     * @param {Array} fields - Entries of a route's query or body list
+     * @returns {Array} [{ name, required, ...definition }]
+     */
+    fields(fields = []) {
+        return fields.map(field => {
+            const { name: rawName, ...overrides } = typeof field === 'string' ? { name: field } : field;
+            const required = !rawName.endsWith('?');
+            const name = required ? rawName : rawName.slice(0, -1);
+            return { ...this.params[name], ...overrides, name, required };
+        });
+    },
+
+    /**
+     * Path parameters, in the order they appear in the path
+     * @param {Object} route
+     * @returns {Array} [{ name, required: true, ...definition }]
+     */
+    pathParams(route) {
+        return Array.from(route.path.matchAll(/\{(\w+)\}/g), m => ({ ...this.params[m[1]], name: m[1], required: true }));
+    },
+
+    /**
+     * Find the route for a request
+     * @param {string} method
+     * @param {string} pathname
+     * @returns {Object|null} { route, path } with raw path segments, { allowed } when
+     *   only other methods serve the path, or null when nothing does
+     */
+    match(method, pathname) {
+        const allowed = [];
+        for (const route of this.routes) {
+            const names = [];
+            const source = route.path
+                .split(/\{(\w+)\}/)
+                .map((part, i) => {
+                    if (i % 2 === 0) return part.replace(/[.*+?^$()[\]\\|]/g, '\\$&');
+                    names.push(part);
+                    return '([^/]+)';
+                })
+                .join('');
+            const found = pathname.match(new RegExp(`^${source}$`));
+            if (!found) continue;
+            if (route.method !== method) {
+                allowed.push(route.method);
+                continue;
+            }
+            const path = {};
+            names.forEach((name, i) => { path[name] = found[i + 1]; });
+            return { route, path };
+        }
+        return allowed.length > 0 ? { allowed } : null;
+    },
+
+    /**
+     * Check one value against its definition
+     * Query and path values arrive as strings and are converted to the declared type.
+     *
+     * @returns {Object} { value } or { error }
+     */
+    checkValue(definition, raw, fromString) {
+        const { name, type } = definition;
+        let value = raw;
+
+        if (fromString && type === 'integer') {
+            if (!/^-?[0-9]{1,15}$/.test(raw)) return { error: `${name} must be an integer` };
+            value = parseInt(raw, 10);
+        } else if (fromString && type === 'boolean') {
+            if (raw !== 'true' && raw !== 'false') return { error: `${name} must be true or false` };
+            value = raw === 'true';
+        }
+
+        if (type === 'integer' && !Number.isInteger(value)) return { error: `${name} must be an integer` };
+        if (type === 'array' && !Array.isArray(value)) return { error: `${name} must be an array` };
+        if (type === 'object' && (typeof value !== 'object' || Array.isArray(value))) return { error: `${name} must be an object` };
+        if (['string', 'boolean'].includes(type) && typeof value !== type) return { error: `${name} must be a ${type}` };
+
+        if (definition.enum && !definition.enum.includes(value)) {
+            return { error: `${name} must be one of: ${definition.enum.join(', ')}` };
+        }
+        if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+            return { error: `${name} must be at most ${definition.maxLength} characters` };
+        }
+        if (definition.pattern && !new RegExp(definition.pattern).test(fromString ? raw : value)) {
+            return { error: `${name} has an invalid format` };
+        }
+        if (definition.minimum !== undefined && definition.maximum !== undefined &&
+            (value < definition.minimum || value > definition.maximum)) {
+            return { error: `${name} must be between ${definition.minimum} and ${definition.maximum}` };
+        }
+        if (value < definition.minimum) return { error: `${name} must be at least ${definition.minimum}` };
+        if (definition.minItems !== undefined && definition.maxItems !== undefined &&
+            (value.length < definition.minItems || value.length > definition.maxItems)) {
+            return { error: `${name} must have ${definition.minItems} to ${definition.maxItems} items` };
+        }
+        if (definition.items && value.some(item => definition.items.type === 'integer'
+            ? !Number.isInteger(item)
+            : typeof item !== definition.items.type)) {
+            return { error: `${name} must only contain ${definition.items.type} values` };
+        }
+
+        return { value };
+    },
+
+    /**
+     * Validate a request's inputs against a route
+     * Empty strings and nulls count as absent; absent optional fields take their
+     * default when one is declared. Unknown query and body fields are ignored.
+     *
+     * @param {Object} route
+     * @param {Object} input - { path, query, body } with path/query as name -> string
+     * @returns {Object} { params } merging all inputs, or { error }
+     */
+    validate(route, { path = {}, query = {}, body = null } = {}) {
+        if (route.body && (!body || typeof body !== 'object' || Array.isArray(body))) {
+            return { error: 'Request body must be a JSON object' };
+        }
+
+        const params = {};
+        const groups = [
+            [this.pathParams(route), path, true],
+            [this.fields(route.query), query, true],
+            [this.fields(route.body), body || {}, false]
+        ];
+
+        for (const [definitions, values, fromString] of groups) {
+            for (const definition of definitions) {
+                const raw = values[definition.name];
+                if (raw === undefined || raw === null || raw === '') {
+                    if (definition.required) return { error: `${definition.name} is required` };
+                    if (definition.default !== undefined) params[definition.name] = definition.default;
+                    continue;
+                }
+                const checked = this.checkValue(definition, raw, fromString);
+                if (checked.error) return { error: checked.error };
+                params[definition.name] = checked.value;
+            }
+        }
+
+        return { params };
+    },
+
+    /**
+     * Build the URL path and query string for a call
+     * @param {Object} route
+     * @param {Object} params - Path and query values by name
+     * @returns {string}
+     */
+    buildPath(route, params = {}) {
+        const path = route.path.replace(/\{(\w+)\}/g, (m, name) => encodeURIComponent(params[name]));
+        const query = new URLSearchParams();
+        this.fields(route.query).forEach(({ name }) => {
+            const value = params[name];
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(name, String(value));
+            }
+        });
+        const search = query.toString();
+        return search ? `${path}?${search}` : path;
+    }
+};
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Routes;
+}
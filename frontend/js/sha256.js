@@ -0,0 +1,146 @@
+/**
+ * Streaming SHA-256 for Git-Archiver Web
+ *
+ * Web Crypto only digests a complete buffer, which would mean holding a whole
+ * multi-GB archive in memory. This hashes chunk by chunk as a download or local
+ * file is read, and matches `sha256sum` as used by archive.yml.
+ */
+
+const Sha256 = {
+    // First 32 bits of the fractional parts of the cube roots of the first 64 primes
+    K: new Int32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]),
+
+    /**
+     * Start an incremental hash
+     * @returns {Object} { update(bytes), hex() }
+     */
+    create() {
+        const K = this.K;
+        const state = new Int32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        const w = new Int32Array(64);
+        const block = new Uint8Array(64);
+        let blockLength = 0;
+        let totalBytes = 0;
+
+        const compress = (bytes, offset) => {
+            for (let i = 0; i < 16; i++) {
+                const j = offset + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const x = w[i - 15];
+                const y = w[i - 2];
+                const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+                const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let a = state[0], b = state[1], c = state[2], d = state[3];
+            let e = state[4], f = state[5], g = state[6], h = state[7];
+            for (let i = 0; i < 64; i++) {
+                const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+                const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            state[0] += a; state[1] += b; state[2] += c; state[3] += d;
+            state[4] += e; state[5] += f; state[6] += g; state[7] += h;
+        };
+
+        const absorb = (bytes) => {
+            let offset = 0;
+            if (blockLength > 0) {
+                const take = Math.min(64 - blockLength, bytes.length);
+                block.set(bytes.subarray(0, take), blockLength);
+                blockLength += take;
+                offset = take;
+                if (blockLength < 64) return;
+                compress(block, 0);
+                blockLength = 0;
+            }
+            for (; offset + 64 <= bytes.length; offset += 64) {
+                compress(bytes, offset);
+            }
+            if (offset < bytes.length) {
+                block.set(bytes.subarray(offset), 0);
+                blockLength = bytes.length - offset;
+            }
+        };
+
+        return {
+            update(bytes) {
+                totalBytes += bytes.length;
+                absorb(bytes);
+            },
+
+            /**
+             * Finish the hash; the hasher must not be used afterwards
+             * @returns {string} Lowercase hex digest
+             */
+            hex() {
+                // 0x80, zeros, then the bit length as a 64-bit big-endian integer
+                const padding = new Uint8Array((blockLength < 56 ? 56 : 120) - blockLength + 8);
+                padding[0] = 0x80;
+                const view = new DataView(padding.buffer);
+                view.setUint32(padding.length - 8, Math.floor(totalBytes / 0x20000000));
+                view.setUint32(padding.length - 4, (totalBytes * 8) % 0x100000000);
+                absorb(padding);
+
+                return Array.from(state).map(word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+            }
+        };
+    },
+
+    /**
+     * Hash everything a stream yields
+     * @param {ReadableStream} stream - Download body or File.stream()
+     * @param {Function} onProgress - Called with the byte count hashed so far
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    async hashStream(stream, onProgress = null) {
+        const hasher = this.create();
+        const reader = stream.getReader();
+        let total = 0;
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                hasher.update(value);
+                total += value.length;
+                if (onProgress) onProgress(total);
+            }
+        } finally {
+            reader.releaseLock();
+        }
+
+        return hasher.hex();
+    }
+};
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sha256;
+}
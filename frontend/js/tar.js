@@ -0,0 +1,178 @@
+/**
+ * In-browser .tar.gz reader for Git-Archiver Web
+ *
+ * Decompresses with the native DecompressionStream and walks the tar entries as
+ * they arrive. Headers are decoded by TarFormat (js/tarformat.js), which the
+ * worker's streaming reader shares.
+ */
+
+const Tar = {
+    // The shallow clone's .git directory is in every archive but is not repo content
+    GIT_DIR: '.git',
+
+    /**
+     * Read every entry of a gzipped tar stream into memory
+     * File contents become Blobs, so large archives stay out of the JS heap.
+     * @param {ReadableStream} body - .tar.gz bytes
+     * @param {Object} options
+     * @param {number} options.maxBytes - Abort once this many bytes have been decompressed
+     * @param {Function} options.onProgress - Called with the decompressed byte count
+     * @returns {Promise<Array>} [{ path, type, size, mtime, linkTarget, blob }]
+     */
+    async readArchive(body, { maxBytes = Infinity, onProgress = null } = {}) {
+        const bytes = this.byteReader(body.pipeThrough(new DecompressionStream('gzip')), maxBytes, onProgress);
+        const meta = TarFormat.metadata();
+        const entries = [];
+
+        try {
+            while (true) {
+                const header = await bytes.read(TarFormat.BLOCK_SIZE);
+                if (header.length < TarFormat.BLOCK_SIZE || header.every(b => b === 0)) {
+                    break;
+                }
+
+                // Metadata entries describe the entry that follows them
+                const typeflag = TarFormat.typeflag(header);
+                if (TarFormat.isMetadata(typeflag)) {
+                    const size = TarFormat.metadataSize(header);
+                    const data = await bytes.read(size);
+                    await bytes.skip(TarFormat.padding(size));
+                    TarFormat.applyMetadata(meta, typeflag, data);
+                    continue;
+                }
+
+                const { dataSize, metadataSize, mode, ...entry } = TarFormat.parseEntry(header, meta);
+
+                let blob = null;
+                if (entry.type === 'file') {
+                    const parts = [];
+                    for await (const piece of bytes.pieces(dataSize)) {
+                        parts.push(piece);
+                    }
+                    blob = new Blob(parts);
+                } else {
+                    await bytes.skip(dataSize);
+                }
+                await bytes.skip(TarFormat.padding(dataSize));
+
+                if (entry.path && entry.path !== this.GIT_DIR && !entry.path.startsWith(`${this.GIT_DIR}/`)) {
+                    entries.push({ ...entry, blob });
+                }
+            }
+        } finally {
+            bytes.cancel();
+        }
+
+        return entries;
+    },
+
+    /**
+     * Nest flat entries into a directory tree
+     * @param {Array} entries - From readArchive
+     * @returns {Object} { name, path, dirs: Map, files: [] } for the archive root
+     */
+    buildTree(entries) {
+        const root = { name: '', path: '', dirs: new Map(), files: [] };
+
+        const dirFor = (path) => {
+            let node = root;
+            if (!path) return node;
+            for (const part of path.split('/')) {
+                if (!node.dirs.has(part)) {
+                    node.dirs.set(part, {
+                        name: part,
+                        path: node.path ? `${node.path}/${part}` : part,
+                        dirs: new Map(),
+                        files: []
+                    });
+                }
+                node = node.dirs.get(part);
+            }
+            return node;
+        };
+
+        for (const entry of entries) {
+            const slash = entry.path.lastIndexOf('/');
+            const parentPath = slash === -1 ? '' : entry.path.slice(0, slash);
+            if (entry.type === 'directory') {
+                dirFor(entry.path);
+            } else {
+                dirFor(parentPath).files.push({ ...entry, name: entry.path.slice(slash + 1) });
+            }
+        }
+
+        return root;
+    },
+
+    /**
+     * Pull-based reader that hands out exact byte counts from a stream of chunks
+     */
+    byteReader(stream, maxBytes, onProgress) {
+        const reader = stream.getReader();
+        let chunk = new Uint8Array(0);
+        let offset = 0;
+        let done = false;
+        let total = 0;
+
+        const fill = async () => {
+            while (offset >= chunk.length) {
+                if (done) return false;
+                const result = await reader.read();
+                if (result.done) {
+                    done = true;
+                    return false;
+                }
+                chunk = result.value;
+                offset = 0;
+                total += chunk.length;
+                if (total > maxBytes) {
+                    throw new Error(`Archive is larger than ${Utils.formatBytes(maxBytes)} unpacked`);
+                }
+                if (onProgress) onProgress(total);
+            }
+            return true;
+        };
+
+        return {
+            async read(length) {
+                const out = new Uint8Array(length);
+                let filled = 0;
+                while (filled < length && await fill()) {
+                    const take = Math.min(length - filled, chunk.length - offset);
+                    out.set(chunk.subarray(offset, offset + take), filled);
+                    offset += take;
+                    filled += take;
+                }
+                return filled === length ? out : out.subarray(0, filled);
+            },
+
+            async *pieces(length) {
+                let remaining = length;
+                while (remaining > 0 && await fill()) {
+                    const take = Math.min(remaining, chunk.length - offset);
+                    yield chunk.subarray(offset, offset + take);
+                    offset += take;
+                    remaining -= take;
+                }
+                if (remaining > 0) {
+                    throw new Error('Unexpected end of archive');
+                }
+            },
+
+            async skip(length) {
+                for await (const piece of this.pieces(length)) {
+                    // Discard
+                }
+            },
+
+            cancel() {
+                reader.cancel().catch(() => {});
+            }
+        };
+    }
+};
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tar;
+}
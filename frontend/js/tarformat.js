@@ -0,0 +1,182 @@
+/**
+ * Tar header format for Git-Archiver Web
+ *
+ * Decodes the 512-byte headers of ustar archives, pax extended headers and GNU
+ * long names, which covers what archive.yml's `tar -czf` produces. Loaded as a
+ * plain script by the site (js/tar.js) and imported by the worker (src/tar.js);
+ * each side brings its own byte reader and decides what to do with entry data.
+ */
+
+const TarFormat = {
+    BLOCK_SIZE: 512,
+
+    // pax and GNU long-name entries are read into memory whole; real ones hold a
+    // few paths and times, so anything bigger is a corrupt or hostile archive
+    MAX_METADATA_SIZE: 1024 * 1024,
+
+    decoder: new TextDecoder(),
+
+    /**
+     * Fresh state for the metadata entries that describe the entry after them
+     */
+    metadata() {
+        return { pax: {}, globalPax: {}, longName: null, longLink: null, bytes: 0 };
+    },
+
+    typeflag(header) {
+        return String.fromCharCode(header[156]).replace('\0', '');
+    },
+
+    /**
+     * Size of the data that follows a header (before pax overrides)
+     */
+    dataSize(header) {
+        return this.readNumber(header, 124, 12);
+    },
+
+    isMetadata(typeflag) {
+        return typeflag === 'x' || typeflag === 'g' || typeflag === 'L' || typeflag === 'K';
+    },
+
+    /**
+     * Size of a metadata entry's data, which the caller reads into memory
+     * @throws {Error} When the header claims more than MAX_METADATA_SIZE
+     */
+    metadataSize(header) {
+        const size = this.dataSize(header);
+        if (size > this.MAX_METADATA_SIZE) {
+            throw new Error(`Tar metadata entry of ${size} bytes is larger than the ${this.MAX_METADATA_SIZE}-byte limit`);
+        }
+        return size;
+    },
+
+    /**
+     * Record a metadata entry's data for the entry that follows it
+     * @param {Object} meta - From metadata()
+     * @param {string} typeflag - 'x', 'g', 'L' or 'K'
+     * @param {Uint8Array} data - The metadata entry's data
+     */
+    applyMetadata(meta, typeflag, data) {
+        meta.bytes += data.length;
+        if (typeflag === 'x') meta.pax = this.parsePax(data);
+        else if (typeflag === 'g') meta.globalPax = { ...meta.globalPax, ...this.parsePax(data) };
+        else if (typeflag === 'L') meta.longName = this.readString(data, 0, data.length);
+        else meta.longLink = this.readString(data, 0, data.length);
+    },
+
+    /**
+     * Decode an entry header, consuming the per-entry metadata that preceded it
+     * @param {Uint8Array} header - 512-byte header block
+     * @param {Object} meta - From metadata(); per-entry fields are reset
+     * @returns {Object} { path, type, size, dataSize, metadataSize, mode, mtime, linkTarget }
+     *   where size is 0 for anything but files, dataSize is what follows the header
+     *   and metadataSize counts the metadata entries read for this one
+     */
+    parseEntry(header, meta) {
+        const fields = { ...meta.globalPax, ...meta.pax };
+        const typeflag = this.typeflag(header);
+        const prefix = this.readString(header, 257, 5) === 'ustar'
+            ? this.readString(header, 345, 155)
+            : '';
+        const name = this.readString(header, 0, 100);
+        const rawPath = fields.path || meta.longName || (prefix ? `${prefix}/${name}` : name);
+        const dataSize = fields.size !== undefined ? parseInt(fields.size, 10) : this.dataSize(header);
+        const type = this.entryType(typeflag);
+
+        const entry = {
+            path: this.normalizePath(rawPath),
+            type,
+            size: type === 'file' ? dataSize : 0,
+            dataSize,
+            metadataSize: meta.bytes,
+            mode: this.readNumber(header, 100, 8),
+            mtime: fields.mtime ? Math.floor(parseFloat(fields.mtime)) : this.readNumber(header, 136, 12),
+            linkTarget: fields.linkpath || meta.longLink || this.readString(header, 157, 100) || null
+        };
+
+        meta.pax = {};
+        meta.longName = null;
+        meta.longLink = null;
+        meta.bytes = 0;
+        return entry;
+    },
+
+    /**
+     * Zero bytes that pad entry data to a whole block
+     */
+    padding(size) {
+        return (this.BLOCK_SIZE - (size % this.BLOCK_SIZE)) % this.BLOCK_SIZE;
+    },
+
+    /**
+     * Strip the "./" prefix tar writes for `-C dir .`, leading slashes and a trailing one
+     */
+    normalizePath(path) {
+        return path.replace(/^(\.\/)+/, '').replace(/^\/+/, '').replace(/\/$/, '');
+    },
+
+    readString(block, start, length) {
+        const field = block.subarray(start, start + length);
+        const end = field.indexOf(0);
+        return this.decoder.decode(end === -1 ? field : field.subarray(0, end));
+    },
+
+    /**
+     * Numeric header field: octal text, or GNU base-256 when the high bit is set
+     */
+    readNumber(block, start, length) {
+        const field = block.subarray(start, start + length);
+        if (field[0] & 0x80) {
+            let value = field[0] & 0x7f;
+            for (let i = 1; i < field.length; i++) {
+                value = value * 256 + field[i];
+            }
+            return value;
+        }
+        const text = this.readString(block, start, length).trim();
+        return text ? parseInt(text, 8) : 0;
+    },
+
+    /**
+     * Parse pax extended header records ("<len> <key>=<value>\n")
+     */
+    parsePax(bytes) {
+        // Record lengths count bytes, so split before decoding UTF-8
+        const fields = {};
+        let offset = 0;
+        while (offset < bytes.length) {
+            const space = bytes.indexOf(0x20, offset);
+            const length = space === -1 ? 0 : parseInt(this.decoder.decode(bytes.subarray(offset, space)), 10);
+            if (!length) break;
+            const record = this.decoder.decode(bytes.subarray(space + 1, offset + length - 1));
+            const equals = record.indexOf('=');
+            if (equals !== -1) {
+                fields[record.slice(0, equals)] = record.slice(equals + 1);
+            }
+            offset += length;
+        }
+        return fields;
+    },
+
+    entryType(typeflag) {
+        switch (typeflag) {
+            case '0':
+            case '':
+            case '7':
+                return 'file';
+            case '5':
+                return 'directory';
+            case '2':
+                return 'symlink';
+            case '1':
+                return 'hardlink';
+            default:
+                return 'other';
+        }
+    }
+};
+
+// Export for module usage if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TarFormat;
+}
@@ -80,33 +80,46 @@ const Logger = {
 
 const Utils = {
     /**
-     * Validate a GitHub repository URL
+     * Validate a repository URL on any supported forge (see forges.js)
      * @param {string} url - URL to validate
+     * @param {Object} extraHosts - Self-hosted instances from GET /forges, hostname -> forge id
      * @returns {boolean}
      */
-    isValidGitHubUrl(url) {
-        if (!url || typeof url !== 'string') return false;
-        // M3: Check URL length before regex to prevent ReDoS
+    isValidRepoUrl(url, extraHosts = {}) {
+        // M3: Forges.parseRepoUrl checks the length before any regex
+        const parsed = this.parseRepoUrl(url, extraHosts);
+        if (!parsed) return false;
+        // The forge's ref path (/tree/<ref> on GitHub) selects a branch, tag or commit
+        return !parsed.ref || /^[a-zA-Z0-9_][a-zA-Z0-9._\/-]{0,199}$/.test(parsed.ref);
+    },
+
+    /**
+     * Extract the owner from a GitHub user or organization URL
+     * @param {string} url - e.g. https://github.com/octocat
+     * @returns {string|null} The owner, or null when the URL is not an owner URL
+     */
+    parseGitHubOwnerUrl(url) {
+        if (!url || typeof url !== 'string') return null;
         const trimmedUrl = url.trim();
-        if (trimmedUrl.length > 200) return false;
-        // M3: Use length-limited character classes for better performance
-        const pattern = /^https?:\/\/github\.com\/[a-zA-Z0-9_.-]{1,100}\/[a-zA-Z0-9_.-]{1,100}\/?$/;
-        return pattern.test(trimmedUrl);
+        if (trimmedUrl.length > 200) return null;
+        const match = trimmedUrl.match(/^https?:\/\/github\.com\/([a-zA-Z0-9_.-]{1,100})\/?$/);
+        return match ? match[1] : null;
     },
 
     /**
-     * Extract owner and repo from GitHub URL
-     * @param {string} url - GitHub URL
-     * @returns {{owner: string, repo: string} | null}
+     * Extract forge, host, owner, repo and optional ref from a repository URL
+     * @param {string} url - Repository URL, optionally ending in the forge's ref path
+     * @param {Object} extraHosts - Self-hosted instances from GET /forges, hostname -> forge id
+     * @returns {{forge: string, host: string, owner: string, repo: string, ref: string|null, url: string} | null}
      */
-    parseGitHubUrl(url) {
-        if (!url) return null;
-        const match = url.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-        if (!match) return null;
-        return {
-            owner: match[1],
-            repo: match[2].replace(/\.git$/, '').replace(/\/$/, '')
-        };
+    parseRepoUrl(url, extraHosts = {}) {
+        const parsed = Forges.parseRepoUrl(url, extraHosts);
+        if (!parsed) return null;
+        let ref = parsed.ref;
+        try {
+            ref = ref && decodeURIComponent(ref);
+        } catch (e) { /* keep the ref as written */ }
+        return { ...parsed, ref };
     },
 
     /**
@@ -226,27 +239,36 @@ const Utils = {
 
     /**
      * Generate a tag-safe name from owner/repo
+     * Archives of a specific ref get a __<ref slug> suffix ("release/1.x" -> "release-1.x")
      * @param {string} owner
      * @param {string} repo
      * @param {string} date - YYYY-MM-DD format
+     * @param {string|null} ref - Branch, tag or commit, or null for the default branch
      * @returns {string}
      */
-    generateReleaseTag(owner, repo, date) {
-        return `${owner}__${repo}__${date}`;
+    generateReleaseTag(owner, repo, date, ref = null) {
+        const tag = `${owner}__${repo}__${date}`;
+        return ref ? `${tag}__${ref.replace(/[^a-zA-Z0-9._-]/g, '-')}` : tag;
     },
 
     /**
      * Parse release tag back to components
+     * Tags of repositories outside GitHub start with the host (see Forges.releasePrefix)
      * @param {string} tag
-     * @returns {{owner: string, repo: string, date: string} | null}
+     * @returns {{host: string, owner: string, repo: string, date: string, ref: string|null} | null}
      */
     parseReleaseTag(tag) {
         const parts = tag.split('__');
-        if (parts.length !== 3) return null;
+        // GitHub owners never contain a dot, hosts always do
+        const host = parts.length > 3 && parts[0].includes('.') ? parts.shift() : Forges.DEFAULT_HOST;
+        if (parts.length !== 3 && parts.length !== 4) return null;
         return {
+            host,
             owner: parts[0],
             repo: parts[1],
-            date: parts[2]
+            date: parts[2],
+            // Ref slug; metadata.json carries the exact ref name
+            ref: parts[3] || null
         };
     },
 
@@ -0,0 +1,202 @@
+/**
+ * Git-Archiver Web - Bulk submission batches
+ *
+ * /bulk-submit stores the URLs as a batch and answers straight away, as does
+ * /submit for an owner URL with the owner's repositories; the entries are then
+ * submitted one by one after the response, via waitUntil.
+ * waitUntil only keeps a worker alive for about 30 seconds, so each run works
+ * through the batch for BATCH_SLICE_MS and saves where it stopped. The worker's
+ * scheduled handler (a cron trigger in wrangler.toml) resumes unfinished batches
+ * whose lease has expired, so a batch completes without anyone reading it.
+ * Reading a batch (GET /batches/:id) resumes it the same way, which keeps
+ * batches moving when the cron trigger is missing or behind.
+ *
+ * KV layout (BATCHES namespace):
+ * - batch:<id>    batch record: submitted entries plus one result per entry
+ * - active:<id>   empty marker while the batch is unfinished, for the scheduled handler
+ *
+ * KV accepts about one write per second per key, so progress is saved at most
+ * every SAVE_INTERVAL_MS. Records expire after BATCH_TTL_SECONDS.
+ */
+
+// Time a run spends taking new entries; one slow entry may run past it
+const BATCH_SLICE_MS = 20000;
+// Long enough that a run has finished before another may start
+const BATCH_LEASE_MS = 45000;
+const SAVE_INTERVAL_MS = 1500;
+const BATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Batches one scheduled run resumes, one slice each, one after another
+const SCHEDULED_BATCHES = 2;
+
+const ACTIVE_PREFIX = 'active:';
+
+function randomHex(byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function entryUrl(entry) {
+    const url = entry !== null && typeof entry === 'object' ? entry.url : entry;
+    return typeof url === 'string' ? url.trim() : url;
+}
+
+async function saveBatch(env, batch) {
+    batch.updated_at = new Date().toISOString();
+    await env.BATCHES.put(`batch:${batch.id}`, JSON.stringify(batch), { expirationTtl: BATCH_TTL_SECONDS });
+}
+
+/**
+ * Store a new batch, leased to the run the caller starts next
+ *
+ * @param {object} env - Worker env with the BATCHES binding
+ * @param {Array} entries - URL strings or { url, ref, mode, full_project } objects
+ * @param {object} options - { owner } when the batch archives a whole user or organization
+ * @returns {Promise<object>} The batch record
+ */
+export async function createBatch(env, entries, { owner = null } = {}) {
+    const batch = {
+        id: randomHex(8),
+        owner,
+        status: 'queued',
+        created_at: new Date().toISOString(),
+        completed_at: null,
+        lease_until: Date.now() + BATCH_LEASE_MS,
+        entries,
+        results: entries.map(entry => ({ url: entryUrl(entry), state: 'pending' }))
+    };
+    await saveBatch(env, batch);
+    await env.BATCHES.put(`${ACTIVE_PREFIX}${batch.id}`, '', { expirationTtl: BATCH_TTL_SECONDS });
+    return batch;
+}
+
+/**
+ * Load a batch record
+ *
+ * @returns {Promise<object|null>} The batch, or null when unknown or expired
+ */
+export async function loadBatch(env, id) {
+    return await env.BATCHES.get(`batch:${id}`, { type: 'json' });
+}
+
+/**
+ * Take over an unfinished batch whose last run has stopped
+ * KV has no compare-and-swap, so two readers can both claim a batch; entries
+ * they both submit are caught by the duplicate-request check.
+ *
+ * @returns {Promise<boolean>} Whether the caller should start a run
+ */
+export async function claimStalledBatch(env, batch) {
+    if (batch.status === 'completed' || Date.now() < batch.lease_until) {
+        return false;
+    }
+
+    batch.lease_until = Date.now() + BATCH_LEASE_MS;
+    await saveBatch(env, batch);
+    return true;
+}
+
+/**
+ * Submit the pending entries of a batch until done or out of time
+ *
+ * @param {object} env - Worker env with the BATCHES binding
+ * @param {object} batch - A batch the caller has leased
+ * @param {Function} submitEntry - async (entry) => per-URL result { url, success, error?, ... }
+ * @param {object} logger - Request logger
+ */
+export async function runBatch(env, batch, submitEntry, logger) {
+    const deadline = Date.now() + BATCH_SLICE_MS;
+    let lastSave = Date.now();
+    batch.status = 'processing';
+
+    for (let i = 0; i < batch.entries.length && Date.now() < deadline; i++) {
+        if (batch.results[i].state !== 'pending') {
+            continue;
+        }
+
+        batch.results[i] = { ...await submitEntry(batch.entries[i]), state: 'done' };
+        if (Date.now() - lastSave >= SAVE_INTERVAL_MS) {
+            await saveBatch(env, batch);
+            lastSave = Date.now();
+        }
+    }
+
+    const pending = batch.results.filter(r => r.state === 'pending').length;
+    if (pending === 0) {
+        batch.status = 'completed';
+        batch.completed_at = new Date().toISOString();
+    } else {
+        // Let the next scheduled run or read pick it up without waiting out the lease
+        batch.lease_until = Date.now();
+    }
+    await saveBatch(env, batch);
+    if (pending === 0) {
+        await env.BATCHES.delete(`${ACTIVE_PREFIX}${batch.id}`);
+    }
+
+    logger.info(pending === 0 ? 'Batch completed' : 'Batch paused', { batchId: batch.id, pending });
+}
+
+/**
+ * Resume unfinished batches whose last run has stopped
+ * Called from the worker's scheduled handler. Each batch is claimed just before
+ * its slice runs, so a lease never covers time spent on another batch.
+ *
+ * @param {object} env - Worker env with the BATCHES binding
+ * @param {Function} submitEntry - As for runBatch
+ * @param {object} logger - Logger for the scheduled run
+ * @returns {Promise<number>} How many batches were resumed
+ */
+export async function resumeStalledBatches(env, submitEntry, logger) {
+    const { keys } = await env.BATCHES.list({ prefix: ACTIVE_PREFIX });
+    let resumed = 0;
+
+    for (const { name } of keys) {
+        if (resumed >= SCHEDULED_BATCHES) break;
+
+        const batch = await loadBatch(env, name.slice(ACTIVE_PREFIX.length));
+        if (!batch || batch.status === 'completed') {
+            // Expired, or completed by a run that could not remove its marker
+            await env.BATCHES.delete(name);
+            continue;
+        }
+        if (!await claimStalledBatch(env, batch)) {
+            continue;
+        }
+
+        resumed++;
+        logger.info('Resuming batch', { batchId: batch.id, trigger: 'scheduled' });
+        try {
+            await runBatch(env, batch, submitEntry, logger);
+        } catch (error) {
+            logger.error('Batch processing error', { batchId: batch.id, error: error.message });
+        }
+    }
+
+    return resumed;
+}
+
+/**
+ * The batch as returned by the API, without its raw entries and lease
+ */
+export function publicBatch(batch) {
+    const done = batch.results.filter(r => r.state === 'done');
+    const successful = done.filter(r => r.success).length;
+
+    return {
+        id: batch.id,
+        owner: batch.owner || null,
+        status: batch.status,
+        summary: {
+            total: batch.results.length,
+            processed: done.length,
+            successful,
+            failed: done.length - successful,
+            pending: batch.results.length - done.length
+        },
+        created_at: batch.created_at,
+        updated_at: batch.updated_at,
+        completed_at: batch.completed_at,
+        results: batch.results
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * Git-Archiver Web - CORS policies
+ *
+ * Which browser origins may call the API. Policies are origin lists read from
+ * the environment:
+ * - read:  ALLOWED_ORIGIN, used by GET routes
+ * - write: ALLOWED_WRITE_ORIGIN, used by routes that change state; defaults to ALLOWED_ORIGIN
+ *
+ * A list is comma- or space-separated. "*" allows any origin, and
+ * "https://*.example.com" allows every subdomain of example.com (not the apex).
+ * Leaving ALLOWED_ORIGIN unset is the same as "*".
+ *
+ * CORS headers are added per request, after the edge cache, which never stores
+ * them (see cachedFetch). When the answer depends on the Origin header the
+ * response says so with Vary: Origin, so browser and shared caches keep one
+ * copy per origin too.
+ */
+
+import { errorResponse } from './http.js';
+
+const ALLOWED_HEADERS = 'Content-Type, Authorization';
+const PREFLIGHT_MAX_AGE_SECONDS = 86400;
+
+// Parsed lists by their source string; the environment is fixed per isolate
+const originListCache = new Map();
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^$()[\]{}|\\/]/g, '\\$&');
+}
+
+/**
+ * Parse an origin list into matchers
+ * Entries that are not scheme://host[:port] origins are ignored.
+ *
+ * @param {string|undefined} value - The configured list
+ * @returns {object} { any, origins: Set, wildcards: RegExp[] }
+ */
+export function parseOriginList(value) {
+    const source = value ?? '*';
+    if (originListCache.has(source)) {
+        return originListCache.get(source);
+    }
+
+    const list = { any: false, origins: new Set(), wildcards: [] };
+    for (const entry of source.split(/[\s,]+/).filter(Boolean)) {
+        const origin = entry.toLowerCase().replace(/\/+$/, '');
+        if (origin === '*') {
+            list.any = true;
+            continue;
+        }
+
+        const match = origin.match(/^([a-z][a-z0-9+.-]*:\/\/)(\*\.)?([a-z0-9.-]+(?::\d{1,5})?)$/);
+        if (!match) continue;
+
+        const [, scheme, wildcard, host] = match;
+        if (wildcard) {
+            list.wildcards.push(new RegExp(`^${escapeRegex(scheme)}(?:[a-z0-9-]+\\.)+${escapeRegex(host)}$`));
+        } else {
+            list.origins.add(origin);
+        }
+    }
+
+    originListCache.set(source, list);
+    return list;
+}
+
+/**
+ * Origin list for a policy
+ *
+ * @param {object} env - Environment bindings
+ * @param {string} policy - 'read' or 'write'
+ */
+export function allowedOrigins(env, policy) {
+    const value = policy === 'write' ? env.ALLOWED_WRITE_ORIGIN ?? env.ALLOWED_ORIGIN : env.ALLOWED_ORIGIN;
+    return parseOriginList(value);
+}
+
+/**
+ * Check an Origin header value against a parsed list
+ */
+export function isOriginAllowed(origin, list) {
+    if (list.any) {
+        return true;
+    }
+    const normalized = origin.toLowerCase();
+    return list.origins.has(normalized) || list.wildcards.some(pattern => pattern.test(normalized));
+}
+
+/**
+ * Copy a response with the CORS headers for this request's origin
+ * "*" lists answer every origin the same way; other lists echo an allowed
+ * origin and always add Vary: Origin.
+ *
+ * @param {Response} response
+ * @param {string|null} origin - The request's Origin header
+ * @param {object} list - Parsed origin list
+ * @param {object} extra - Additional headers to set (preflight)
+ */
+export function withCorsHeaders(response, origin, list, extra = {}) {
+    const headers = new Headers(response.headers);
+    headers.delete('Access-Control-Allow-Origin');
+
+    if (list.any) {
+        headers.set('Access-Control-Allow-Origin', '*');
+    } else {
+        const vary = headers.get('Vary');
+        if (!vary || !/(^|,)\s*origin\s*(,|$)/i.test(vary)) {
+            headers.set('Vary', vary ? `${vary}, Origin` : 'Origin');
+        }
+        if (origin && isOriginAllowed(origin, list)) {
+            headers.set('Access-Control-Allow-Origin', origin);
+        }
+    }
+
+    if (headers.has('Access-Control-Allow-Origin')) {
+        for (const [name, value] of Object.entries(extra)) {
+            headers.set(name, value);
+        }
+    }
+
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Middleware applying a CORS policy to a route
+ * A request from an origin outside the policy is refused with 403 before any
+ * other work (and before it is charged to a rate limit). Requests without an
+ * Origin header, from servers and scripts, are not affected.
+ *
+ * @param {string} policy - 'read' or 'write'
+ */
+export function cors(policy) {
+    return async (c, next) => {
+        const list = allowedOrigins(c.env, policy);
+        const origin = c.request.headers.get('Origin');
+
+        if (origin && !isOriginAllowed(origin, list)) {
+            c.logger.warn('Origin not allowed', { origin, policy });
+            return withCorsHeaders(errorResponse(403, 'Origin not allowed'), origin, list);
+        }
+
+        return withCorsHeaders(await next(), origin, list);
+    };
+}
+
+/**
+ * Answer a CORS preflight for a route
+ * An origin outside the policy gets the 204 without Allow-Origin, which the
+ * browser treats as a refusal.
+ *
+ * @param {Request} request
+ * @param {object} list - Parsed origin list of the route's policy
+ * @param {string[]} methods - Methods served on the path
+ */
+export function preflightResponse(request, list, methods) {
+    return withCorsHeaders(new Response(null, { status: 204 }), request.headers.get('Origin'), list, {
+        'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+        'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+        'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE_SECONDS)
+    });
+}
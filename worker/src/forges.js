@@ -0,0 +1,330 @@
+/**
+ * Git-Archiver Web - Forge providers
+ *
+ * API calls for each source forge named in frontend/js/forges.js: whether a
+ * repository exists (and is public, archived, how large), which branch, tag or
+ * commit a ref names, and whether the source is still online for /status.
+ * Every provider answers in the shape the GitHub code always used, so the
+ * submission and status handlers do not care where a repository lives.
+ *
+ * Self-hosted GitLab and Gitea/Forgejo instances are enabled with FORGE_HOSTS,
+ * e.g. "gitlab.example.org=gitlab,git.example.net=gitea". GitHub and gists are
+ * reached with GITHUB_TOKEN when set; the other forges are called anonymously.
+ *
+ * FORGE_API_BASES points a host's API somewhere else, e.g. a proxy or a fake
+ * forge in tests: "gitlab.com=http://127.0.0.1:8080/api/v4", replacing the API
+ * root each provider's apiBase() gives.
+ */
+
+import Forges from '../../frontend/js/forges.js';
+import { fetchWithRetry } from './http.js';
+
+const USER_AGENT = 'Git-Archiver-Worker/1.0';
+const COMMIT_SHA_REGEX = /^[a-f0-9]{7,40}$/i;
+
+function githubHeaders(env) {
+    const headers = { 'Accept': 'application/vnd.github.v3+json', 'User-Agent': USER_AGENT };
+    // Use auth if available to avoid rate limits
+    if (env?.GITHUB_TOKEN) {
+        headers['Authorization'] = `token ${env.GITHUB_TOKEN}`;
+    }
+    return headers;
+}
+
+// Per forge: the API root for a host, the repository's path under it, request
+// headers, how its repository record maps onto { private, archived, size,
+// description }, and where refs are looked up. A ref lookup's sha() returns
+// undefined when the answer is not an exact match for the ref.
+const PROVIDERS = {
+    github: {
+        apiBase: () => 'https://api.github.com',
+        repoPath: ({ owner, repo }) => `/repos/${owner}/${repo}`,
+        headers: githubHeaders,
+        repository: data => ({
+            private: data.private,
+            archived: data.archived,
+            size: data.size * 1024, // GitHub reports in KB
+            description: data.description
+        }),
+        refs: [
+            // Prefix matches come back as an array; only an exact ref counts
+            ['branch', ref => `/git/ref/heads/${encodePath(ref)}`, data => Array.isArray(data) ? undefined : data.object?.sha || null],
+            ['tag', ref => `/git/ref/tags/${encodePath(ref)}`, data => Array.isArray(data) ? undefined : data.object?.sha || null]
+        ],
+        commit: [sha => `/commits/${sha}`, data => data.sha]
+    },
+    gitlab: {
+        apiBase: ({ host }) => `https://${host}/api/v4`,
+        repoPath: ({ owner, repo }) => `/projects/${encodeURIComponent(`${owner}/${repo}`)}`,
+        headers: () => ({ 'Accept': 'application/json', 'User-Agent': USER_AGENT }),
+        repository: data => ({
+            private: data.visibility !== undefined && data.visibility !== 'public',
+            archived: Boolean(data.archived),
+            // Only reported to project members; the workflow checks the clone instead
+            size: data.statistics?.repository_size ?? null,
+            description: data.description
+        }),
+        refs: [
+            ['branch', ref => `/repository/branches/${encodeURIComponent(ref)}`, data => data.commit?.id || null],
+            ['tag', ref => `/repository/tags/${encodeURIComponent(ref)}`, data => data.commit?.id || null]
+        ],
+        commit: [sha => `/repository/commits/${sha}`, data => data.id]
+    },
+    gitea: {
+        apiBase: ({ host }) => `https://${host}/api/v1`,
+        repoPath: ({ owner, repo }) => `/repos/${owner}/${repo}`,
+        headers: () => ({ 'Accept': 'application/json', 'User-Agent': USER_AGENT }),
+        repository: data => ({
+            private: Boolean(data.private || data.internal),
+            archived: Boolean(data.archived),
+            size: data.size * 1024, // Gitea reports in KB
+            description: data.description
+        }),
+        refs: [
+            ['branch', ref => `/branches/${encodePath(ref)}`, data => data.commit?.id || null],
+            ['tag', ref => `/tags/${encodePath(ref)}`, data => data.commit?.sha || null]
+        ],
+        commit: [sha => `/git/commits/${sha}`, data => data.sha]
+    },
+    bitbucket: {
+        apiBase: () => 'https://api.bitbucket.org/2.0',
+        repoPath: ({ owner, repo }) => `/repositories/${owner}/${repo}`,
+        headers: () => ({ 'Accept': 'application/json', 'User-Agent': USER_AGENT }),
+        repository: data => ({
+            private: data.is_private,
+            // Bitbucket has no read-only archive state
+            archived: false,
+            size: data.size ?? null,
+            description: data.description
+        }),
+        refs: [
+            ['branch', ref => `/refs/branches/${encodePath(ref)}`, data => data.target?.hash || null],
+            ['tag', ref => `/refs/tags/${encodePath(ref)}`, data => data.target?.hash || null]
+        ],
+        commit: [sha => `/commit/${sha}`, data => data.hash]
+    },
+    gist: {
+        // The gist id is the repo; the owner is checked by checkGist()
+        apiBase: () => 'https://api.github.com',
+        repoPath: ({ repo }) => `/gists/${repo}`,
+        headers: githubHeaders,
+        repository: data => ({
+            // Secret gists are readable by anyone with the id, but not public
+            private: !data.public,
+            archived: false,
+            size: Object.values(data.files || {}).reduce((total, file) => total + (file.size || 0), 0),
+            description: data.description,
+            owner: data.owner?.login || null,
+            files: Object.keys(data.files || {})
+        }),
+        // Gists are archived at their latest revision
+        refs: [],
+        commit: null
+    }
+};
+
+function encodePath(ref) {
+    return ref.split('/').map(encodeURIComponent).join('/');
+}
+
+function providerOf(source) {
+    return PROVIDERS[source.forge || 'github'];
+}
+
+/**
+ * API root overrides configured in FORGE_API_BASES
+ * Entries that are not http(s) URLs are ignored.
+ *
+ * @returns {object} hostname -> API root without a trailing slash
+ */
+export function forgeApiBases(env) {
+    const bases = {};
+    for (const entry of String(env?.FORGE_API_BASES || '').split(',')) {
+        const separator = entry.indexOf('=');
+        const host = entry.slice(0, separator).trim().toLowerCase();
+        const base = entry.slice(separator + 1).trim().replace(/\/+$/, '');
+        if (separator > 0 && host && /^https?:\/\/[^\s]+$/.test(base)) {
+            bases[host] = base;
+        }
+    }
+    return bases;
+}
+
+/**
+ * The API URL of a source's repository (or gist) record
+ */
+function repoApi(source, env) {
+    const provider = providerOf(source);
+    const host = source.host || Forges.DEFAULT_HOST;
+    const base = forgeApiBases(env)[host] || provider.apiBase({ ...source, host });
+    return `${base}${provider.repoPath(source)}`;
+}
+
+/**
+ * Self-hosted instances configured in FORGE_HOSTS
+ * Entries for unknown forges, or forges that cannot be self-hosted, are ignored.
+ *
+ * @returns {object} hostname -> forge id, for Forges.parseRepoUrl()
+ */
+export function forgeHosts(env) {
+    const hosts = {};
+    for (const entry of String(env?.FORGE_HOSTS || '').split(',')) {
+        const [host, forge] = entry.split('=').map(part => part.trim().toLowerCase());
+        if (host && Forges.PROVIDERS[forge]?.selfHosted) {
+            hosts[host] = forge;
+        }
+    }
+    return hosts;
+}
+
+/**
+ * The forge serving a host, including the configured self-hosted instances
+ * @returns {string|null} Forge id, or null for unsupported hosts
+ */
+export function forgeOf(host, env) {
+    return Forges.forgeOf(host, forgeHosts(env));
+}
+
+/**
+ * Check that a repository exists and read its visibility and size
+ * Gists are checked by checkGist().
+ * Fail-closed: returns { exists: false, error: message } on any failure
+ *
+ * @param {object} source - { forge, host, owner, repo }
+ * @returns {object} { exists, private, archived, size, description } - size in bytes, null when the forge does not report it
+ */
+export async function checkRepository(source, env) {
+    if (source.forge === 'gist') {
+        return checkGist(source, env);
+    }
+    return fetchRepository(source, env);
+}
+
+/**
+ * Check that a gist exists, belongs to the user in its URL, and read its size and files
+ * gist.github.com serves a gist under any user name, so a URL naming someone
+ * else counts as not found rather than archiving it under the wrong owner.
+ * Fail-closed: returns { exists: false, error: message } on any failure
+ *
+ * @param {object} source - { forge: 'gist', host, owner, repo } with the gist id as repo
+ * @returns {object} { exists, private, archived, size, description, owner, files } - size in bytes
+ */
+export async function checkGist(source, env) {
+    const gist = await fetchRepository(source, env);
+
+    if (gist.exists && gist.owner?.toLowerCase() !== source.owner.toLowerCase()) {
+        return { exists: false };
+    }
+
+    return gist;
+}
+
+async function fetchRepository(source, env) {
+    const provider = providerOf(source);
+    const forgeName = Forges.name(source.forge);
+
+    try {
+        const response = await fetchWithRetry(repoApi(source, env), { headers: provider.headers(env) });
+
+        if (response.status === 404) {
+            return { exists: false };
+        }
+
+        if (!response.ok) {
+            return { exists: false, error: `${forgeName} API error: ${response.status}` };
+        }
+
+        return { exists: true, ...provider.repository(await response.json()) };
+    } catch (error) {
+        console.error('Repository check error:', error);
+        // Fail closed - do not allow archive requests when we can't verify the repo
+        return { exists: false, error: `Failed to verify repository: ${error.message}` };
+    }
+}
+
+/**
+ * Resolve a branch, tag or commit against the forge's API
+ * Lookup order follows git: branches, then tags, then commit SHAs. Commit SHAs
+ * are expanded to the full hash so the workflow can fetch them directly.
+ * Fail-closed: returns { exists: false, error: message } on any failure
+ *
+ * @param {object} source - { forge, host, owner, repo }
+ * @returns {object} { exists, type: 'branch' | 'tag' | 'commit', name, sha }
+ */
+export async function resolveRef(source, ref, env) {
+    const provider = providerOf(source);
+    const forgeName = Forges.name(source.forge);
+
+    try {
+        const headers = provider.headers(env);
+        const repoUrl = repoApi(source, env);
+
+        for (const [type, path, sha] of provider.refs) {
+            const response = await fetchWithRetry(`${repoUrl}${path(ref)}`, { headers });
+
+            if (response.ok) {
+                const refSha = sha(await response.json());
+                if (refSha !== undefined) {
+                    return { exists: true, type, name: ref, sha: refSha };
+                }
+            } else if (response.status !== 404) {
+                return { exists: false, error: `${forgeName} API error: ${response.status}` };
+            }
+        }
+
+        if (!provider.commit || !COMMIT_SHA_REGEX.test(ref)) {
+            return { exists: false };
+        }
+
+        const [commitPath, commitSha] = provider.commit;
+        const response = await fetchWithRetry(`${repoUrl}${commitPath(ref)}`, { headers });
+
+        // 422 means the SHA is not a commit in this repository
+        if (response.status === 404 || response.status === 422) {
+            return { exists: false };
+        }
+
+        if (!response.ok) {
+            return { exists: false, error: `${forgeName} API error: ${response.status}` };
+        }
+
+        const fullSha = commitSha(await response.json());
+        return { exists: true, type: 'commit', name: fullSha, sha: fullSha };
+    } catch (error) {
+        console.error('Ref check error:', error);
+        return { exists: false, error: `Failed to verify ref: ${error.message}` };
+    }
+}
+
+/**
+ * Check whether a source repository is still online, for /status
+ * A single request without retries, so a slow forge cannot hold up the page.
+ *
+ * @param {object} source - { forge, host, owner, repo }
+ * @returns {object} { status: 'active' | 'archived' | 'deleted' | 'dmca' | 'unknown', httpStatus, private, archived }
+ */
+export async function probeRepository(source, env) {
+    const provider = providerOf(source);
+    const response = await fetch(repoApi(source, env), { headers: provider.headers(env) });
+
+    if (response.status === 404) {
+        return { status: 'deleted', httpStatus: 404 };
+    }
+
+    // GitHub answers 451 for repositories disabled by a DMCA notice
+    if (response.status === 451) {
+        return { status: 'dmca', httpStatus: 451 };
+    }
+
+    if (!response.ok) {
+        return { status: 'unknown', httpStatus: response.status };
+    }
+
+    const repository = provider.repository(await response.json());
+    return {
+        status: repository.archived ? 'archived' : 'active',
+        httpStatus: response.status,
+        private: repository.private,
+        archived: repository.archived
+    };
+}
@@ -0,0 +1,61 @@
+/**
+ * Git-Archiver Web - HTTP helpers
+ *
+ * JSON and error responses shared by the router, its middleware and the handlers,
+ * and the retrying fetch used for GitHub and forge API calls.
+ */
+
+/**
+ * Create JSON response
+ * CORS headers are added per request by the route's policy (see cors.js).
+ */
+export function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Create error response
+ */
+export function errorResponse(status, message) {
+    return jsonResponse({ error: message }, status);
+}
+
+/**
+ * Fetch with retry logic for handling transient failures
+ * Implements exponential backoff with respect for Retry-After headers
+ */
+export async function fetchWithRetry(url, options = {}, maxAttempts = 3) {
+    let lastError;
+    let delay = 1000;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            const response = await fetch(url, options);
+
+            if (response.status === 429) {
+                const retryAfter = response.headers.get('Retry-After');
+                delay = retryAfter ? parseInt(retryAfter) * 1000 : delay * 2;
+                throw new Error(`Rate limited, retry after ${delay}ms`);
+            }
+
+            if (response.status >= 500) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+
+            return response;
+        } catch (error) {
+            lastError = error;
+            console.error(`Attempt ${attempt}/${maxAttempts} failed:`, error.message);
+
+            if (attempt < maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay = Math.min(delay * 2, 30000);
+            }
+        }
+    }
+
+    throw lastError;
+}
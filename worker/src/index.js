@@ -4,12 +4,82 @@
  * This worker handles repository submission requests and creates
  * GitHub issues to trigger the archive workflow.
  *
+ * Endpoints, their parameters and error codes are defined once in the route
+ * table at frontend/js/routes.js, shared with the site's API client. Each
+ * request runs through its route's middleware chain (see ROUTE_CONFIG and
+ * router.js): rate limiting, credentials, body parsing, validation, caching.
+ *
  * Environment variables required:
  * - GITHUB_TOKEN: Personal Access Token with repo scope
  * - GITHUB_OWNER: Repository owner (your username)
  * - GITHUB_REPO: Repository name (git-archiver-web)
+ *
+ * Bindings:
+ * - RATE_LIMITER: Durable Object namespace for the RateLimiter class
+ *
+ * Optional:
+ * - ADMIN_TOKEN: Bearer token for the /admin routes
+ * - API_KEYS: KV namespace holding hashed API keys for integrations
+ * - WEBHOOKS: KV namespace holding webhook subscriptions (enables /webhooks)
+ * - WEBHOOK_DISPATCH_TOKEN: Bearer token archive.yml uses to report finished jobs
+ * - PROVENANCE_PUBLIC_KEY: Ed25519 public key (PEM) matching archive.yml's signing key (enables /pubkey, /verify)
+ * - MODERATION: KV namespace holding the blocklist and takedowns (enables /admin/blocklist, /admin/takedowns)
+ * - BATCHES: KV namespace holding bulk submission batches (enables /batches, bulk submissions over 20 URLs)
+ * - ALLOWED_ORIGIN: Origins browsers may call the API from (default "*"; see cors.js)
+ * - ALLOWED_WRITE_ORIGIN: Origins for routes that change state (default ALLOWED_ORIGIN)
+ * - FORGE_HOSTS: Self-hosted GitLab/Gitea instances, e.g. "git.example.org=gitlab" (see forges.js)
  */
 
+import Routes from '../../frontend/js/routes.js';
+import Manifests from '../../frontend/js/manifests.js';
+import Forges from '../../frontend/js/forges.js';
+import { RateLimiter, checkLocalRateLimit } from './rate-limiter.js';
+import { readTarEntries } from './tar.js';
+import {
+    ARCHIVE_EVENTS,
+    MAX_WEBHOOKS_PER_KEY,
+    UNAVAILABLE_STATUSES,
+    createSubscription,
+    deleteSubscription,
+    dispatchEvent,
+    listSubscriptions,
+    publicSubscription,
+    recordSourceStatus,
+    validateWebhookEvents,
+    validateWebhookUrl
+} from './webhooks.js';
+import {
+    PROVENANCE_ASSET,
+    describePublicKey,
+    loadPublicKey,
+    verifyAttestation
+} from './provenance.js';
+import {
+    addBlockRule,
+    addTakedown,
+    applyTakedowns,
+    findBlockRule,
+    findTakedown,
+    listBlockRules,
+    loadModeration,
+    loadTakedowns,
+    matchModeration,
+    normalizeBlockPattern,
+    removeBlockRule,
+    removeTakedown
+} from './moderation.js';
+import { claimStalledBatch, createBatch, loadBatch, publicBatch, resumeStalledBatches, runBatch } from './batches.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { deriveJobStatus, parseRequestIssueBody } from './jobs.js';
+import { searchIndex } from './search.js';
+import { createRouter, mapErrors, parseJsonBody, validateParams } from './router.js';
+import { jsonResponse, errorResponse, fetchWithRetry } from './http.js';
+import { checkRepository, forgeHosts, forgeOf, probeRepository, resolveRef } from './forges.js';
+import { allowedOrigins, cors, preflightResponse, withCorsHeaders } from './cors.js';
+
+// Durable Object classes must be exported from the main module
+export { RateLimiter };
+
 /**
  * Logger class for structured logging with request tracking
  */
@@ -107,9 +177,190 @@ function validateGitHubName(name, type = 'owner') {
     return { valid: true };
 }
 
+/**
+ * Validate owner/repo names of any forge
+ * GitHub names follow validateGitHubName(); other forges allow longer names
+ * with the same characters and the same rule for the first and last one.
+ */
+function validateForgeName(name, type, forge) {
+    if (forge === 'github') {
+        return validateGitHubName(name, type);
+    }
+
+    const maxLength = Forges.PROVIDERS[forge].maxNameLength;
+    if (!name || typeof name !== 'string' || name.length > maxLength) {
+        return { valid: false, error: `${type} must be 1-${maxLength} characters` };
+    }
+
+    if (!FORGE_NAME_REGEX.test(name)) {
+        return { valid: false, error: `${type} contains invalid characters or format` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate a branch, tag or commit name
+ * - 1-200 characters of alphanumerics, ".", "_", "-" and "/"
+ * - Cannot start with "-", ".", or "/" (keeps refs from being read as git options)
+ * - No "..", "//", trailing "/" or ".", or ".lock" suffix (git ref rules)
+ */
+function validateGitRef(ref) {
+    if (!ref || typeof ref !== 'string') {
+        return { valid: false, error: 'ref must be a non-empty string' };
+    }
+
+    if (ref.length > MAX_REF_LENGTH) {
+        return { valid: false, error: `ref must be at most ${MAX_REF_LENGTH} characters` };
+    }
+
+    if (!GIT_REF_REGEX.test(ref) ||
+        ref.includes('..') ||
+        ref.includes('//') ||
+        ref.endsWith('/') ||
+        ref.endsWith('.') ||
+        ref.endsWith('.lock')) {
+        return { valid: false, error: 'ref contains invalid characters or format' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Parse a submitted repository URL and optional ref
+ * Accepts repository URLs of every supported forge (see frontend/js/forges.js),
+ * e.g. https://github.com/owner/repo or https://gitlab.com/owner/repo/-/tree/<ref>,
+ * and gists (https://gist.github.com/user/id), which take no ref.
+ * An explicit ref field takes precedence over a ref embedded in the URL.
+ *
+ * @param {*} rawUrl - Submitted URL
+ * @param {*} rawRef - Submitted ref field (optional)
+ * @param {object} env - Worker env, for the self-hosted forges in FORGE_HOSTS
+ * @returns {object} { valid, forge, host, owner, repo, ref, error } - ref is null for the default branch
+ */
+function parseRepoSubmission(rawUrl, rawRef, env) {
+    const repoUrl = typeof rawUrl === 'string' ? rawUrl.trim() : '';
+    if (!repoUrl) {
+        return { valid: false, error: 'Missing URL' };
+    }
+
+    // Check URL length before regex to prevent ReDoS
+    if (repoUrl.length > MAX_URL_LENGTH) {
+        return { valid: false, error: 'URL too long' };
+    }
+
+    const parsed = Forges.parseRepoUrl(repoUrl, forgeHosts(env));
+    if (!parsed) {
+        return { valid: false, error: 'Invalid repository URL. Format: https://github.com/owner/repo, https://github.com/owner/repo/tree/<ref>, or the same on GitLab, Codeberg/Gitea or Bitbucket, or a gist (https://gist.github.com/user/id)' };
+    }
+
+    const { forge, host, owner, repo, ref: urlRef } = parsed;
+
+    // Validate owner and repo names against the forge's naming rules
+    const ownerValidation = validateForgeName(owner, 'owner', forge);
+    if (!ownerValidation.valid) {
+        return ownerValidation;
+    }
+
+    const repoValidation = validateForgeName(repo, 'repo', forge);
+    if (!repoValidation.valid) {
+        return repoValidation;
+    }
+
+    let ref = null;
+    if (rawRef !== undefined && rawRef !== null && rawRef !== '') {
+        if (typeof rawRef !== 'string') {
+            return { valid: false, error: 'ref must be a string' };
+        }
+        ref = rawRef.trim();
+    } else if (urlRef) {
+        try {
+            ref = decodeURIComponent(urlRef);
+        } catch (error) {
+            return { valid: false, error: 'ref contains invalid characters or format' };
+        }
+    }
+
+    if (ref !== null) {
+        // Gists have no branches or tags to choose from
+        if (!Forges.PROVIDERS[forge].refPath) {
+            return { valid: false, error: `ref is not supported for ${Forges.name(forge)}; the latest revision is archived` };
+        }
+
+        const refValidation = validateGitRef(ref);
+        if (!refValidation.valid) {
+            return refValidation;
+        }
+    }
+
+    return { valid: true, forge, host, owner, repo, ref };
+}
+
+/**
+ * Validate the archive mode of a submission
+ * @returns {object} { valid, mode, error } - mode defaults to "snapshot"
+ */
+function parseArchiveMode(rawMode) {
+    if (rawMode === undefined || rawMode === null || rawMode === '') {
+        return { valid: true, mode: DEFAULT_ARCHIVE_MODE };
+    }
+
+    if (typeof rawMode !== 'string' || !Object.hasOwn(ARCHIVE_MODES, rawMode)) {
+        return { valid: false, error: `mode must be one of: ${Object.keys(ARCHIVE_MODES).join(', ')}` };
+    }
+
+    return { valid: true, mode: rawMode };
+}
+
+/**
+ * Check a repository's size against the budget for an archive mode
+ * @param {object} repoCheck - Result of checkRepository()
+ * @param {string} mode - Archive mode
+ * @returns {string|null} Error message, or null when within budget or of unknown size
+ */
+function checkSizeBudget(repoCheck, mode) {
+    const { maxSizeBytes } = ARCHIVE_MODES[mode];
+    // Forges that do not report a size are checked by the workflow after cloning
+    if (repoCheck.size === null || repoCheck.size <= maxSizeBytes) {
+        return null;
+    }
+
+    const label = mode === 'mirror' ? 'Repository too large for a mirror archive' : 'Repository too large';
+    return `${label} (${formatBytes(repoCheck.size)}). Maximum size is ${formatBytes(maxSizeBytes)}.`;
+}
+
+/**
+ * Turn a ref into the release tag suffix, e.g. "release/1.x" -> "release-1.x"
+ * Must stay in sync with the REF_SLUG computation in archive.yml
+ */
+function refSlug(ref) {
+    return ref.replace(/[^a-zA-Z0-9._-]/g, '-');
+}
+
+/**
+ * Build the release tag for an archive
+ * Default-branch archives: owner__repo__YYYY-MM-DD (host__owner__repo__YYYY-MM-DD
+ * outside GitHub); ref archives add __<ref slug>
+ *
+ * @param {object} source - { host, owner, repo }
+ */
+function buildReleaseTag(source, date, ref = null) {
+    const tag = `${Forges.releasePrefix(source)}${date}`;
+    return ref ? `${tag}__${refSlug(ref)}` : tag;
+}
+
 // Constants
 const MAX_REPO_SIZE_BYTES = 2 * 1024 * 1024 * 1024; // 2GB limit
-const MAX_BULK_URLS = 20;
+// Mirror bundles carry full history, so roughly the whole packed repo (the size GitHub
+// reports) lands in one release asset. Keep well under the 2GB asset cap.
+const MAX_MIRROR_SIZE_BYTES = 1024 * 1024 * 1024; // 1GB limit
+
+// Archive modes: "snapshot" is the shallow tarball; "mirror" also attaches a full-history git bundle
+const ARCHIVE_MODES = {
+    snapshot: { maxSizeBytes: MAX_REPO_SIZE_BYTES },
+    mirror: { maxSizeBytes: MAX_MIRROR_SIZE_BYTES }
+};
+const DEFAULT_ARCHIVE_MODE = 'snapshot';
 
 // Rate limiting configuration per endpoint
 const RATE_LIMITS = {
@@ -117,61 +368,114 @@ const RATE_LIMITS = {
     bulkSubmit: { limit: 3, windowSeconds: 3600 },    // 3 requests per hour
     index: { limit: 60, windowSeconds: 60 },          // 60 requests per minute
     status: { limit: 30, windowSeconds: 60 },         // 30 requests per minute
-    readme: { limit: 30, windowSeconds: 60 }          // 30 requests per minute
+    readme: { limit: 30, windowSeconds: 60 },         // 30 requests per minute
+    jobs: { limit: 60, windowSeconds: 60 },           // 60 requests per minute
+    search: { limit: 60, windowSeconds: 60 },         // 60 requests per minute
+    versions: { limit: 30, windowSeconds: 60 },       // 30 requests per minute
+    project: { limit: 30, windowSeconds: 60 },        // 30 requests per minute
+    webhooks: { limit: 30, windowSeconds: 60 },       // 30 requests per minute
+    feed: { limit: 60, windowSeconds: 60 },           // 60 requests per minute
+    files: { limit: 30, windowSeconds: 60 },          // 30 requests per minute
+    compare: { limit: 10, windowSeconds: 60 },        // 10 requests per minute (reads two archives)
+    provenance: { limit: 30, windowSeconds: 60 },     // 30 requests per minute
+    batches: { limit: 60, windowSeconds: 60 },        // 60 requests per minute (the bulk modal polls every few seconds)
+    manifests: { limit: 20, windowSeconds: 3600 },    // 20 requests per hour (each makes up to 40 registry lookups)
+    admin: { limit: 30, windowSeconds: 60 }           // 30 requests per minute (per IP, slows token guessing)
 };
 
+// Set once the local-rate-limiter warning has been logged by this isolate
+let warnedLocalRateLimiter = false;
+
 // Cache TTL configuration (in seconds)
 const CACHE_TTL = {
     index: 300,      // 5 minutes
     status: 60,      // 1 minute
-    readme: 3600     // 1 hour
+    readme: 3600,    // 1 hour
+    jobs: 15,        // 15 seconds
+    search: 300,     // 5 minutes (same as the index it is built from)
+    versions: 600,   // 10 minutes
+    project: 3600,   // 1 hour (project exports never change once released)
+    feed: 300,       // 5 minutes (same as the index it is built from)
+    files: 3600,     // 1 hour (same as readme)
+    compare: 86400   // 1 day (both tags are immutable)
 };
 
-// GitHub URL validation regex with length limits to prevent ReDoS
-// Max length for GitHub usernames/repos is 39 chars, but we allow up to 100 for safety
-const GITHUB_URL_REGEX = /^https?:\/\/github\.com\/([a-zA-Z0-9_.-]{1,100})\/([a-zA-Z0-9_.-]{1,100})\/?$/;
+// Repository URLs are parsed by Forges.parseRepoUrl (frontend/js/forges.js)
 const MAX_URL_LENGTH = 300; // Prevent ReDoS by checking length before regex
 
+// Owner URLs: https://github.com/<owner> archives every repository of a user or organization
+const GITHUB_OWNER_URL_REGEX = /^https?:\/\/github\.com\/([a-zA-Z0-9_.-]{1,100})\/?$/;
+
+// Branch, tag or commit names accepted for ref archiving. Deliberately stricter than
+// git-check-ref-format so refs are safe in shell, URLs and release tags.
+const GIT_REF_REGEX = /^[a-zA-Z0-9_][a-zA-Z0-9._\/-]*$/;
+const MAX_REF_LENGTH = 200;
+
+// Full-project exports are JSON lines, gzipped, one record per issue, PR, comment, release or wiki page
+const PROJECT_ASSET_SUFFIX = '.project.jsonl.gz';
+const PROJECT_ITEM_TYPES = ['issue', 'pull_request'];
+const RELEASE_TAG_REGEX = /^[a-zA-Z0-9._-]{1,300}$/;
+
+// Browsing files inside archive tarballs (/files and /raw)
+const MAX_TREE_ENTRIES = 20000;
+const MAX_FILE_PATH_LENGTH = 1000;
+const MAX_RAW_FILE_BYTES = 100 * 1024 * 1024; // 100MB
+
+// Comparing two archived versions: /repos/:owner/:repo/compare?base=&head=
+// Both tarballs are downloaded, inflated and hashed in one request, so the
+// budgets cover the two archives together
+const MAX_COMPARE_ARCHIVE_BYTES = 100 * 1024 * 1024; // 100MB compressed
+const MAX_COMPARE_UNPACKED_BYTES = 400 * 1024 * 1024; // 400MB of file data
+
+// Release paging bounds (Workers cap subrequests per invocation)
+const RELEASES_PER_PAGE = 100;
+const MAX_RELEASE_PAGES = 30;
+// Only the newest versions get their metadata.json fetched inline
+const MAX_VERSION_METADATA = 20;
+
+// API keys: "gaw_" + 32 random bytes as hex, sent as "Authorization: Bearer <key>"
+const API_KEY_PREFIX = 'gaw_';
+const API_KEY_REGEX = /^gaw_[a-f0-9]{64}$/;
+// Upper bounds for per-key overrides of RATE_LIMITS. The sliding window keeps
+// one timestamp per hit in the limiter's storage and rewrites the whole log on
+// every request, so the limit bounds that write.
+const MAX_KEY_RATE_LIMIT = 1000;
+const MAX_KEY_RATE_WINDOW_SECONDS = 86400;
+
+// Longest string /events/archive passes through to webhook payloads
+const MAX_EVENT_FIELD_LENGTH = 500;
+
+// Bulk submissions handled within the request when there is no BATCHES binding
+const MAX_SYNC_BULK_URLS = 20;
+
+// Owner-wide archives: repositories listed (100 per page) and queued per request.
+// Queueing charges the bulkSubmit limit, so the cap matches a /bulk-submit batch.
+const MAX_OWNER_REPO_PAGES = 10;
+const MAX_OWNER_REPOS = 100;
+
+// Dependency manifests: body size (lockfiles get large) and registry lookups
+// per request, which stay within the Workers subrequest limit
+const MAX_MANIFEST_BODY_BYTES = 2 * 1024 * 1024;
+const MAX_MANIFEST_LOOKUPS = 40;
+
+// Atom feed of recently archived repositories
+const FEED_MAX_ENTRIES = 50;
+
+// Queue priority labels on archive-request issues; no label means normal
+const PRIORITY_LABELS = {
+    high: 'priority-high',
+    low: 'priority-low'
+};
+const PRIORITY_ORDER = ['high', 'normal', 'low'];
+
+// Open requests read for the admin queue (100 issues per page)
+const MAX_QUEUE_PAGES = 5;
+
 // GitHub naming rules: alphanumeric, hyphens, underscores, and periods
 // Cannot start with a hyphen or period
 const GITHUB_NAME_REGEX = /^[a-zA-Z0-9]([a-zA-Z0-9._-]{0,38}[a-zA-Z0-9])?$/;
-
-/**
- * Fetch with retry logic for handling transient failures
- * Implements exponential backoff with respect for Retry-After headers
- */
-async function fetchWithRetry(url, options = {}, maxAttempts = 3) {
-    let lastError;
-    let delay = 1000;
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-        try {
-            const response = await fetch(url, options);
-
-            if (response.status === 429) {
-                const retryAfter = response.headers.get('Retry-After');
-                delay = retryAfter ? parseInt(retryAfter) * 1000 : delay * 2;
-                throw new Error(`Rate limited, retry after ${delay}ms`);
-            }
-
-            if (response.status >= 500) {
-                throw new Error(`Server error: ${response.status}`);
-            }
-
-            return response;
-        } catch (error) {
-            lastError = error;
-            console.error(`Attempt ${attempt}/${maxAttempts} failed:`, error.message);
-
-            if (attempt < maxAttempts) {
-                await new Promise(resolve => setTimeout(resolve, delay));
-                delay = Math.min(delay * 2, 30000);
-            }
-        }
-    }
-
-    throw lastError;
-}
+// Other forges: same characters, up to 100 of them
+const FORGE_NAME_REGEX = /^[a-zA-Z0-9]([a-zA-Z0-9._-]{0,98}[a-zA-Z0-9])?$/;
 
 /**
  * Cached fetch helper using Cloudflare's Cache API
@@ -180,14 +484,19 @@ async function fetchWithRetry(url, options = {}, maxAttempts = 3) {
  * @param {Request} request - The original request (used for cache key URL base)
  * @param {string} endpoint - The endpoint name (index, status, readme)
  * @param {Function} fetchFn - Async function that returns the Response to cache
+ * @param {string} variant - Optional state the response depends on besides the URL
  * @returns {Response} - Cached or fresh response with X-Cache header
  */
-async function cachedFetch(request, endpoint, fetchFn) {
+async function cachedFetch(request, endpoint, fetchFn, variant = '') {
     const cache = caches.default;
     const ttl = CACHE_TTL[endpoint] || 60;
 
-    // Create a cache key based on the request URL
-    const cacheKey = new Request(request.url, {
+    // Create a cache key based on the request URL, and the variant when there is one
+    const keyUrl = new URL(request.url);
+    if (variant) {
+        keyUrl.searchParams.set('cache_variant', variant);
+    }
+    const cacheKey = new Request(keyUrl, {
         method: 'GET',
         headers: {}
     });
@@ -211,7 +520,8 @@ async function cachedFetch(request, endpoint, fetchFn) {
 
     // Only cache successful responses
     if (response.status === 200) {
-        // Allowlist of safe headers to prevent cache poisoning
+        // Allowlist of safe headers to prevent cache poisoning. CORS headers are
+        // left out on purpose: they depend on the caller's Origin (see cors.js)
         const safeHeaders = ['content-type', 'content-length', 'etag', 'last-modified'];
         const cacheHeaders = {};
 
@@ -265,6 +575,114 @@ function getClientIP(request) {
     return 'unknown';
 }
 
+/**
+ * Identify the caller for rate limiting
+ * Requests carrying a bearer API key are limited per key with the key's own limits;
+ * requests without one keep the per-IP limits. A bad key is rejected rather than
+ * silently downgraded to IP limits.
+ *
+ * @returns {object} { id, limits, keyId?, label? } or { error, status }
+ */
+async function identifyClient(request, env) {
+    const authorization = request.headers.get('Authorization');
+    if (!authorization) {
+        return { id: getClientIP(request), limits: null };
+    }
+
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (!match || !API_KEY_REGEX.test(match[1])) {
+        return { error: 'Malformed API key', status: 401 };
+    }
+
+    if (!env.API_KEYS) {
+        return { error: 'API keys are not enabled on this deployment', status: 503 };
+    }
+
+    try {
+        const keyHash = await sha256Hex(match[1]);
+        const record = await env.API_KEYS.get(`apikey:${keyHash}`, { type: 'json' });
+
+        if (!record) {
+            return { error: 'Invalid API key', status: 401 };
+        }
+        if (record.revoked) {
+            return { error: 'API key has been revoked', status: 401 };
+        }
+
+        return { id: `key:${record.id}`, keyId: record.id, label: record.label, limits: record.limits || null };
+    } catch (error) {
+        // Fail closed, like rate limiting: an unverifiable key must not bypass limits
+        console.warn('API key lookup failed', { error: error.message });
+        return { error: 'API key service temporarily unavailable - please retry', status: 503 };
+    }
+}
+
+/**
+ * SHA-256 hex digest of a string
+ */
+async function sha256Hex(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate random hex of the given byte length
+ */
+function randomHex(byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare a provided secret with the expected one
+ * Compares digests so the check does not leak timing information about the secret
+ */
+async function secretsMatch(provided, expected) {
+    const [providedHash, expectedHash] = await Promise.all([sha256Hex(provided), sha256Hex(expected)]);
+    let diff = 0;
+    for (let i = 0; i < expectedHash.length; i++) {
+        diff |= providedHash.charCodeAt(i) ^ expectedHash.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * Verify the admin bearer token against the ADMIN_TOKEN secret
+ *
+ * @returns {Response|null} Error response, or null when the caller is an admin
+ */
+async function requireAdmin(request, env) {
+    if (!env.ADMIN_TOKEN) {
+        return errorResponse(503, 'Admin API is not configured');
+    }
+
+    const match = request.headers.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+        return errorResponse(401, 'Admin token required');
+    }
+
+    return await secretsMatch(match[1], env.ADMIN_TOKEN) ? null : errorResponse(403, 'Invalid admin token');
+}
+
+/**
+ * Verify the bearer token archive.yml sends against the WEBHOOK_DISPATCH_TOKEN secret
+ *
+ * @returns {Response|null} Error response, or null when the caller is the workflow
+ */
+async function requireDispatchToken(request, env) {
+    if (!env.WEBHOOK_DISPATCH_TOKEN) {
+        return errorResponse(503, 'Webhooks are not configured');
+    }
+
+    const match = request.headers.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+        return errorResponse(401, 'Dispatch token required');
+    }
+
+    return await secretsMatch(match[1], env.WEBHOOK_DISPATCH_TOKEN) ? null : errorResponse(403, 'Invalid dispatch token');
+}
+
 /**
  * Add X-Request-ID header to a response
  */
@@ -279,355 +697,825 @@ function addRequestIdHeader(response, requestId) {
 }
 
 /**
- * Main request handler
+ * Charge the route's RATE_LIMITS bucket and add X-RateLimit headers to its response
+ * Token-authenticated routes are limited per IP before the token is checked, to
+ * slow down guessing; the rest per API key or IP (see identifyClient).
  */
-export default {
-    async fetch(request, env, ctx) {
-        // Generate request ID for tracking
-        const requestId = generateRequestId();
-        const logger = new Logger(requestId);
-        const url = new URL(request.url);
+async function rateLimit(c, next) {
+    const { request, env, logger, route } = c;
+
+    let client;
+    if (route.auth === 'admin' || route.auth === 'dispatch') {
+        client = { id: getClientIP(request), limits: null };
+    } else {
+        client = await identifyClient(request, env);
+        if (client.error) {
+            return errorResponse(client.status, client.error);
+        }
+    }
 
-        logger.info('Request received', { method: request.method, path: url.pathname });
+    const rateLimitResult = await checkRateLimit(client.id, route.rateLimit, env, client.limits);
+    if (rateLimitResult.status) {
+        return errorResponse(rateLimitResult.status, rateLimitResult.error);
+    }
+    if (!rateLimitResult.allowed) {
+        logger.warn('Rate limit exceeded', { client: client.id, endpoint: route.rateLimit });
+        return rateLimitResponse(rateLimitResult);
+    }
 
-        // Handle CORS preflight
-        if (request.method === 'OPTIONS') {
-            const response = handleCORS();
-            logger.info('Request completed', { status: 204 });
-            return addRequestIdHeader(response, requestId);
-        }
+    c.client = client;
+    return addRateLimitHeaders(await next(), rateLimitResult);
+}
 
-        let response;
+/**
+ * Check the credentials the route's auth requires
+ */
+async function authenticate(c, next) {
+    const { request, env, logger, route } = c;
 
-        // Route requests
-        if (request.method === 'POST' && url.pathname === '/submit') {
-            response = await handleSubmit(request, env, logger);
-        } else if (request.method === 'GET' && url.pathname === '/health') {
-            response = jsonResponse({ status: 'ok', timestamp: new Date().toISOString() });
-        } else if (request.method === 'GET' && url.pathname === '/index') {
-            response = await handleIndexFetch(request, env, logger);
-        } else if (request.method === 'GET' && url.pathname === '/readme') {
-            const owner = url.searchParams.get('owner');
-            const repo = url.searchParams.get('repo');
-            const tag = url.searchParams.get('tag');
-            if (!owner || !repo) {
-                response = errorResponse(400, 'Missing owner or repo parameter');
-            } else {
-                // Validate owner and repo names
-                const ownerValidation = validateGitHubName(owner, 'owner');
-                const repoValidation = validateGitHubName(repo, 'repo');
-                if (!ownerValidation.valid) {
-                    response = errorResponse(400, ownerValidation.error);
-                } else if (!repoValidation.valid) {
-                    response = errorResponse(400, repoValidation.error);
-                } else {
-                    response = await handleReadmeFetch(request, owner, repo, tag, env, logger);
-                }
-            }
-        } else if (request.method === 'GET' && url.pathname === '/status') {
-            const owner = url.searchParams.get('owner');
-            const repo = url.searchParams.get('repo');
-            if (!owner || !repo) {
-                response = errorResponse(400, 'Missing owner or repo parameter');
-            } else {
-                // Validate owner and repo names
-                const ownerValidation = validateGitHubName(owner, 'owner');
-                const repoValidation = validateGitHubName(repo, 'repo');
-                if (!ownerValidation.valid) {
-                    response = errorResponse(400, ownerValidation.error);
-                } else if (!repoValidation.valid) {
-                    response = errorResponse(400, repoValidation.error);
-                } else {
-                    response = await handleStatusCheck(request, owner, repo, env, logger);
-                }
-            }
-        } else if (request.method === 'POST' && url.pathname === '/bulk-submit') {
-            response = await handleBulkSubmit(request, env, logger);
-        } else if (request.method === 'GET' && url.pathname === '/') {
-            response = jsonResponse({
-                service: 'Git-Archiver Web API',
-                endpoints: {
-                    'POST /submit': 'Submit a repository URL for archiving',
-                    'POST /bulk-submit': 'Submit multiple repository URLs',
-                    'GET /index': 'Fetch the master index of archived repositories',
-                    'GET /readme': 'Fetch README for archived repo (?owner=X&repo=Y&tag=Z)',
-                    'GET /status': 'Check if original repo is online (?owner=X&repo=Y)',
-                    'GET /health': 'Health check'
-                }
-            });
-        } else {
-            response = errorResponse(404, 'Not found');
+    if (route.auth === 'apiKey' && !c.client.keyId) {
+        return errorResponse(401, 'An API key is required for this endpoint');
+    }
+    if (route.auth === 'admin') {
+        const authError = await requireAdmin(request, env);
+        if (authError) {
+            logger.warn('Admin authentication failed', { status: authError.status });
+            return authError;
         }
-
-        logger.info('Request completed', { status: response.status });
-        return addRequestIdHeader(response, requestId);
     }
-};
+    if (route.auth === 'dispatch') {
+        const authError = await requireDispatchToken(request, env);
+        if (authError) {
+            logger.warn('Dispatch authentication failed', { status: authError.status });
+            return authError;
+        }
+    }
+
+    return next();
+}
 
 /**
- * Fetch and proxy the index.json from GitHub releases
- * This avoids CORS issues with GitHub's release asset redirects
- * Uses Cloudflare Cache API for response caching
+ * Answer 503 unless an optional binding is configured
  */
-async function handleIndexFetch(request, env, logger) {
-    try {
-        // Rate limiting check at the start
-        const clientIP = getClientIP(request);
-        const rateLimitResult = await checkRateLimit(clientIP, 'index', env, logger.requestId);
-        if (!rateLimitResult.allowed) {
-            logger.warn('Rate limit exceeded', { clientIP, endpoint: 'index' });
-            return rateLimitResponse(rateLimitResult);
-        }
-
-        // Use cached fetch for the index data
-        const response = await cachedFetch(request, 'index', async () => {
-            // Common headers for GitHub API (with auth to avoid rate limits)
-            const githubHeaders = {
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'Git-Archiver-Worker/1.0',
-                'Authorization': `token ${env.GITHUB_TOKEN}`
-            };
-
-            // First, get the release info
-            const releaseUrl = `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases/tags/index`;
-            const releaseResponse = await fetch(releaseUrl, { headers: githubHeaders });
-
-            if (!releaseResponse.ok) {
-                if (releaseResponse.status === 404) {
-                    return jsonResponse({ repositories: {}, total_repos: 0, total_size_mb: 0 });
-                }
-                throw new Error(`Failed to fetch release: ${releaseResponse.status}`);
-            }
+function requireBinding(binding, message) {
+    return (c, next) => c.env[binding] ? next() : errorResponse(503, message);
+}
 
-            const release = await releaseResponse.json();
+/**
+ * Serve 200 responses from the edge cache for the endpoint's CACHE_TTL
+ * Earlier middleware may set c.cacheVariant to key the cache by more than the URL.
+ */
+function cached(endpoint) {
+    return async (c, next) => {
+        const response = await cachedFetch(c.request, endpoint, next, c.cacheVariant);
+        c.logger.info('Cache lookup', { endpoint, cache: response.headers.get('X-Cache') });
+        return response;
+    };
+}
 
-            // Find the index.json asset
-            const indexAsset = release.assets?.find(a => a.name === 'index.json');
-            if (!indexAsset) {
-                return jsonResponse({ repositories: {}, total_repos: 0, total_size_mb: 0 });
+/**
+ * Reject release tags that do not belong to the requested owner/repo
+ *
+ * @param {...string} names - Params holding tags; absent optional ones are skipped
+ */
+function repoReleaseTags(...names) {
+    return (c, next) => {
+        const { host, owner, repo } = c.params;
+        for (const name of names) {
+            const tag = c.params[name];
+            if (tag !== undefined && !isRepoReleaseTag(tag, { host, owner, repo })) {
+                return errorResponse(400, 'Invalid tag for this repository');
             }
+        }
+        return next();
+    };
+}
 
-            // Fetch the asset content (with auth)
-            const assetResponse = await fetch(indexAsset.url, {
-                headers: {
-                    'Accept': 'application/octet-stream',
-                    'User-Agent': 'Git-Archiver-Worker/1.0',
-                    'Authorization': `token ${env.GITHUB_TOKEN}`
-                }
-            });
-
-            if (!assetResponse.ok) {
-                throw new Error(`Failed to fetch index asset: ${assetResponse.status}`);
-            }
+/**
+ * Reject hosts that are not a supported forge, and name the host's forge
+ * Runs before anything reads the repository, so only known forges are ever called.
+ */
+async function sourceForge(c, next) {
+    const forge = forgeOf(c.params.host, c.env);
+    if (!forge) {
+        return errorResponse(400, 'host must be a supported forge (see GET /forges)');
+    }
 
-            const indexData = await assetResponse.json();
-            logger.info('Index fetched from GitHub', { repoCount: indexData.total_repos });
-            return jsonResponse(indexData);
-        });
+    c.params.forge = forge;
+    return next();
+}
 
-        const cacheStatus = response.headers.get('X-Cache');
-        logger.info('Index fetch completed', { cache: cacheStatus });
+/**
+ * Normalize the /raw path param and mark the file as inert content
+ * The headers are applied outside the cache, which only keeps safe headers.
+ */
+async function rawFilePath(c, next) {
+    const path = normalizeFilePath(c.params.path);
+    if (!path || isGitInternalPath(path)) {
+        return errorResponse(400, `path must be a file path inside the repository (max ${MAX_FILE_PATH_LENGTH} characters)`);
+    }
 
-        return addRateLimitHeaders(response, rateLimitResult);
+    c.params.path = path;
+    return withRawFileHeaders(await next(), path);
+}
 
-    } catch (error) {
-        logger.error('Index fetch error', { error: error.message });
-        return errorResponse(500, 'Failed to fetch index');
+/**
+ * Load the takedowns for routes built from index.json, and key their cache by them
+ * Their cached responses embed the takedowns they were built with; a takedown
+ * added or lifted changes the key, so it applies at once rather than after CACHE_TTL.
+ */
+async function currentTakedowns(c, next) {
+    c.takedowns = await loadTakedowns(c.env);
+    const entries = Object.entries(c.takedowns).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    if (entries.length > 0) {
+        c.cacheVariant = (await sha256Hex(JSON.stringify(entries))).slice(0, 16);
     }
+    return next();
 }
 
 /**
- * Handle repository submission
+ * Answer 410 for repositories removed by a takedown
+ * Runs before the edge cache so a takedown applies at once to cached archives.
  */
-async function handleSubmit(request, env, logger) {
-    try {
-        // Rate limiting check at the start
-        const clientIP = getClientIP(request);
-        const rateLimitResult = await checkRateLimit(clientIP, 'submit', env, logger.requestId);
-        if (!rateLimitResult.allowed) {
-            logger.warn('Rate limit exceeded', { clientIP, endpoint: 'submit' });
-            return rateLimitResponse(rateLimitResult);
-        }
-
-        // Validate Content-Type header
-        const contentType = request.headers.get('Content-Type');
-        if (!contentType || !contentType.includes('application/json')) {
-            return addRateLimitHeaders(
-                new Response(JSON.stringify({ error: 'Content-Type must be application/json' }), {
-                    status: 415,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*'
-                    }
-                }),
-                rateLimitResult
-            );
+async function rejectRemovedRepo(c, next) {
+    const { host, owner, repo } = c.params;
+    if (owner && repo) {
+        const takedown = await findTakedown(c.env, { host, owner, repo });
+        if (takedown) {
+            return errorResponse(410, `This archive was removed: ${takedown.reason}`);
         }
+    }
+    return next();
+}
 
-        // Parse request body
-        const body = await request.json();
-        const repoUrl = body.url?.trim();
-
-        // Validate URL
-        if (!repoUrl) {
-            return addRateLimitHeaders(errorResponse(400, 'Missing URL'), rateLimitResult);
-        }
+/**
+ * CORS policy of a route: its configured one, else 'read' for GET and 'write' otherwise
+ */
+function routeCorsPolicy(route) {
+    return ROUTE_CONFIG[route.id]?.cors || (route.method === 'GET' ? 'read' : 'write');
+}
 
-        // Check URL length before regex to prevent ReDoS
-        if (repoUrl.length > MAX_URL_LENGTH) {
-            return addRateLimitHeaders(
-                errorResponse(400, 'URL too long'),
-                rateLimitResult
-            );
-        }
+/**
+ * Answer a CORS preflight with the policy of the route the browser is about to call
+ */
+function handlePreflight({ request, url, env }) {
+    const requestedMethod = request.headers.get('Access-Control-Request-Method');
+    const matched = requestedMethod ? Routes.match(requestedMethod, url.pathname) : null;
+    const policy = matched?.route ? routeCorsPolicy(matched.route) : 'read';
+    const methods = Routes.match('OPTIONS', url.pathname)?.allowed || [];
+    return preflightResponse(request, allowedOrigins(env, policy), methods);
+}
 
-        const match = repoUrl.match(GITHUB_URL_REGEX);
-        if (!match) {
-            return addRateLimitHeaders(
-                errorResponse(400, 'Invalid GitHub URL. Format: https://github.com/owner/repo'),
-                rateLimitResult
-            );
-        }
+/**
+ * Worker side of each route in the table (frontend/js/routes.js)
+ * - handler: receives the request context once the route's middleware has run
+ * - failure: message sent when the handler throws (details are logged)
+ * - use: extra middleware, run after validation
+ * - cache: CACHE_TTL entry to keep 200 responses in the edge cache under
+ * - cors: 'read' or 'write' policy (see cors.js), when the method's default does not fit
+ * - maxBodyBytes: JSON body limit, when the default (router.js) is too small
+ */
+const ROUTE_CONFIG = {
+    root: { handler: () => jsonResponse(describeEndpoints()) },
+    health: { handler: () => jsonResponse({ status: 'ok', timestamp: new Date().toISOString() }) },
+    openapi: { handler: handleOpenApi },
+    forges: { handler: handleForges },
+    submit: { handler: handleSubmit },
+    bulkSubmit: { handler: handleBulkSubmit },
+    batch: { handler: handleBatchStatus, use: [requireBinding('BATCHES', 'BATCHES KV namespace not configured')] },
+    resolveManifest: { handler: handleManifestResolve, maxBodyBytes: MAX_MANIFEST_BODY_BYTES, failure: 'Failed to resolve manifest' },
+    index: { handler: handleIndexFetch, use: [currentTakedowns], cache: 'index', failure: 'Failed to fetch index' },
+    search: { handler: handleSearch, use: [currentTakedowns], cache: 'search', failure: 'Failed to search index' },
+    feed: { handler: handleFeed, use: [currentTakedowns], cache: 'feed', failure: 'Failed to build feed' },
+    readme: { handler: handleReadmeFetch, use: [sourceForge, rejectRemovedRepo], failure: 'Failed to fetch README' },
+    status: { handler: handleStatusCheck, use: [sourceForge] },
+    files: { handler: handleFileTree, use: [sourceForge, repoReleaseTags('tag'), rejectRemovedRepo], cache: 'files', failure: 'Failed to list archive files' },
+    raw: { handler: handleRawFile, use: [sourceForge, repoReleaseTags('tag'), rejectRemovedRepo, rawFilePath], cache: 'files', failure: 'Failed to read file from archive' },
+    archive: { handler: handleArchiveDownload, use: [sourceForge, repoReleaseTags('tag'), rejectRemovedRepo], failure: 'Failed to download archive' },
+    versions: { handler: handleVersionsFetch, use: [sourceForge, rejectRemovedRepo], cache: 'versions', failure: 'Failed to fetch versions' },
+    compare: { handler: handleCompare, use: [sourceForge, repoReleaseTags('base', 'head'), rejectRemovedRepo], cache: 'compare', failure: 'Failed to compare versions' },
+    projectIssues: { handler: handleProjectIssues, use: [sourceForge, repoReleaseTags('tag'), rejectRemovedRepo], cache: 'project', failure: 'Failed to read project archive' },
+    projectIssue: { handler: handleProjectIssues, use: [sourceForge, repoReleaseTags('tag'), rejectRemovedRepo], cache: 'project', failure: 'Failed to read project archive' },
+    job: { handler: handleJobStatus, cache: 'jobs', failure: 'Failed to fetch job status' },
+    listWebhooks: { handler: listWebhooks, use: [requireBinding('WEBHOOKS', 'WEBHOOKS KV namespace not configured')] },
+    createWebhook: { handler: createWebhook, use: [requireBinding('WEBHOOKS', 'WEBHOOKS KV namespace not configured'), sourceForge] },
+    deleteWebhook: { handler: deleteWebhook, use: [requireBinding('WEBHOOKS', 'WEBHOOKS KV namespace not configured')] },
+    archiveEvent: { handler: handleArchiveEvent, use: [requireBinding('WEBHOOKS', 'Webhooks are not configured'), sourceForge] },
+    publicKey: { handler: handlePublicKey, failure: 'Failed to load public key' },
+    verify: { handler: handleVerify, use: [sourceForge, rejectRemovedRepo], cors: 'read', failure: 'Failed to verify provenance' },
+    listApiKeys: { handler: listApiKeys, use: [requireBinding('API_KEYS', 'API_KEYS KV namespace not configured')] },
+    createApiKey: { handler: createApiKey, use: [requireBinding('API_KEYS', 'API_KEYS KV namespace not configured')] },
+    revokeApiKey: { handler: revokeApiKey, use: [requireBinding('API_KEYS', 'API_KEYS KV namespace not configured')] },
+    listQueue: { handler: listQueue, failure: 'Failed to list the queue' },
+    cancelJob: { handler: cancelJob, failure: 'Failed to cancel job' },
+    retryJob: { handler: retryJob, failure: 'Failed to retry job' },
+    prioritizeJob: { handler: prioritizeJob, failure: 'Failed to change job priority' },
+    bulkQueueAction: { handler: bulkQueueAction },
+    listBlocklist: { handler: listBlocklist, use: [requireBinding('MODERATION', 'MODERATION KV namespace not configured')] },
+    createBlockRule: { handler: createBlockRule, use: [requireBinding('MODERATION', 'MODERATION KV namespace not configured'), sourceForge] },
+    deleteBlockRule: { handler: deleteBlockRule, use: [requireBinding('MODERATION', 'MODERATION KV namespace not configured')] },
+    listTakedowns: { handler: listTakedowns, use: [requireBinding('MODERATION', 'MODERATION KV namespace not configured')] },
+    createTakedown: { handler: createTakedown, use: [requireBinding('MODERATION', 'MODERATION KV namespace not configured'), sourceForge] },
+    deleteTakedown: { handler: deleteTakedown, use: [requireBinding('MODERATION', 'MODERATION KV namespace not configured')] }
+};
 
-        const [, owner, repo] = match;
+/**
+ * Middleware chain for a route, in order: CORS, error mapping, rate limiting,
+ * credentials, body parsing, validation, the route's own middleware, caching
+ */
+function routeChain(route) {
+    const config = ROUTE_CONFIG[route.id];
+    if (!config) {
+        throw new Error(`No handler configured for route ${route.id}`);
+    }
 
-        // Validate owner and repo names against GitHub naming rules
-        const ownerValidation = validateGitHubName(owner, 'owner');
-        if (!ownerValidation.valid) {
-            return addRateLimitHeaders(errorResponse(400, ownerValidation.error), rateLimitResult);
-        }
+    return [
+        cors(routeCorsPolicy(route)),
+        mapErrors(config.failure),
+        ...(route.rateLimit ? [rateLimit] : []),
+        ...(route.auth ? [authenticate] : []),
+        ...(route.body ? [parseJsonBody(config.maxBodyBytes)] : []),
+        validateParams(Routes),
+        ...(config.use || []),
+        ...(config.cache ? [cached(config.cache)] : []),
+        config.handler
+    ];
+}
 
-        const repoValidation = validateGitHubName(repo, 'repo');
-        if (!repoValidation.valid) {
-            return addRateLimitHeaders(errorResponse(400, repoValidation.error), rateLimitResult);
-        }
+const routeRequest = createRouter(Routes, routeChain);
 
-        logger.info('Processing submission', { owner, repo });
+/**
+ * Endpoint list for GET /, derived from the route table
+ */
+function describeEndpoints() {
+    const authLabels = { apiKey: 'API key', admin: 'admin token', dispatch: 'dispatch token' };
+    const endpoints = {};
+
+    for (const route of Routes.routes) {
+        const query = Routes.fields(route.query).map(field => `${field.name}=`).join('&');
+        const body = Routes.fields(route.body).map(field => field.required ? field.name : `${field.name}?`).join(', ');
+        let description = route.summary;
+        if (query) description += ` (?${query})`;
+        if (body) description += ` ({ ${body} })`;
+        if (route.auth) description += ` (${authLabels[route.auth]} required)`;
+        endpoints[`${route.method} ${route.path}`] = description;
+    }
 
-        // Check if repository exists
-        const repoCheck = await checkRepository(owner, repo, env);
-        if (!repoCheck.exists) {
-            if (repoCheck.error) {
-                logger.warn('Repository verification failed', { owner, repo, error: repoCheck.error });
-                return addRateLimitHeaders(errorResponse(503, repoCheck.error), rateLimitResult);
+    return {
+        service: Routes.info.title,
+        documentation: '/openapi.json',
+        endpoints
+    };
+}
+
+/**
+ * Serve the OpenAPI document generated from the route table
+ */
+function handleOpenApi({ url }) {
+    const response = jsonResponse(buildOpenApiDocument(Routes, url.origin));
+    response.headers.set('Cache-Control', 'public, max-age=3600');
+    return response;
+}
+
+/**
+ * Main request handler
+ */
+export default {
+    async fetch(request, env, ctx) {
+        // Generate request ID for tracking
+        const requestId = generateRequestId();
+        const logger = new Logger(requestId);
+        const url = new URL(request.url);
+
+        logger.info('Request received', { method: request.method, path: url.pathname });
+
+        const c = { request, url, env, ctx, logger };
+        let response;
+
+        if (request.method === 'OPTIONS') {
+            response = handlePreflight(c);
+        } else {
+            // Match the route table and run the route's middleware chain
+            response = await routeRequest(c);
+
+            // Unrouted requests (404, 405) carry the read policy's headers
+            if (!c.route) {
+                response = withCorsHeaders(response, request.headers.get('Origin'), allowedOrigins(env, 'read'));
             }
-            return addRateLimitHeaders(errorResponse(404, 'Repository not found on GitHub'), rateLimitResult);
         }
 
-        if (repoCheck.private) {
-            return addRateLimitHeaders(errorResponse(400, 'Cannot archive private repositories'), rateLimitResult);
+        logger.info('Request completed', { status: response.status });
+        return addRequestIdHeader(response, requestId);
+    },
+
+    // Cron trigger (wrangler.toml): carries on bulk and owner batches nobody is polling
+    async scheduled(controller, env, ctx) {
+        if (!env.BATCHES) {
+            return;
         }
+        const logger = new Logger(generateRequestId());
+        ctx.waitUntil(resumeStalledBatches(env, entry => submitBulkEntry(entry, env), logger));
+    }
+};
 
-        // Check repository size limit
-        if (repoCheck.size > MAX_REPO_SIZE_BYTES) {
-            return addRateLimitHeaders(
-                errorResponse(400, `Repository too large (${formatBytes(repoCheck.size)}). Maximum size is ${formatBytes(MAX_REPO_SIZE_BYTES)}.`),
-                rateLimitResult
-            );
+/**
+ * List the forges and hosts repositories can be submitted from
+ * Includes the self-hosted instances configured in FORGE_HOSTS.
+ */
+function handleForges({ env }) {
+    const hosts = Forges.hostMap(forgeHosts(env));
+    const forges = Object.entries(Forges.PROVIDERS).map(([id, provider]) => ({
+        id,
+        name: provider.name,
+        hosts: Object.keys(hosts).filter(host => hosts[host] === id)
+    }));
+    return jsonResponse({ forges });
+}
+
+/**
+ * Fetch and proxy the index.json from GitHub releases
+ * This avoids CORS issues with GitHub's release asset redirects
+ */
+async function handleIndexFetch({ env, logger, takedowns }) {
+    return jsonResponse(await loadServedIndex(env, logger, takedowns));
+}
+
+/**
+ * index.json as the API serves it, with taken-down repositories marked removed
+ *
+ * @param {object} takedowns - Already loaded takedowns (see currentTakedowns); loaded here when absent
+ */
+async function loadServedIndex(env, logger, takedowns) {
+    const [indexData, current] = await Promise.all([fetchIndexData(env, logger), takedowns || loadTakedowns(env)]);
+    return applyTakedowns(indexData, current);
+}
+
+/**
+ * Load index.json from the index release
+ * Returns an empty index when the release or asset does not exist yet
+ */
+async function fetchIndexData(env, logger) {
+    const emptyIndex = { repositories: {}, total_repos: 0, total_size_mb: 0 };
+
+    // Common headers for GitHub API (with auth to avoid rate limits)
+    const githubHeaders = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'Git-Archiver-Worker/1.0',
+        'Authorization': `token ${env.GITHUB_TOKEN}`
+    };
+
+    // First, get the release info
+    const releaseUrl = `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases/tags/index`;
+    const releaseResponse = await fetch(releaseUrl, { headers: githubHeaders });
+
+    if (!releaseResponse.ok) {
+        if (releaseResponse.status === 404) {
+            return emptyIndex;
         }
+        throw new Error(`Failed to fetch release: ${releaseResponse.status}`);
+    }
 
-        // Check for existing pending request (open issue)
-        const existingIssue = await checkExistingRequest(owner, repo, env);
-        if (existingIssue) {
-            return addRateLimitHeaders(
-                errorResponse(409, `This repository is already queued (Issue #${existingIssue.number})`),
-                rateLimitResult
-            );
+    const release = await releaseResponse.json();
+
+    // Find the index.json asset
+    const indexAsset = release.assets?.find(a => a.name === 'index.json');
+    if (!indexAsset) {
+        return emptyIndex;
+    }
+
+    // Fetch the asset content (with auth)
+    const assetResponse = await fetch(indexAsset.url, {
+        headers: {
+            'Accept': 'application/octet-stream',
+            'User-Agent': 'Git-Archiver-Worker/1.0',
+            'Authorization': `token ${env.GITHUB_TOKEN}`
         }
+    });
 
-        // Check if already archived today
-        const todayRelease = await checkTodayRelease(owner, repo, env);
-        if (todayRelease) {
-            return addRateLimitHeaders(
-                errorResponse(409, `This repository was already archived today. Download: ${todayRelease.url}`),
-                rateLimitResult
-            );
+    if (!assetResponse.ok) {
+        throw new Error(`Failed to fetch index asset: ${assetResponse.status}`);
+    }
+
+    const indexData = await assetResponse.json();
+    logger.info('Index fetched from GitHub', { repoCount: indexData.total_repos });
+    return indexData;
+}
+
+/**
+ * Search, filter and paginate the index server-side
+ * Params: q, owner, status, sort, page, per_page
+ */
+async function handleSearch({ params, env, logger, takedowns }) {
+    const query = params.q || '';
+    const { owner, status, page } = params;
+    const sort = params.sort || (query.trim() ? 'relevance' : 'recent');
+    const perPage = params.per_page;
+
+    const indexData = await loadServedIndex(env, logger, takedowns);
+    const result = searchIndex(indexData, { query, owner, status, sort, page, perPage });
+    logger.info('Search completed', { total: result.total, page });
+    return jsonResponse(result);
+}
+
+/**
+ * Atom feed of the most recently archived repositories
+ * One entry per repository's latest version, so a new version shows up as a new
+ * entry (its id is the release URL). Query: ?owner= to follow a single owner
+ */
+async function handleFeed({ request, params: { owner }, env, logger, takedowns }) {
+    const indexData = await loadServedIndex(env, logger, takedowns);
+    logger.info('Feed built', { owner });
+    return new Response(buildAtomFeed(indexData, request.url, owner, env), {
+        status: 200,
+        headers: {
+            'Content-Type': 'application/atom+xml; charset=utf-8'
         }
+    });
+}
 
-        // Create GitHub issue
-        const issue = await createGitHubIssue(owner, repo, repoUrl, env);
-        logger.info('Submission successful', { owner, repo, issueNumber: issue.number });
-
-        return addRateLimitHeaders(
-            jsonResponse({
-                success: true,
-                message: 'Repository queued for archiving',
-                issue_number: issue.number,
-                issue_url: issue.html_url
-            }, 201),
-            rateLimitResult
-        );
+/**
+ * Escape text for XML element content and attribute values
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
 
-    } catch (error) {
-        logger.error('Submit error', { error: error.message });
-        return errorResponse(500, 'Internal server error');
+/**
+ * Render index entries as an Atom 1.0 document, newest `last_archived` first
+ */
+function buildAtomFeed(indexData, feedUrl, owner, env) {
+    const releasesBase = `https://github.com/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases`;
+    const ownerLower = owner?.toLowerCase();
+
+    const entries = Object.entries(indexData.repositories || {})
+        .filter(([, entry]) => entry.status !== 'removed' && entry.latest_release_tag && !isNaN(Date.parse(entry.last_archived)))
+        .filter(([, entry]) => !ownerLower || entry.owner?.toLowerCase() === ownerLower)
+        .sort(([, a], [, b]) => new Date(b.last_archived) - new Date(a.last_archived))
+        .slice(0, FEED_MAX_ENTRIES);
+
+    const updated = entries.length > 0
+        ? new Date(entries[0][1].last_archived).toISOString()
+        : new Date(Date.parse(indexData.last_updated) || 0).toISOString();
+    const title = owner ? `Git-Archiver: new archives from ${owner}` : 'Git-Archiver: new archives';
+
+    const items = entries.map(([repoUrl, entry]) => {
+        const releaseUrl = `${releasesBase}/tag/${encodeURIComponent(entry.latest_release_tag)}`;
+        const version = entry.archive_count > 1 ? ` (version ${entry.archive_count})` : '';
+        const summary = entry.description || 'No description';
+        return `  <entry>
+    <title>${escapeXml(`${Forges.displayName(entry)}${version}`)}</title>
+    <id>${escapeXml(releaseUrl)}</id>
+    <link rel="alternate" type="text/html" href="${escapeXml(releaseUrl)}"/>
+    <link rel="related" type="text/html" href="${escapeXml(repoUrl)}"/>
+    <updated>${new Date(entry.last_archived).toISOString()}</updated>
+    <summary>${escapeXml(summary)}</summary>
+    <category term="${escapeXml(entry.status || 'active')}"/>
+  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(title)}</title>
+  <id>${escapeXml(feedUrl)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(releasesBase)}"/>
+  <updated>${updated}</updated>
+  <author><name>Git-Archiver Web</name></author>
+  <generator>Git-Archiver-Worker/1.0</generator>
+${items.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Handle repository submission
+ * Params: url, ref, mode, full_project; skip_forks, skip_archived, confirm for owner URLs
+ */
+async function handleSubmit({ params, url, env, ctx, logger, client }) {
+    // An owner URL archives all of the owner's repositories
+    const ownerMatch = typeof params.url === 'string' && params.url.trim().match(GITHUB_OWNER_URL_REGEX);
+    if (ownerMatch) {
+        return handleOwnerSubmit(ownerMatch[1], { params, url, env, ctx, logger, client });
+    }
+
+    // Validate URL and optional ref
+    const submission = parseRepoSubmission(params.url, params.ref, env);
+    if (!submission.valid) {
+        return errorResponse(400, submission.error);
+    }
+
+    const { forge, host, owner, repo } = submission;
+    const { mode } = params;
+    const fullProject = params.full_project;
+
+    logger.info('Processing submission', { host, owner, repo, ref: submission.ref, mode, fullProject });
+
+    // The project export reads issues and pull requests through GitHub's API
+    if (fullProject && forge !== 'github') {
+        return errorResponse(400, 'full_project is only available for GitHub repositories');
+    }
+
+    // Refuse repositories an admin removed or blocked
+    const refusal = await checkModeration(submission, env);
+    if (refusal) {
+        logger.warn('Submission refused by moderation', { host, owner, repo });
+        return errorResponse(403, refusal);
+    }
+
+    // Check if repository exists
+    const repoCheck = await checkRepository(submission, env);
+    if (!repoCheck.exists) {
+        if (repoCheck.error) {
+            logger.warn('Repository verification failed', { host, owner, repo, error: repoCheck.error });
+            return errorResponse(503, repoCheck.error);
+        }
+        return errorResponse(404, `Repository not found on ${Forges.name(forge)}`);
+    }
+
+    if (repoCheck.private) {
+        return errorResponse(400, 'Cannot archive private repositories');
+    }
+
+    // Check repository size against the budget for the requested mode
+    const sizeError = checkSizeBudget(repoCheck, mode);
+    if (sizeError) {
+        return errorResponse(400, sizeError);
+    }
+
+    // Resolve the requested branch, tag or commit
+    let refInfo = null;
+    if (submission.ref) {
+        refInfo = await resolveRef(submission, submission.ref, env);
+        if (!refInfo.exists) {
+            if (refInfo.error) {
+                logger.warn('Ref verification failed', { host, owner, repo, ref: submission.ref, error: refInfo.error });
+                return errorResponse(503, refInfo.error);
+            }
+            return errorResponse(404, `Branch, tag or commit not found: ${submission.ref}`);
+        }
+    }
+    const ref = refInfo?.name || null;
+
+    // Check for existing pending request (open issue)
+    const existingIssue = await checkExistingRequest(submission, env, ref);
+    if (existingIssue) {
+        return errorResponse(409, `This repository is already queued (Issue #${existingIssue.number})`);
+    }
+
+    // Check if already archived today
+    const todayRelease = await checkTodayRelease(submission, env, ref);
+    if (todayRelease) {
+        return errorResponse(409, `This repository was already archived today. Download: ${todayRelease.url}`);
+    }
+
+    // Create GitHub issue
+    const issue = await createGitHubIssue(submission, env, { refInfo, mode, fullProject });
+    logger.info('Submission successful', { host, owner, repo, ref, mode, fullProject, issueNumber: issue.number });
+
+    return jsonResponse({
+        success: true,
+        message: 'Repository queued for archiving',
+        issue_number: issue.number,
+        issue_url: issue.html_url,
+        forge,
+        ref,
+        ref_type: refInfo?.type || null,
+        mode,
+        full_project: fullProject
+    }, 201);
+}
+
+/**
+ * Preview or queue an archive of every repository of a user or organization
+ * Without confirm, lists the repositories with the reason each one would be
+ * skipped; with confirm, queues the rest as a batch (see batches.js), where each
+ * goes through the same checks as a bulk submission entry. Queueing the batch
+ * also counts against the bulkSubmit limit, since it queues as much as one; the
+ * batch carries on in the background like any other (see resumeStalledBatches).
+ */
+async function handleOwnerSubmit(owner, { params, url, env, ctx, logger, client }) {
+    const ownerValidation = validateGitHubName(owner, 'owner');
+    if (!ownerValidation.valid) {
+        return errorResponse(400, ownerValidation.error);
+    }
+    if (params.ref) {
+        return errorResponse(400, 'ref cannot be used with an owner URL');
+    }
+    if (!env.BATCHES) {
+        return errorResponse(503, 'BATCHES KV namespace not configured');
     }
+
+    const { mode, confirm } = params;
+
+    const fullProject = params.full_project;
+    const skipForks = params.skip_forks;
+    const skipArchived = params.skip_archived;
+
+    logger.info('Processing owner submission', { owner, mode, fullProject, skipForks, skipArchived, confirm });
+
+    const listing = await listOwnerRepositories(owner, env);
+    if (!listing.exists) {
+        if (listing.error) {
+            logger.warn('Owner listing failed', { owner, error: listing.error });
+            return errorResponse(503, listing.error);
+        }
+        return errorResponse(404, 'Owner not found on GitHub');
+    }
+
+    const moderation = await loadModeration(env);
+    let eligible = 0;
+    const repositories = listing.repos.map(data => {
+        const refusal = ownerRepoRefusal(data, mode, moderation);
+        let skipReason = refusal;
+        if (!skipReason && skipForks && data.fork) {
+            skipReason = 'Fork';
+        }
+        if (!skipReason && skipArchived && data.archived) {
+            skipReason = 'Archived on GitHub';
+        }
+        if (!skipReason && eligible >= MAX_OWNER_REPOS) {
+            skipReason = `Over the limit of ${MAX_OWNER_REPOS} repositories per request`;
+        }
+        if (!skipReason) {
+            eligible++;
+        }
+
+        return {
+            name: data.name,
+            url: `https://github.com/${data.full_name}`,
+            description: data.description,
+            size: data.size * 1024, // GitHub reports in KB
+            fork: data.fork,
+            archived: data.archived,
+            pushed_at: data.pushed_at,
+            refusal,
+            eligible: !skipReason,
+            skip_reason: skipReason
+        };
+    });
+
+    const summary = {
+        total: repositories.length,
+        eligible,
+        skipped: repositories.length - eligible
+    };
+
+    if (!confirm) {
+        return jsonResponse({
+            preview: true,
+            owner: listing.login,
+            owner_type: listing.type,
+            mode,
+            full_project: fullProject,
+            skip_forks: skipForks,
+            skip_archived: skipArchived,
+            max_repositories: MAX_OWNER_REPOS,
+            truncated: listing.truncated,
+            summary,
+            repositories
+        });
+    }
+
+    if (eligible === 0) {
+        return errorResponse(400, `None of ${listing.login}'s repositories can be archived`);
+    }
+
+    // Charged only once there is something to queue, so failed listings cost nothing
+    const rateLimitResult = await checkRateLimit(client.id, 'bulkSubmit', env, client.limits);
+    if (rateLimitResult.status) {
+        return errorResponse(rateLimitResult.status, rateLimitResult.error);
+    }
+    if (!rateLimitResult.allowed) {
+        logger.warn('Rate limit exceeded', { client: client.id, endpoint: 'bulkSubmit' });
+        return rateLimitResponse(rateLimitResult);
+    }
+
+    const entries = repositories
+        .filter(r => r.eligible)
+        .map(r => ({ url: r.url, mode, full_project: fullProject }));
+    const batch = await createBatch(env, entries, { owner: listing.login });
+    ctx.waitUntil(runSubmitBatch(batch, env, logger));
+
+    logger.info('Owner submission accepted', { owner: listing.login, batchId: batch.id, queued: eligible });
+    return jsonResponse({
+        success: true,
+        owner: listing.login,
+        summary,
+        batch: publicBatch(batch),
+        status_url: `${url.origin}/batches/${batch.id}`
+    }, 202);
+}
+
+/**
+ * Why one of an owner's repositories cannot be archived, from its listing
+ * Applies the privacy, size and moderation checks of a single submission.
+ *
+ * @param {object} data - Repository from GitHub's repository listing
+ * @param {string} mode - Archive mode
+ * @param {object} moderation - From loadModeration
+ * @returns {string|null} The reason, or null when it can be archived
+ */
+function ownerRepoRefusal(data, mode, moderation) {
+    if (data.private) {
+        return 'Cannot archive private repositories';
+    }
+
+    const sizeError = checkSizeBudget({ size: data.size * 1024 }, mode);
+    if (sizeError) {
+        return sizeError;
+    }
+
+    return moderationRefusal(matchModeration(moderation, { host: Forges.DEFAULT_HOST, owner: data.owner.login, repo: data.name }));
+}
+
+/**
+ * Check a submission against the takedowns and the blocklist
+ *
+ * @param {object} source - { host, owner, repo }
+ * @returns {string|null} Why the repository is refused, or null to proceed
+ */
+async function checkModeration(source, env) {
+    const takedown = await findTakedown(env, source);
+    const rule = takedown ? null : await findBlockRule(env, source);
+    return moderationRefusal({ takedown, rule });
+}
+
+/**
+ * Message for a matched takedown or blocklist rule
+ * Blocklist reasons are internal notes and are not shown to submitters.
+ *
+ * @param {object} match - { takedown, rule } as from matchModeration
+ * @returns {string|null} Why the repository is refused, or null when neither matched
+ */
+function moderationRefusal({ takedown, rule }) {
+    if (takedown) {
+        return `This repository was removed from the archive: ${takedown.reason}`;
+    }
+    if (rule) {
+        return 'This repository is blocked from archiving';
+    }
+    return null;
 }
 
 /**
- * Check rate limit for IP address and endpoint
- * Uses Cloudflare KV for distributed rate limiting with fixed window approach
+ * Check rate limit for a client and endpoint
+ * Uses an exact sliding window held in a Durable Object per client/endpoint
+ * (see rate-limiter.js). Without the RATE_LIMITER binding every request is
+ * refused with 503, unless ALLOW_LOCAL_RATE_LIMIT = "true" opts in to the
+ * in-isolate limiter for local development.
  *
- * @param {string} ip - Client IP address
+ * @param {string} ip - Client identity: IP address, or "key:<id>" for API key callers
  * @param {string} endpoint - Endpoint name (submit, bulkSubmit, index, status)
  * @param {object} env - Environment bindings
- * @param {string} requestId - Unique request ID (unused, kept for API compatibility)
- * @returns {object} { allowed, limit, remaining, resetAt, retryAfter }
+ * @param {object} limits - Optional per-key overrides keyed like RATE_LIMITS
+ * @returns {object} { allowed, limit, remaining, resetAt, retryAfter }, or { allowed: false, error, status } when unconfigured
  */
-async function checkRateLimit(ip, endpoint, env, requestId = null) {
-    const config = RATE_LIMITS[endpoint];
+async function checkRateLimit(ip, endpoint, env, limits = null) {
+    const config = limits?.[endpoint] || RATE_LIMITS[endpoint];
     if (!config) {
         console.error(`Unknown rate limit endpoint: ${endpoint}`);
         return { allowed: true, limit: 0, remaining: 0, resetAt: 0 };
     }
 
-    const { limit, windowSeconds } = config;
-    const now = Date.now();
-
-    // Use fixed window based on time period (simpler and faster than sliding window)
-    // Window aligns to start of period (e.g., top of the hour for hourly limits)
-    const windowId = Math.floor(now / (windowSeconds * 1000));
-    const key = `rate:${endpoint}:${ip}:${windowId}`;
-    const resetAt = (windowId + 1) * windowSeconds * 1000;
-
-    // Check if KV is available
-    if (!env.RATE_LIMIT) {
-        console.warn('RATE_LIMIT KV namespace not configured, allowing request');
-        return { allowed: true, limit, remaining: limit, resetAt };
+    // Keys minted before MAX_KEY_RATE_LIMIT was lowered may store a higher limit
+    const limit = Math.min(config.limit, MAX_KEY_RATE_LIMIT);
+    const { windowSeconds } = config;
+    const key = `${endpoint}:${ip}`;
+
+    // Check if the Durable Object is available. The in-isolate limiter is not
+    // shared across isolates, so production fails closed without it.
+    if (!env.RATE_LIMITER) {
+        if (env.ALLOW_LOCAL_RATE_LIMIT !== 'true') {
+            console.error('RATE_LIMITER Durable Object not configured - denying request');
+            return { allowed: false, error: 'Rate limiting is not configured', status: 503 };
+        }
+        if (!warnedLocalRateLimiter) {
+            console.warn('RATE_LIMITER Durable Object not configured, using per-isolate rate limiting');
+            warnedLocalRateLimiter = true;
+        }
+        return checkLocalRateLimit(key, limit, windowSeconds);
     }
 
     try {
-        // Get current count for this window
-        const data = await env.RATE_LIMIT.get(key, { type: 'json' });
-        const currentCount = data?.count || 0;
-
-        // Check if limit exceeded
-        if (currentCount >= limit) {
-            const retryAfter = Math.ceil((resetAt - now) / 1000);
-            return {
-                allowed: false,
-                limit,
-                remaining: 0,
-                resetAt,
-                retryAfter
-            };
-        }
-
-        // Increment counter (small race window acceptable for rate limiting)
-        const newCount = currentCount + 1;
-        await env.RATE_LIMIT.put(key, JSON.stringify({ count: newCount, lastUpdated: now }), {
-            expirationTtl: windowSeconds + 60 // Window duration + 1 minute buffer
+        const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+        const response = await stub.fetch('https://rate-limiter/hit', {
+            method: 'POST',
+            body: JSON.stringify({ limit, windowSeconds })
         });
 
-        return {
-            allowed: true,
-            limit,
-            remaining: limit - newCount,
-            resetAt
-        };
+        if (!response.ok) {
+            throw new Error(`Rate limiter responded with ${response.status}`);
+        }
+
+        return await response.json();
 
     } catch (error) {
-        // INTENTIONAL: Rate limiting fails CLOSED (denies requests) to prevent abuse during KV outages.
+        // INTENTIONAL: Rate limiting fails CLOSED (denies requests) to prevent abuse during limiter outages.
         // This is different from H6/H7 duplicate checks which fail OPEN (allow requests) because:
         // - Rate limiting: Failing open allows unlimited abuse; failing closed is temporary inconvenience
         // - Duplicate checks: Failing closed blocks all legitimate requests; failing open may create duplicates
@@ -637,7 +1525,7 @@ async function checkRateLimit(ip, endpoint, env, requestId = null) {
             allowed: false,
             limit,
             remaining: 0,
-            resetAt: now + windowSeconds * 1000,
+            resetAt: Date.now() + windowSeconds * 1000,
             retryAfter: 60,
             error: 'Rate limit service temporarily unavailable - please retry'
         };
@@ -650,7 +1538,6 @@ async function checkRateLimit(ip, endpoint, env, requestId = null) {
 function rateLimitResponse(rateLimitResult) {
     const headers = {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
         'X-RateLimit-Limit': String(rateLimitResult.limit),
         'X-RateLimit-Remaining': '0',
         'X-RateLimit-Reset': String(Math.floor(rateLimitResult.resetAt / 1000)),
@@ -682,10 +1569,13 @@ function addRateLimitHeaders(response, rateLimitResult) {
 }
 
 /**
- * Check if repository exists on GitHub
+ * List the repositories a user or organization owns, in name order
+ * Reads at most MAX_OWNER_REPO_PAGES pages; truncated is set when there are more.
  * Fail-closed: returns { exists: false, error: message } on any failure
+ *
+ * @returns {object} { exists, login, type: 'User' | 'Organization', repos, truncated }
  */
-async function checkRepository(owner, repo, env) {
+async function listOwnerRepositories(owner, env) {
     try {
         const headers = {
             'Accept': 'application/vnd.github.v3+json',
@@ -697,38 +1587,53 @@ async function checkRepository(owner, repo, env) {
             headers['Authorization'] = `token ${env.GITHUB_TOKEN}`;
         }
 
-        const response = await fetchWithRetry(`https://api.github.com/repos/${owner}/${repo}`, {
-            headers
-        });
-
-        if (response.status === 404) {
+        const userResponse = await fetchWithRetry(`https://api.github.com/users/${owner}`, { headers });
+        if (userResponse.status === 404) {
             return { exists: false };
         }
-
-        if (!response.ok) {
-            return { exists: false, error: `GitHub API error: ${response.status}` };
+        if (!userResponse.ok) {
+            return { exists: false, error: `GitHub API error: ${userResponse.status}` };
         }
+        const user = await userResponse.json();
+
+        const repos = [];
+        for (let page = 1; page <= MAX_OWNER_REPO_PAGES; page++) {
+            const response = await fetchWithRetry(
+                `https://api.github.com/users/${owner}/repos?type=owner&sort=full_name&per_page=100&page=${page}`,
+                { headers }
+            );
+            if (!response.ok) {
+                return { exists: false, error: `GitHub API error: ${response.status}` };
+            }
 
-        const data = await response.json();
+            const pageRepos = await response.json();
+            repos.push(...pageRepos);
+            if (pageRepos.length < 100) {
+                break;
+            }
+        }
 
         return {
             exists: true,
-            private: data.private,
-            archived: data.archived,
-            size: data.size * 1024, // GitHub reports in KB
-            description: data.description
+            login: user.login,
+            type: user.type,
+            repos,
+            truncated: repos.length < (user.public_repos || 0)
         };
     } catch (error) {
-        console.error('Repository check error:', error);
-        // Fail closed - do not allow archive requests when we can't verify the repo
-        return { exists: false, error: `Failed to verify repository: ${error.message}` };
+        console.error('Owner listing error:', error);
+        return { exists: false, error: `Failed to list repositories: ${error.message}` };
     }
 }
 
 /**
- * Check for existing open issue for this repository
+ * Check for existing open issue for this repository and ref
+ * Requests for different refs of the same repository do not conflict, nor do
+ * same-named repositories on different forges
+ *
+ * @param {object} source - { host, owner, repo }
  */
-async function checkExistingRequest(owner, repo, env) {
+async function checkExistingRequest(source, env, ref = null) {
     try {
         const response = await fetchWithRetry(
             `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/issues?labels=archive-request&state=open&per_page=100`,
@@ -744,12 +1649,13 @@ async function checkExistingRequest(owner, repo, env) {
         if (!response.ok) return null;
 
         const issues = await response.json();
-        const searchPattern = `${owner}/${repo}`.toLowerCase();
+        const repoUrl = Forges.repoUrl(source).toLowerCase();
 
-        return issues.find(issue =>
-            issue.title.toLowerCase().includes(searchPattern) ||
-            issue.body?.toLowerCase().includes(searchPattern)
-        );
+        return issues.find(issue => {
+            const request = parseRequestIssueBody(issue.body);
+            const sameRepo = request.url?.replace(/(\.git)?\/?$/, '').toLowerCase() === repoUrl;
+            return sameRepo && request.ref === ref;
+        });
     } catch (error) {
         console.warn('Check existing request error - allowing request to proceed:', error.message);
         // Return null to let the caller handle the uncertainty
@@ -759,12 +1665,14 @@ async function checkExistingRequest(owner, repo, env) {
 }
 
 /**
- * Check if repository was already archived today
+ * Check if repository (or the given ref) was already archived today
+ *
+ * @param {object} source - { host, owner, repo }
  */
-async function checkTodayRelease(owner, repo, env) {
+async function checkTodayRelease(source, env, ref = null) {
     try {
         const today = new Date().toISOString().split('T')[0];
-        const tag = `${owner}__${repo}__${today}`;
+        const tag = buildReleaseTag(source, today, ref);
 
         const response = await fetchWithRetry(
             `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases/tags/${tag}`,
@@ -795,14 +1703,27 @@ async function checkTodayRelease(owner, repo, env) {
 
 /**
  * Create GitHub issue to trigger archive workflow
+ * The workflow reads url and forge (plus ref, mode and full_project, when set) from the front matter
+ *
+ * @param {object} source - { forge, host, owner, repo }
+ * @param {object} options
+ * @param {object} options.refInfo - Resolved ref from resolveRef(), or null for the default branch
+ * @param {string} options.mode - Archive mode (see ARCHIVE_MODES)
+ * @param {boolean} options.fullProject - Also export issues, PRs, releases and wiki
  */
-async function createGitHubIssue(owner, repo, repoUrl, env) {
+async function createGitHubIssue(source, env, { refInfo = null, mode = DEFAULT_ARCHIVE_MODE, fullProject = false, priority = 'normal' } = {}) {
+    const refLines = refInfo ? `ref: ${refInfo.name}\nref_type: ${refInfo.type}\n` : '';
+    const modeLine = mode !== DEFAULT_ARCHIVE_MODE ? `mode: ${mode}\n` : '';
+    const projectLine = fullProject ? 'full_project: true\n' : '';
+    const name = Forges.displayName(source);
+    const target = refInfo ? `${name}@${refInfo.name}` : name;
     const issueBody = `---
-url: ${repoUrl}
-requested_at: ${new Date().toISOString()}
+url: ${Forges.repoUrl(source)}
+forge: ${source.forge || 'github'}
+${refLines}${modeLine}${projectLine}requested_at: ${new Date().toISOString()}
 ---
 
-Automated archive request for \`${owner}/${repo}\`
+Automated archive request for \`${target}\`
 
 This issue will be automatically closed once the archive is created.`;
 
@@ -817,9 +1738,9 @@ This issue will be automatically closed once the archive is created.`;
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                title: `Archive Request: ${owner}/${repo}`,
+                title: `Archive Request: ${target}`,
                 body: issueBody,
-                labels: ['archive-request']
+                labels: PRIORITY_LABELS[priority] ? ['archive-request', PRIORITY_LABELS[priority]] : ['archive-request']
             })
         }
     );
@@ -833,41 +1754,6 @@ This issue will be automatically closed once the archive is created.`;
     return await response.json();
 }
 
-/**
- * Handle CORS preflight requests
- */
-function handleCORS() {
-    return new Response(null, {
-        status: 204,
-        headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
-            'Access-Control-Max-Age': '86400'
-        }
-    });
-}
-
-/**
- * Create JSON response with CORS headers
- */
-function jsonResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), {
-        status,
-        headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-        }
-    });
-}
-
-/**
- * Create error response
- */
-function errorResponse(status, message) {
-    return jsonResponse({ error: message }, status);
-}
-
 /**
  * Format bytes to human readable string
  */
@@ -880,333 +1766,1792 @@ function formatBytes(bytes) {
 }
 
 /**
- * Fetch README from archived release
- * Proxies the request to avoid CORS issues
+ * Validate per-key rate limit overrides
+ * Only endpoints from RATE_LIMITS may be overridden
+ *
+ * @returns {object} { valid, limits?, error? }
  */
-async function handleReadmeFetch(request, owner, repo, tag, env, logger) {
-    try {
-        // Rate limiting check at the start
-        const clientIP = getClientIP(request);
-        const rateLimitResult = await checkRateLimit(clientIP, 'readme', env, logger.requestId);
-        if (!rateLimitResult.allowed) {
-            logger.warn('Rate limit exceeded', { clientIP, endpoint: 'readme' });
-            return rateLimitResponse(rateLimitResult);
+function validateKeyLimits(limits) {
+    if (limits === undefined || limits === null) {
+        return { valid: true, limits: null };
+    }
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+        return { valid: false, error: 'limits must be an object keyed by endpoint' };
+    }
+
+    const validated = {};
+    for (const [endpoint, config] of Object.entries(limits)) {
+        if (!RATE_LIMITS[endpoint] || endpoint === 'admin') {
+            return { valid: false, error: `Unknown rate limit endpoint: ${endpoint}` };
         }
+        const limit = config?.limit ?? RATE_LIMITS[endpoint].limit;
+        const windowSeconds = config?.windowSeconds ?? RATE_LIMITS[endpoint].windowSeconds;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_KEY_RATE_LIMIT) {
+            return { valid: false, error: `${endpoint}.limit must be between 1 and ${MAX_KEY_RATE_LIMIT}` };
+        }
+        if (!Number.isInteger(windowSeconds) || windowSeconds < 1 || windowSeconds > MAX_KEY_RATE_WINDOW_SECONDS) {
+            return { valid: false, error: `${endpoint}.windowSeconds must be between 1 and ${MAX_KEY_RATE_WINDOW_SECONDS}` };
+        }
+        validated[endpoint] = { limit, windowSeconds };
+    }
 
-        const githubHeaders = {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'Git-Archiver-Worker/1.0',
-            'Authorization': `token ${env.GITHUB_TOKEN}`
-        };
+    return { valid: true, limits: validated };
+}
 
-        // If no tag provided, find the latest release for this repo
-        let releaseTag = tag;
-        if (!releaseTag) {
-            // Fetch all releases and find latest for this owner/repo
-            const releasesUrl = `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases?per_page=100`;
-            const releasesResponse = await fetch(releasesUrl, { headers: githubHeaders });
+/**
+ * Mint a new API key (POST /admin/keys)
+ * Only key hashes are stored; the plaintext key is returned once at creation.
+ * Params: label, limits (overrides entries of RATE_LIMITS)
+ */
+async function createApiKey({ params, env, logger }) {
+    const label = params.label.trim();
+    if (!label) {
+        return errorResponse(400, 'label is required');
+    }
 
-            if (!releasesResponse.ok) {
-                return addRateLimitHeaders(errorResponse(500, 'Failed to fetch releases'), rateLimitResult);
-            }
+    const limitsValidation = validateKeyLimits(params.limits);
+    if (!limitsValidation.valid) {
+        return errorResponse(400, limitsValidation.error);
+    }
 
-            const releases = await releasesResponse.json();
-            const repoPrefix = `${owner}__${repo}__`;
-            const matchingReleases = releases.filter(r => r.tag_name.startsWith(repoPrefix));
+    const key = API_KEY_PREFIX + randomHex(32);
+    const keyHash = await sha256Hex(key);
+    const record = {
+        id: randomHex(8),
+        label,
+        limits: limitsValidation.limits,
+        revoked: false,
+        created_at: new Date().toISOString(),
+        revoked_at: null
+    };
 
-            if (matchingReleases.length === 0) {
-                return addRateLimitHeaders(errorResponse(404, 'No archived versions found for this repository'), rateLimitResult);
-            }
+    await env.API_KEYS.put(`apikey:${keyHash}`, JSON.stringify(record));
+    await env.API_KEYS.put(`apikey-id:${record.id}`, keyHash);
+    logger.info('API key created', { keyId: record.id, label });
 
-            // Sort by date (newest first) and get the latest
-            matchingReleases.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-            releaseTag = matchingReleases[0].tag_name;
-        }
+    return jsonResponse({
+        ...record,
+        key,
+        message: 'Store this key now; it cannot be shown again'
+    }, 201);
+}
 
-        // Fetch the release to get README asset
-        const releaseUrl = `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases/tags/${releaseTag}`;
-        const releaseResponse = await fetch(releaseUrl, { headers: githubHeaders });
+/**
+ * Revoke an API key by id
+ * KV is eventually consistent, so revocation can take up to a minute to reach every edge
+ */
+async function revokeApiKey({ params: { id: keyId }, env, logger }) {
+    const keyHash = await env.API_KEYS.get(`apikey-id:${keyId}`);
+    const record = keyHash ? await env.API_KEYS.get(`apikey:${keyHash}`, { type: 'json' }) : null;
+    if (!record) {
+        return errorResponse(404, 'API key not found');
+    }
 
-        if (!releaseResponse.ok) {
-            if (releaseResponse.status === 404) {
-                return addRateLimitHeaders(errorResponse(404, 'Release not found'), rateLimitResult);
-            }
-            throw new Error(`Failed to fetch release: ${releaseResponse.status}`);
-        }
+    if (!record.revoked) {
+        record.revoked = true;
+        record.revoked_at = new Date().toISOString();
+        await env.API_KEYS.put(`apikey:${keyHash}`, JSON.stringify(record));
+        logger.info('API key revoked', { keyId });
+    }
 
-        const release = await releaseResponse.json();
+    return jsonResponse(record);
+}
 
-        // Find README asset
-        const readmeAsset = release.assets?.find(a => a.name === 'README.md');
-        if (!readmeAsset) {
-            return addRateLimitHeaders(jsonResponse({ readme: null, message: 'No README available for this archive' }), rateLimitResult);
+/**
+ * List all API keys (metadata only, never the keys themselves)
+ */
+async function listApiKeys({ env }) {
+    const keys = [];
+    let cursor;
+
+    do {
+        const page = await env.API_KEYS.list({ prefix: 'apikey:', cursor });
+        const records = await Promise.all(page.keys.map(k => env.API_KEYS.get(k.name, { type: 'json' })));
+        keys.push(...records.filter(Boolean));
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    keys.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return jsonResponse({ total: keys.length, keys });
+}
+
+/**
+ * List blocklist rules, oldest first
+ */
+async function listBlocklist({ env }) {
+    const rules = await listBlockRules(env);
+    return jsonResponse({ total: rules.length, rules });
+}
+
+/**
+ * Add a blocklist rule (POST /admin/blocklist)
+ * Params: host, pattern, reason
+ */
+async function createBlockRule({ params, env, logger }) {
+    const patternValidation = normalizeBlockPattern(params.pattern);
+    if (!patternValidation.valid) {
+        return errorResponse(400, patternValidation.error);
+    }
+
+    const result = await addBlockRule(env, {
+        host: params.host,
+        pattern: patternValidation.pattern,
+        kind: patternValidation.kind,
+        reason: params.reason?.trim()
+    });
+    if (result.error) {
+        return errorResponse(result.status, result.error);
+    }
+
+    logger.info('Blocklist rule added', { ruleId: result.rule.id, host: result.rule.host, pattern: result.rule.pattern });
+    return jsonResponse(result.rule, 201);
+}
+
+/**
+ * Remove a blocklist rule by id
+ */
+async function deleteBlockRule({ params: { id: ruleId }, env, logger }) {
+    const rule = await removeBlockRule(env, ruleId);
+    if (!rule) {
+        return errorResponse(404, 'Blocklist rule not found');
+    }
+
+    logger.info('Blocklist rule removed', { ruleId, pattern: rule.pattern });
+    return jsonResponse({ deleted: true, ...rule });
+}
+
+/**
+ * List removed repositories, most recent first
+ */
+async function listTakedowns({ env }) {
+    const takedowns = Object.values(await loadTakedowns(env))
+        .sort((a, b) => new Date(b.removed_at) - new Date(a.removed_at));
+    return jsonResponse({ total: takedowns.length, takedowns });
+}
+
+/**
+ * Take a repository down (POST /admin/takedowns)
+ * The index lists it as removed once its edge cache expires; archive routes
+ * answer 410 right away. Its releases are left on GitHub.
+ * Params: host, owner, repo, reason (public)
+ */
+async function createTakedown({ params, env, logger }) {
+    const reason = params.reason.trim();
+    if (!reason) {
+        return errorResponse(400, 'reason is required');
+    }
+
+    const takedown = await addTakedown(env, { host: params.host, owner: params.owner, repo: params.repo, reason });
+    logger.info('Repository taken down', { host: takedown.host, owner: takedown.owner, repo: takedown.repo });
+    return jsonResponse(takedown, 201);
+}
+
+/**
+ * Reinstate a removed repository
+ */
+async function deleteTakedown({ params: { host, owner, repo }, env, logger }) {
+    const takedown = await removeTakedown(env, { host, owner, repo });
+    if (!takedown) {
+        return errorResponse(404, 'Takedown not found');
+    }
+
+    logger.info('Takedown lifted', { host, owner, repo });
+    return jsonResponse({ deleted: true, ...takedown });
+}
+
+/**
+ * List the caller's webhook subscriptions
+ * Subscriptions belong to the API key that created them, so every webhook route needs one
+ */
+async function listWebhooks({ client, env }) {
+    const subscriptions = await listSubscriptions(env, client.keyId);
+    return jsonResponse({ total: subscriptions.length, webhooks: subscriptions.map(publicSubscription) });
+}
+
+/**
+ * Register a webhook for a repo ({ owner, repo }) or a whole owner ({ owner })
+ * on one host (github.com unless host is given)
+ */
+async function createWebhook({ params, client, env, logger }) {
+    const urlValidation = validateWebhookUrl(params.url);
+    if (!urlValidation.valid) {
+        return errorResponse(400, urlValidation.error);
+    }
+
+    const eventsValidation = validateWebhookEvents(params.events);
+    if (!eventsValidation.valid) {
+        return errorResponse(400, eventsValidation.error);
+    }
+
+    const existing = await listSubscriptions(env, client.keyId);
+    if (existing.length >= MAX_WEBHOOKS_PER_KEY) {
+        return errorResponse(409, `Webhook limit reached (${MAX_WEBHOOKS_PER_KEY} per API key)`);
+    }
+
+    const record = await createSubscription(env, {
+        keyId: client.keyId,
+        url: urlValidation.url,
+        host: params.host,
+        owner: params.owner,
+        repo: params.repo || null,
+        events: eventsValidation.events
+    });
+    logger.info('Webhook created', { webhookId: record.id, keyId: client.keyId, host: record.host, owner: record.owner, repo: record.repo });
+
+    return jsonResponse({
+        ...record,
+        message: 'Store this secret now; it cannot be shown again. Verify X-Archiver-Signature as HMAC-SHA256 of the body.'
+    }, 201);
+}
+
+/**
+ * Delete one of the caller's webhook subscriptions
+ */
+async function deleteWebhook({ params: { id: webhookId }, client, env, logger }) {
+    const deleted = await deleteSubscription(env, client.keyId, webhookId);
+    if (!deleted) {
+        return errorResponse(404, 'Webhook not found');
+    }
+
+    logger.info('Webhook deleted', { webhookId, keyId: client.keyId });
+    return jsonResponse({ deleted: true, id: webhookId });
+}
+
+/**
+ * Receive a finished-job report from archive.yml and notify subscribers
+ * Authorized by the WEBHOOK_DISPATCH_TOKEN secret shared with the workflow.
+ * Deliveries run after the response so the workflow never waits on retries.
+ */
+async function handleArchiveEvent({ params, env, ctx, logger }) {
+    if (!ARCHIVE_EVENTS.includes(params.event)) {
+        return errorResponse(400, `event must be one of: ${ARCHIVE_EVENTS.join(', ')}`);
+    }
+
+    // Pass through only known fields, as bounded strings
+    const data = {};
+    for (const field of ['ref', 'tag', 'download_url', 'hash', 'reason']) {
+        if (params[field] !== undefined) {
+            data[field] = params[field].slice(0, MAX_EVENT_FIELD_LENGTH);
+        }
+    }
+    if (params.issue_number > 0) {
+        data.issue_number = params.issue_number;
+    }
+
+    const { host, owner, repo } = params;
+    ctx.waitUntil(
+        dispatchEvent(env, params.event, { host, owner, repo }, data, logger)
+            .catch(error => logger.error('Archive event dispatch error', { error: error.message }))
+    );
+
+    // The workflow sees deletions first when a queued repo vanishes before it is cloned
+    if (UNAVAILABLE_STATUSES.includes(params.source_status)) {
+        trackSourceStatus({ host, owner, repo }, params.source_status, env, ctx, logger);
+    }
+
+    logger.info('Archive event accepted', { event: params.event, host, owner, repo });
+    return jsonResponse({ accepted: true, event: params.event }, 202);
+}
+
+/**
+ * Publish the provenance signing key's public half
+ */
+async function handlePublicKey({ env }) {
+    const publicKey = await loadPublicKey(env);
+    if (!publicKey) {
+        return errorResponse(503, 'Provenance signing is not configured');
+    }
+
+    const response = jsonResponse(describePublicKey(publicKey));
+    response.headers.set('Cache-Control', 'public, max-age=3600');
+    return response;
+}
+
+/**
+ * Verify a provenance attestation
+ * Body is either { owner, repo, tag } to check the provenance.json attached to
+ * an archived version (also cross-checked against its metadata.json), or
+ * { provenance } to check an attestation the caller already has. Both accept
+ * an optional archive_hash, the SHA-256 the caller computed over the tarball.
+ *
+ * Answers 200 with valid: false for a bad attestation; errors are for bad requests.
+ */
+async function handleVerify({ params, env, logger }) {
+    const publicKey = await loadPublicKey(env);
+    if (!publicKey) {
+        return errorResponse(503, 'Provenance signing is not configured');
+    }
+
+    let attestation = params.provenance;
+    let metadata = null;
+    const { forge, host, owner, repo, tag } = params;
+    const fromRelease = attestation === undefined;
+
+    if (fromRelease) {
+        const ownerValidation = validateForgeName(owner, 'owner', forge);
+        const repoValidation = validateForgeName(repo, 'repo', forge);
+        if (!ownerValidation.valid || !repoValidation.valid) {
+            return errorResponse(400, ownerValidation.error || repoValidation.error);
+        }
+        if (!tag || !isRepoReleaseTag(tag, { host, owner, repo })) {
+            return errorResponse(400, 'Provide a release tag of this repository, or a provenance document');
         }
 
-        // Fetch README content
-        const readmeResponse = await fetch(readmeAsset.url, {
+        const found = await findReleaseAsset({ host, owner, repo }, tag, env, a => a.name === PROVENANCE_ASSET);
+        if (!found) {
+            return errorResponse(404, 'No signed provenance for this version');
+        }
+
+        const assetResponse = await fetch(found.asset.url, {
             headers: {
                 'Accept': 'application/octet-stream',
                 'User-Agent': 'Git-Archiver-Worker/1.0',
                 'Authorization': `token ${env.GITHUB_TOKEN}`
             }
         });
+        if (!assetResponse.ok) {
+            throw new Error(`Failed to fetch provenance: ${assetResponse.status}`);
+        }
+        try {
+            attestation = await assetResponse.json();
+        } catch (error) {
+            attestation = null;
+        }
+        metadata = await fetchReleaseMetadata(found.release, env);
+    }
 
-        if (!readmeResponse.ok) {
-            throw new Error(`Failed to fetch README: ${readmeResponse.status}`);
+    const result = await verifyAttestation(attestation, publicKey);
+    const checks = { signature: result.valid };
+    const failures = result.valid ? [] : [result.error];
+
+    if (result.valid) {
+        const payload = result.payload;
+        if (fromRelease) {
+            checks.subject = payload.tag === tag &&
+                payload.owner.toLowerCase() === owner.toLowerCase() &&
+                payload.repo.toLowerCase() === repo.toLowerCase();
+            if (!checks.subject) failures.push('Attestation was signed for a different version');
+        }
+        if (metadata) {
+            checks.metadata = metadata.archive_hash === payload.archive_hash && metadata.commit_hash === payload.commit_hash;
+            if (!checks.metadata) failures.push('metadata.json does not match the signed attestation');
         }
+        if (params.archive_hash !== undefined) {
+            checks.archive_hash = params.archive_hash.toLowerCase() === payload.archive_hash;
+            if (!checks.archive_hash) failures.push('Archive hash does not match the signed hash');
+        }
+    }
 
-        const readmeContent = await readmeResponse.text();
-        logger.info('README fetched successfully', { owner, repo, tag: releaseTag });
-        return addRateLimitHeaders(jsonResponse({ readme: readmeContent, tag: releaseTag }), rateLimitResult);
+    const valid = failures.length === 0;
+    logger.info('Provenance verified', { tag: result.payload?.tag || tag, valid });
 
-    } catch (error) {
-        logger.error('README fetch error', { error: error.message });
-        return errorResponse(500, 'Failed to fetch README');
-    }
+    return jsonResponse({
+        valid,
+        key_id: publicKey.keyId,
+        checks,
+        error: valid ? null : failures[0],
+        provenance: result.payload || null
+    });
 }
 
 /**
- * Check if original repository is still online
+ * Fetch README from archived release
+ * Proxies the request to avoid CORS issues
  */
-async function handleStatusCheck(request, owner, repo, env, logger) {
-    // Rate limiting check at the start (outside try block so it's available in catch)
-    const clientIP = getClientIP(request);
-    const rateLimitResult = await checkRateLimit(clientIP, 'status', env, logger.requestId);
-    if (!rateLimitResult.allowed) {
-        logger.warn('Rate limit exceeded', { clientIP, endpoint: 'status' });
-        return rateLimitResponse(rateLimitResult);
-    }
+async function handleReadmeFetch({ params: { host, owner, repo, tag }, env, logger }) {
+    const githubHeaders = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'Git-Archiver-Worker/1.0',
+        'Authorization': `token ${env.GITHUB_TOKEN}`
+    };
 
-    try {
-        const headers = {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'Git-Archiver-Worker/1.0'
-        };
+    // If no tag provided, find the latest release for this repo
+    let releaseTag = tag;
+    if (!releaseTag) {
+        const matchingReleases = await listRepoReleases({ host, owner, repo }, env);
 
-        // Use auth if available to avoid rate limits
-        if (env?.GITHUB_TOKEN) {
-            headers['Authorization'] = `token ${env.GITHUB_TOKEN}`;
+        if (matchingReleases.length === 0) {
+            return errorResponse(404, 'No archived versions found for this repository');
         }
 
-        const response = await fetch(`https://api.github.com/repos/${owner}/${repo}`, {
-            headers
-        });
+        releaseTag = matchingReleases[0].tag_name;
+    }
 
-        if (response.status === 404) {
-            logger.info('Repository status checked', { owner, repo, status: 'deleted' });
-            return addRateLimitHeaders(
-                jsonResponse({
-                    online: false,
-                    status: 'deleted',
-                    message: 'Repository not found'
-                }),
-                rateLimitResult
-            );
-        }
+    // Fetch the release to get README asset
+    const releaseUrl = `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases/tags/${releaseTag}`;
+    const releaseResponse = await fetch(releaseUrl, { headers: githubHeaders });
 
-        if (response.status === 451) {
-            logger.info('Repository status checked', { owner, repo, status: 'dmca' });
-            return addRateLimitHeaders(
-                jsonResponse({
-                    online: false,
-                    status: 'dmca',
-                    message: 'Repository unavailable due to DMCA'
-                }),
-                rateLimitResult
-            );
+    if (!releaseResponse.ok) {
+        if (releaseResponse.status === 404) {
+            return errorResponse(404, 'Release not found');
         }
+        throw new Error(`Failed to fetch release: ${releaseResponse.status}`);
+    }
 
-        if (!response.ok) {
-            return addRateLimitHeaders(
-                jsonResponse({
-                    online: null,
-                    status: 'unknown',
-                    message: `Unable to check status: ${response.status}`
-                }),
-                rateLimitResult
-            );
-        }
+    const release = await releaseResponse.json();
 
-        const data = await response.json();
-        const status = data.archived ? 'archived' : 'active';
-        logger.info('Repository status checked', { owner, repo, status });
+    // Find README asset
+    const readmeAsset = release.assets?.find(a => a.name === 'README.md');
+    if (!readmeAsset) {
+        return jsonResponse({ readme: null, message: 'No README available for this archive' });
+    }
 
-        return addRateLimitHeaders(
-            jsonResponse({
-                online: true,
-                status: status,
-                private: data.private,
-                archived: data.archived,
-                message: data.archived ? 'Repository is archived on GitHub' : 'Repository is active'
-            }),
-            rateLimitResult
-        );
+    // Fetch README content
+    const readmeResponse = await fetch(readmeAsset.url, {
+        headers: {
+            'Accept': 'application/octet-stream',
+            'User-Agent': 'Git-Archiver-Worker/1.0',
+            'Authorization': `token ${env.GITHUB_TOKEN}`
+        }
+    });
 
-    } catch (error) {
-        logger.error('Status check error', { error: error.message });
-        return addRateLimitHeaders(
-            jsonResponse({
-                online: null,
-                status: 'error',
-                message: 'Failed to check repository status'
-            }),
-            rateLimitResult
-        );
+    if (!readmeResponse.ok) {
+        throw new Error(`Failed to fetch README: ${readmeResponse.status}`);
     }
+
+    const readmeContent = await readmeResponse.text();
+    logger.info('README fetched successfully', { owner, repo, tag: releaseTag });
+    return jsonResponse({ readme: readmeContent, tag: releaseTag });
 }
 
 /**
- * Handle bulk submission of multiple repositories
+ * List every archive release for a repository, newest first
+ * Pages through all releases on the archive repo instead of stopping at the first 100
+ *
+ * @param {object} source - { host, owner, repo }
  */
-async function handleBulkSubmit(request, env, logger) {
-    try {
-        // Rate limiting check at the start
-        const clientIP = getClientIP(request);
-        const rateLimitResult = await checkRateLimit(clientIP, 'bulkSubmit', env, logger.requestId);
-        if (!rateLimitResult.allowed) {
-            logger.warn('Rate limit exceeded', { clientIP, endpoint: 'bulkSubmit' });
-            return rateLimitResponse(rateLimitResult);
-        }
-
-        // Validate Content-Type header
-        const contentType = request.headers.get('Content-Type');
-        if (!contentType || !contentType.includes('application/json')) {
-            return addRateLimitHeaders(
-                new Response(JSON.stringify({ error: 'Content-Type must be application/json' }), {
-                    status: 415,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Access-Control-Allow-Origin': '*'
-                    }
-                }),
-                rateLimitResult
-            );
-        }
+async function listRepoReleases(source, env) {
+    const githubHeaders = {
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'Git-Archiver-Worker/1.0',
+        'Authorization': `token ${env.GITHUB_TOKEN}`
+    };
+    const repoPrefix = Forges.releasePrefix(source);
+    const matchingReleases = [];
 
-        const body = await request.json();
-        const urls = body.urls;
+    for (let page = 1; page <= MAX_RELEASE_PAGES; page++) {
+        const releasesUrl = `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases?per_page=${RELEASES_PER_PAGE}&page=${page}`;
+        const releasesResponse = await fetchWithRetry(releasesUrl, { headers: githubHeaders });
 
-        if (!Array.isArray(urls) || urls.length === 0) {
-            return addRateLimitHeaders(errorResponse(400, 'Missing or empty urls array'), rateLimitResult);
+        if (!releasesResponse.ok) {
+            throw new Error(`Failed to fetch releases: ${releasesResponse.status}`);
         }
 
-        // Limit bulk submissions
-        if (urls.length > MAX_BULK_URLS) {
-            return addRateLimitHeaders(
-                errorResponse(400, `Maximum ${MAX_BULK_URLS} URLs per bulk submission`),
-                rateLimitResult
-            );
-        }
+        const releases = await releasesResponse.json();
+        matchingReleases.push(...releases.filter(r => r.tag_name.startsWith(repoPrefix)));
 
-        logger.info('Processing bulk submission', { urlCount: urls.length });
-        const results = [];
+        if (releases.length < RELEASES_PER_PAGE) break;
+    }
 
-        for (const url of urls) {
-            const repoUrl = url?.trim();
+    // Sort by date (newest first)
+    matchingReleases.sort((a, b) => new Date(b.published_at || b.created_at) - new Date(a.published_at || a.created_at));
+    return matchingReleases;
+}
 
-            // Validate URL
-            if (!repoUrl) {
-                results.push({ url, success: false, error: 'Empty URL' });
-                continue;
-            }
+/**
+ * Fetch and parse a release's metadata.json asset
+ * Returns null when the asset is missing or unreadable
+ */
+async function fetchReleaseMetadata(release, env) {
+    const metadataAsset = release.assets?.find(a => a.name === 'metadata.json');
+    if (!metadataAsset) return null;
 
-            // Check URL length before regex to prevent ReDoS
-            if (repoUrl.length > MAX_URL_LENGTH) {
-                results.push({ url: repoUrl, success: false, error: 'URL too long' });
-                continue;
+    try {
+        const response = await fetch(metadataAsset.url, {
+            headers: {
+                'Accept': 'application/octet-stream',
+                'User-Agent': 'Git-Archiver-Worker/1.0',
+                'Authorization': `token ${env.GITHUB_TOKEN}`
             }
+        });
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        console.warn('Failed to read metadata.json:', release.tag_name, error.message);
+        return null;
+    }
+}
 
-            const match = repoUrl.match(GITHUB_URL_REGEX);
-            if (!match) {
-                results.push({ url: repoUrl, success: false, error: 'Invalid GitHub URL' });
-                continue;
-            }
+/**
+ * List every archived version of a repository
+ * Returns tag, date, assets and parsed metadata.json per version
+ */
+async function handleVersionsFetch({ params: { host, owner, repo }, env, logger }) {
+    const releases = await listRepoReleases({ host, owner, repo }, env);
 
-            const [, owner, repo] = match;
+    // Metadata is fetched for the newest versions only to stay within subrequest limits
+    const metadata = await Promise.all(
+        releases.slice(0, MAX_VERSION_METADATA).map(release => fetchReleaseMetadata(release, env))
+    );
 
-            // Validate owner and repo names
-            const ownerValidation = validateGitHubName(owner, 'owner');
-            if (!ownerValidation.valid) {
-                results.push({ url: repoUrl, success: false, error: ownerValidation.error });
-                continue;
-            }
+    const versions = releases.map((release, i) => ({
+        tag: release.tag_name,
+        date: release.published_at,
+        assets: (release.assets || []).map(asset => ({
+            name: asset.name,
+            size: asset.size,
+            content_type: asset.content_type,
+            download_url: asset.browser_download_url
+        })),
+        metadata: metadata[i] || null
+    }));
+
+    logger.info('Versions fetched', { host, owner, repo, count: versions.length });
+    return jsonResponse({ host, owner, repo, total: versions.length, versions });
+}
 
-            const repoValidation = validateGitHubName(repo, 'repo');
-            if (!repoValidation.valid) {
-                results.push({ url: repoUrl, success: false, error: repoValidation.error });
-                continue;
-            }
+/**
+ * Check that a release tag is well formed and belongs to the repository
+ *
+ * @param {object} source - { host, owner, repo }
+ */
+function isRepoReleaseTag(tag, source) {
+    return RELEASE_TAG_REGEX.test(tag) && tag.startsWith(Forges.releasePrefix(source));
+}
 
-            try {
-                // Check if repository exists
-                const repoCheck = await checkRepository(owner, repo, env);
-                if (!repoCheck.exists) {
-                    results.push({ url: repoUrl, success: false, error: 'Repository not found' });
-                    continue;
-                }
+/**
+ * Find the release holding a full-project export
+ * Uses the requested tag when given, otherwise the newest release with an export
+ *
+ * @returns {object|null} { release, asset } or null when no export exists
+ */
+async function findProjectRelease(source, tag, env) {
+    return findReleaseAsset(source, tag, env, a => a.name.endsWith(PROJECT_ASSET_SUFFIX));
+}
 
-                if (repoCheck.private) {
-                    results.push({ url: repoUrl, success: false, error: 'Cannot archive private repositories' });
-                    continue;
-                }
+/**
+ * Find the release holding the source tarball
+ * Uses the requested tag when given, otherwise the newest release
+ *
+ * @returns {object|null} { release, asset } or null when no archive exists
+ */
+async function findTarballRelease(source, tag, env) {
+    return findReleaseAsset(source, tag, env, a => a.name.endsWith('.tar.gz'));
+}
 
-                // Check size limit
-                if (repoCheck.size > MAX_REPO_SIZE_BYTES) {
-                    results.push({ url: repoUrl, success: false, error: `Repository too large (${formatBytes(repoCheck.size)})` });
-                    continue;
+/**
+ * Find the first release (the tagged one, or newest first) with an asset matching `matchAsset`
+ */
+async function findReleaseAsset(source, tag, env, matchAsset) {
+    let releases;
+    if (tag) {
+        const response = await fetchWithRetry(
+            `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases/tags/${tag}`,
+            {
+                headers: {
+                    'Accept': 'application/vnd.github.v3+json',
+                    'User-Agent': 'Git-Archiver-Worker/1.0',
+                    'Authorization': `token ${env.GITHUB_TOKEN}`
                 }
+            }
+        );
+        if (response.status === 404) return null;
+        if (!response.ok) {
+            throw new Error(`Failed to fetch release: ${response.status}`);
+        }
+        releases = [await response.json()];
+    } else {
+        releases = await listRepoReleases(source, env);
+    }
 
-                // Check for existing pending request
-                const existingIssue = await checkExistingRequest(owner, repo, env);
-                if (existingIssue) {
-                    results.push({ url: repoUrl, success: false, error: `Already queued (Issue #${existingIssue.number})`, issue_number: existingIssue.number });
-                    continue;
-                }
+    for (const release of releases) {
+        const asset = release.assets?.find(matchAsset);
+        if (asset) return { release, asset };
+    }
+    return null;
+}
 
-                // Check if already archived today
-                const todayRelease = await checkTodayRelease(owner, repo, env);
-                if (todayRelease) {
-                    results.push({ url: repoUrl, success: false, error: 'Already archived today', release_url: todayRelease.url });
-                    continue;
-                }
+/**
+ * Stream records out of a gzipped JSON-lines body
+ * Lines are parsed as they arrive so the whole export never sits in memory as text
+ */
+async function* readJsonLines(body) {
+    const reader = body
+        .pipeThrough(new DecompressionStream('gzip'))
+        .pipeThrough(new TextDecoderStream())
+        .getReader();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (line) yield JSON.parse(line);
+        }
+    }
 
-                // Create GitHub issue
-                const issue = await createGitHubIssue(owner, repo, repoUrl, env);
-                results.push({
-                    url: repoUrl,
-                    success: true,
-                    issue_number: issue.number,
-                    issue_url: issue.html_url
-                });
+    if (buffer.trim()) yield JSON.parse(buffer);
+}
 
-                // Small delay between issue creations to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 500));
+/**
+ * Browse issues and pull requests captured by a full-project archive
+ * Without a number: filtered, paginated summaries. With a number: the item plus its comments.
+ * Params: owner, repo, number, tag, q, type, state, page, per_page
+ */
+async function handleProjectIssues({ params, env, logger }) {
+    const { host, owner, repo, tag, type, state, page } = params;
+    const issueNumber = params.number ?? null;
+    const query = (params.q || '').trim().toLowerCase();
+    const perPage = params.per_page;
+
+    const found = await findProjectRelease({ host, owner, repo }, tag, env);
+    if (!found) {
+        return errorResponse(404, 'No full-project archive found for this repository');
+    }
+
+    const assetResponse = await fetch(found.asset.url, {
+        headers: {
+            'Accept': 'application/octet-stream',
+            'User-Agent': 'Git-Archiver-Worker/1.0',
+            'Authorization': `token ${env.GITHUB_TOKEN}`
+        }
+    });
+    if (!assetResponse.ok) {
+        throw new Error(`Failed to fetch project export: ${assetResponse.status}`);
+    }
 
-            } catch (error) {
-                console.error(`Bulk submit error for ${repoUrl}:`, error);
-                results.push({ url: repoUrl, success: false, error: 'Failed to process' });
+    const releaseTag = found.release.tag_name;
+
+    if (issueNumber !== null) {
+        let item = null;
+        const comments = [];
+        for await (const record of readJsonLines(assetResponse.body)) {
+            if (PROJECT_ITEM_TYPES.includes(record.type) && record.number === issueNumber) {
+                item = record;
+            } else if ((record.type === 'comment' || record.type === 'review_comment') && record.issue_number === issueNumber) {
+                comments.push(record);
             }
         }
 
-        const successful = results.filter(r => r.success).length;
-        const failed = results.filter(r => !r.success).length;
-        logger.info('Bulk submission completed', { successful, failed });
-
-        return addRateLimitHeaders(
-            jsonResponse({
-                success: true,
-                summary: {
-                    total: urls.length,
-                    successful,
-                    failed
-                },
-                results
-            }, successful > 0 ? 201 : 200),
-            rateLimitResult
-        );
+        if (!item) {
+            return errorResponse(404, `Issue #${issueNumber} is not in this archive`);
+        }
 
-    } catch (error) {
-        logger.error('Bulk submit error', { error: error.message });
-        return errorResponse(500, 'Internal server error');
+        comments.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+        logger.info('Project issue fetched', { owner, repo, tag: releaseTag, issueNumber });
+        return jsonResponse({ owner, repo, tag: releaseTag, item, comments });
+    }
+
+    let manifest = null;
+    const matches = [];
+    for await (const record of readJsonLines(assetResponse.body)) {
+        if (record.type === 'manifest') {
+            manifest = record;
+            continue;
+        }
+        if (!PROJECT_ITEM_TYPES.includes(record.type)) continue;
+        if (type !== 'all' && record.type !== type) continue;
+        if (state !== 'all' && record.state !== state) continue;
+        if (query && !`#${record.number} ${record.title || ''}`.toLowerCase().includes(query)) continue;
+
+        // Summaries only: bodies are served by the single-item route
+        matches.push({
+            number: record.number,
+            type: record.type,
+            title: record.title,
+            state: record.state,
+            user: record.user,
+            labels: record.labels || [],
+            comments: record.comments || 0,
+            created_at: record.created_at,
+            closed_at: record.closed_at || null,
+            merged_at: record.merged_at || null
+        });
+    }
+
+    matches.sort((a, b) => b.number - a.number);
+    const start = (page - 1) * perPage;
+
+    logger.info('Project issues listed', { owner, repo, tag: releaseTag, total: matches.length });
+    return jsonResponse({
+        owner,
+        repo,
+        tag: releaseTag,
+        exported_at: manifest?.exported_at || null,
+        truncated: manifest?.truncated || false,
+        total: matches.length,
+        page,
+        per_page: perPage,
+        items: matches.slice(start, start + perPage)
+    });
+}
+
+/**
+ * Open the source tarball of an archived version as a stream of tar entries
+ *
+ * @returns {object|null} { tag, entries } or null when no archive exists
+ */
+async function openArchiveTarball(source, tag, env) {
+    const found = await findTarballRelease(source, tag, env);
+    if (!found) {
+        return null;
+    }
+
+    return { tag: found.release.tag_name, entries: await fetchTarEntries(found.asset, env) };
+}
+
+/**
+ * Download a tarball release asset as a stream of tar entries
+ */
+async function fetchTarEntries(asset, env) {
+    const assetResponse = await fetch(asset.url, {
+        headers: {
+            'Accept': 'application/octet-stream',
+            'User-Agent': 'Git-Archiver-Worker/1.0',
+            'Authorization': `token ${env.GITHUB_TOKEN}`
+        }
+    });
+    if (!assetResponse.ok) {
+        throw new Error(`Failed to fetch archive: ${assetResponse.status}`);
     }
+
+    return readTarEntries(assetResponse.body);
+}
+
+/**
+ * The shallow clone's .git directory is in the tarball but is not part of the repo's files
+ */
+function isGitInternalPath(path) {
+    return path === '.git' || path.startsWith('.git/');
+}
+
+/**
+ * Normalize a requested file path, rejecting traversal and empty segments
+ *
+ * @returns {string|null} The path as it appears in the tarball, or null when invalid
+ */
+function normalizeFilePath(rawPath) {
+    if (!rawPath || rawPath.length > MAX_FILE_PATH_LENGTH || rawPath.includes('\0')) {
+        return null;
+    }
+
+    const path = rawPath.replace(/^\/+/, '').replace(/^(\.\/)+/, '');
+    const segments = path.split('/');
+    if (!path || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+        return null;
+    }
+    return path;
+}
+
+/**
+ * List the files inside an archived tarball
+ * Streams the release asset through the tar reader; only entry headers are kept
+ */
+async function handleFileTree({ params: { host, owner, repo, tag }, env, logger }) {
+    const archive = await openArchiveTarball({ host, owner, repo }, tag, env);
+    if (!archive) {
+        return errorResponse(404, 'No archived versions found for this repository');
+    }
+
+    const entries = [];
+    let totalFiles = 0;
+    let totalSize = 0;
+    let truncated = false;
+
+    for await (const entry of archive.entries) {
+        if (isGitInternalPath(entry.path)) continue;
+
+        if (entry.type === 'file') {
+            totalFiles++;
+            totalSize += entry.size;
+        }
+        if (entries.length >= MAX_TREE_ENTRIES) {
+            truncated = true;
+            continue;
+        }
+
+        const item = { path: entry.path, type: entry.type, size: entry.size };
+        if (entry.type === 'symlink') item.target = entry.linkTarget;
+        entries.push(item);
+    }
+
+    entries.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    logger.info('File tree listed', { owner, repo, tag: archive.tag, entries: entries.length, truncated });
+
+    return jsonResponse({
+        owner,
+        repo,
+        tag: archive.tag,
+        total_files: totalFiles,
+        total_size: totalSize,
+        truncated,
+        entries
+    });
+}
+
+/**
+ * Return one file's bytes from an archived tarball
+ * The archive is read only up to the requested file, whose data is streamed
+ * straight into the response.
+ */
+async function handleRawFile({ params: { host, owner, repo, tag, path }, env, logger }) {
+    const archive = await openArchiveTarball({ host, owner, repo }, tag, env);
+    if (!archive) {
+        return errorResponse(404, 'No archived versions found for this repository');
+    }
+
+    // Iterate by hand: breaking out of for-await would close the archive
+    // before the entry's data is streamed
+    let entry = null;
+    while (!entry) {
+        const { value, done } = await archive.entries.next();
+        if (done) {
+            return errorResponse(404, 'File not found in archive');
+        }
+        if (value.path === path) {
+            entry = value;
+        }
+    }
+
+    if (entry.type !== 'file' || entry.size > MAX_RAW_FILE_BYTES) {
+        await archive.entries.return();
+    }
+    if (entry.type === 'directory') {
+        return errorResponse(400, 'path is a directory; use /files to list it');
+    }
+    if (entry.type === 'symlink') {
+        return errorResponse(400, `path is a symbolic link to ${entry.linkTarget}`);
+    }
+    if (entry.type !== 'file') {
+        return errorResponse(400, 'path is not a regular file');
+    }
+    if (entry.size > MAX_RAW_FILE_BYTES) {
+        return errorResponse(413, `File too large to serve (${formatBytes(entry.size)}); download the full archive instead`);
+    }
+
+    logger.info('Raw file served', { owner, repo, tag: archive.tag, path, size: entry.size });
+    return streamTarEntry(entry, archive.entries);
+}
+
+/**
+ * Summarize what changed between two archived versions
+ * Each tarball is streamed once and reduced to a path -> SHA-256 manifest, so
+ * neither archive is held in memory. Query: ?base=<tag>&head=<tag>
+ */
+async function handleCompare({ params: { host, owner, repo, base, head }, env, logger }) {
+    if (base === head) {
+        return errorResponse(400, 'base and head must be different versions');
+    }
+
+    const [baseRelease, headRelease] = await Promise.all([
+        findTarballRelease({ host, owner, repo }, base, env),
+        findTarballRelease({ host, owner, repo }, head, env)
+    ]);
+    if (!baseRelease || !headRelease) {
+        return errorResponse(404, `Archived version not found: ${!baseRelease ? base : head}`);
+    }
+    // Checked before either download starts; an asset without a size counts as too large
+    const sizes = [baseRelease.asset.size, headRelease.asset.size];
+    if (!sizes.every(Number.isInteger) || sizes[0] + sizes[1] > MAX_COMPARE_ARCHIVE_BYTES) {
+        return errorResponse(413, `Versions whose archives add up to more than ${formatBytes(MAX_COMPARE_ARCHIVE_BYTES)} cannot be compared`);
+    }
+
+    // One archive at a time keeps a single download in flight
+    const budget = { remaining: MAX_COMPARE_UNPACKED_BYTES };
+    const baseFiles = await buildArchiveManifest(baseRelease.asset, env, budget);
+    const headFiles = baseFiles && await buildArchiveManifest(headRelease.asset, env, budget);
+    if (!headFiles) {
+        logger.warn('Compare stopped at the unpacked size limit', { owner, repo, base, head });
+        return errorResponse(413, `Versions with more than ${formatBytes(MAX_COMPARE_UNPACKED_BYTES)} of files between them cannot be compared`);
+    }
+
+    const files = [];
+    let unchanged = 0;
+    for (const [path, before] of baseFiles) {
+        const after = headFiles.get(path);
+        if (!after) {
+            files.push({ path, status: 'removed', type: before.type, base_size: before.size, head_size: null });
+        } else if (after.type !== before.type || after.digest !== before.digest) {
+            files.push({ path, status: 'modified', type: after.type, base_size: before.size, head_size: after.size });
+        } else {
+            unchanged++;
+        }
+    }
+    for (const [path, after] of headFiles) {
+        if (!baseFiles.has(path)) {
+            files.push({ path, status: 'added', type: after.type, base_size: null, head_size: after.size });
+        }
+    }
+    files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+    const summary = {
+        added: files.filter(f => f.status === 'added').length,
+        removed: files.filter(f => f.status === 'removed').length,
+        modified: files.filter(f => f.status === 'modified').length,
+        unchanged
+    };
+    logger.info('Versions compared', { owner, repo, base, head, ...summary });
+
+    return jsonResponse({
+        owner,
+        repo,
+        base,
+        head,
+        summary,
+        truncated: files.length > MAX_TREE_ENTRIES,
+        files: files.slice(0, MAX_TREE_ENTRIES)
+    });
+}
+
+/**
+ * Reduce a tarball to path -> { type, size, digest } for its files and symlinks
+ * Symlinks are fingerprinted by their target. Entry sizes are charged to
+ * `budget` from their headers, before the entry's data is inflated.
+ *
+ * @param {Object} budget - { remaining } unpacked bytes, shared across archives
+ * @returns {Promise<Map|null>} null (download cancelled) once the budget runs out
+ */
+async function buildArchiveManifest(asset, env, budget) {
+    const manifest = new Map();
+
+    for await (const entry of await fetchTarEntries(asset, env)) {
+        // Skipped entries are inflated on the way past, so they count too, as
+        // does the pax and long-name data read for each entry
+        budget.remaining -= entry.size + entry.metadataSize;
+        if (budget.remaining < 0) {
+            return null;
+        }
+        if (isGitInternalPath(entry.path) || entry.type === 'directory') continue;
+
+        const digest = entry.type === 'file'
+            ? await digestTarEntry(entry)
+            : `${entry.type}:${entry.linkTarget || ''}`;
+        manifest.set(entry.path, { type: entry.type, size: entry.size, digest });
+    }
+
+    return manifest;
+}
+
+/**
+ * SHA-256 of a tar entry's data
+ * Uses the Workers DigestStream so large files are hashed without buffering them;
+ * falls back to buffering where it is unavailable (local tooling).
+ */
+async function digestTarEntry(entry) {
+    let digest;
+    if (typeof crypto.DigestStream === 'function') {
+        const digestStream = new crypto.DigestStream('SHA-256');
+        const writer = digestStream.getWriter();
+        for await (const piece of entry.read()) {
+            await writer.write(piece);
+        }
+        await writer.close();
+        digest = await digestStream.digest;
+    } else {
+        const buffer = new Uint8Array(entry.size);
+        let offset = 0;
+        for await (const piece of entry.read()) {
+            buffer.set(piece, offset);
+            offset += piece.length;
+        }
+        digest = await crypto.subtle.digest('SHA-256', buffer);
+    }
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Stream an archived tarball to the browser
+ * Release asset downloads redirect to a host without CORS headers, so the
+ * frontend's Files tab fetches the .tar.gz through here. Not put in the edge
+ * cache (assets can be GBs); browsers may keep it via Cache-Control.
+ */
+async function handleArchiveDownload({ params: { host, owner, repo, tag }, env, logger }) {
+    const found = await findTarballRelease({ host, owner, repo }, tag, env);
+    if (!found) {
+        return errorResponse(404, 'No archived versions found for this repository');
+    }
+
+    const assetResponse = await fetch(found.asset.url, {
+        headers: {
+            'Accept': 'application/octet-stream',
+            'User-Agent': 'Git-Archiver-Worker/1.0',
+            'Authorization': `token ${env.GITHUB_TOKEN}`
+        }
+    });
+    if (!assetResponse.ok) {
+        throw new Error(`Failed to fetch archive: ${assetResponse.status}`);
+    }
+
+    logger.info('Archive streamed', { owner, repo, tag: found.release.tag_name, size: found.asset.size });
+    const headers = {
+        'Content-Type': 'application/gzip',
+        'Content-Disposition': `attachment; filename="${found.asset.name.replace(/[^a-zA-Z0-9._-]/g, '_')}"`,
+        'Cache-Control': `public, max-age=${CACHE_TTL.files}`,
+        'X-Archive-Tag': found.release.tag_name,
+        'Access-Control-Expose-Headers': 'Content-Length, X-Archive-Tag'
+    };
+    if (Number.isInteger(found.asset.size)) {
+        headers['Content-Length'] = String(found.asset.size);
+    }
+
+    return new Response(assetResponse.body, { status: 200, headers });
+}
+
+/**
+ * Build a streaming response from a tar entry's data
+ * The first chunk decides the type: NUL bytes mean binary, otherwise text.
+ * The archive download is cancelled once the entry has been sent.
+ */
+async function streamTarEntry(entry, entries) {
+    const pieces = entry.read();
+    const first = await pieces.next();
+    const isBinary = !first.done && first.value.subarray(0, 8000).includes(0);
+
+    const body = new ReadableStream({
+        async start(controller) {
+            if (first.done) {
+                controller.close();
+                await entries.return();
+            } else {
+                controller.enqueue(first.value);
+            }
+        },
+        async pull(controller) {
+            const { value, done } = await pieces.next();
+            if (done) {
+                controller.close();
+                await entries.return();
+            } else {
+                controller.enqueue(value);
+            }
+        },
+        async cancel() {
+            await pieces.return();
+            await entries.return();
+        }
+    });
+
+    return new Response(body, {
+        status: 200,
+        headers: {
+            'Content-Type': isBinary ? 'application/octet-stream' : 'text/plain; charset=utf-8',
+            'Content-Length': String(entry.size)
+        }
+    });
+}
+
+/**
+ * Headers that keep archived files from being rendered as active content
+ * Re-applied after cachedFetch because cached responses keep only safe headers
+ */
+function withRawFileHeaders(response, path) {
+    if (response.status !== 200) {
+        return response;
+    }
+
+    const fileName = path.split('/').pop().replace(/[^a-zA-Z0-9._-]/g, '_');
+    const headers = new Headers(response.headers);
+    headers.set('X-Content-Type-Options', 'nosniff');
+    headers.set('Content-Security-Policy', "default-src 'none'; sandbox");
+    headers.set('Content-Disposition', `inline; filename="${fileName}"`);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Check if original repository is still online
+ * With webhooks enabled, a change to deleted/dmca notifies subscribers in the background.
+ */
+async function handleStatusCheck({ params: { forge, host, owner, repo }, env, ctx, logger }) {
+    const forgeName = Forges.name(forge);
+
+    try {
+        const probe = await probeRepository({ forge, host, owner, repo }, env);
+        logger.info('Repository status checked', { host, owner, repo, status: probe.status });
+
+        if (probe.status !== 'unknown') {
+            trackSourceStatus({ host, owner, repo }, probe.status, env, ctx, logger);
+        }
+
+        if (probe.status === 'deleted') {
+            return jsonResponse({
+                online: false,
+                status: 'deleted',
+                message: 'Repository not found'
+            });
+        }
+
+        if (probe.status === 'dmca') {
+            return jsonResponse({
+                online: false,
+                status: 'dmca',
+                message: 'Repository unavailable due to DMCA'
+            });
+        }
+
+        if (probe.status === 'unknown') {
+            return jsonResponse({
+                online: null,
+                status: 'unknown',
+                message: `Unable to check status: ${probe.httpStatus}`
+            });
+        }
+
+        return jsonResponse({
+            online: true,
+            status: probe.status,
+            private: probe.private,
+            archived: probe.archived,
+            message: probe.archived ? `Repository is archived on ${forgeName}` : 'Repository is active'
+        });
+
+    } catch (error) {
+        logger.error('Status check error', { error: error.message });
+        return jsonResponse({
+            online: null,
+            status: 'error',
+            message: 'Failed to check repository status'
+        });
+    }
+}
+
+/**
+ * Record a source status and send `source.unavailable` when a repo goes offline
+ * Runs after the response via waitUntil so webhook retries never delay /status
+ */
+function trackSourceStatus(source, status, env, ctx, logger) {
+    if (!env.WEBHOOKS || !ctx) {
+        return;
+    }
+
+    ctx.waitUntil((async () => {
+        try {
+            const wentOffline = await recordSourceStatus(env, source, status);
+            if (wentOffline) {
+                await dispatchEvent(env, 'source.unavailable', source, { status }, logger);
+            }
+        } catch (error) {
+            logger.error('Source status tracking error', { host: source.host, owner: source.owner, repo: source.repo, error: error.message });
+        }
+    })());
+}
+
+/**
+ * Report the normalized state of an archive request
+ * Derived from the labels and bot comments that archive.yml writes on the issue
+ */
+async function handleJobStatus({ params: { issue: issueNumber }, env, logger }) {
+    const found = await fetchArchiveIssue(issueNumber, env);
+    if (!found) {
+        return errorResponse(404, 'Job not found');
+    }
+
+    // Comments are only needed once the workflow has finished
+    const { issue, labels } = found;
+    const comments = issue.state === 'closed' ? await fetchIssueComments(issueNumber, env) : [];
+
+    const job = deriveJobStatus(issue, labels, comments, env);
+    logger.info('Job status derived', { issueNumber, state: job.state });
+    return jsonResponse(job);
+}
+
+/**
+ * Fetch an archive-request issue
+ *
+ * @returns {object|null} { issue, labels }, or null when the number is not an archive request
+ */
+async function fetchArchiveIssue(issueNumber, env) {
+    const response = await fetchWithRetry(
+        `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/issues/${issueNumber}`,
+        {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'Git-Archiver-Worker/1.0',
+                'Authorization': `token ${env.GITHUB_TOKEN}`
+            }
+        }
+    );
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to fetch issue: ${response.status}`);
+    }
+
+    const issue = await response.json();
+    const labels = (issue.labels || []).map(label => label.name);
+
+    // Pull requests share the issue number space; only archive requests are jobs
+    if (issue.pull_request || !labels.includes('archive-request')) {
+        return null;
+    }
+    return { issue, labels };
+}
+
+/**
+ * Fetch an issue's comments, oldest first
+ */
+async function fetchIssueComments(issueNumber, env) {
+    const response = await fetchWithRetry(
+        `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/issues/${issueNumber}/comments?per_page=100`,
+        {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'Git-Archiver-Worker/1.0',
+                'Authorization': `token ${env.GITHUB_TOKEN}`
+            }
+        }
+    );
+    if (!response.ok) {
+        throw new Error(`Failed to fetch issue comments: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Queue priority of a request from its labels
+ */
+function jobPriority(labels) {
+    return Object.keys(PRIORITY_LABELS).find(priority => labels.includes(PRIORITY_LABELS[priority])) || 'normal';
+}
+
+/**
+ * Job status plus the fields operators manage the queue by
+ */
+function describeQueueJob(issue, comments, env) {
+    const labels = (issue.labels || []).map(label => label.name);
+    const request = parseRequestIssueBody(issue.body);
+    return {
+        ...deriveJobStatus(issue, labels, comments, env),
+        priority: jobPriority(labels),
+        mode: request.mode || DEFAULT_ARCHIVE_MODE,
+        full_project: request.fullProject
+    };
+}
+
+/**
+ * List archive-request issues, newest first
+ *
+ * @param {object} options - { state: open|closed, labels, page, perPage }
+ */
+async function listArchiveIssues(env, { state, labels, page, perPage }) {
+    const query = new URLSearchParams({ labels, state, page: String(page), per_page: String(perPage) });
+    const response = await fetchWithRetry(
+        `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/issues?${query}`,
+        {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'Git-Archiver-Worker/1.0',
+                'Authorization': `token ${env.GITHUB_TOKEN}`
+            }
+        }
+    );
+    if (!response.ok) {
+        throw new Error(`Failed to list issues: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Change an archive-request issue's state or labels
+ *
+ * @param {object} changes - GitHub issue fields, e.g. { state: 'closed', labels: [...] }
+ * @returns {object} The updated issue
+ */
+async function updateArchiveIssue(issueNumber, changes, env) {
+    const response = await fetchWithRetry(
+        `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/issues/${issueNumber}`,
+        {
+            method: 'PATCH',
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'Authorization': `token ${env.GITHUB_TOKEN}`,
+                'User-Agent': 'Git-Archiver-Worker/1.0',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(changes)
+        }
+    );
+    if (!response.ok) {
+        throw new Error(`Failed to update issue: ${response.status}`);
+    }
+    return await response.json();
+}
+
+/**
+ * Post a comment on an archive-request issue
+ */
+async function commentOnArchiveIssue(issueNumber, body, env) {
+    const response = await fetchWithRetry(
+        `https://api.github.com/repos/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/issues/${issueNumber}/comments`,
+        {
+            method: 'POST',
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'Authorization': `token ${env.GITHUB_TOKEN}`,
+                'User-Agent': 'Git-Archiver-Worker/1.0',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ body })
+        }
+    );
+    if (!response.ok) {
+        throw new Error(`Failed to comment on issue: ${response.status}`);
+    }
+}
+
+/**
+ * Cancel a queued request: explain on the issue and close it as cancelled
+ * A run still pending for the issue skips it once it starts (see archive.yml).
+ *
+ * @returns {object} { job } or { error, status }
+ */
+async function cancelQueuedJob(issueNumber, reason, env) {
+    const found = await fetchArchiveIssue(issueNumber, env);
+    if (!found) {
+        return { error: 'Job not found', status: 404 };
+    }
+
+    const { state } = deriveJobStatus(found.issue, found.labels, [], env);
+    if (state === 'running') {
+        return { error: 'Job is already running', status: 409 };
+    }
+    if (state !== 'queued') {
+        return { error: `Only queued jobs can be cancelled (this one is ${state})`, status: 409 };
+    }
+
+    await commentOnArchiveIssue(issueNumber, `🚫 **Cancelled by an operator**${reason ? `\n\n${reason}` : ''}`, env);
+    const issue = await updateArchiveIssue(issueNumber, { state: 'closed', labels: ['archive-request', 'cancelled'] }, env);
+    return { job: describeQueueJob(issue, [], env) };
+}
+
+/**
+ * Re-run a request as a new issue with the same repository, ref, mode and priority
+ * The workflow only starts on newly opened issues, so this is also how a queued
+ * request whose run never started gets going. The old issue links to the new
+ * one and is closed as cancelled if it was still open.
+ *
+ * @returns {object} { job, retriedFrom } or { error, status }
+ */
+async function retryArchiveJob(issueNumber, env) {
+    const found = await fetchArchiveIssue(issueNumber, env);
+    if (!found) {
+        return { error: 'Job not found', status: 404 };
+    }
+
+    const { issue, labels } = found;
+    const { state } = deriveJobStatus(issue, labels, [], env);
+    if (state === 'running') {
+        return { error: 'Job is already running', status: 409 };
+    }
+    if (!['queued', 'failed', 'cancelled'].includes(state)) {
+        return { error: `Only queued, failed or cancelled jobs can be retried (this one is ${state})`, status: 409 };
+    }
+
+    const request = parseRequestIssueBody(issue.body);
+    const submission = parseRepoSubmission(request.url, request.ref, env);
+    if (!submission.valid) {
+        return { error: `Job cannot be retried: ${submission.error}`, status: 409 };
+    }
+    const { ref } = submission;
+
+    const refusal = await checkModeration(submission, env);
+    if (refusal) {
+        return { error: refusal, status: 403 };
+    }
+
+    const existingIssue = await checkExistingRequest(submission, env, ref);
+    if (existingIssue && existingIssue.number !== issue.number) {
+        return { error: `Already queued (Issue #${existingIssue.number})`, status: 409 };
+    }
+
+    const retry = await createGitHubIssue(submission, env, {
+        refInfo: ref ? { name: ref, type: request.refType || 'branch' } : null,
+        mode: parseArchiveMode(request.mode).mode || DEFAULT_ARCHIVE_MODE,
+        fullProject: request.fullProject,
+        priority: jobPriority(labels)
+    });
+
+    await commentOnArchiveIssue(issue.number, `🔁 **Retried as #${retry.number}**`, env);
+    if (issue.state === 'open') {
+        await updateArchiveIssue(issue.number, { state: 'closed', labels: ['archive-request', 'cancelled'] }, env);
+    }
+
+    return { job: describeQueueJob(retry, [], env), retriedFrom: issue.number };
+}
+
+/**
+ * Replace the priority label of a queued request
+ *
+ * @returns {object} { job } or { error, status }
+ */
+async function setJobPriority(issueNumber, priority, env) {
+    const found = await fetchArchiveIssue(issueNumber, env);
+    if (!found) {
+        return { error: 'Job not found', status: 404 };
+    }
+
+    const { state } = deriveJobStatus(found.issue, found.labels, [], env);
+    if (state !== 'queued') {
+        return { error: `Only queued jobs can be reprioritized (this one is ${state})`, status: 409 };
+    }
+
+    const priorityLabels = Object.values(PRIORITY_LABELS);
+    const labels = found.labels.filter(label => !priorityLabels.includes(label));
+    if (PRIORITY_LABELS[priority]) {
+        labels.push(PRIORITY_LABELS[priority]);
+    }
+
+    const issue = await updateArchiveIssue(issueNumber, { labels }, env);
+    return { job: describeQueueJob(issue, [], env) };
+}
+
+/**
+ * List archive requests for operators (GET /admin/queue)
+ * Open requests are read in full and ordered by priority, then age. Failed and
+ * cancelled ones are paged by GitHub, newest first; failed ones carry the
+ * workflow's failure reason, which costs a comments fetch each.
+ * Params: state, page, per_page
+ */
+async function listQueue({ params: { state, page, per_page: perPage }, env, logger }) {
+    if (state === 'failed' || state === 'cancelled') {
+        const issues = await listArchiveIssues(env, { state: 'closed', labels: `archive-request,${state}`, page, perPage });
+        const jobs = await Promise.all(issues.map(async issue => {
+            const comments = state === 'failed' ? await fetchIssueComments(issue.number, env) : [];
+            return describeQueueJob(issue, comments, env);
+        }));
+
+        logger.info('Queue listed', { state, page, count: jobs.length });
+        return jsonResponse({ state, page, per_page: perPage, total: null, has_more: issues.length === perPage, jobs });
+    }
+
+    const issues = [];
+    for (let issuesPage = 1; issuesPage <= MAX_QUEUE_PAGES; issuesPage++) {
+        const batch = await listArchiveIssues(env, { state: 'open', labels: 'archive-request', page: issuesPage, perPage: 100 });
+        issues.push(...batch);
+        if (batch.length < 100) break;
+    }
+
+    const jobs = issues
+        .map(issue => describeQueueJob(issue, [], env))
+        .filter(job => state === 'open' || job.state === state)
+        .sort((a, b) => (PRIORITY_ORDER.indexOf(a.priority) - PRIORITY_ORDER.indexOf(b.priority)) ||
+            new Date(a.created_at) - new Date(b.created_at));
+
+    const start = (page - 1) * perPage;
+    logger.info('Queue listed', { state, page, total: jobs.length });
+    return jsonResponse({
+        state,
+        page,
+        per_page: perPage,
+        total: jobs.length,
+        has_more: start + perPage < jobs.length,
+        jobs: jobs.slice(start, start + perPage)
+    });
+}
+
+/**
+ * Cancel one queued request
+ * Params: issue, reason (posted on the issue)
+ */
+async function cancelJob({ params: { issue: issueNumber, reason }, env, logger }) {
+    const result = await cancelQueuedJob(issueNumber, reason?.trim(), env);
+    if (result.error) {
+        return errorResponse(result.status, result.error);
+    }
+
+    logger.info('Job cancelled', { issueNumber });
+    return jsonResponse(result.job);
+}
+
+/**
+ * Re-run one request as a new request
+ */
+async function retryJob({ params: { issue: issueNumber }, env, logger }) {
+    const result = await retryArchiveJob(issueNumber, env);
+    if (result.error) {
+        return errorResponse(result.status, result.error);
+    }
+
+    logger.info('Job retried', { issueNumber, retryIssueNumber: result.job.issue_number });
+    return jsonResponse({ ...result.job, retried_from: result.retriedFrom }, 201);
+}
+
+/**
+ * Change one queued request's priority
+ * Params: issue, priority
+ */
+async function prioritizeJob({ params: { issue: issueNumber, priority }, env, logger }) {
+    const result = await setJobPriority(issueNumber, priority, env);
+    if (result.error) {
+        return errorResponse(result.status, result.error);
+    }
+
+    logger.info('Job reprioritized', { issueNumber, priority });
+    return jsonResponse(result.job);
+}
+
+/**
+ * Apply one action to several requests, in the order given
+ * Each request gets its own result, so one failure does not stop the rest.
+ * Params: action, issues, priority (for action priority), reason (for action cancel)
+ */
+async function bulkQueueAction({ params: { action, issues, priority, reason }, env, logger }) {
+    if (action === 'priority' && !priority) {
+        return errorResponse(400, 'priority is required for action priority');
+    }
+    if (issues.some(issueNumber => issueNumber < 1)) {
+        return errorResponse(400, 'issues must be archive request issue numbers');
+    }
+
+    const results = [];
+    for (const issueNumber of new Set(issues)) {
+        try {
+            let result;
+            if (action === 'cancel') {
+                result = await cancelQueuedJob(issueNumber, reason?.trim(), env);
+            } else if (action === 'retry') {
+                result = await retryArchiveJob(issueNumber, env);
+            } else {
+                result = await setJobPriority(issueNumber, priority, env);
+            }
+
+            if (result.error) {
+                results.push({ issue: issueNumber, success: false, error: result.error });
+                continue;
+            }
+            results.push({ issue: issueNumber, success: true, job: result.job });
+
+            // Small delay between issue creations to avoid rate limiting
+            if (action === 'retry') {
+                await new Promise(resolve => setTimeout(resolve, 500));
+            }
+        } catch (error) {
+            logger.error('Queue action failed', { action, issueNumber, error: error.message });
+            results.push({ issue: issueNumber, success: false, error: 'Failed to process' });
+        }
+    }
+
+    const successful = results.filter(r => r.success).length;
+    logger.info('Bulk queue action completed', { action, successful, failed: results.length - successful });
+
+    return jsonResponse({
+        action,
+        summary: {
+            total: results.length,
+            successful,
+            failed: results.length - successful
+        },
+        results
+    });
+}
+
+/**
+ * Validate and queue one bulk submission entry
+ * Entries are URL strings or { url, ref, mode, full_project } objects.
+ *
+ * @returns {Promise<object>} Per-URL result { url, success, error?, issue_number?, ... }
+ */
+async function submitBulkEntry(entry, env) {
+    const isObject = entry !== null && typeof entry === 'object';
+    const url = isObject ? entry.url : entry;
+    const repoUrl = typeof url === 'string' ? url.trim() : url;
+
+    const submission = parseRepoSubmission(url, isObject ? entry.ref : undefined, env);
+    if (!submission.valid) {
+        return { url: repoUrl, success: false, error: submission.error };
+    }
+
+    const { forge, owner, repo } = submission;
+
+    const modeCheck = parseArchiveMode(isObject ? entry.mode : undefined);
+    if (!modeCheck.valid) {
+        return { url: repoUrl, success: false, error: modeCheck.error };
+    }
+    const { mode } = modeCheck;
+
+    if (isObject && entry.full_project !== undefined && typeof entry.full_project !== 'boolean') {
+        return { url: repoUrl, success: false, error: 'full_project must be a boolean' };
+    }
+    const fullProject = isObject && entry.full_project === true;
+    if (fullProject && forge !== 'github') {
+        return { url: repoUrl, success: false, error: 'full_project is only available for GitHub repositories' };
+    }
+
+    try {
+        // Refuse repositories an admin removed or blocked
+        const refusal = await checkModeration(submission, env);
+        if (refusal) {
+            return { url: repoUrl, success: false, error: refusal };
+        }
+
+        // Check if repository exists
+        const repoCheck = await checkRepository(submission, env);
+        if (!repoCheck.exists) {
+            return { url: repoUrl, success: false, error: 'Repository not found' };
+        }
+
+        if (repoCheck.private) {
+            return { url: repoUrl, success: false, error: 'Cannot archive private repositories' };
+        }
+
+        // Check size against the budget for the requested mode
+        const sizeError = checkSizeBudget(repoCheck, mode);
+        if (sizeError) {
+            return { url: repoUrl, success: false, error: sizeError };
+        }
+
+        // Resolve the requested branch, tag or commit
+        let refInfo = null;
+        if (submission.ref) {
+            refInfo = await resolveRef(submission, submission.ref, env);
+            if (!refInfo.exists) {
+                return { url: repoUrl, success: false, error: refInfo.error || `Branch, tag or commit not found: ${submission.ref}` };
+            }
+        }
+        const ref = refInfo?.name || null;
+
+        // Check for existing pending request
+        const existingIssue = await checkExistingRequest(submission, env, ref);
+        if (existingIssue) {
+            return { url: repoUrl, success: false, error: `Already queued (Issue #${existingIssue.number})`, issue_number: existingIssue.number };
+        }
+
+        // Check if already archived today
+        const todayRelease = await checkTodayRelease(submission, env, ref);
+        if (todayRelease) {
+            return { url: repoUrl, success: false, error: 'Already archived today', release_url: todayRelease.url };
+        }
+
+        // Create GitHub issue
+        const issue = await createGitHubIssue(submission, env, { refInfo, mode, fullProject });
+
+        // Small delay between issue creations to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 500));
+
+        return {
+            url: repoUrl,
+            success: true,
+            issue_number: issue.number,
+            issue_url: issue.html_url,
+            forge,
+            ref,
+            mode,
+            full_project: fullProject
+        };
+
+    } catch (error) {
+        console.error(`Bulk submit error for ${repoUrl}:`, error);
+        return { url: repoUrl, success: false, error: 'Failed to process' };
+    }
+}
+
+/**
+ * Handle bulk submission of multiple repositories
+ * Params: urls (1-100 URL strings or { url, ref, mode, full_project } objects)
+ *
+ * With a BATCHES binding the URLs are stored as a batch and submitted after the
+ * response (see batches.js); poll GET /batches/:id for per-URL results.
+ * Without one they are submitted within the request, at most MAX_SYNC_BULK_URLS.
+ */
+async function handleBulkSubmit({ params, url, env, ctx, logger }) {
+    const { urls } = params;
+
+    if (env.BATCHES) {
+        const batch = await createBatch(env, urls);
+        ctx.waitUntil(runSubmitBatch(batch, env, logger));
+
+        logger.info('Bulk submission accepted', { batchId: batch.id, urlCount: urls.length });
+        return jsonResponse({
+            success: true,
+            batch: publicBatch(batch),
+            status_url: `${url.origin}/batches/${batch.id}`
+        }, 202);
+    }
+
+    if (urls.length > MAX_SYNC_BULK_URLS) {
+        return errorResponse(400, `urls must have at most ${MAX_SYNC_BULK_URLS} items`);
+    }
+
+    logger.info('Processing bulk submission', { urlCount: urls.length });
+    const results = [];
+    for (const entry of urls) {
+        results.push(await submitBulkEntry(entry, env));
+    }
+
+    const successful = results.filter(r => r.success).length;
+    const failed = results.filter(r => !r.success).length;
+    logger.info('Bulk submission completed', { successful, failed });
+
+    return jsonResponse({
+        success: true,
+        summary: {
+            total: urls.length,
+            successful,
+            failed
+        },
+        results
+    }, successful > 0 ? 201 : 200);
+}
+
+/**
+ * Submit a batch's pending entries after the response
+ * Errors leave the batch as it was last saved; the next read resumes it.
+ */
+async function runSubmitBatch(batch, env, logger) {
+    try {
+        await runBatch(env, batch, entry => submitBulkEntry(entry, env), logger);
+    } catch (error) {
+        logger.error('Batch processing error', { batchId: batch.id, error: error.message });
+    }
+}
+
+/**
+ * Report a bulk submission batch and its per-URL results
+ * Resumes the batch when its last run stopped before finishing.
+ */
+async function handleBatchStatus({ params: { id }, env, ctx, logger }) {
+    const batch = await loadBatch(env, id);
+    if (!batch) {
+        return errorResponse(404, 'Batch not found');
+    }
+
+    if (await claimStalledBatch(env, batch)) {
+        logger.info('Resuming batch', { batchId: id });
+        ctx.waitUntil(runSubmitBatch(batch, env, logger));
+    }
+
+    return jsonResponse(publicBatch(batch));
+}
+
+/**
+ * Find the GitHub repositories a dependency manifest depends on, and which of
+ * them are already archived
+ * Parsing and registry lookups are shared with the site's bulk modal
+ * (frontend/js/manifests.js); lookups past MAX_MANIFEST_LOOKUPS are reported unresolved.
+ * Params: manifest, filename
+ */
+async function handleManifestResolve({ params, env, logger }) {
+    const parsed = Manifests.parse(params.manifest, params.filename);
+    if (parsed.error) {
+        return errorResponse(400, parsed.error);
+    }
+
+    const registryFetch = (url, init) => fetch(url, {
+        ...init,
+        headers: { ...init.headers, 'User-Agent': 'Git-Archiver-Worker/1.0' }
+    });
+    const [{ repositories, unresolved }, indexData] = await Promise.all([
+        Manifests.resolve(parsed.packages, { fetch: registryFetch, limit: MAX_MANIFEST_LOOKUPS }),
+        loadServedIndex(env, logger)
+    ]);
+    const marked = Manifests.markArchived(repositories, indexData);
+
+    logger.info('Manifest resolved', { format: parsed.format, packages: parsed.packages.length, repositories: marked.length });
+
+    return jsonResponse({
+        format: parsed.format,
+        summary: {
+            packages: parsed.packages.length,
+            repositories: marked.length,
+            archived: marked.filter(repo => repo.archived).length,
+            unresolved: unresolved.length
+        },
+        repositories: marked,
+        unresolved
+    });
 }
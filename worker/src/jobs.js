@@ -0,0 +1,111 @@
+/**
+ * Git-Archiver Web - Archive-request jobs
+ *
+ * Every archive request is a GitHub issue. createGitHubIssue writes the request
+ * fields into its body; archive.yml labels it in-progress when it starts, then
+ * comments with the outcome and closes it with a completed, no-changes or failed
+ * label. An operator cancelling it from the admin queue closes it as cancelled.
+ */
+
+// Only comments posted by the archive workflow are trusted when deriving job status
+const WORKFLOW_BOT_LOGIN = 'github-actions[bot]';
+
+/**
+ * Map an archive-request issue onto a job state
+ * Labels decide the state; the workflow's last comment supplies release details
+ *
+ * @param {object} issue - GitHub issue
+ * @param {string[]} labels - Label names on the issue
+ * @param {Array} comments - Issue comments (oldest first)
+ * @param {object} env - Environment bindings
+ * @returns {object} Normalized job status
+ */
+export function deriveJobStatus(issue, labels, comments, env) {
+    const urlMatch = issue.body?.match(/url:\s*(https:\/\/[^\s]+)/);
+    const refMatch = issue.body?.match(/^ref:[ \t]*(\S+)[ \t]*$/m);
+    const botComment = [...comments].reverse().find(c => c.user?.login === WORKFLOW_BOT_LOGIN);
+    const commentBody = botComment?.body || '';
+
+    let state;
+    if (labels.includes('completed')) {
+        state = 'succeeded';
+    } else if (labels.includes('no-changes')) {
+        state = 'unchanged';
+    } else if (labels.includes('failed')) {
+        state = 'failed';
+    } else if (labels.includes('cancelled')) {
+        // Closed by an operator through the admin queue
+        state = 'cancelled';
+    } else if (issue.state === 'closed') {
+        // Closed by hand without a result label
+        state = 'failed';
+    } else if (labels.includes('in-progress')) {
+        state = 'running';
+    } else {
+        state = 'queued';
+    }
+
+    const job = {
+        issue_number: issue.number,
+        issue_url: issue.html_url,
+        state,
+        url: urlMatch ? urlMatch[1] : null,
+        ref: refMatch ? refMatch[1] : null,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at,
+        closed_at: issue.closed_at || null,
+        release_tag: null,
+        release_url: null,
+        download_url: null,
+        archive_hash: null,
+        failure_reason: null
+    };
+
+    if (state === 'succeeded' || state === 'unchanged') {
+        const tagMatch = commentBody.match(/\*\*Release:\*\*\s*`([^`\s]+)`/);
+        const downloadMatch = commentBody.match(/\*\*Download:\*\*\s*\[[^\]]*\]\((https:\/\/github\.com\/[^)\s]+)\)/);
+        const hashMatch = commentBody.match(/\*\*Hash:\*\*\s*`([a-f0-9]{64})`/);
+
+        job.download_url = downloadMatch ? downloadMatch[1] : null;
+        // Comments written before the Release line existed still carry the tag in the download URL
+        job.release_tag = tagMatch
+            ? tagMatch[1]
+            : (job.download_url?.match(/\/releases\/download\/([^/]+)\//)?.[1] || null);
+        job.archive_hash = hashMatch ? hashMatch[1] : null;
+
+        if (job.release_tag) {
+            job.release_url = `https://github.com/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases/tag/${encodeURIComponent(job.release_tag)}`;
+        }
+    }
+
+    if (state === 'failed') {
+        const reasonMatch = commentBody.match(/\*\*Reason:\*\*\s*(.+)/);
+        if (reasonMatch) {
+            job.failure_reason = reasonMatch[1].trim();
+        } else if (commentBody.includes('failed unexpectedly')) {
+            job.failure_reason = 'Archive failed unexpectedly during clone, archive, or upload';
+        } else if (commentBody.includes('Could not parse repository URL')) {
+            job.failure_reason = 'Could not parse repository URL from issue body';
+        } else {
+            job.failure_reason = 'Request closed without an archive';
+        }
+    }
+
+    return job;
+}
+
+/**
+ * Read the request fields createGitHubIssue writes into an issue body
+ *
+ * @returns {object} { url, ref, refType, mode, fullProject }
+ */
+export function parseRequestIssueBody(body) {
+    const field = name => body?.match(new RegExp(`^${name}:[ \\t]*(\\S+)[ \\t]*$`, 'm'))?.[1] || null;
+    return {
+        url: field('url'),
+        ref: field('ref'),
+        refType: field('ref_type'),
+        mode: field('mode'),
+        fullProject: field('full_project') === 'true'
+    };
+}
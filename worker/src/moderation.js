@@ -0,0 +1,286 @@
+/**
+ * Git-Archiver Web - Blocklist and takedowns
+ *
+ * The blocklist stops repositories from being submitted: exact repos
+ * (owner/repo), whole owners (owner/*) or globs over both names, such as
+ * every repository whose name ends in -miner. Each rule applies to one host,
+ * since the same owner name can belong to different people on each forge.
+ * A takedown removes a repository that is already archived: /index lists it as
+ * `removed` with the public reason instead of its details, its archives are no
+ * longer served, and it cannot be submitted again. The releases themselves stay
+ * on GitHub until an admin deletes them.
+ *
+ * KV layout (MODERATION namespace):
+ * - blocklist   JSON array of rules
+ * - takedowns   JSON object of takedowns keyed by host/owner/repo
+ *
+ * Each is one value so a submission or index read costs a single KV read;
+ * writes only come from the admin API. Names are compared lowercased because
+ * forge names are case-insensitive. Entries saved before hosts were recorded
+ * are GitHub's: they are read as github.com and stored that way on the next write.
+ */
+
+import Forges from '../../frontend/js/forges.js';
+
+export const MAX_BLOCK_RULES = 1000;
+
+const BLOCKLIST_KEY = 'blocklist';
+const TAKEDOWNS_KEY = 'takedowns';
+
+// One side of a pattern: GitHub name characters plus * wildcards
+const PATTERN_PART_REGEX = /^[a-z0-9._*-]{1,100}$/;
+
+function randomHex(byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function repoKey({ host = Forges.DEFAULT_HOST, owner, repo }) {
+    return `${host}/${owner}/${repo}`.toLowerCase();
+}
+
+// Give entries from before hosts were recorded the host they always meant
+function withHost(entry) {
+    return entry.host ? entry : { host: Forges.DEFAULT_HOST, ...entry };
+}
+
+function globToRegExp(glob) {
+    return new RegExp(`^${glob.replace(/[.+?^$()[\]{}|\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Validate a blocklist pattern
+ * A bare owner means the whole owner.
+ *
+ * @returns {object} { valid, pattern?, kind?, error? } with kind repo, owner or glob
+ */
+export function normalizeBlockPattern(rawPattern) {
+    const pattern = String(rawPattern || '').trim().toLowerCase();
+    const [owner, repo = '*', extra] = pattern.split('/');
+
+    if (extra !== undefined || !PATTERN_PART_REGEX.test(owner) || !PATTERN_PART_REGEX.test(repo)) {
+        return { valid: false, error: 'pattern must be owner/repo, owner, owner/* or a glob such as */*-miner' };
+    }
+    if (/^\**$/.test(owner) && /^\**$/.test(repo)) {
+        return { valid: false, error: 'pattern would block every repository' };
+    }
+
+    let kind = 'glob';
+    if (!owner.includes('*') && !repo.includes('*')) kind = 'repo';
+    else if (!owner.includes('*') && repo === '*') kind = 'owner';
+
+    return { valid: true, pattern: `${owner}/${repo}`, kind };
+}
+
+/**
+ * Check whether a blocklist pattern covers owner/repo
+ */
+export function patternMatches(pattern, owner, repo) {
+    return globToRegExp(pattern).test(`${owner}/${repo}`.toLowerCase());
+}
+
+/**
+ * Check whether a blocklist rule covers a repository
+ *
+ * @param {object} rule - From listBlockRules
+ * @param {object} source - { host, owner, repo }; host defaults to github.com
+ */
+export function ruleMatches(rule, { host = Forges.DEFAULT_HOST, owner, repo }) {
+    return rule.host === host.toLowerCase() && patternMatches(rule.pattern, owner, repo);
+}
+
+/**
+ * All blocklist rules, oldest first
+ */
+export async function listBlockRules(env) {
+    const rules = await env.MODERATION.get(BLOCKLIST_KEY, { type: 'json' }) || [];
+    return rules.map(withHost);
+}
+
+/**
+ * Find the first blocklist rule covering a repository
+ * Without a MODERATION binding nothing is blocked.
+ *
+ * @param {object} source - { host, owner, repo }
+ * @returns {object|null} The matching rule
+ */
+export async function findBlockRule(env, source) {
+    if (!env.MODERATION) {
+        return null;
+    }
+    const rules = await listBlockRules(env);
+    return rules.find(rule => ruleMatches(rule, source)) || null;
+}
+
+/**
+ * Add a blocklist rule
+ *
+ * @returns {object} { rule } or { error, status }
+ */
+export async function addBlockRule(env, { host, pattern, kind, reason }) {
+    const rules = await listBlockRules(env);
+    if (rules.some(rule => rule.host === host && rule.pattern === pattern)) {
+        return { error: `${pattern} is already blocked on ${host}`, status: 409 };
+    }
+    if (rules.length >= MAX_BLOCK_RULES) {
+        return { error: `Blocklist is full (${MAX_BLOCK_RULES} rules)`, status: 409 };
+    }
+
+    const rule = {
+        id: randomHex(8),
+        host,
+        pattern,
+        kind,
+        reason: reason || null,
+        created_at: new Date().toISOString()
+    };
+    rules.push(rule);
+    await env.MODERATION.put(BLOCKLIST_KEY, JSON.stringify(rules));
+    return { rule };
+}
+
+/**
+ * Remove a blocklist rule by id
+ *
+ * @returns {object|null} The removed rule, or null when not found
+ */
+export async function removeBlockRule(env, id) {
+    const rules = await listBlockRules(env);
+    const rule = rules.find(r => r.id === id);
+    if (!rule) {
+        return null;
+    }
+
+    await env.MODERATION.put(BLOCKLIST_KEY, JSON.stringify(rules.filter(r => r.id !== id)));
+    return rule;
+}
+
+/**
+ * All takedowns keyed by lowercased host/owner/repo
+ * Without a MODERATION binding there are none.
+ */
+export async function loadTakedowns(env) {
+    if (!env.MODERATION) {
+        return {};
+    }
+    const stored = await env.MODERATION.get(TAKEDOWNS_KEY, { type: 'json' }) || {};
+    const takedowns = {};
+    for (const takedown of Object.values(stored).map(withHost)) {
+        takedowns[repoKey(takedown)] = takedown;
+    }
+    return takedowns;
+}
+
+/**
+ * The takedown of a repository, if it was removed
+ *
+ * @param {object} source - { host, owner, repo }
+ */
+export async function findTakedown(env, source) {
+    const takedowns = await loadTakedowns(env);
+    return takedowns[repoKey(source)] || null;
+}
+
+/**
+ * Record a takedown; taking down a repo again replaces its reason
+ */
+export async function addTakedown(env, { host, owner, repo, reason }) {
+    const takedowns = await loadTakedowns(env);
+    const takedown = { host, owner, repo, reason, removed_at: new Date().toISOString() };
+    takedowns[repoKey(takedown)] = takedown;
+    await env.MODERATION.put(TAKEDOWNS_KEY, JSON.stringify(takedowns));
+    return takedown;
+}
+
+/**
+ * Reinstate a removed repository
+ *
+ * @param {object} source - { host, owner, repo }
+ * @returns {object|null} The removed takedown, or null when there was none
+ */
+export async function removeTakedown(env, source) {
+    const takedowns = await loadTakedowns(env);
+    const takedown = takedowns[repoKey(source)];
+    if (!takedown) {
+        return null;
+    }
+
+    delete takedowns[repoKey(source)];
+    await env.MODERATION.put(TAKEDOWNS_KEY, JSON.stringify(takedowns));
+    return takedown;
+}
+
+/**
+ * Load the blocklist and takedowns together, for checking many repositories
+ * Without a MODERATION binding both are empty.
+ *
+ * @returns {Promise<object>} { rules, takedowns } for matchModeration
+ */
+export async function loadModeration(env) {
+    if (!env.MODERATION) {
+        return { rules: [], takedowns: {} };
+    }
+    const [rules, takedowns] = await Promise.all([listBlockRules(env), loadTakedowns(env)]);
+    return { rules, takedowns };
+}
+
+/**
+ * The takedown and first blocklist rule covering a repository
+ *
+ * @param {object} moderation - From loadModeration
+ * @param {object} source - { host, owner, repo }
+ * @returns {object} { takedown, rule }, each null when there is none
+ */
+export function matchModeration({ rules, takedowns }, source) {
+    return {
+        takedown: takedowns[repoKey(source)] || null,
+        rule: rules.find(rule => ruleMatches(rule, source)) || null
+    };
+}
+
+/**
+ * Replace taken-down repositories in index.json with `removed` entries
+ * A removed entry keeps only its name, when it was archived and the public
+ * reason; its description, sizes and release tag are dropped.
+ *
+ * @param {object} indexData - Parsed index.json
+ * @param {object} takedowns - From loadTakedowns
+ * @returns {object} The index as served
+ */
+export function applyTakedowns(indexData, takedowns) {
+    if (Object.keys(takedowns).length === 0) {
+        return indexData;
+    }
+
+    const repositories = {};
+    let removedSize = 0;
+    for (const [url, data] of Object.entries(indexData.repositories || {})) {
+        // Entries without a host are GitHub's, like takedowns without one
+        const takedown = takedowns[repoKey(data)];
+        if (!takedown) {
+            repositories[url] = data;
+            continue;
+        }
+
+        removedSize += data.latest_size_mb || 0;
+        repositories[url] = {
+            ...(data.forge && { forge: data.forge }),
+            ...(data.host && { host: data.host }),
+            owner: data.owner,
+            repo: data.repo,
+            status: 'removed',
+            first_archived: data.first_archived,
+            last_archived: data.last_archived,
+            archive_count: data.archive_count,
+            removed_reason: takedown.reason,
+            removed_at: takedown.removed_at
+        };
+    }
+
+    return {
+        ...indexData,
+        repositories,
+        total_size_mb: Math.max((indexData.total_size_mb || 0) - removedSize, 0)
+    };
+}
@@ -0,0 +1,116 @@
+/**
+ * Git-Archiver Web - OpenAPI document
+ *
+ * Builds the GET /openapi.json document from the shared route table
+ * (frontend/js/routes.js), the same table the worker routes and validates
+ * requests with, so the published description cannot drift from behaviour.
+ */
+
+// Keys of a parameter definition that are JSON Schema keywords
+const SCHEMA_KEYWORDS = ['type', 'enum', 'pattern', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems', 'items', 'default'];
+
+function schemaOf(definition) {
+    const schema = {};
+    for (const keyword of SCHEMA_KEYWORDS) {
+        if (definition[keyword] !== undefined) schema[keyword] = definition[keyword];
+    }
+    // The table also checks integer path segments by pattern; JSON Schema applies patterns to strings only
+    if (schema.type !== 'string') delete schema.pattern;
+    return schema;
+}
+
+function parameterOf(definition, location) {
+    return {
+        name: definition.name,
+        in: location,
+        required: definition.required,
+        description: definition.description,
+        schema: schemaOf(definition)
+    };
+}
+
+function errorResponseOf(routes, status) {
+    return {
+        description: routes.errors[status],
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+/**
+ * OpenAPI 3.1 document for every route in the table
+ * Rate-limited routes also document 429, and every route documents 500.
+ *
+ * @param {object} routes - The Routes table
+ * @param {string} serverUrl - Origin the worker was reached on
+ * @returns {object}
+ */
+export function buildOpenApiDocument(routes, serverUrl) {
+    const paths = {};
+
+    for (const route of routes.routes) {
+        const operation = {
+            operationId: route.id,
+            summary: route.summary,
+            parameters: [
+                ...routes.pathParams(route).map(definition => parameterOf(definition, 'path')),
+                ...routes.fields(route.query).map(definition => parameterOf(definition, 'query'))
+            ],
+            responses: {
+                [route.response.status]: {
+                    description: route.response.description || 'OK',
+                    content: { [route.response.contentType || 'application/json']: {} }
+                }
+            }
+        };
+
+        if (route.body) {
+            const fields = routes.fields(route.body);
+            operation.requestBody = {
+                required: true,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            required: fields.filter(field => field.required).map(field => field.name),
+                            properties: Object.fromEntries(fields.map(field => [
+                                field.name,
+                                { ...schemaOf(field), description: field.description }
+                            ]))
+                        }
+                    }
+                }
+            };
+        }
+
+        if (route.auth) {
+            operation.security = [{ [route.auth]: [] }];
+        }
+
+        const errors = [...(route.errors || []), ...(route.rateLimit ? [429] : []), 500];
+        for (const status of errors) {
+            operation.responses[status] = errorResponseOf(routes, status);
+        }
+
+        paths[route.path] = { ...paths[route.path], [route.method.toLowerCase()]: operation };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: routes.info,
+        servers: [{ url: serverUrl }],
+        paths,
+        components: {
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: { error: { type: 'string' } }
+                }
+            },
+            securitySchemes: Object.fromEntries(Object.entries(routes.auth).map(([name, description]) => [
+                name,
+                { type: 'http', scheme: 'bearer', description }
+            ]))
+        }
+    };
+}
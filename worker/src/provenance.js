@@ -0,0 +1,139 @@
+/**
+ * Git-Archiver Web - Signed provenance attestations
+ *
+ * archive.yml signs a summary of each archive (source URL, ref, commit hash,
+ * archive hash, timestamp) with the service's Ed25519 key and uploads it as a
+ * `provenance.json` release asset:
+ *
+ *   {
+ *     "payload": "<compact JSON string>",
+ *     "signature": "<base64 Ed25519 signature of the payload's UTF-8 bytes>",
+ *     "algorithm": "Ed25519",
+ *     "key_id": "<first 16 hex chars of SHA-256 of the raw public key>"
+ *   }
+ *
+ * The payload is kept as the exact signed string, so verifying never depends
+ * on re-serializing JSON the same way. The private key only exists as a
+ * GitHub Actions secret: a release asset swapped by anyone holding
+ * GITHUB_TOKEN no longer matches a signature made with it. The worker only
+ * needs the public half (PROVENANCE_PUBLIC_KEY).
+ */
+
+export const PROVENANCE_ASSET = 'provenance.json';
+export const PROVENANCE_ALGORITHM = 'Ed25519';
+
+// Fields archive.yml puts in every payload
+const REQUIRED_PAYLOAD_FIELDS = ['url', 'owner', 'repo', 'tag', 'commit_hash', 'archive_hash', 'archived_at'];
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows
+const SPKI_ED25519_PREFIX = [0x30, 0x2a, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x03, 0x21, 0x00];
+const MAX_SIGNATURE_LENGTH = 200;
+const MAX_PAYLOAD_LENGTH = 10000;
+
+// Parsed key, reused for the isolate's lifetime
+let cachedKey = null;
+
+function base64ToBytes(value) {
+    const binary = atob(value);
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Load PROVENANCE_PUBLIC_KEY (PEM "PUBLIC KEY" as printed by `openssl pkey -pubout`,
+ * or the raw 32-byte key in base64)
+ *
+ * @returns {object|null} { key, raw, keyId } or null when not configured
+ * @throws {Error} When the configured value is not an Ed25519 public key
+ */
+export async function loadPublicKey(env) {
+    const configured = env.PROVENANCE_PUBLIC_KEY;
+    if (!configured) return null;
+    if (cachedKey?.source === configured) return cachedKey;
+
+    const body = configured.replace(/-----(BEGIN|END) PUBLIC KEY-----/g, '').replace(/\s+/g, '');
+    let der = base64ToBytes(body);
+    if (der.length === SPKI_ED25519_PREFIX.length + 32 && SPKI_ED25519_PREFIX.every((b, i) => der[i] === b)) {
+        der = der.subarray(SPKI_ED25519_PREFIX.length);
+    }
+    if (der.length !== 32) {
+        throw new Error('PROVENANCE_PUBLIC_KEY is not an Ed25519 public key');
+    }
+
+    const key = await crypto.subtle.importKey('raw', der, { name: PROVENANCE_ALGORITHM }, false, ['verify']);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', der));
+    const keyId = Array.from(digest.subarray(0, 8)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+    cachedKey = { source: configured, key, raw: der, keyId };
+    return cachedKey;
+}
+
+/**
+ * Public key in the forms clients need to verify attestations offline
+ */
+export function describePublicKey(publicKey) {
+    const spki = new Uint8Array([...SPKI_ED25519_PREFIX, ...publicKey.raw]);
+    const pemBody = bytesToBase64(spki).match(/.{1,64}/g).join('\n');
+    return {
+        algorithm: PROVENANCE_ALGORITHM,
+        key_id: publicKey.keyId,
+        public_key: bytesToBase64(publicKey.raw),
+        public_key_pem: `-----BEGIN PUBLIC KEY-----\n${pemBody}\n-----END PUBLIC KEY-----\n`
+    };
+}
+
+/**
+ * Check an attestation's signature against the service key
+ *
+ * @param {object} attestation - Parsed provenance.json
+ * @param {object} publicKey - From loadPublicKey
+ * @returns {object} { valid, payload?, error? }
+ */
+export async function verifyAttestation(attestation, publicKey) {
+    if (!attestation || typeof attestation !== 'object' ||
+        typeof attestation.payload !== 'string' || typeof attestation.signature !== 'string') {
+        return { valid: false, error: 'Attestation must have string payload and signature fields' };
+    }
+    if (attestation.payload.length > MAX_PAYLOAD_LENGTH || attestation.signature.length > MAX_SIGNATURE_LENGTH) {
+        return { valid: false, error: 'Attestation is too large' };
+    }
+    if (attestation.algorithm !== undefined && attestation.algorithm !== PROVENANCE_ALGORITHM) {
+        return { valid: false, error: `Unsupported algorithm: ${String(attestation.algorithm).slice(0, 50)}` };
+    }
+    if (attestation.key_id !== undefined && attestation.key_id !== publicKey.keyId) {
+        return { valid: false, error: 'Attestation was signed with a different key' };
+    }
+
+    let signature;
+    try {
+        signature = base64ToBytes(attestation.signature);
+    } catch (error) {
+        return { valid: false, error: 'Signature is not valid base64' };
+    }
+
+    const signed = await crypto.subtle.verify(
+        PROVENANCE_ALGORITHM,
+        publicKey.key,
+        signature,
+        new TextEncoder().encode(attestation.payload)
+    );
+    if (!signed) {
+        return { valid: false, error: 'Signature does not match the payload' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(attestation.payload);
+    } catch (error) {
+        return { valid: false, error: 'Signed payload is not JSON' };
+    }
+    const missing = REQUIRED_PAYLOAD_FIELDS.filter(field => !payload || typeof payload[field] !== 'string');
+    if (missing.length > 0) {
+        return { valid: false, error: `Signed payload is missing ${missing.join(', ')}` };
+    }
+
+    return { valid: true, payload };
+}
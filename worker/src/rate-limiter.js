@@ -0,0 +1,129 @@
+/**
+ * Git-Archiver Web - Rate limiter
+ *
+ * Sliding-window log limiter. Every allowed hit is recorded and only hits inside
+ * the trailing window count, so a client can never exceed `limit` requests in any
+ * `windowSeconds` span (the old fixed window allowed 2x across a boundary).
+ *
+ * Counts live in a Durable Object per client/endpoint pair. A Durable Object
+ * processes one request at a time, so the read-check-write is atomic. When the
+ * RATE_LIMITER binding is missing the worker refuses requests, unless
+ * ALLOW_LOCAL_RATE_LIMIT opts in to an in-isolate stand-in with the same
+ * algorithm (local development only).
+ */
+
+// Keep the in-isolate stand-in from growing without bound
+const MAX_LOCAL_LIMITERS = 10000;
+
+/**
+ * Record a hit against a sliding-window log
+ * Mutates `hits` (ascending timestamps in ms): expired entries are dropped and,
+ * when allowed, `now` is appended.
+ *
+ * @param {number[]} hits - Timestamps of allowed hits, oldest first
+ * @param {number} now - Current time in ms
+ * @param {number} limit - Max hits per window
+ * @param {number} windowMs - Window length in ms
+ * @returns {object} { allowed, limit, remaining, resetAt, retryAfter }
+ */
+export function slidingWindowHit(hits, now, limit, windowMs) {
+    // Drop hits that have slid out of the window
+    const windowStart = now - windowMs;
+    let expired = 0;
+    while (expired < hits.length && hits[expired] <= windowStart) {
+        expired++;
+    }
+    if (expired > 0) {
+        hits.splice(0, expired);
+    }
+
+    if (hits.length >= limit) {
+        // The next slot frees up when the oldest counted hit leaves the window
+        const resetAt = hits[hits.length - limit] + windowMs;
+        return {
+            allowed: false,
+            limit,
+            remaining: 0,
+            resetAt,
+            retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000))
+        };
+    }
+
+    hits.push(now);
+    return {
+        allowed: true,
+        limit,
+        remaining: limit - hits.length,
+        resetAt: hits[0] + windowMs
+    };
+}
+
+/**
+ * Durable Object holding the hit log for one client/endpoint pair
+ * POST body: { limit, windowSeconds } -> slidingWindowHit result
+ */
+export class RateLimiter {
+    constructor(state) {
+        this.state = state;
+        this.hits = [];
+
+        // Load persisted hits before serving any request
+        this.state.blockConcurrencyWhile(async () => {
+            this.hits = (await this.state.storage.get('hits')) || [];
+        });
+    }
+
+    async fetch(request) {
+        const { limit, windowSeconds } = await request.json();
+        if (!Number.isInteger(limit) || limit < 1 || !Number.isInteger(windowSeconds) || windowSeconds < 1) {
+            return new Response(JSON.stringify({ error: 'Invalid limit configuration' }), { status: 400 });
+        }
+
+        const windowMs = windowSeconds * 1000;
+        const now = Date.now();
+        const result = slidingWindowHit(this.hits, now, limit, windowMs);
+
+        await this.state.storage.put('hits', this.hits);
+        // Clear storage once the client has been idle for a full window
+        await this.state.storage.setAlarm(now + windowMs);
+
+        return new Response(JSON.stringify(result), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    async alarm() {
+        // Each request pushes the alarm a full window out, so by now every hit has expired
+        this.hits = [];
+        await this.state.storage.deleteAll();
+    }
+}
+
+// In-isolate stand-in: limiter key -> hit log
+const localHits = new Map();
+
+/**
+ * Check a rate limit without a Durable Object
+ * Atomic within one isolate (no await between read and write) but not shared
+ * across isolates, so only suitable for local development.
+ */
+export function checkLocalRateLimit(key, limit, windowSeconds, now = Date.now()) {
+    const windowMs = windowSeconds * 1000;
+
+    if (!localHits.has(key) && localHits.size >= MAX_LOCAL_LIMITERS) {
+        // Evict logs whose newest hit has left its window
+        for (const [existingKey, hits] of localHits) {
+            if (hits.length === 0 || hits[hits.length - 1] <= now - windowMs) {
+                localHits.delete(existingKey);
+            }
+        }
+    }
+
+    let hits = localHits.get(key);
+    if (!hits) {
+        hits = [];
+        localHits.set(key, hits);
+    }
+
+    return slidingWindowHit(hits, now, limit, windowMs);
+}
@@ -0,0 +1,178 @@
+/**
+ * Git-Archiver Web - Request router
+ *
+ * Matches requests against the shared route table (frontend/js/routes.js) and
+ * runs the matched route's middleware chain. Middleware are async
+ * `(c, next) => Response` functions: each either answers the request itself or
+ * awaits next() and may adjust the Response the rest of the chain produced.
+ * The last function in a chain is the route's handler.
+ *
+ * The context `c` holds { request, url, env, ctx, logger } plus, once routed,
+ * route, path (raw path segments), body, params (validated) and client.
+ *
+ * Middleware here are generic; the ones that need worker state (rate limits,
+ * credentials, the edge cache) live in index.js.
+ */
+
+import { errorResponse } from './http.js';
+
+// Largest JSON body accepted by routes that take one
+export const MAX_JSON_BODY_BYTES = 64 * 1024; // 64KB
+
+/**
+ * Chain middleware into one function of the context
+ * Calling next() from the last function is an error: a chain must end in a handler.
+ *
+ * @param {Function[]} middleware - (c, next) => Response
+ * @returns {Function} (c) => Promise<Response>
+ */
+export function compose(middleware) {
+    return function run(c) {
+        let called = -1;
+
+        const dispatch = async (i) => {
+            if (i <= called) {
+                throw new Error('next() called more than once');
+            }
+            called = i;
+            if (i >= middleware.length) {
+                throw new Error(`Route ${c.route?.id} has no handler`);
+            }
+            return middleware[i](c, () => dispatch(i + 1));
+        };
+
+        return dispatch(0);
+    };
+}
+
+/**
+ * Build the request router for a route table
+ * Every route's chain is composed up front, so a route without one fails at
+ * startup rather than on its first request.
+ *
+ * @param {object} table - The Routes table
+ * @param {Function} chainFor - (route) => middleware array ending in the handler
+ * @returns {Function} (c) => Promise<Response>
+ */
+export function createRouter(table, chainFor) {
+    const chains = new Map(table.routes.map(route => [route.id, compose(chainFor(route))]));
+
+    return async function route(c) {
+        const matched = table.match(c.request.method, c.url.pathname);
+        if (!matched) {
+            return errorResponse(404, 'Not found');
+        }
+        if (!matched.route) {
+            const response = errorResponse(405, 'Method not allowed');
+            response.headers.set('Allow', matched.allowed.join(', '));
+            return response;
+        }
+
+        c.route = matched.route;
+        c.path = matched.path;
+        return chains.get(matched.route.id)(c);
+    };
+}
+
+/**
+ * Turn an exception thrown further down the chain into a 500
+ *
+ * @param {string} message - Error sent to the client; details only go to the log
+ */
+export function mapErrors(message = 'Internal server error') {
+    return async (c, next) => {
+        try {
+            return await next();
+        } catch (error) {
+            c.logger.error('Request failed', { route: c.route.id, error: error.message });
+            return errorResponse(500, message);
+        }
+    };
+}
+
+/**
+ * Read the request body as text, giving up once it exceeds maxBytes
+ * Content-Length is only a hint: the stream itself is counted.
+ *
+ * @returns {string|null} The body, or null when it is too large
+ */
+async function readBodyText(request, maxBytes) {
+    if (Number(request.headers.get('Content-Length')) > maxBytes) {
+        return null;
+    }
+    if (!request.body) {
+        return '';
+    }
+
+    const reader = request.body.getReader();
+    const chunks = [];
+    let size = 0;
+
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > maxBytes) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Parse a JSON request body into c.body
+ * Answers 415 for another content type, 413 past maxBytes and 400 for malformed JSON.
+ *
+ * @param {number} maxBytes - Largest body accepted
+ */
+export function parseJsonBody(maxBytes = MAX_JSON_BODY_BYTES) {
+    return async (c, next) => {
+        const contentType = c.request.headers.get('Content-Type');
+        if (!contentType || !contentType.includes('application/json')) {
+            return errorResponse(415, 'Content-Type must be application/json');
+        }
+
+        const text = await readBodyText(c.request, maxBytes);
+        if (text === null) {
+            return errorResponse(413, `Request body must be at most ${Math.floor(maxBytes / 1024)} KB`);
+        }
+
+        try {
+            c.body = JSON.parse(text);
+        } catch (error) {
+            return errorResponse(400, 'Invalid JSON body');
+        }
+        return next();
+    };
+}
+
+/**
+ * Validate the path, query and body against the route's definitions into c.params
+ * This is where owner and repo names, tags, paging and body fields are checked.
+ *
+ * @param {object} table - The Routes table
+ */
+export function validateParams(table) {
+    return (c, next) => {
+        const result = table.validate(c.route, {
+            path: c.path,
+            query: Object.fromEntries(c.url.searchParams),
+            body: c.body ?? null
+        });
+        if (result.error) {
+            return errorResponse(400, result.error);
+        }
+
+        c.params = result.params;
+        return next();
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Git-Archiver Web - Index search
+ *
+ * Ranking, filtering and paging behind GET /search. Queries and names are split
+ * into lowercase alphanumeric tokens; every query token has to match the owner,
+ * repository name or description, and repository names count for the most.
+ */
+
+// Search relevance weights
+export const SEARCH_WEIGHTS = {
+    repo: 4,
+    owner: 3,
+    description: 1,
+    exactName: 50
+};
+
+/**
+ * Split text into lowercase alphanumeric search tokens
+ */
+export function tokenize(text) {
+    if (!text) return [];
+    return String(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Score how well a single query token matches a list of field tokens
+ * Exact token matches beat prefix matches, which beat substring matches
+ */
+export function scoreToken(queryToken, fieldTokens, weight) {
+    let best = 0;
+    for (const token of fieldTokens) {
+        if (token === queryToken) return weight * 3;
+        if (token.startsWith(queryToken)) best = Math.max(best, weight * 2);
+        else if (token.includes(queryToken)) best = Math.max(best, weight);
+    }
+    return best;
+}
+
+/**
+ * Filter, rank and paginate index entries
+ * Every query token must match owner, repo or description for an entry to be included
+ *
+ * @param {object} indexData - Parsed index.json
+ * @param {object} options - { query, owner, status, sort, page, perPage }
+ * @returns {object} { query, total, page, per_page, total_pages, results }
+ */
+export function searchIndex(indexData, { query, owner, status, sort, page, perPage }) {
+    const queryTokens = tokenize(query);
+    const fullQuery = queryTokens.join('');
+    const ownerFilter = owner?.toLowerCase();
+
+    const matches = [];
+    for (const [url, data] of Object.entries(indexData.repositories || {})) {
+        if (ownerFilter && data.owner?.toLowerCase() !== ownerFilter) continue;
+        if (status && (data.status || 'active') !== status) continue;
+
+        let score = 0;
+        if (queryTokens.length > 0) {
+            const ownerTokens = tokenize(data.owner);
+            const repoTokens = tokenize(data.repo);
+            const descriptionTokens = tokenize(data.description);
+
+            let matchedAll = true;
+            for (const token of queryTokens) {
+                const tokenScore = scoreToken(token, repoTokens, SEARCH_WEIGHTS.repo) +
+                    scoreToken(token, ownerTokens, SEARCH_WEIGHTS.owner) +
+                    scoreToken(token, descriptionTokens, SEARCH_WEIGHTS.description);
+                if (tokenScore === 0) {
+                    matchedAll = false;
+                    break;
+                }
+                score += tokenScore;
+            }
+            if (!matchedAll) continue;
+
+            // Boost exact "owner/repo" and "repo" matches to the top
+            const fullName = `${data.owner}/${data.repo}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+            if (fullQuery === fullName) score += SEARCH_WEIGHTS.exactName * 2;
+            else if (fullQuery === repoTokens.join('')) score += SEARCH_WEIGHTS.exactName;
+        }
+
+        matches.push({ url, score, data });
+    }
+
+    const byRecent = (a, b) => new Date(b.data.last_archived || 0) - new Date(a.data.last_archived || 0);
+    const comparators = {
+        relevance: (a, b) => (b.score - a.score) || byRecent(a, b),
+        recent: byRecent,
+        name: (a, b) => `${a.data.owner}/${a.data.repo}`.localeCompare(`${b.data.owner}/${b.data.repo}`),
+        size: (a, b) => (b.data.latest_size_mb || 0) - (a.data.latest_size_mb || 0),
+        versions: (a, b) => ((b.data.archive_count || 0) - (a.data.archive_count || 0)) || byRecent(a, b)
+    };
+    matches.sort(comparators[sort]);
+
+    const start = (page - 1) * perPage;
+    return {
+        query,
+        sort,
+        total: matches.length,
+        page,
+        per_page: perPage,
+        total_pages: Math.ceil(matches.length / perPage),
+        results: matches.slice(start, start + perPage).map(({ url, score, data }) => ({
+            url,
+            ...data,
+            score
+        }))
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * Git-Archiver Web - Streaming tar reader
+ *
+ * Reads a .tar.gz release asset entry by entry as it downloads, so a multi-GB
+ * archive never has to fit in the isolate's memory. Headers are decoded by
+ * frontend/js/tarformat.js, shared with the site's in-browser reader.
+ */
+
+import TarFormat from '../../frontend/js/tarformat.js';
+
+/**
+ * Pull-based reader that hands out exact byte counts from a stream of chunks
+ */
+class ByteReader {
+    constructor(stream) {
+        this.reader = stream.getReader();
+        this.chunk = new Uint8Array(0);
+        this.offset = 0;
+        this.done = false;
+    }
+
+    // Make sure some unread bytes are buffered; false at end of stream
+    async fill() {
+        while (this.offset >= this.chunk.length) {
+            if (this.done) return false;
+            const { value, done } = await this.reader.read();
+            if (done) {
+                this.done = true;
+                return false;
+            }
+            this.chunk = value;
+            this.offset = 0;
+        }
+        return true;
+    }
+
+    /**
+     * Read exactly `length` bytes (fewer only at end of stream)
+     */
+    async read(length) {
+        const out = new Uint8Array(length);
+        let filled = 0;
+        while (filled < length && await this.fill()) {
+            const take = Math.min(length - filled, this.chunk.length - this.offset);
+            out.set(this.chunk.subarray(this.offset, this.offset + take), filled);
+            this.offset += take;
+            filled += take;
+        }
+        return filled === length ? out : out.subarray(0, filled);
+    }
+
+    /**
+     * Yield the next `length` bytes as they arrive, without copying them together
+     */
+    async *pieces(length) {
+        let remaining = length;
+        while (remaining > 0 && await this.fill()) {
+            const take = Math.min(remaining, this.chunk.length - this.offset);
+            yield this.chunk.subarray(this.offset, this.offset + take);
+            this.offset += take;
+            remaining -= take;
+        }
+        if (remaining > 0) {
+            throw new Error('Unexpected end of archive');
+        }
+    }
+
+    async skip(length) {
+        for await (const piece of this.pieces(length)) {
+            // Discard
+        }
+    }
+
+    cancel() {
+        return this.reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * Iterate the entries of a gzipped tar stream
+ * Each entry has { path, type, size, metadataSize, mode, mtime, linkTarget, read() },
+ * where metadataSize counts the pax and long-name data read for it. read()
+ * yields the entry's data in chunks and must be used before asking for the next
+ * entry; data that is not read (or only partly read) is skipped. Stop iterating
+ * early to cancel the download. Throws on a metadata entry over
+ * TarFormat.MAX_METADATA_SIZE.
+ *
+ * @param {ReadableStream} body - .tar.gz bytes
+ */
+export async function* readTarEntries(body) {
+    const bytes = new ByteReader(body.pipeThrough(new DecompressionStream('gzip')));
+    const meta = TarFormat.metadata();
+
+    try {
+        while (true) {
+            const header = await bytes.read(TarFormat.BLOCK_SIZE);
+            // Two zero blocks mark the end; a single one is enough to stop
+            if (header.length < TarFormat.BLOCK_SIZE || header.every(b => b === 0)) {
+                return;
+            }
+
+            // Metadata entries describe the entry that follows them
+            const typeflag = TarFormat.typeflag(header);
+            if (TarFormat.isMetadata(typeflag)) {
+                const size = TarFormat.metadataSize(header);
+                const data = await bytes.read(size);
+                await bytes.skip(TarFormat.padding(size));
+                TarFormat.applyMetadata(meta, typeflag, data);
+                continue;
+            }
+
+            const { dataSize, ...fields } = TarFormat.parseEntry(header, meta);
+            let dataRead = 0;
+            const entry = {
+                ...fields,
+                async *read() {
+                    for await (const piece of bytes.pieces(dataSize - dataRead)) {
+                        yield piece;
+                        dataRead += piece.length;
+                    }
+                }
+            };
+
+            // The "." entry of the archive root has no path of its own
+            if (entry.path) {
+                yield entry;
+            }
+
+            await bytes.skip(dataSize - dataRead + TarFormat.padding(dataSize));
+        }
+    } finally {
+        await bytes.cancel();
+    }
+}
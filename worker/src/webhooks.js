@@ -0,0 +1,365 @@
+/**
+ * Git-Archiver Web - Webhook subscriptions
+ *
+ * Integrations register a URL for one repo (owner/repo) or a whole owner
+ * (owner/*) on one host and get a signed POST when an archive finishes or when
+ * a source repo starts reporting deleted/dmca.
+ *
+ * KV layout (WEBHOOKS namespace):
+ * - webhook:<id>                     subscription record (includes the signing secret)
+ * - webhook-scope:<host>/<owner>/<repo|*>:<id>  scope index used to find subscribers
+ * - webhook-key:<keyId>:<id>         per-API-key index used for listing
+ * - source-status:<host>/<owner>/<repo>  last status seen by /status
+ *
+ * Scope keys are lowercased because forge names are case-insensitive.
+ * Subscriptions and statuses saved before hosts were recorded are GitHub's and
+ * keep their host-less keys (<owner>/<repo|*>), which github.com lookups also read.
+ *
+ * Every delivery body is signed with HMAC-SHA256 using the subscription secret
+ * and sent as `X-Archiver-Signature: sha256=<hex>`.
+ */
+
+import Forges from '../../frontend/js/forges.js';
+import Routes from '../../frontend/js/routes.js';
+
+export const WEBHOOK_EVENTS = ['archive.completed', 'archive.unchanged', 'archive.failed', 'source.unavailable'];
+export const ARCHIVE_EVENTS = ['archive.completed', 'archive.unchanged', 'archive.failed'];
+export const MAX_WEBHOOKS_PER_KEY = 50;
+
+// Statuses from /status that mean the source is gone
+export const UNAVAILABLE_STATUSES = ['deleted', 'dmca'];
+// Statuses worth remembering; unknown/error are transient and never recorded
+const TRACKED_STATUSES = ['active', 'archived', 'deleted', 'dmca'];
+
+// Declared once, for POST /webhooks in the route table (and so in /openapi.json)
+const MAX_WEBHOOK_URL_LENGTH = Routes.fields(Routes.get('createWebhook').body).find(field => field.name === 'url').maxLength;
+const DELIVERY_ATTEMPTS = 3;
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_RETRY_DELAY_MS = 30000;
+const USER_AGENT = 'Git-Archiver-Webhooks/1.0';
+
+function randomHex(byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function scopeName({ host = Forges.DEFAULT_HOST, owner, repo }) {
+    return `${host}/${owner}/${repo || '*'}`.toLowerCase();
+}
+
+// Scope of a GitHub repo or owner as written before hosts were recorded
+function legacyScopeName({ owner, repo }) {
+    return `${owner}/${repo || '*'}`.toLowerCase();
+}
+
+function isDefaultHost({ host = Forges.DEFAULT_HOST }) {
+    return host.toLowerCase() === Forges.DEFAULT_HOST;
+}
+
+// Scope key a record was saved under
+function recordScopeName(record) {
+    return record.host ? scopeName(record) : legacyScopeName(record);
+}
+
+/**
+ * Validate a delivery URL
+ * Only public https endpoints: no credentials, localhost or IP literals
+ *
+ * @returns {object} { valid, url?, error? }
+ */
+export function validateWebhookUrl(rawUrl) {
+    if (!rawUrl || typeof rawUrl !== 'string') {
+        return { valid: false, error: 'url is required' };
+    }
+    if (rawUrl.length > MAX_WEBHOOK_URL_LENGTH) {
+        return { valid: false, error: `url must be at most ${MAX_WEBHOOK_URL_LENGTH} characters` };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(rawUrl.trim());
+    } catch (error) {
+        return { valid: false, error: 'url is not a valid URL' };
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    if (parsed.protocol !== 'https:') {
+        return { valid: false, error: 'url must use https' };
+    }
+    if (parsed.username || parsed.password) {
+        return { valid: false, error: 'url must not contain credentials' };
+    }
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal') ||
+        !host.includes('.') || /^[0-9.]+$/.test(host) || host.startsWith('[')) {
+        return { valid: false, error: 'url must point to a public hostname' };
+    }
+
+    return { valid: true, url: parsed.toString() };
+}
+
+/**
+ * Validate the requested event list (defaults to every event)
+ *
+ * @returns {object} { valid, events?, error? }
+ */
+export function validateWebhookEvents(rawEvents) {
+    if (rawEvents === undefined || rawEvents === null) {
+        return { valid: true, events: [...WEBHOOK_EVENTS] };
+    }
+    if (!Array.isArray(rawEvents) || rawEvents.length === 0) {
+        return { valid: false, error: 'events must be a non-empty array' };
+    }
+
+    const unknown = rawEvents.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return { valid: false, error: `Unknown events: ${unknown.join(', ')}. Use ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+
+    return { valid: true, events: [...new Set(rawEvents)] };
+}
+
+/**
+ * HMAC-SHA256 of a payload body, hex encoded
+ */
+export async function signPayload(secret, body) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+    return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Strip the signing secret from a record before returning it
+ */
+export function publicSubscription(record) {
+    const { secret, ...rest } = record;
+    return rest;
+}
+
+/**
+ * List every subscription record under a KV prefix
+ */
+async function listRecords(env, prefix) {
+    const records = [];
+    let cursor;
+
+    do {
+        const page = await env.WEBHOOKS.list({ prefix, cursor });
+        const ids = page.keys.map(k => k.name.slice(k.name.lastIndexOf(':') + 1));
+        const found = await Promise.all(ids.map(id => env.WEBHOOKS.get(`webhook:${id}`, { type: 'json' })));
+        records.push(...found.filter(Boolean));
+        cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return records;
+}
+
+/**
+ * List the subscriptions owned by an API key
+ */
+export async function listSubscriptions(env, keyId) {
+    const records = await listRecords(env, `webhook-key:${keyId}:`);
+    records.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    return records;
+}
+
+/**
+ * Create a subscription owned by an API key
+ * The secret is generated here and returned to the caller once
+ *
+ * @returns {object} Full record, including the secret
+ */
+export async function createSubscription(env, { keyId, url, host, owner, repo, events }) {
+    const record = {
+        id: randomHex(8),
+        key_id: keyId,
+        url,
+        host,
+        owner,
+        repo: repo || null,
+        events,
+        secret: 'whsec_' + randomHex(32),
+        created_at: new Date().toISOString(),
+        last_delivery: null
+    };
+
+    await env.WEBHOOKS.put(`webhook:${record.id}`, JSON.stringify(record));
+    await env.WEBHOOKS.put(`webhook-scope:${scopeName(record)}:${record.id}`, '1');
+    await env.WEBHOOKS.put(`webhook-key:${keyId}:${record.id}`, '1');
+
+    return record;
+}
+
+/**
+ * Delete a subscription, only if the given API key owns it
+ *
+ * @returns {object|null} The deleted record, or null when not found
+ */
+export async function deleteSubscription(env, keyId, id) {
+    const record = await env.WEBHOOKS.get(`webhook:${id}`, { type: 'json' });
+    if (!record || record.key_id !== keyId) {
+        return null;
+    }
+
+    await Promise.all([
+        env.WEBHOOKS.delete(`webhook:${id}`),
+        env.WEBHOOKS.delete(`webhook-scope:${recordScopeName(record)}:${id}`),
+        env.WEBHOOKS.delete(`webhook-key:${keyId}:${id}`)
+    ]);
+
+    return record;
+}
+
+/**
+ * Find subscriptions for a repo (repo-scoped and owner-wide) that want an event
+ *
+ * @param {object} source - { host, owner, repo }
+ */
+async function findSubscribers(env, source, event) {
+    const owner = { ...source, repo: null };
+    const scopes = [scopeName(source), scopeName(owner)];
+    if (isDefaultHost(source)) {
+        scopes.push(legacyScopeName(source), legacyScopeName(owner));
+    }
+
+    const found = await Promise.all(scopes.map(scope => listRecords(env, `webhook-scope:${scope}:`)));
+    return found.flat().filter(record => record.events.includes(event));
+}
+
+/**
+ * POST a signed payload, retrying network errors, 429 and 5xx with exponential
+ * backoff (same schedule as fetchWithRetry, honouring Retry-After)
+ *
+ * @returns {object} { ok, status, attempts, error? }
+ */
+async function deliver(subscription, event, deliveryId, body) {
+    const signature = await signPayload(subscription.secret, body);
+    let delay = 1000;
+    let lastStatus = null;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= DELIVERY_ATTEMPTS; attempt++) {
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-Archiver-Event': event,
+                    'X-Archiver-Delivery': deliveryId,
+                    'X-Archiver-Signature': `sha256=${signature}`
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+            });
+            lastStatus = response.status;
+
+            if (response.ok) {
+                return { ok: true, status: response.status, attempts: attempt };
+            }
+
+            // Other 4xx responses mean the receiver rejected the payload: retrying won't help
+            if (response.status !== 429 && response.status < 500) {
+                return { ok: false, status: response.status, attempts: attempt, error: `HTTP ${response.status}` };
+            }
+
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            if (response.status === 429 && retryAfter > 0) {
+                delay = retryAfter * 1000;
+            }
+            lastError = `HTTP ${response.status}`;
+        } catch (error) {
+            lastError = error.message;
+        }
+
+        if (attempt < DELIVERY_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(delay, MAX_RETRY_DELAY_MS)));
+            delay = Math.min(delay * 2, MAX_RETRY_DELAY_MS);
+        }
+    }
+
+    return { ok: false, status: lastStatus, attempts: DELIVERY_ATTEMPTS, error: lastError };
+}
+
+/**
+ * Send an event to every matching subscription
+ * Each delivery's outcome is saved on its record as `last_delivery`.
+ *
+ * @param {object} env - Worker env with the WEBHOOKS binding
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object} source - Source repo { host, owner, repo }; host defaults to github.com
+ * @param {object} data - Event-specific payload fields
+ * @param {Logger} logger - Request logger
+ * @returns {object} { matched, delivered, failed }
+ */
+export async function dispatchEvent(env, event, source, data, logger) {
+    const { host = Forges.DEFAULT_HOST, owner, repo } = source;
+    const subscribers = await findSubscribers(env, { host, owner, repo }, event);
+    let delivered = 0;
+
+    await Promise.all(subscribers.map(async (subscription) => {
+        const deliveryId = randomHex(8);
+        const body = JSON.stringify({
+            id: deliveryId,
+            event,
+            created_at: new Date().toISOString(),
+            repository: { host, owner, repo, url: Forges.repoUrl({ host, owner, repo }) },
+            data
+        });
+
+        const result = await deliver(subscription, event, deliveryId, body);
+        if (result.ok) {
+            delivered++;
+        } else {
+            logger.warn('Webhook delivery failed', { webhookId: subscription.id, event, error: result.error });
+        }
+
+        subscription.last_delivery = {
+            id: deliveryId,
+            event,
+            ok: result.ok,
+            status: result.status,
+            attempts: result.attempts,
+            error: result.error || null,
+            at: new Date().toISOString()
+        };
+        await env.WEBHOOKS.put(`webhook:${subscription.id}`, JSON.stringify(subscription));
+    }));
+
+    logger.info('Webhook event dispatched', { event, host, owner, repo, matched: subscribers.length, delivered });
+    return { matched: subscribers.length, delivered, failed: subscribers.length - delivered };
+}
+
+/**
+ * Remember the latest source status for a repo
+ * Writes only when the status changes, so repeated /status checks cost one KV read.
+ *
+ * @param {object} source - { host, owner, repo }
+ * @returns {boolean} True when the repo just went from online to deleted/dmca
+ */
+export async function recordSourceStatus(env, source, status) {
+    if (!TRACKED_STATUSES.includes(status)) {
+        return false;
+    }
+
+    const key = `source-status:${scopeName(source)}`;
+    let previous = await env.WEBHOOKS.get(key, { type: 'json' });
+    if (previous === null && isDefaultHost(source)) {
+        previous = await env.WEBHOOKS.get(`source-status:${legacyScopeName(source)}`, { type: 'json' });
+    }
+    if (previous?.status === status) {
+        return false;
+    }
+
+    await env.WEBHOOKS.put(key, JSON.stringify({ status, changed_at: new Date().toISOString() }));
+
+    // A repo first seen already gone has no online -> gone transition to report
+    return UNAVAILABLE_STATUSES.includes(status) && previous !== null && !UNAVAILABLE_STATUSES.includes(previous.status);
+}
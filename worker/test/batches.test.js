@@ -0,0 +1,106 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { claimStalledBatch, createBatch, loadBatch, publicBatch, resumeStalledBatches, runBatch } from '../src/batches.js';
+import { createWorker, fakeKv } from './helpers.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+const succeed = async entry => ({ url: entry, success: true });
+
+// A batch whose first run stopped part-way, as runBatch leaves it
+async function stalledBatch(env, urls, done = 0) {
+    const batch = await createBatch(env, urls);
+    batch.status = 'processing';
+    batch.lease_until = Date.now() - 1;
+    for (let i = 0; i < done; i++) {
+        batch.results[i] = { url: urls[i], success: true, state: 'done' };
+    }
+    await env.BATCHES.put(`batch:${batch.id}`, JSON.stringify(batch));
+    return batch;
+}
+
+describe('batches', () => {
+    test('a new batch is leased to its first run and marked active', async () => {
+        const env = { BATCHES: fakeKv() };
+        const batch = await createBatch(env, ['a', 'b']);
+        assert.equal(await claimStalledBatch(env, batch), false);
+        assert.equal(await env.BATCHES.get(`active:${batch.id}`), '');
+        assert.deepEqual(publicBatch(batch).summary, { total: 2, processed: 0, successful: 0, failed: 0, pending: 2 });
+    });
+
+    test('a completed run removes the active marker', async () => {
+        const env = { BATCHES: fakeKv() };
+        const batch = await createBatch(env, ['a', 'b']);
+        await runBatch(env, batch, succeed, logger);
+        assert.equal((await loadBatch(env, batch.id)).status, 'completed');
+        assert.equal(await env.BATCHES.get(`active:${batch.id}`), null);
+    });
+
+    test('the scheduled run resumes stalled batches without a reader', async () => {
+        const env = { BATCHES: fakeKv() };
+        const stalled = await stalledBatch(env, ['a', 'b', 'c'], 1);
+        const leased = await createBatch(env, ['d']);
+        const submitted = [];
+
+        const resumed = await resumeStalledBatches(env, async entry => { submitted.push(entry); return succeed(entry); }, logger);
+        assert.equal(resumed, 1);
+        assert.deepEqual(submitted, ['b', 'c']);
+        assert.equal((await loadBatch(env, stalled.id)).status, 'completed');
+        assert.equal((await loadBatch(env, leased.id)).status, 'queued');
+        assert.deepEqual([...env.BATCHES.values.keys()].filter(key => key.startsWith('active:')), [`active:${leased.id}`]);
+    });
+
+    test('resumes a limited number of batches per run, and one failure does not stop the rest', async () => {
+        const env = { BATCHES: fakeKv() };
+        for (let i = 0; i < 3; i++) {
+            await stalledBatch(env, [`x${i}`]);
+        }
+        let calls = 0;
+        const resumed = await resumeStalledBatches(env, async entry => {
+            if (calls++ === 0) throw new Error('GitHub is down');
+            return succeed(entry);
+        }, logger);
+        assert.equal(resumed, 2);
+
+        const statuses = [];
+        for (const { name } of (await env.BATCHES.list({ prefix: 'batch:' })).keys) {
+            statuses.push((await env.BATCHES.get(name, { type: 'json' })).status);
+        }
+        assert.deepEqual(statuses.sort(), ['completed', 'processing', 'processing']);
+    });
+
+    test('drops markers of expired batches', async () => {
+        const env = { BATCHES: fakeKv({ 'active:gone': '' }) };
+        assert.equal(await resumeStalledBatches(env, succeed, logger), 0);
+        assert.equal(env.BATCHES.values.size, 0);
+    });
+});
+
+describe('scheduled handler', async () => {
+    const mf = await createWorker({ kvNamespaces: ['BATCHES'] });
+    after(() => mf.dispose());
+
+    test('carries on a batch nobody polls', async () => {
+        const kv = await mf.getKVNamespace('BATCHES');
+        const batch = {
+            id: 'feedfacecafebeef',
+            owner: null,
+            status: 'processing',
+            created_at: new Date().toISOString(),
+            completed_at: null,
+            lease_until: Date.now() - 1,
+            entries: ['not a repository url'],
+            results: [{ url: 'not a repository url', state: 'pending' }]
+        };
+        await kv.put(`batch:${batch.id}`, JSON.stringify(batch));
+        await kv.put(`active:${batch.id}`, '');
+
+        const worker = await mf.getWorker();
+        await worker.scheduled({ cron: '* * * * *' });
+
+        const saved = JSON.parse(await kv.get(`batch:${batch.id}`));
+        assert.equal(saved.status, 'completed');
+        assert.equal(saved.results[0].success, false);
+        assert.equal(await kv.get(`active:${batch.id}`), null);
+    });
+});
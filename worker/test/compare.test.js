@@ -0,0 +1,96 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWorker, tarEntry, tarball } from './helpers.js';
+
+const BASE = 'octo__demo__v1';
+const HEAD = 'octo__demo__v2';
+
+const ARCHIVES = {
+    [BASE]: tarball([
+        ...tarEntry('./README.md', '0', '# Demo\n'),
+        ...tarEntry('./old.txt', '0', 'gone'),
+        ...tarEntry('./.git/HEAD', '0', 'ref: refs/heads/main\n')
+    ]),
+    [HEAD]: tarball([
+        ...tarEntry('./README.md', '0', '# Demo, edited\n'),
+        ...tarEntry('./new.txt', '0', 'fresh'),
+        ...tarEntry('./.git/HEAD', '0', 'ref: refs/heads/main\n')
+    ]),
+    // Claims a 500MB file; the data never has to exist for the header to be charged
+    'octo__demo__huge': tarball([tarEntry('./big.bin', '0', '', { size: 500 * 1024 * 1024 })[0]])
+};
+
+// Asset sizes reported by the fake releases API, per tag (default: the real size)
+const REPORTED_SIZES = {
+    octo__demo__large: 60 * 1024 * 1024,
+    octo__demo__larger: 70 * 1024 * 1024,
+    octo__demo__unsized: undefined
+};
+
+describe('GET /repos/:owner/:repo/compare', async () => {
+    const downloads = [];
+    const mf = await createWorker({
+        bindings: { GITHUB_OWNER: 'archiver', GITHUB_REPO: 'archive', GITHUB_TOKEN: 'token', ALLOWED_ORIGIN: '*' },
+        // Stands in for api.github.com: release metadata and asset downloads
+        outboundService(request) {
+            const url = new URL(request.url);
+            const release = url.pathname.match(/\/releases\/tags\/(.+)$/);
+            if (release) {
+                const tag = decodeURIComponent(release[1]);
+                const known = tag in ARCHIVES || tag in REPORTED_SIZES;
+                if (!known) return new Response('{}', { status: 404 });
+                const size = tag in REPORTED_SIZES ? REPORTED_SIZES[tag] : ARCHIVES[tag].length;
+                return Response.json({
+                    tag_name: tag,
+                    assets: [{ name: `${tag}.tar.gz`, size, url: `https://assets.test/${tag}` }]
+                });
+            }
+            if (url.hostname === 'assets.test') {
+                const tag = url.pathname.slice(1);
+                downloads.push(tag);
+                return new Response(ARCHIVES[tag] || ARCHIVES[BASE]);
+            }
+            return new Response('unexpected', { status: 500 });
+        }
+    });
+    after(() => mf.dispose());
+
+    let ip = 0;
+    async function compare(base, head) {
+        // A fresh client per request keeps the compare rate limit out of the way
+        const response = await mf.dispatchFetch(`http://localhost/repos/octo/demo/compare?base=${base}&head=${head}`, {
+            headers: { 'CF-Connecting-IP': `198.51.100.${++ip}` }
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    test('summarizes the files that changed', async () => {
+        const { status, body } = await compare(BASE, HEAD);
+        assert.equal(status, 200);
+        assert.deepEqual(body.summary, { added: 1, removed: 1, modified: 1, unchanged: 0 });
+        assert.deepEqual(body.files.map(f => `${f.status} ${f.path}`), ['modified README.md', 'added new.txt', 'removed old.txt']);
+    });
+
+    test('refuses archives that are too large together before downloading them', async () => {
+        downloads.length = 0;
+        const { status, body } = await compare('octo__demo__large', 'octo__demo__larger');
+        assert.equal(status, 413);
+        assert.match(body.error, /100 MB/);
+        assert.deepEqual(downloads, []);
+    });
+
+    test('treats an asset without a size as too large', async () => {
+        downloads.length = 0;
+        assert.equal((await compare(BASE, 'octo__demo__unsized')).status, 413);
+        assert.deepEqual(downloads, []);
+    });
+
+    test('stops at the unpacked size limit without inflating the entry', async () => {
+        downloads.length = 0;
+        const { status, body } = await compare(BASE, 'octo__demo__huge');
+        assert.equal(status, 413);
+        assert.match(body.error, /400 MB/);
+        assert.deepEqual(downloads, [BASE, 'octo__demo__huge']);
+    });
+});
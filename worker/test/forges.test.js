@@ -0,0 +1,176 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+import Forges from '../../frontend/js/forges.js';
+import { checkRepository, forgeApiBases, forgeHosts, forgeOf, probeRepository, resolveRef } from '../src/forges.js';
+
+const SHA = 'c0ffee'.padEnd(40, '0');
+
+// Fake forge APIs: request path -> [status, JSON body]; anything else is a 404
+const ROUTES = {
+    // GitLab
+    '/gitlab/api/v4/projects/octo%2Fdemo': [200, { visibility: 'public', archived: false, description: 'GitLab demo' }],
+    '/gitlab/api/v4/projects/octo%2Fold': [200, { visibility: 'public', archived: true, description: null }],
+    '/gitlab/api/v4/projects/octo%2Fsecret': [200, { visibility: 'internal', archived: false }],
+    '/gitlab/api/v4/projects/octo%2Fdemo/repository/branches/feature%2Fx': [200, { commit: { id: SHA } }],
+    '/gitlab/api/v4/projects/octo%2Fdemo/repository/commits/c0ffee0': [200, { id: SHA }],
+    '/self/api/v4/projects/team%2Ftool': [200, { visibility: 'public', archived: false, statistics: { repository_size: 2048 } }],
+    // Gitea (Codeberg)
+    '/codeberg/api/v1/repos/octo/demo': [200, { private: false, internal: false, archived: false, size: 3, description: 'Gitea demo' }],
+    '/codeberg/api/v1/repos/octo/internal': [200, { private: false, internal: true, archived: false, size: 1 }],
+    '/codeberg/api/v1/repos/octo/demo/tags/v1.0': [200, { commit: { sha: SHA } }],
+    '/codeberg/api/v1/repos/octo/demo/git/commits/c0ffee0': [422, { message: 'not a commit' }],
+    // Bitbucket
+    '/bitbucket/2.0/repositories/octo/demo': [200, { is_private: false, size: 5000, description: 'Bitbucket demo' }],
+    '/bitbucket/2.0/repositories/octo/private': [200, { is_private: true, size: 10 }],
+    '/bitbucket/2.0/repositories/octo/demo/refs/branches/main': [200, { target: { hash: SHA } }],
+    '/bitbucket/2.0/repositories/octo/demo/commit/c0ffee0': [200, { hash: SHA }],
+    '/bitbucket/2.0/repositories/octo/limited': [403, { error: 'forbidden' }]
+};
+
+let server;
+let env;
+const requests = [];
+
+before(async () => {
+    server = createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        const [status, body] = ROUTES[req.url] || [404, { message: 'Not Found' }];
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    env = {
+        GITHUB_TOKEN: 'secret-token',
+        FORGE_HOSTS: 'git.example.org=gitlab',
+        FORGE_API_BASES: [
+            `gitlab.com=${origin}/gitlab/api/v4`,
+            `git.example.org=${origin}/self/api/v4/`,
+            `codeberg.org=${origin}/codeberg/api/v1`,
+            `bitbucket.org=${origin}/bitbucket/2.0`
+        ].join(',')
+    };
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function source(url) {
+    const parsed = Forges.parseRepoUrl(url, forgeHosts(env));
+    assert.ok(parsed, `${url} should parse`);
+    return parsed;
+}
+
+describe('parsing', () => {
+    test('reads owner, repo and ref from each forge\'s URLs', () => {
+        assert.deepEqual(Forges.parseRepoUrl('https://gitlab.com/octo/demo/-/tree/feature/x'), {
+            forge: 'gitlab', host: 'gitlab.com', owner: 'octo', repo: 'demo', ref: 'feature/x', url: 'https://gitlab.com/octo/demo'
+        });
+        assert.deepEqual(Forges.parseRepoUrl('https://codeberg.org/octo/demo/src/tag/v1.0'), {
+            forge: 'gitea', host: 'codeberg.org', owner: 'octo', repo: 'demo', ref: 'v1.0', url: 'https://codeberg.org/octo/demo'
+        });
+        assert.deepEqual(Forges.parseRepoUrl('https://bitbucket.org/octo/demo.git'), {
+            forge: 'bitbucket', host: 'bitbucket.org', owner: 'octo', repo: 'demo', ref: null, url: 'https://bitbucket.org/octo/demo'
+        });
+        // A GitHub-style ref path is not a GitLab one
+        assert.equal(Forges.parseRepoUrl('https://gitlab.com/octo/demo/tree/main'), null);
+    });
+
+    test('Bitbucket file URLs name only the ref, not the file path', () => {
+        for (const url of ['https://bitbucket.org/octo/demo/src/main', 'https://bitbucket.org/octo/demo/src/main/', 'https://bitbucket.org/octo/demo/src/main/lib/x.js']) {
+            assert.equal(Forges.parseRepoUrl(url).ref, 'main', url);
+        }
+        // Branches with a slash are URL-encoded in the ref segment
+        assert.equal(Forges.parseRepoUrl('https://bitbucket.org/octo/demo/src/feature%2Fx/README.md').ref, 'feature%2Fx');
+    });
+
+    test('accepts self-hosted instances only when configured', () => {
+        assert.equal(Forges.parseRepoUrl('https://git.example.org/team/tool'), null);
+        assert.equal(source('https://git.example.org/team/tool').forge, 'gitlab');
+        assert.equal(forgeOf('git.example.org', env), 'gitlab');
+        // Bitbucket cannot be self-hosted
+        assert.deepEqual(forgeHosts({ FORGE_HOSTS: 'a.example=bitbucket, B.Example=gitea' }), { 'b.example': 'gitea' });
+    });
+
+    test('reads FORGE_API_BASES, ignoring entries that are not http(s) URLs', () => {
+        assert.deepEqual(forgeApiBases({ FORGE_API_BASES: 'GitLab.com=https://proxy.example/api/,x=ftp://y,=http://z,nope' }), {
+            'gitlab.com': 'https://proxy.example/api'
+        });
+        assert.deepEqual(forgeApiBases({}), {});
+    });
+});
+
+describe('checkRepository', () => {
+    test('GitLab: visibility, archive state, size only when reported', async () => {
+        assert.deepEqual(await checkRepository(source('https://gitlab.com/octo/demo'), env), {
+            exists: true, private: false, archived: false, size: null, description: 'GitLab demo'
+        });
+        assert.equal((await checkRepository(source('https://gitlab.com/octo/secret'), env)).private, true);
+        assert.equal((await checkRepository(source('https://git.example.org/team/tool'), env)).size, 2048);
+    });
+
+    test('Gitea: size in KB, internal repositories are not public', async () => {
+        assert.deepEqual(await checkRepository(source('https://codeberg.org/octo/demo'), env), {
+            exists: true, private: false, archived: false, size: 3072, description: 'Gitea demo'
+        });
+        assert.equal((await checkRepository(source('https://codeberg.org/octo/internal'), env)).private, true);
+    });
+
+    test('Bitbucket: privacy and size in bytes, API errors fail closed', async () => {
+        assert.deepEqual(await checkRepository(source('https://bitbucket.org/octo/demo'), env), {
+            exists: true, private: false, archived: false, size: 5000, description: 'Bitbucket demo'
+        });
+        assert.equal((await checkRepository(source('https://bitbucket.org/octo/private'), env)).private, true);
+        assert.deepEqual(await checkRepository(source('https://bitbucket.org/octo/missing'), env), { exists: false });
+        assert.deepEqual(await checkRepository(source('https://bitbucket.org/octo/limited'), env), {
+            exists: false, error: 'Bitbucket API error: 403'
+        });
+    });
+
+    test('sends GITHUB_TOKEN to no other forge', () => {
+        assert.ok(requests.length > 0);
+        assert.ok(requests.every(r => r.headers.authorization === undefined));
+    });
+});
+
+describe('resolveRef', () => {
+    test('GitLab: branch names with slashes', async () => {
+        assert.deepEqual(await resolveRef(source('https://gitlab.com/octo/demo'), 'feature/x', env), {
+            exists: true, type: 'branch', name: 'feature/x', sha: SHA
+        });
+    });
+
+    test('GitLab: short commit SHAs expand to the full hash', async () => {
+        assert.deepEqual(await resolveRef(source('https://gitlab.com/octo/demo'), 'c0ffee0', env), {
+            exists: true, type: 'commit', name: SHA, sha: SHA
+        });
+    });
+
+    test('Gitea: tags after branches, 422 for unknown commits', async () => {
+        const demo = source('https://codeberg.org/octo/demo');
+        assert.deepEqual(await resolveRef(demo, 'v1.0', env), { exists: true, type: 'tag', name: 'v1.0', sha: SHA });
+        assert.deepEqual(await resolveRef(demo, 'c0ffee0', env), { exists: false });
+        assert.deepEqual(await resolveRef(demo, 'no-such-branch', env), { exists: false });
+    });
+
+    test('Bitbucket: branches and commits', async () => {
+        const demo = source('https://bitbucket.org/octo/demo');
+        assert.deepEqual(await resolveRef(demo, 'main', env), { exists: true, type: 'branch', name: 'main', sha: SHA });
+        assert.deepEqual(await resolveRef(demo, 'c0ffee0', env), { exists: true, type: 'commit', name: SHA, sha: SHA });
+    });
+
+    test('Bitbucket: a file URL resolves its branch', async () => {
+        const file = source('https://bitbucket.org/octo/demo/src/main/lib/x.js');
+        assert.deepEqual(await resolveRef(file, file.ref, env), { exists: true, type: 'branch', name: 'main', sha: SHA });
+    });
+});
+
+describe('probeRepository', () => {
+    test('reports archived, active and deleted sources', async () => {
+        assert.equal((await probeRepository(source('https://gitlab.com/octo/old'), env)).status, 'archived');
+        assert.equal((await probeRepository(source('https://codeberg.org/octo/demo'), env)).status, 'active');
+        assert.deepEqual(await probeRepository(source('https://bitbucket.org/octo/missing'), env), { status: 'deleted', httpStatus: 404 });
+        assert.deepEqual(await probeRepository(source('https://bitbucket.org/octo/limited'), env), { status: 'unknown', httpStatus: 403 });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Git-Archiver Web - Test helpers
+ *
+ * Runs the worker in Miniflare (the workerd runtime wrangler dev uses). The
+ * worker imports the frontend's shared modules, so it is bundled with esbuild
+ * first, the same way wrangler does on deploy.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { gzipSync } from 'node:zlib';
+import { build } from 'esbuild';
+import { Miniflare } from 'miniflare';
+
+const ENTRY = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+let bundled = null;
+
+/**
+ * Bundle src/index.js into a single ES module (cached per test process)
+ */
+export async function bundleWorker() {
+    if (!bundled) {
+        const result = await build({
+            entryPoints: [ENTRY],
+            bundle: true,
+            format: 'esm',
+            platform: 'neutral',
+            write: false,
+            logLevel: 'silent'
+        });
+        bundled = result.outputFiles[0].text;
+    }
+    return bundled;
+}
+
+/**
+ * Start the worker with the RATE_LIMITER Durable Object bound
+ * Callers must dispose() the returned instance.
+ *
+ * @param {object} options - Extra Miniflare options (bindings, kvNamespaces, fetchMock, ...)
+ * @returns {Promise<Miniflare>}
+ */
+export async function createWorker(options = {}) {
+    return new Miniflare({
+        modules: true,
+        script: await bundleWorker(),
+        compatibilityDate: '2024-01-01',
+        durableObjects: { RATE_LIMITER: 'RateLimiter' },
+        ...options
+    });
+}
+
+/**
+ * In-memory stand-in for a KV namespace, for modules tested outside Miniflare
+ * Values are stored as KV stores them, as strings; `values` exposes the map.
+ *
+ * @param {object} initial - key -> value; values that are not strings are stored as JSON
+ */
+export function fakeKv(initial = {}) {
+    const values = new Map(Object.entries(initial).map(([key, value]) =>
+        [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+    return {
+        values,
+        async get(key, options) {
+            const value = values.get(key);
+            if (value === undefined) return null;
+            const type = typeof options === 'string' ? options : options?.type;
+            return type === 'json' ? JSON.parse(value) : value;
+        },
+        async put(key, value) {
+            values.set(key, String(value));
+        },
+        async delete(key) {
+            values.delete(key);
+        },
+        async list({ prefix = '' } = {}) {
+            const keys = [...values.keys()].filter(key => key.startsWith(prefix)).sort().map(name => ({ name }));
+            return { keys, list_complete: true };
+        }
+    };
+}
+
+const encoder = new TextEncoder();
+
+function writeField(block, start, length, value) {
+    block.set(encoder.encode(value).subarray(0, length), start);
+}
+
+function octal(value, length) {
+    return value.toString(8).padStart(length - 1, '0');
+}
+
+/**
+ * One ustar entry: header block plus data padded to whole blocks
+ *
+ * @param {object} options - prefix, link, and size to claim in the header instead of the data's
+ */
+export function tarEntry(name, typeflag, data = '', { prefix = '', link = '', size } = {}) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const header = new Uint8Array(512);
+    writeField(header, 0, 100, name);
+    writeField(header, 100, 8, octal(0o644, 8));
+    writeField(header, 124, 12, octal(size ?? bytes.length, 12));
+    writeField(header, 136, 12, octal(1700000000, 12));
+    writeField(header, 156, 1, typeflag);
+    writeField(header, 157, 100, link);
+    writeField(header, 257, 6, 'ustar');
+    writeField(header, 345, 155, prefix);
+    const padded = new Uint8Array(Math.ceil(bytes.length / 512) * 512);
+    padded.set(bytes);
+    return [header, padded];
+}
+
+/**
+ * Gzip tar entries into a .tar.gz, with the end-of-archive blocks
+ *
+ * @param {Uint8Array[]} parts - From tarEntry()
+ */
+export function tarball(parts) {
+    const all = [...parts, new Uint8Array(1024)];
+    const tar = new Uint8Array(all.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of all) {
+        tar.set(part, offset);
+        offset += part.length;
+    }
+    return gzipSync(tar);
+}
@@ -0,0 +1,286 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { deriveJobStatus, parseRequestIssueBody } from '../src/jobs.js';
+
+const env = { GITHUB_OWNER: 'archiver', GITHUB_REPO: 'archive' };
+const releases = `https://github.com/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/releases`;
+
+const TAG = 'octo__demo__2026-02-01';
+const PREV_TAG = 'octo__demo__2026-01-15';
+const HASH = 'a'.repeat(64);
+const DOWNLOAD_URL = `${releases}/download/${TAG}/octo_demo.tar.gz`;
+
+// Issue body as createGitHubIssue writes it
+const ISSUE_BODY = `---
+url: https://github.com/octo/demo
+forge: github
+ref: v1.0
+ref_type: tag
+mode: mirror
+full_project: true
+requested_at: 2026-02-01T10:00:00.000Z
+---
+
+Automated archive request for \`octo/demo@v1.0\`
+
+This issue will be automatically closed once the archive is created.`;
+
+// Comment bodies exactly as archive.yml's "Comment on issue" steps write them
+const COMMENTS = {
+    created: `✅ **Archive created successfully!**
+
+**Repository:** octo/demo
+**Size:** 1.25MB
+**Release:** \`${TAG}\`
+**Hash:** \`${HASH}\`
+**Download:** [octo_demo.tar.gz](${DOWNLOAD_URL})
+
+This issue will now be closed.`,
+
+    createdWithBundle: `✅ **Archive created successfully!**
+
+**Repository:** octo/demo
+**Size:** 1.25MB
+**Release:** \`${TAG}\`
+**Hash:** \`${HASH}\`
+**Download:** [octo_demo.tar.gz](${DOWNLOAD_URL})
+**Mirror bundle:** [octo_demo.bundle](${releases}/download/${TAG}/octo_demo.bundle)
+
+This issue will now be closed.`,
+
+    // Written before the Release and Hash lines were added
+    createdLegacy: `✅ **Archive created successfully!**
+
+**Repository:** octo/demo
+**Size:** 1.25MB
+**Download:** [octo_demo.tar.gz](${DOWNLOAD_URL})
+
+This issue will now be closed.`,
+
+    noChanges: `ℹ️ **No changes detected**
+
+The repository **octo/demo** has not changed since the last archive.
+
+**Release:** \`${PREV_TAG}\`
+
+No new release was created. You can download the existing archive from the releases page.
+
+This issue will now be closed.`,
+
+    invalid: '❌ **Archive failed**\n\n**Reason:** Repository too large (2100MB > 2GB)',
+
+    unparsable: '❌ **Archive failed**\n\n' +
+        'Could not parse repository URL from issue body.\n\n' +
+        'Please ensure the issue contains a line like:\n' +
+        '```\nurl: https://github.com/owner/repo\n```',
+
+    unexpected: `❌ **Archive failed unexpectedly**
+
+**Repository:** octo/demo
+
+An error occurred during the clone, archive, or upload phase.
+
+**Workflow run:** [View logs](https://github.com/archiver/archive/actions/runs/123)
+
+This issue will be closed. Please open a new issue to retry.`
+};
+
+const bot = body => ({ user: { login: 'github-actions[bot]' }, body });
+const user = body => ({ user: { login: 'octo' }, body });
+
+const NO_RESULT = { release_tag: null, release_url: null, download_url: null, archive_hash: null, failure_reason: null };
+
+const CASES = [
+    {
+        name: 'open without a workflow label is queued',
+        issue: { state: 'open' },
+        labels: ['archive-request'],
+        comments: [],
+        expected: { state: 'queued', ...NO_RESULT }
+    },
+    {
+        name: 'a priority label does not change the state',
+        issue: { state: 'open' },
+        labels: ['archive-request', 'priority-high'],
+        comments: [],
+        expected: { state: 'queued', ...NO_RESULT }
+    },
+    {
+        name: 'in-progress is running',
+        issue: { state: 'open' },
+        labels: ['archive-request', 'in-progress'],
+        comments: [],
+        expected: { state: 'running', ...NO_RESULT }
+    },
+    {
+        name: 'completed is succeeded, with the release from the comment',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'completed'],
+        comments: [bot(COMMENTS.created)],
+        expected: {
+            state: 'succeeded',
+            release_tag: TAG,
+            release_url: `${releases}/tag/${TAG}`,
+            download_url: DOWNLOAD_URL,
+            archive_hash: HASH,
+            failure_reason: null
+        }
+    },
+    {
+        name: 'a mirror bundle line does not replace the archive download',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'completed'],
+        comments: [bot(COMMENTS.createdWithBundle)],
+        expected: {
+            state: 'succeeded',
+            release_tag: TAG,
+            release_url: `${releases}/tag/${TAG}`,
+            download_url: DOWNLOAD_URL,
+            archive_hash: HASH,
+            failure_reason: null
+        }
+    },
+    {
+        name: 'older success comments give the tag through the download URL',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'completed'],
+        comments: [bot(COMMENTS.createdLegacy)],
+        expected: {
+            state: 'succeeded',
+            release_tag: TAG,
+            release_url: `${releases}/tag/${TAG}`,
+            download_url: DOWNLOAD_URL,
+            archive_hash: null,
+            failure_reason: null
+        }
+    },
+    {
+        name: 'no-changes is unchanged, pointing at the previous release',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'no-changes'],
+        comments: [bot(COMMENTS.noChanges)],
+        expected: { ...NO_RESULT, state: 'unchanged', release_tag: PREV_TAG, release_url: `${releases}/tag/${PREV_TAG}` }
+    },
+    {
+        name: 'failed validation gives its reason',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'failed'],
+        comments: [bot(COMMENTS.invalid)],
+        expected: { ...NO_RESULT, state: 'failed', failure_reason: 'Repository too large (2100MB > 2GB)' }
+    },
+    {
+        name: 'an unparsable request body is failed',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'failed'],
+        comments: [bot(COMMENTS.unparsable)],
+        expected: { ...NO_RESULT, state: 'failed', failure_reason: 'Could not parse repository URL from issue body' }
+    },
+    {
+        name: 'an unexpected workflow failure is failed',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'failed'],
+        comments: [bot(COMMENTS.unexpected)],
+        expected: { ...NO_RESULT, state: 'failed', failure_reason: 'Archive failed unexpectedly during clone, archive, or upload' }
+    },
+    {
+        name: 'cancelled from the admin queue is cancelled',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'cancelled'],
+        comments: [],
+        expected: { state: 'cancelled', ...NO_RESULT }
+    },
+    {
+        name: 'closed by hand without a result label is failed',
+        issue: { state: 'closed' },
+        labels: ['archive-request'],
+        comments: [],
+        expected: { ...NO_RESULT, state: 'failed', failure_reason: 'Request closed without an archive' }
+    },
+    {
+        name: 'closed while in progress is failed, not running',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'in-progress'],
+        comments: [],
+        expected: { ...NO_RESULT, state: 'failed', failure_reason: 'Request closed without an archive' }
+    },
+    {
+        name: 'later comments by people do not override the workflow comment',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'completed'],
+        comments: [bot(COMMENTS.created), user('**Release:** `octo__demo__fake`\n**Download:** [x](https://github.com/octo/demo/releases/download/fake/x.tar.gz)')],
+        expected: {
+            state: 'succeeded',
+            release_tag: TAG,
+            release_url: `${releases}/tag/${TAG}`,
+            download_url: DOWNLOAD_URL,
+            archive_hash: HASH,
+            failure_reason: null
+        }
+    },
+    {
+        name: 'a reason in a comment by a person is ignored',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'failed'],
+        comments: [user('**Reason:** the maintainer said so')],
+        expected: { ...NO_RESULT, state: 'failed', failure_reason: 'Request closed without an archive' }
+    },
+    {
+        name: 'the last workflow comment is the one read',
+        issue: { state: 'closed' },
+        labels: ['archive-request', 'failed'],
+        comments: [bot(COMMENTS.unparsable), bot(COMMENTS.invalid), user('Any update?')],
+        expected: { ...NO_RESULT, state: 'failed', failure_reason: 'Repository too large (2100MB > 2GB)' }
+    }
+];
+
+describe('deriveJobStatus', () => {
+    for (const { name, issue, labels, comments, expected } of CASES) {
+        test(name, () => {
+            const job = deriveJobStatus({ number: 42, body: ISSUE_BODY, ...issue }, labels, comments, env);
+            const actual = Object.fromEntries(Object.keys(expected).map(key => [key, job[key]]));
+            assert.deepEqual(actual, expected);
+        });
+    }
+
+    test('request fields come from the issue body', () => {
+        const job = deriveJobStatus({
+            number: 42,
+            html_url: 'https://github.com/archiver/archive/issues/42',
+            state: 'open',
+            body: ISSUE_BODY,
+            created_at: '2026-02-01T10:00:00Z',
+            updated_at: '2026-02-01T10:05:00Z',
+            closed_at: null
+        }, ['archive-request'], [], env);
+
+        assert.equal(job.issue_number, 42);
+        assert.equal(job.issue_url, 'https://github.com/archiver/archive/issues/42');
+        assert.equal(job.url, 'https://github.com/octo/demo');
+        assert.equal(job.ref, 'v1.0');
+        assert.equal(job.closed_at, null);
+    });
+});
+
+describe('parseRequestIssueBody', () => {
+    test('reads every request field', () => {
+        assert.deepEqual(parseRequestIssueBody(ISSUE_BODY), {
+            url: 'https://github.com/octo/demo',
+            ref: 'v1.0',
+            refType: 'tag',
+            mode: 'mirror',
+            fullProject: true
+        });
+    });
+
+    test('missing fields are null', () => {
+        assert.deepEqual(parseRequestIssueBody('url: https://github.com/octo/demo'), {
+            url: 'https://github.com/octo/demo',
+            ref: null,
+            refType: null,
+            mode: null,
+            fullProject: false
+        });
+        assert.equal(parseRequestIssueBody(undefined).url, null);
+    });
+});
@@ -0,0 +1,180 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import Manifests from '../../frontend/js/manifests.js';
+
+// Fixtures carry a .fixture suffix so dependency scanners leave them alone
+function fixture(format) {
+    return readFileSync(new URL(`./fixtures/manifests/${format}.fixture`, import.meta.url), 'utf8');
+}
+
+function parse(format) {
+    const result = Manifests.parse(fixture(format), format);
+    assert.equal(result.format, format);
+    return result.packages;
+}
+
+const NOT_ON_GITHUB = 'Not hosted on GitHub';
+
+describe('manifest parsing', () => {
+    test('each fixture is detected from its contents alone', () => {
+        for (const format of Manifests.FORMATS) {
+            assert.equal(Manifests.detect(fixture(format), 'upload.txt'), format);
+        }
+    });
+
+    test('package.json', () => {
+        assert.deepEqual(parse('package.json'), [
+            { ecosystem: 'npm', name: 'express', url: null },
+            { ecosystem: 'npm', name: 'lodash', url: 'https://github.com/lodash/lodash' },
+            { ecosystem: 'npm', name: 'lodash.merge', url: null },
+            { ecosystem: 'npm', name: 'left-pad', url: 'https://github.com/stevemao/left-pad' },
+            { ecosystem: 'npm', name: 'gitlab-lib', url: null, reason: NOT_ON_GITHUB },
+            { ecosystem: 'npm', name: 'react', url: null },
+            { ecosystem: 'npm', name: 'eslint', url: 'https://github.com/eslint/eslint' }
+        ]);
+    });
+
+    test('package-lock.json', () => {
+        assert.deepEqual(parse('package-lock.json'), [
+            { ecosystem: 'npm', name: 'express', url: null },
+            { ecosystem: 'npm', name: 'debug', url: null },
+            { ecosystem: 'npm', name: 'lodash', url: 'https://github.com/lodash/lodash' },
+            { ecosystem: 'npm', name: '@scope/pkg', url: null }
+        ]);
+    });
+
+    test('package-lock.json v1 nested dependencies', () => {
+        const lock = JSON.stringify({
+            lockfileVersion: 1,
+            dependencies: {
+                express: { version: '4.18.2', dependencies: { debug: { version: '2.6.9' } } },
+                debug: { version: '4.3.4' },
+                lodash: { version: 'github:lodash/lodash#4.17.21' }
+            }
+        });
+        assert.deepEqual(Manifests.parse(lock, 'package-lock.json').packages, [
+            { ecosystem: 'npm', name: 'express', url: null },
+            { ecosystem: 'npm', name: 'debug', url: null },
+            { ecosystem: 'npm', name: 'lodash', url: 'https://github.com/lodash/lodash' }
+        ]);
+    });
+
+    test('requirements.txt', () => {
+        assert.deepEqual(parse('requirements.txt'), [
+            { ecosystem: 'pypi', name: 'django', url: null },
+            { ecosystem: 'pypi', name: 'requests', url: null },
+            { ecosystem: 'pypi', name: 'black', url: 'https://github.com/psf/black' },
+            { ecosystem: 'pypi', name: 'my-pkg', url: 'https://github.com/octo/my-pkg' },
+            { ecosystem: 'pypi', name: 'internal', url: null, reason: NOT_ON_GITHUB },
+            { ecosystem: 'pypi', name: 'https://example.com/archive/thing-1.0.tar.gz', url: null, reason: NOT_ON_GITHUB },
+            { ecosystem: 'pypi', name: 'flask-login', url: null }
+        ]);
+    });
+
+    test('go.mod', () => {
+        assert.deepEqual(parse('go.mod'), [
+            { ecosystem: 'go', name: 'github.com/spf13/cobra', url: 'https://github.com/spf13/cobra' },
+            { ecosystem: 'go', name: 'github.com/stretchr/testify', url: 'https://github.com/stretchr/testify' },
+            { ecosystem: 'go', name: 'golang.org/x/sync', url: 'https://github.com/golang/sync' },
+            { ecosystem: 'go', name: 'gopkg.in/yaml.v3', url: 'https://github.com/go-yaml/yaml' },
+            { ecosystem: 'go', name: 'google.golang.org/grpc', url: 'https://github.com/grpc/grpc-go' },
+            { ecosystem: 'go', name: 'gitlab.com/group/tool', url: null, reason: NOT_ON_GITHUB },
+            { ecosystem: 'go', name: 'example.com/internal/lib', url: 'https://github.com/octo/lib' },
+            { ecosystem: 'go', name: 'github.com/aws/aws-sdk-go-v2', url: 'https://github.com/aws/aws-sdk-go-v2' },
+            { ecosystem: 'go', name: 'github.com/aws/aws-sdk-go-v2/service/s3', url: 'https://github.com/aws/aws-sdk-go-v2' }
+        ]);
+    });
+
+    test('Cargo.toml', () => {
+        assert.deepEqual(parse('Cargo.toml'), [
+            { ecosystem: 'cargo', name: 'serde', url: null },
+            { ecosystem: 'cargo', name: 'tokio', url: null },
+            { ecosystem: 'cargo', name: 'rand', url: 'https://github.com/rust-random/rand' },
+            { ecosystem: 'cargo', name: 'internal', url: null, reason: NOT_ON_GITHUB },
+            { ecosystem: 'cargo', name: 'regex', url: null },
+            { ecosystem: 'cargo', name: 'clap', url: 'https://github.com/clap-rs/clap' },
+            { ecosystem: 'cargo', name: 'libc', url: null }
+        ]);
+    });
+
+    test('malformed JSON is reported, not thrown', () => {
+        assert.ok(Manifests.parse('{ "dependencies": ', 'package.json').error);
+    });
+});
+
+describe('manifest resolution', () => {
+    const registry = {
+        'https://registry.npmjs.org/express/latest': { repository: { url: 'git+https://github.com/expressjs/express.git' } },
+        'https://registry.npmjs.org/lodash.merge/latest': { repository: { url: 'git+https://github.com/lodash/lodash.git' } },
+        'https://registry.npmjs.org/react/latest': { homepage: 'https://react.dev/', repository: { url: 'git+https://github.com/facebook/react.git' } }
+    };
+
+    function fakeFetch(requested) {
+        return async url => {
+            requested.push(url);
+            return url in registry ? Response.json(registry[url]) : new Response('Not found', { status: 404 });
+        };
+    }
+
+    test('groups packages by repository and lists the rest as unresolved', async () => {
+        const requested = [];
+        const result = await Manifests.resolve(parse('package.json'), { fetch: fakeFetch(requested) });
+
+        assert.deepEqual(result.repositories, [
+            { url: 'https://github.com/eslint/eslint', packages: ['eslint'] },
+            { url: 'https://github.com/expressjs/express', packages: ['express'] },
+            { url: 'https://github.com/facebook/react', packages: ['react'] },
+            { url: 'https://github.com/lodash/lodash', packages: ['lodash', 'lodash.merge'] },
+            { url: 'https://github.com/stevemao/left-pad', packages: ['left-pad'] }
+        ]);
+        assert.deepEqual(result.unresolved, [
+            { ecosystem: 'npm', name: 'gitlab-lib', reason: NOT_ON_GITHUB }
+        ]);
+        // Packages whose spec names the repository are never looked up
+        assert.deepEqual(requested.sort(), Object.keys(registry).sort());
+    });
+
+    test('modules sharing a repository resolve to it once', async () => {
+        const result = await Manifests.resolve(parse('go.mod'), { fetch: fakeFetch([]) });
+
+        const aws = result.repositories.filter(repo => repo.url === 'https://github.com/aws/aws-sdk-go-v2');
+        assert.deepEqual(aws, [{
+            url: 'https://github.com/aws/aws-sdk-go-v2',
+            packages: ['github.com/aws/aws-sdk-go-v2', 'github.com/aws/aws-sdk-go-v2/service/s3']
+        }]);
+        assert.deepEqual(result.unresolved, [
+            { ecosystem: 'go', name: 'gitlab.com/group/tool', reason: NOT_ON_GITHUB }
+        ]);
+    });
+
+    test('registry misses and the lookup limit are reported per package', async () => {
+        const result = await Manifests.resolve(parse('Cargo.toml'), {
+            limit: 2,
+            fetch: async url => url.endsWith('/serde')
+                ? Response.json({ crate: { repository: 'https://github.com/serde-rs/serde' } })
+                : new Response('Unavailable', { status: 503 })
+        });
+
+        assert.deepEqual(result.repositories.map(repo => repo.url), [
+            'https://github.com/clap-rs/clap',
+            'https://github.com/rust-random/rand',
+            'https://github.com/serde-rs/serde'
+        ]);
+        assert.deepEqual(result.unresolved, [
+            { ecosystem: 'cargo', name: 'internal', reason: NOT_ON_GITHUB },
+            { ecosystem: 'cargo', name: 'libc', reason: 'Not looked up: over 2 registry lookups' },
+            { ecosystem: 'cargo', name: 'regex', reason: 'Not looked up: over 2 registry lookups' },
+            { ecosystem: 'cargo', name: 'tokio', reason: 'Registry lookup failed (503)' }
+        ]);
+    });
+
+    test('archived repositories are matched without regard to case', () => {
+        const marked = Manifests.markArchived(
+            [{ url: 'https://github.com/Lodash/Lodash', packages: ['lodash'] }, { url: 'https://github.com/psf/black', packages: ['black'] }],
+            { repositories: { 'https://github.com/lodash/lodash': {} } }
+        );
+        assert.deepEqual(marked.map(repo => repo.archived), [true, false]);
+    });
+});
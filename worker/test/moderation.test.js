@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    addBlockRule,
+    addTakedown,
+    applyTakedowns,
+    findBlockRule,
+    findTakedown,
+    listBlockRules,
+    loadModeration,
+    loadTakedowns,
+    matchModeration,
+    removeTakedown
+} from '../src/moderation.js';
+import { fakeKv } from './helpers.js';
+
+describe('hosts in moderation entries', () => {
+    test('blocklist rules only match their own host', async () => {
+        const env = { MODERATION: fakeKv() };
+        await addBlockRule(env, { host: 'gitlab.com', pattern: 'spam/*', kind: 'owner' });
+
+        assert.equal(await findBlockRule(env, { host: 'github.com', owner: 'spam', repo: 'x' }), null);
+        assert.equal((await findBlockRule(env, { host: 'gitlab.com', owner: 'Spam', repo: 'x' })).pattern, 'spam/*');
+
+        // The same pattern may be blocked on another host, but not twice on one
+        assert.ok((await addBlockRule(env, { host: 'github.com', pattern: 'spam/*', kind: 'owner' })).rule);
+        assert.equal((await addBlockRule(env, { host: 'gitlab.com', pattern: 'spam/*', kind: 'owner' })).status, 409);
+    });
+
+    test('takedowns are keyed by host, owner and repo', async () => {
+        const env = { MODERATION: fakeKv() };
+        await addTakedown(env, { host: 'codeberg.org', owner: 'octo', repo: 'demo', reason: 'DMCA' });
+
+        assert.equal(await findTakedown(env, { host: 'github.com', owner: 'octo', repo: 'demo' }), null);
+        assert.equal((await findTakedown(env, { host: 'codeberg.org', owner: 'OCTO', repo: 'demo' })).reason, 'DMCA');
+        assert.deepEqual(Object.keys(await loadTakedowns(env)), ['codeberg.org/octo/demo']);
+
+        assert.equal(await removeTakedown(env, { host: 'github.com', owner: 'octo', repo: 'demo' }), null);
+        assert.ok(await removeTakedown(env, { host: 'codeberg.org', owner: 'octo', repo: 'demo' }));
+        assert.deepEqual(await loadTakedowns(env), {});
+    });
+
+    test('entries saved without a host are GitHub\'s, and keep it once rewritten', async () => {
+        const env = {
+            MODERATION: fakeKv({
+                blocklist: [{ id: 'r1', pattern: 'old/*', kind: 'owner', reason: null, created_at: '2025-01-01T00:00:00Z' }],
+                takedowns: { 'old/repo': { owner: 'old', repo: 'repo', reason: 'DMCA', removed_at: '2025-01-01T00:00:00Z' } }
+            })
+        };
+
+        assert.equal((await listBlockRules(env))[0].host, 'github.com');
+        const moderation = await loadModeration(env);
+        assert.deepEqual(Object.keys(moderation.takedowns), ['github.com/old/repo']);
+        assert.ok(matchModeration(moderation, { host: 'github.com', owner: 'old', repo: 'repo' }).takedown);
+        assert.ok(matchModeration(moderation, { owner: 'old', repo: 'other' }).rule);
+        assert.deepEqual(matchModeration(moderation, { host: 'gitlab.com', owner: 'old', repo: 'repo' }), { takedown: null, rule: null });
+
+        await addTakedown(env, { host: 'gitlab.com', owner: 'new', repo: 'repo', reason: 'Abuse' });
+        await addBlockRule(env, { host: 'gitlab.com', pattern: 'new/*', kind: 'owner' });
+        const stored = JSON.parse(env.MODERATION.values.get('takedowns'));
+        assert.deepEqual(Object.keys(stored).sort(), ['github.com/old/repo', 'gitlab.com/new/repo']);
+        assert.equal(stored['github.com/old/repo'].host, 'github.com');
+        assert.deepEqual(JSON.parse(env.MODERATION.values.get('blocklist')).map(rule => rule.host), ['github.com', 'gitlab.com']);
+    });
+
+    test('applyTakedowns removes index entries on the taken-down host only', async () => {
+        const env = { MODERATION: fakeKv() };
+        await addTakedown(env, { host: 'gitlab.com', owner: 'octo', repo: 'demo', reason: 'DMCA' });
+        const index = {
+            total_size_mb: 30,
+            repositories: {
+                'https://github.com/octo/demo': { owner: 'octo', repo: 'demo', latest_size_mb: 10 },
+                'https://gitlab.com/octo/demo': { forge: 'gitlab', host: 'gitlab.com', owner: 'octo', repo: 'demo', latest_size_mb: 20 }
+            }
+        };
+
+        const served = applyTakedowns(index, await loadTakedowns(env));
+        assert.equal(served.repositories['https://github.com/octo/demo'].latest_size_mb, 10);
+        assert.equal(served.repositories['https://gitlab.com/octo/demo'].status, 'removed');
+        assert.equal(served.repositories['https://gitlab.com/octo/demo'].host, 'gitlab.com');
+        assert.equal(served.total_size_mb, 10);
+    });
+});
@@ -0,0 +1,60 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWorker } from './helpers.js';
+
+const repo = (owner, name, fields = {}) => ({
+    name,
+    full_name: `${owner}/${name}`,
+    owner: { login: owner },
+    description: null,
+    size: 10,
+    fork: false,
+    archived: false,
+    private: false,
+    pushed_at: '2026-01-01T00:00:00Z',
+    ...fields
+});
+
+// Stands in for api.github.com's user and repository listings
+const OWNERS = {
+    octo: [repo('octo', 'demo')],
+    hidden: [repo('hidden', 'secret', { private: true })]
+};
+
+describe('POST /submit for an owner', async () => {
+    const mf = await createWorker({
+        kvNamespaces: ['BATCHES'],
+        bindings: { GITHUB_OWNER: 'archiver', GITHUB_REPO: 'archive', GITHUB_TOKEN: 'token' },
+        outboundService(request) {
+            const match = new URL(request.url).pathname.match(/^\/users\/([^/]+)(\/repos)?$/);
+            const repos = match && OWNERS[match[1]];
+            if (!repos) return Response.json({ message: 'Not Found' }, { status: 404 });
+            if (match[2]) return Response.json(repos);
+            return Response.json({ login: match[1], type: 'Organization', public_repos: repos.length });
+        }
+    });
+    after(() => mf.dispose());
+
+    const submit = async (owner, ip) => {
+        const response = await mf.dispatchFetch('http://localhost/submit', {
+            method: 'POST',
+            headers: { 'CF-Connecting-IP': ip, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: `https://github.com/${owner}`, confirm: true })
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('failed confirmations do not use up bulk submits', async () => {
+        const ip = '198.51.100.10';
+        assert.equal((await submit('nobody', ip)).status, 404);
+        assert.equal((await submit('hidden', ip)).status, 400);
+        assert.equal((await submit('nobody', ip)).status, 404);
+
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            statuses.push((await submit('octo', ip)).status);
+        }
+        assert.deepEqual(statuses, [202, 202, 202, 429]);
+    });
+});
@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign } from 'node:crypto';
+
+import { loadPublicKey, describePublicKey, verifyAttestation } from '../src/provenance.js';
+import { createWorker } from './helpers.js';
+
+const PAYLOAD = JSON.stringify({
+    url: 'https://github.com/octo/demo',
+    owner: 'octo',
+    repo: 'demo',
+    tag: 'octo__demo__2024-01-01',
+    commit_hash: 'a'.repeat(40),
+    archive_hash: 'b'.repeat(64),
+    archived_at: '2024-01-01T00:00:00Z'
+});
+
+// A fresh key pair per run, like archive.yml's PROVENANCE_SIGNING_KEY and the worker's public half
+const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+const PUBLIC_KEY_PEM = publicKey.export({ type: 'spki', format: 'pem' });
+const other = generateKeyPairSync('ed25519');
+
+function attest(payload, key = privateKey) {
+    return {
+        payload,
+        signature: sign(null, Buffer.from(payload), key).toString('base64'),
+        algorithm: 'Ed25519'
+    };
+}
+
+describe('verifyAttestation', () => {
+    let loaded;
+    before(async () => {
+        loaded = await loadPublicKey({ PROVENANCE_PUBLIC_KEY: PUBLIC_KEY_PEM });
+    });
+
+    test('loads PEM and raw base64 keys with the same key id', async () => {
+        const raw = describePublicKey(loaded).public_key;
+        const fromRaw = await loadPublicKey({ PROVENANCE_PUBLIC_KEY: raw });
+        assert.equal(fromRaw.keyId, loaded.keyId);
+        assert.match(loaded.keyId, /^[a-f0-9]{16}$/);
+    });
+
+    test('accepts a valid signature', async () => {
+        const result = await verifyAttestation({ ...attest(PAYLOAD), key_id: loaded.keyId }, loaded);
+        assert.equal(result.valid, true);
+        assert.equal(result.payload.tag, 'octo__demo__2024-01-01');
+    });
+
+    test('rejects a tampered payload', async () => {
+        const attestation = attest(PAYLOAD);
+        attestation.payload = attestation.payload.replace('b'.repeat(64), 'c'.repeat(64));
+        const result = await verifyAttestation(attestation, loaded);
+        assert.deepEqual(result, { valid: false, error: 'Signature does not match the payload' });
+    });
+
+    test('rejects a signature from another key', async () => {
+        const result = await verifyAttestation(attest(PAYLOAD, other.privateKey), loaded);
+        assert.deepEqual(result, { valid: false, error: 'Signature does not match the payload' });
+    });
+
+    test('rejects a wrong key_id', async () => {
+        const result = await verifyAttestation({ ...attest(PAYLOAD), key_id: '0123456789abcdef' }, loaded);
+        assert.deepEqual(result, { valid: false, error: 'Attestation was signed with a different key' });
+    });
+
+    test('rejects malformed attestations', async () => {
+        assert.equal((await verifyAttestation(null, loaded)).valid, false);
+        assert.equal((await verifyAttestation({ ...attest(PAYLOAD), algorithm: 'RSA' }, loaded)).valid, false);
+        const unsigned = attest('{"url":"x"}');
+        assert.match((await verifyAttestation(unsigned, loaded)).error, /missing owner/);
+    });
+
+    test('reports a missing public key as not configured', async () => {
+        assert.equal(await loadPublicKey({}), null);
+        await assert.rejects(loadPublicKey({ PROVENANCE_PUBLIC_KEY: 'AAAA' }), /not an Ed25519 public key/);
+    });
+});
+
+describe('POST /verify', async () => {
+    const mf = await createWorker({ bindings: { PROVENANCE_PUBLIC_KEY: PUBLIC_KEY_PEM } });
+    after(() => mf.dispose());
+
+    const verify = async (body, worker = mf) => {
+        const response = await worker.dispatchFetch('http://localhost/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.1' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('accepts a valid signature and checks the archive hash', async () => {
+        const { status, body } = await verify({ provenance: attest(PAYLOAD), archive_hash: 'b'.repeat(64) });
+        assert.equal(status, 200);
+        assert.equal(body.valid, true);
+        assert.deepEqual(body.checks, { signature: true, archive_hash: true });
+        assert.equal(body.provenance.repo, 'demo');
+    });
+
+    test('reports a tampered payload', async () => {
+        const attestation = attest(PAYLOAD);
+        attestation.payload = attestation.payload.replace('"demo"', '"other"');
+        const { status, body } = await verify({ provenance: attestation });
+        assert.equal(status, 200);
+        assert.equal(body.valid, false);
+        assert.equal(body.error, 'Signature does not match the payload');
+        assert.equal(body.provenance, null);
+    });
+
+    test('reports a wrong key_id', async () => {
+        const { body } = await verify({ provenance: { ...attest(PAYLOAD), key_id: '0123456789abcdef' } });
+        assert.equal(body.valid, false);
+        assert.equal(body.error, 'Attestation was signed with a different key');
+    });
+
+    test('reports a mismatched archive hash', async () => {
+        const { body } = await verify({ provenance: attest(PAYLOAD), archive_hash: 'c'.repeat(64) });
+        assert.equal(body.valid, false);
+        assert.deepEqual(body.checks, { signature: true, archive_hash: false });
+    });
+
+    test('answers 503 without a public key', async () => {
+        const unsigned = await createWorker();
+        try {
+            const { status, body } = await verify({ provenance: attest(PAYLOAD) }, unsigned);
+            assert.equal(status, 503);
+            assert.equal(body.error, 'Provenance signing is not configured');
+        } finally {
+            await unsigned.dispose();
+        }
+    });
+});
@@ -0,0 +1,164 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+import { slidingWindowHit, checkLocalRateLimit } from '../src/rate-limiter.js';
+import { createWorker } from './helpers.js';
+
+describe('slidingWindowHit', () => {
+    test('allows up to the limit, then reports when the oldest hit expires', () => {
+        const hits = [];
+        assert.equal(slidingWindowHit(hits, 1000, 2, 10000).remaining, 1);
+        assert.equal(slidingWindowHit(hits, 2000, 2, 10000).remaining, 0);
+
+        const denied = slidingWindowHit(hits, 3000, 2, 10000);
+        assert.equal(denied.allowed, false);
+        assert.equal(denied.resetAt, 11000);
+        assert.equal(denied.retryAfter, 8);
+        // Denied hits are not recorded
+        assert.deepEqual(hits, [1000, 2000]);
+    });
+
+    test('slides: hits leave the window one at a time', () => {
+        const hits = [];
+        slidingWindowHit(hits, 0, 2, 10000);
+        slidingWindowHit(hits, 5000, 2, 10000);
+
+        assert.equal(slidingWindowHit(hits, 9999, 2, 10000).allowed, false);
+        // The first hit has left the window, the second still counts
+        const result = slidingWindowHit(hits, 10000, 2, 10000);
+        assert.equal(result.allowed, true);
+        assert.deepEqual(hits, [5000, 10000]);
+        assert.equal(slidingWindowHit(hits, 14999, 2, 10000).allowed, false);
+        assert.equal(slidingWindowHit(hits, 15000, 2, 10000).allowed, true);
+    });
+
+    test('never allows more than the limit across a window boundary', () => {
+        // A fixed window would allow 2x the limit around t=10000
+        const hits = [];
+        let allowed = 0;
+        for (let t = 9000; t < 11000; t += 100) {
+            if (slidingWindowHit(hits, t, 5, 10000).allowed) allowed++;
+        }
+        assert.equal(allowed, 5);
+    });
+
+    test('retryAfter is at least one second', () => {
+        const hits = [];
+        slidingWindowHit(hits, 0, 1, 1000);
+        assert.equal(slidingWindowHit(hits, 999, 1, 1000).retryAfter, 1);
+    });
+});
+
+describe('checkLocalRateLimit', () => {
+    test('keeps a separate log per key', () => {
+        assert.equal(checkLocalRateLimit('test:a', 1, 60, 0).allowed, true);
+        assert.equal(checkLocalRateLimit('test:a', 1, 60, 1).allowed, false);
+        assert.equal(checkLocalRateLimit('test:b', 1, 60, 1).allowed, true);
+    });
+});
+
+describe('RateLimiter Durable Object', async () => {
+    const mf = await createWorker();
+    after(() => mf.dispose());
+
+    const namespace = await mf.getDurableObjectNamespace('RATE_LIMITER');
+    const hit = async (name, body) => {
+        const stub = namespace.get(namespace.idFromName(name));
+        const response = await stub.fetch('https://rate-limiter/hit', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('concurrent hits never exceed the limit', async () => {
+        const results = await Promise.all(
+            Array.from({ length: 20 }, () => hit('concurrent', { limit: 5, windowSeconds: 60 }))
+        );
+        const allowed = results.filter(r => r.body.allowed);
+        assert.equal(allowed.length, 5);
+        assert.deepEqual(allowed.map(r => r.body.remaining).sort(), [0, 1, 2, 3, 4]);
+        for (const r of results.filter(r => !r.body.allowed)) {
+            assert.equal(r.body.remaining, 0);
+            assert.ok(r.body.retryAfter >= 1);
+        }
+    });
+
+    test('hits are counted per object', async () => {
+        assert.equal((await hit('per-object:a', { limit: 1, windowSeconds: 60 })).body.allowed, true);
+        assert.equal((await hit('per-object:a', { limit: 1, windowSeconds: 60 })).body.allowed, false);
+        assert.equal((await hit('per-object:b', { limit: 1, windowSeconds: 60 })).body.allowed, true);
+    });
+
+    test('allows hits again once the window has slid past them', async () => {
+        assert.equal((await hit('sliding', { limit: 1, windowSeconds: 1 })).body.allowed, true);
+        assert.equal((await hit('sliding', { limit: 1, windowSeconds: 1 })).body.allowed, false);
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        assert.equal((await hit('sliding', { limit: 1, windowSeconds: 1 })).body.allowed, true);
+    });
+
+    test('rejects an invalid limit configuration', async () => {
+        const result = await hit('invalid', { limit: 0, windowSeconds: 60 });
+        assert.equal(result.status, 400);
+    });
+});
+
+describe('worker without the RATE_LIMITER binding', () => {
+    test('fails closed with 503', async () => {
+        const mf = await createWorker({ durableObjects: {} });
+        try {
+            const response = await mf.dispatchFetch('http://localhost/pubkey');
+            assert.equal(response.status, 503);
+            assert.deepEqual(await response.json(), { error: 'Rate limiting is not configured' });
+        } finally {
+            await mf.dispose();
+        }
+    });
+
+    test('uses the per-isolate limiter when ALLOW_LOCAL_RATE_LIMIT is set', async () => {
+        const mf = await createWorker({ durableObjects: {}, bindings: { ALLOW_LOCAL_RATE_LIMIT: 'true' } });
+        try {
+            const response = await mf.dispatchFetch('http://localhost/pubkey');
+            // Past the limiter: the handler reports the missing signing key instead
+            assert.equal(response.status, 503);
+            assert.deepEqual(await response.json(), { error: 'Provenance signing is not configured' });
+            assert.ok(response.headers.has('X-RateLimit-Limit'));
+        } finally {
+            await mf.dispose();
+        }
+    });
+});
+
+describe('per-key limits', async () => {
+    const mf = await createWorker({
+        kvNamespaces: ['API_KEYS'],
+        bindings: { ADMIN_TOKEN: 'admin-secret' },
+        // No index release yet: /index serves an empty index
+        outboundService: () => new Response('{}', { status: 404 })
+    });
+    after(() => mf.dispose());
+
+    test('new keys cannot ask for more than 1000 hits per window', async () => {
+        const response = await mf.dispatchFetch('http://localhost/admin/keys', {
+            method: 'POST',
+            headers: { Authorization: 'Bearer admin-secret', 'Content-Type': 'application/json' },
+            body: JSON.stringify({ label: 'ci', limits: { index: { limit: 1001, windowSeconds: 60 } } })
+        });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /between 1 and 1000/);
+    });
+
+    test('keys minted under the old cap are held to the new one', async () => {
+        const key = `gaw_${'ab'.repeat(32)}`;
+        const kv = await mf.getKVNamespace('API_KEYS');
+        await kv.put(`apikey:${createHash('sha256').update(key).digest('hex')}`, JSON.stringify({
+            id: 'legacy', label: 'old', revoked: false, limits: { index: { limit: 10000, windowSeconds: 60 } }
+        }));
+
+        const index = await mf.dispatchFetch('http://localhost/index', { headers: { Authorization: `Bearer ${key}` } });
+        assert.equal(index.status, 200);
+        await index.text();
+        assert.equal(index.headers.get('X-RateLimit-Limit'), '1000');
+    });
+});
@@ -0,0 +1,251 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Routes from '../../frontend/js/routes.js';
+import { compose, createRouter, mapErrors, parseJsonBody, validateParams } from '../src/router.js';
+import { cors } from '../src/cors.js';
+import { createWorker } from './helpers.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+
+function context(method, path, { headers, body, env = {} } = {}) {
+    const url = new URL(path, 'https://worker.test');
+    const request = new Request(url, { method, headers, body });
+    return { request, url, env, ctx: null, logger };
+}
+
+// Middleware that records its name before and after the rest of the chain
+function trace(log, name) {
+    return async (c, next) => {
+        log.push(`${name}:in`);
+        const response = await next();
+        log.push(`${name}:out`);
+        return response;
+    };
+}
+
+describe('compose', () => {
+    test('runs middleware in order, unwinding back out', async () => {
+        const log = [];
+        const run = compose([trace(log, 'a'), trace(log, 'b'), () => { log.push('handler'); return new Response('ok'); }]);
+        const response = await run({});
+        assert.equal(await response.text(), 'ok');
+        assert.deepEqual(log, ['a:in', 'b:in', 'handler', 'b:out', 'a:out']);
+    });
+
+    test('a middleware that answers skips the rest', async () => {
+        const log = [];
+        const run = compose([trace(log, 'a'), () => new Response('stop', { status: 403 }), trace(log, 'never')]);
+        assert.equal((await run({})).status, 403);
+        assert.deepEqual(log, ['a:in', 'a:out']);
+    });
+
+    test('rejects next() called twice or past the handler', async () => {
+        await assert.rejects(compose([async (c, next) => { await next(); return next(); }, () => new Response()])({}), /more than once/);
+        await assert.rejects(compose([(c, next) => next()])({ route: { id: 'x' } }), /Route x has no handler/);
+    });
+});
+
+describe('createRouter', () => {
+    const route = createRouter(Routes, r => [c => Response.json({ id: r.id, path: c.path })]);
+
+    test('matches a route and passes the raw path segments', async () => {
+        const response = await route(context('GET', '/repos/octo/demo/versions'));
+        assert.deepEqual(await response.json(), { id: 'versions', path: { owner: 'octo', repo: 'demo' } });
+    });
+
+    test('answers 404 for unknown paths', async () => {
+        const response = await route(context('GET', '/nope'));
+        assert.equal(response.status, 404);
+        assert.deepEqual(await response.json(), { error: 'Not found' });
+    });
+
+    test('answers 405 with Allow for a known path and another method', async () => {
+        const response = await route(context('PUT', '/webhooks'));
+        assert.equal(response.status, 405);
+        assert.equal(response.headers.get('Allow'), 'GET, POST');
+    });
+
+    test('builds every route\'s chain once, up front', async () => {
+        const built = [];
+        const router = createRouter(Routes, r => { built.push(r.id); return [() => new Response()]; });
+        await router(context('GET', '/health'));
+        await router(context('GET', '/health'));
+        assert.deepEqual(built, Routes.routes.map(r => r.id));
+    });
+});
+
+describe('mapErrors', () => {
+    test('turns a thrown error into a 500 with the route\'s message', async () => {
+        const errors = [];
+        const c = { route: { id: 'files' }, logger: { error: (message, data) => errors.push(data) } };
+        const response = await compose([mapErrors('Failed to list archive files'), () => { throw new Error('boom'); }])(c);
+        assert.equal(response.status, 500);
+        assert.deepEqual(await response.json(), { error: 'Failed to list archive files' });
+        assert.deepEqual(errors, [{ route: 'files', error: 'boom' }]);
+    });
+
+    test('passes responses through', async () => {
+        const response = await compose([mapErrors(), () => new Response('ok', { status: 201 })])({});
+        assert.equal(response.status, 201);
+    });
+});
+
+describe('parseJsonBody', () => {
+    const echo = c => Response.json(c.body);
+    const post = (body, headers = { 'Content-Type': 'application/json' }) => context('POST', '/submit', { body, headers });
+
+    test('parses a JSON body into c.body', async () => {
+        const response = await compose([parseJsonBody(), echo])(post('{"url":"x"}'));
+        assert.deepEqual(await response.json(), { url: 'x' });
+    });
+
+    test('answers 415 for another content type', async () => {
+        const response = await compose([parseJsonBody(), echo])(post('{}', { 'Content-Type': 'text/plain' }));
+        assert.equal(response.status, 415);
+    });
+
+    test('answers 413 past the limit, even without Content-Length', async () => {
+        assert.equal((await compose([parseJsonBody(16), echo])(post(JSON.stringify({ url: 'x'.repeat(100) })))).status, 413);
+
+        const stream = new ReadableStream({
+            start(controller) {
+                controller.enqueue(new TextEncoder().encode('{"url":"'));
+                controller.enqueue(new TextEncoder().encode('x'.repeat(100)));
+                controller.close();
+            }
+        });
+        const c = context('POST', '/submit', { headers: { 'Content-Type': 'application/json' } });
+        c.request = new Request(c.url, { method: 'POST', headers: c.request.headers, body: stream, duplex: 'half' });
+        assert.equal((await compose([parseJsonBody(16), echo])(c)).status, 413);
+    });
+
+    test('answers 400 for malformed JSON', async () => {
+        const response = await compose([parseJsonBody(), echo])(post('{"url":'));
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Invalid JSON body' });
+    });
+});
+
+describe('validateParams', () => {
+    const run = (method, path, body) => {
+        const c = context(method, path);
+        const matched = Routes.match(method, c.url.pathname);
+        Object.assign(c, { route: matched.route, path: matched.path, body });
+        return compose([validateParams(Routes), () => Response.json(c.params)])(c);
+    };
+
+    test('fills c.params with converted values and defaults', async () => {
+        const response = await run('GET', '/status?owner=octo&repo=demo');
+        assert.deepEqual(await response.json(), { owner: 'octo', repo: 'demo', host: 'github.com' });
+        const issue = await run('GET', '/repos/octo/demo/project/issues/12');
+        assert.equal((await issue.json()).number, 12);
+    });
+
+    test('answers 400 for missing and malformed values', async () => {
+        const missing = await run('GET', '/status?owner=octo');
+        assert.equal(missing.status, 400);
+        assert.match((await missing.json()).error, /repo/);
+
+        assert.equal((await run('GET', '/status?owner=-bad-&repo=demo')).status, 400);
+        assert.equal((await run('GET', '/repos/octo/demo/project/issues/abc')).status, 400);
+        assert.equal((await run('POST', '/submit', { url: 'x', mode: 'everything' })).status, 400);
+    });
+});
+
+describe('cors', () => {
+    const ok = () => new Response('ok');
+
+    test('adds Allow-Origin for allowed origins and refuses others with 403', async () => {
+        const env = { ALLOWED_ORIGIN: 'https://site.example, https://*.example.org' };
+        const allowed = await compose([cors('read'), ok])(context('GET', '/index', { env, headers: { Origin: 'https://a.example.org' } }));
+        assert.equal(allowed.headers.get('Access-Control-Allow-Origin'), 'https://a.example.org');
+        assert.equal(allowed.headers.get('Vary'), 'Origin');
+
+        const log = [];
+        const refused = await compose([cors('read'), trace(log, 'rest'), ok])(context('GET', '/index', { env, headers: { Origin: 'https://evil.example' } }));
+        assert.equal(refused.status, 403);
+        assert.deepEqual(log, []);
+    });
+
+    test('write routes use ALLOWED_WRITE_ORIGIN; requests without Origin pass', async () => {
+        const env = { ALLOWED_ORIGIN: '*', ALLOWED_WRITE_ORIGIN: 'https://site.example' };
+        const headers = { Origin: 'https://other.example' };
+        assert.equal((await compose([cors('read'), ok])(context('GET', '/index', { env, headers }))).status, 200);
+        assert.equal((await compose([cors('write'), ok])(context('POST', '/submit', { env, headers }))).status, 403);
+        assert.equal((await compose([cors('write'), ok])(context('POST', '/submit', { env }))).status, 200);
+    });
+});
+
+describe('worker middleware', async () => {
+    const mf = await createWorker({
+        bindings: { ADMIN_TOKEN: 'admin-secret', ALLOWED_WRITE_ORIGIN: 'https://site.example' }
+    });
+    after(() => mf.dispose());
+
+    const request = (method, path, { ip = '198.51.100.1', headers = {}, body } = {}) =>
+        mf.dispatchFetch(`http://localhost${path}`, { method, headers: { 'CF-Connecting-IP': ip, ...headers }, body });
+
+    test('404 and 405 carry CORS headers', async () => {
+        const missing = await request('GET', '/nope');
+        assert.equal(missing.status, 404);
+        assert.equal(missing.headers.get('Access-Control-Allow-Origin'), '*');
+        const wrongMethod = await request('DELETE', '/health');
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('Allow'), 'GET');
+        await wrongMethod.text();
+        await missing.text();
+    });
+
+    test('rate limiting runs before validation, so invalid requests count too', async () => {
+        const statuses = [];
+        for (let i = 0; i < 11; i++) {
+            const response = await request('GET', '/repos/octo/demo/compare', { ip: '198.51.100.2' });
+            await response.text();
+            statuses.push(response.status);
+        }
+        assert.deepEqual(statuses, [...Array(10).fill(400), 429]);
+    });
+
+    test('a refused origin is not charged to the rate limit', async () => {
+        for (let i = 0; i < 12; i++) {
+            const response = await request('POST', '/submit', {
+                ip: '198.51.100.3',
+                headers: { Origin: 'https://evil.example', 'Content-Type': 'application/json' },
+                body: '{}'
+            });
+            assert.equal(response.status, 403);
+            await response.text();
+        }
+        const allowed = await request('POST', '/submit', { ip: '198.51.100.3', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        assert.equal(allowed.status, 400);
+        assert.equal(allowed.headers.get('X-RateLimit-Remaining'), '9');
+        await allowed.text();
+    });
+
+    test('credentials are checked before the body is parsed', async () => {
+        const noToken = await request('POST', '/admin/keys', { headers: { 'Content-Type': 'text/plain' }, body: 'not json' });
+        assert.equal(noToken.status, 401);
+        await noToken.text();
+
+        const wrongToken = await request('POST', '/admin/keys', {
+            headers: { Authorization: 'Bearer nope', 'Content-Type': 'application/json' },
+            body: '{'
+        });
+        assert.equal(wrongToken.status, 403);
+        await wrongToken.text();
+
+        const badBody = await request('POST', '/admin/keys', {
+            headers: { Authorization: 'Bearer admin-secret', 'Content-Type': 'application/json' },
+            body: '{'
+        });
+        assert.equal(badBody.status, 400);
+        assert.deepEqual(await badBody.json(), { error: 'Invalid JSON body' });
+    });
+
+    test('API-key routes need a key', async () => {
+        const response = await request('GET', '/webhooks');
+        assert.equal(response.status, 401);
+        await response.text();
+    });
+});
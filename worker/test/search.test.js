@@ -0,0 +1,155 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SEARCH_WEIGHTS, scoreToken, searchIndex, tokenize } from '../src/search.js';
+import { createWorker } from './helpers.js';
+
+const repository = (owner, repo, fields) => [`https://github.com/${owner}/${repo}`, { owner, repo, ...fields }];
+
+const INDEX = {
+    total_repos: 6,
+    last_updated: '2026-02-01T00:00:00Z',
+    repositories: Object.fromEntries([
+        repository('octo', 'cli', { status: 'active', description: 'Command line tool', last_archived: '2026-01-05T00:00:00Z' }),
+        repository('octo', 'cli-tools', { status: 'archived', description: 'Extra tools', last_archived: '2026-01-10T00:00:00Z' }),
+        repository('someone', 'client', { description: 'HTTP library', last_archived: '2026-01-20T00:00:00Z' }),
+        repository('misc', 'autoclick', { status: 'active', description: 'Automation helper', last_archived: '2026-01-15T00:00:00Z' }),
+        repository('acme', 'toolkit', { status: 'deleted', description: 'A cli for k8s', last_archived: '2026-01-25T00:00:00Z' }),
+        repository('zed', 'editor', { status: 'active', description: 'Text editor', last_archived: '2026-01-30T00:00:00Z' })
+    ])
+};
+
+function search(options) {
+    return searchIndex(INDEX, { query: '', sort: options.query ? 'relevance' : 'recent', page: 1, perPage: 50, ...options });
+}
+
+const names = result => result.results.map(({ owner, repo }) => `${owner}/${repo}`);
+
+describe('search tokens', () => {
+    test('tokenize splits on anything but letters and digits, lowercased', () => {
+        assert.deepEqual(tokenize('Octo/CLI-tools_v2'), ['octo', 'cli', 'tools', 'v2']);
+        assert.deepEqual(tokenize('  --  '), []);
+        assert.deepEqual(tokenize(null), []);
+        assert.deepEqual(tokenize(undefined), []);
+    });
+
+    test('scoreToken ranks exact over prefix over substring matches', () => {
+        const weight = SEARCH_WEIGHTS.repo;
+        assert.equal(scoreToken('cli', ['cli'], weight), weight * 3);
+        assert.equal(scoreToken('cli', ['client'], weight), weight * 2);
+        assert.equal(scoreToken('cli', ['autoclick'], weight), weight);
+        assert.equal(scoreToken('cli', ['editor'], weight), 0);
+        // The best match among a field's tokens counts, whatever its position
+        assert.equal(scoreToken('cli', ['autoclick', 'client', 'cli'], weight), weight * 3);
+        assert.equal(scoreToken('cli', [], weight), 0);
+    });
+});
+
+describe('searchIndex', () => {
+    test('exact matches rank above prefix and substring matches', () => {
+        const result = search({ query: 'cli' });
+        assert.deepEqual(names(result), ['octo/cli', 'octo/cli-tools', 'someone/client', 'misc/autoclick', 'acme/toolkit']);
+        assert.deepEqual(result.results.map(r => r.score), [
+            SEARCH_WEIGHTS.repo * 3 + SEARCH_WEIGHTS.exactName,
+            SEARCH_WEIGHTS.repo * 3,
+            SEARCH_WEIGHTS.repo * 2,
+            SEARCH_WEIGHTS.repo,
+            SEARCH_WEIGHTS.description * 3
+        ]);
+    });
+
+    test('an exact owner/repo query gets the largest boost', () => {
+        const result = search({ query: 'octo/cli' });
+        assert.equal(names(result)[0], 'octo/cli');
+        assert.equal(result.results[0].score, SEARCH_WEIGHTS.repo * 3 + SEARCH_WEIGHTS.owner * 3 + SEARCH_WEIGHTS.exactName * 2);
+    });
+
+    test('every query token has to match', () => {
+        assert.deepEqual(names(search({ query: 'cli tools' })), ['octo/cli-tools']);
+        assert.deepEqual(names(search({ query: 'cli nothing' })), []);
+    });
+
+    test('filters by owner, case-insensitively', () => {
+        assert.deepEqual(names(search({ owner: 'OCTO' })), ['octo/cli-tools', 'octo/cli']);
+        assert.deepEqual(names(search({ query: 'cli', owner: 'someone' })), ['someone/client']);
+    });
+
+    test('filters by status, treating a missing status as active', () => {
+        assert.deepEqual(names(search({ status: 'active' })), ['zed/editor', 'someone/client', 'misc/autoclick', 'octo/cli']);
+        assert.deepEqual(names(search({ status: 'archived' })), ['octo/cli-tools']);
+        assert.deepEqual(names(search({ query: 'cli', status: 'deleted' })), ['acme/toolkit']);
+        assert.deepEqual(names(search({ status: 'removed' })), []);
+    });
+
+    test('pages count every match and slice the sorted results', () => {
+        const pages = [1, 2, 3, 4].map(page => search({ query: 'cli', page, perPage: 2 }));
+        for (const [i, result] of pages.entries()) {
+            assert.equal(result.total, 5);
+            assert.equal(result.total_pages, 3);
+            assert.equal(result.page, i + 1);
+            assert.equal(result.per_page, 2);
+        }
+        assert.deepEqual(pages.map(names), [
+            ['octo/cli', 'octo/cli-tools'],
+            ['someone/client', 'misc/autoclick'],
+            ['acme/toolkit'],
+            []
+        ]);
+    });
+
+    test('no matches give an empty first page', () => {
+        const result = search({ query: 'nothing' });
+        assert.equal(result.total, 0);
+        assert.equal(result.total_pages, 0);
+        assert.deepEqual(result.results, []);
+    });
+});
+
+describe('GET /search', async () => {
+    const mf = await createWorker({
+        kvNamespaces: ['MODERATION'],
+        bindings: { GITHUB_OWNER: 'archiver', GITHUB_REPO: 'archive', GITHUB_TOKEN: 'token', ALLOW_LOCAL_RATE_LIMIT: 'true' },
+        durableObjects: {},
+        // Stands in for api.github.com: the index release and its index.json asset
+        outboundService(request) {
+            if (request.url.endsWith('/releases/tags/index')) {
+                return Response.json({ assets: [{ name: 'index.json', url: 'https://assets.test/index.json' }] });
+            }
+            if (request.url === 'https://assets.test/index.json') {
+                return Response.json(INDEX);
+            }
+            return new Response('unexpected', { status: 500 });
+        }
+    });
+    after(() => mf.dispose());
+
+    const get = path => mf.dispatchFetch(`http://localhost${path}`);
+
+    test('page and per_page default to the first 50 results', async () => {
+        const body = await (await get('/search')).json();
+        assert.equal(body.sort, 'recent');
+        assert.equal(body.page, 1);
+        assert.equal(body.per_page, 50);
+        assert.equal(body.total, 6);
+        assert.equal(body.total_pages, 1);
+    });
+
+    test('page and per_page outside their bounds are rejected', async () => {
+        for (const query of ['page=0', 'page=-1', 'page=x', 'per_page=0', 'per_page=101']) {
+            const response = await get(`/search?q=cli&${query}`);
+            assert.equal(response.status, 400, query);
+            await response.body.cancel();
+        }
+    });
+
+    test('per_page up to 100 and pages past the end are accepted', async () => {
+        const largest = await (await get('/search?per_page=100')).json();
+        assert.equal(largest.per_page, 100);
+        assert.equal(largest.results.length, 6);
+
+        const pastEnd = await (await get('/search?q=cli&page=9&per_page=2')).json();
+        assert.equal(pastEnd.total, 5);
+        assert.equal(pastEnd.total_pages, 3);
+        assert.deepEqual(pastEnd.results, []);
+    });
+});
@@ -0,0 +1,74 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createWorker } from './helpers.js';
+
+const INDEX = {
+    total_repos: 2,
+    total_size_mb: 3,
+    last_updated: '2026-02-01T00:00:00Z',
+    repositories: {
+        'https://github.com/octo/demo': {
+            owner: 'octo', repo: 'demo', status: 'active', description: 'Demo',
+            first_archived: '2026-01-01T00:00:00Z', last_archived: '2026-02-01T00:00:00Z',
+            archive_count: 2, latest_release_tag: 'octo__demo__2026-02-01', latest_size_mb: 1
+        },
+        'https://github.com/octo/other': {
+            owner: 'octo', repo: 'other', status: 'active', description: 'Other',
+            first_archived: '2026-01-01T00:00:00Z', last_archived: '2026-01-15T00:00:00Z',
+            archive_count: 1, latest_release_tag: 'octo__other__2026-01-15', latest_size_mb: 2
+        }
+    }
+};
+
+describe('takedowns and the edge cache', async () => {
+    const mf = await createWorker({
+        kvNamespaces: ['MODERATION'],
+        bindings: { GITHUB_OWNER: 'archiver', GITHUB_REPO: 'archive', GITHUB_TOKEN: 'token', ADMIN_TOKEN: 'admin-secret', ALLOW_LOCAL_RATE_LIMIT: 'true' },
+        durableObjects: {},
+        // Stands in for api.github.com: the index release and its index.json asset
+        outboundService(request) {
+            if (request.url.endsWith('/releases/tags/index')) {
+                return Response.json({ assets: [{ name: 'index.json', url: 'https://assets.test/index.json' }] });
+            }
+            if (request.url === 'https://assets.test/index.json') {
+                return Response.json(INDEX);
+            }
+            return new Response('unexpected', { status: 500 });
+        }
+    });
+    after(() => mf.dispose());
+
+    const get = async path => {
+        const response = await mf.dispatchFetch(`http://localhost${path}`);
+        return { cache: response.headers.get('X-Cache'), text: await response.text() };
+    };
+    const admin = (method, path, body) => mf.dispatchFetch(`http://localhost${path}`, {
+        method,
+        headers: { Authorization: 'Bearer admin-secret', 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    }).then(response => response.text());
+
+    const demoStatus = async () => {
+        const index = JSON.parse((await get('/index')).text);
+        const search = JSON.parse((await get('/search?q=demo')).text);
+        const feed = (await get('/feed.atom')).text;
+        return [
+            index.repositories['https://github.com/octo/demo'].status,
+            search.results.find(r => r.repo === 'demo')?.status,
+            feed.includes('octo/demo')
+        ];
+    };
+
+    test('a takedown and its removal show up at once on cached routes', async () => {
+        assert.deepEqual(await demoStatus(), ['active', 'active', true]);
+        assert.equal((await get('/index')).cache, 'HIT');
+
+        await admin('POST', '/admin/takedowns', { owner: 'octo', repo: 'demo', reason: 'DMCA notice' });
+        assert.deepEqual(await demoStatus(), ['removed', 'removed', false]);
+
+        await admin('DELETE', '/admin/takedowns/github.com/octo/demo');
+        assert.deepEqual(await demoStatus(), ['active', 'active', true]);
+        assert.equal((await get('/index')).cache, 'HIT');
+    });
+});
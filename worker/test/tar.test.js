@@ -0,0 +1,139 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+import TarFormat from '../../frontend/js/tarformat.js';
+import { readTarEntries } from '../src/tar.js';
+import { tarEntry, tarball } from './helpers.js';
+
+const encoder = new TextEncoder();
+
+function paxRecord(key, value) {
+    const body = ` ${key}=${value}\n`;
+    let length = body.length + 1;
+    while (String(length).length + encoder.encode(body).length !== length) length++;
+    return `${length}${body}`;
+}
+
+const LONG_PATH = `./${'deep/'.repeat(30)}file.txt`;
+
+function archive() {
+    return tarball([
+        ...tarEntry('./', '5'),
+        ...tarEntry('./README.md', '0', '# Demo\n'),
+        ...tarEntry('./PaxHeaders/x', 'x', paxRecord('path', LONG_PATH) + paxRecord('mtime', '1712345678.5')),
+        ...tarEntry('./ignored-name', '0', 'pax named'),
+        ...tarEntry('././@LongLink', 'L', './gnu/' + 'long-name-'.repeat(12) + '.txt\0'),
+        ...tarEntry('./gnu/short', '0', 'gnu named'),
+        ...tarEntry('prefixed.txt', '0', 'ustar prefix', { prefix: './src/lib' }),
+        ...tarEntry('./link', '2', '', { link: 'README.md' }),
+        ...tarEntry('./.git/HEAD', '0', 'ref: refs/heads/main\n')
+    ]);
+}
+
+const EXPECTED = [
+    { path: 'README.md', type: 'file', size: 7, mtime: 1700000000, linkTarget: null, text: '# Demo\n' },
+    { path: LONG_PATH.slice(2), type: 'file', size: 9, mtime: 1712345678, linkTarget: null, text: 'pax named' },
+    { path: 'gnu/' + 'long-name-'.repeat(12) + '.txt', type: 'file', size: 9, mtime: 1700000000, linkTarget: null, text: 'gnu named' },
+    { path: 'src/lib/prefixed.txt', type: 'file', size: 12, mtime: 1700000000, linkTarget: null, text: 'ustar prefix' },
+    { path: 'link', type: 'symlink', size: 0, mtime: 1700000000, linkTarget: 'README.md', text: '' }
+];
+
+describe('TarFormat', () => {
+    test('reads octal and base-256 numbers', () => {
+        const block = encoder.encode('00000000755\0');
+        assert.equal(TarFormat.readNumber(block, 0, 12), 0o755);
+
+        const large = new Uint8Array(12);
+        large[0] = 0x80;
+        large[7] = 0x02; // 2 * 256^4 = 8 GiB
+        assert.equal(TarFormat.readNumber(large, 0, 12), 2 * 256 ** 4);
+    });
+
+    test('splits pax records by byte length, not characters', () => {
+        const records = encoder.encode(paxRecord('path', 'naïve/ファイル.txt') + paxRecord('size', '42'));
+        assert.deepEqual(TarFormat.parsePax(records), { path: 'naïve/ファイル.txt', size: '42' });
+    });
+
+    test('maps type flags', () => {
+        assert.deepEqual(['0', '', '7', '5', '2', '1', 'S'].map(flag => TarFormat.entryType(flag)),
+            ['file', 'file', 'file', 'directory', 'symlink', 'hardlink', 'other']);
+    });
+});
+
+describe('worker reader', () => {
+    test('yields every entry with its data', async () => {
+        const seen = [];
+        for await (const file of readTarEntries(new Response(archive()).body)) {
+            if (file.type === 'directory' || file.path.startsWith('.git/')) continue;
+            let text = '';
+            for await (const piece of file.read()) text += new TextDecoder().decode(piece);
+            const { path, type, size, mtime, linkTarget } = file;
+            seen.push({ path, type, size, mtime, linkTarget, text });
+        }
+        assert.deepEqual(seen, EXPECTED);
+    });
+
+    test('skips data that is not read', async () => {
+        const paths = [];
+        for await (const file of readTarEntries(new Response(archive()).body)) paths.push(file.path);
+        assert.equal(paths.length, 6);
+        assert.equal(paths.at(-1), '.git/HEAD');
+    });
+});
+
+describe('metadata entries', () => {
+    // A pax header claiming more data than any real one has; none of it needs to exist
+    const hostile = () => new Response(tarball([
+        tarEntry('./PaxHeaders/x', 'x', '', { size: TarFormat.MAX_METADATA_SIZE + 1 })[0]
+    ])).body;
+
+    test('the worker refuses one over the size limit before reading it', async () => {
+        await assert.rejects(async () => {
+            for await (const file of readTarEntries(hostile())) {
+                // Never reached
+            }
+        }, /metadata entry of 1048577 bytes/);
+    });
+
+    test('the site refuses it too', async () => {
+        globalThis.TarFormat = TarFormat;
+        try {
+            const Tar = createRequire(import.meta.url)('../../frontend/js/tar.js');
+            await assert.rejects(Tar.readArchive(hostile()), /metadata entry/);
+        } finally {
+            delete globalThis.TarFormat;
+        }
+    });
+
+    test('entries report the metadata read for them', async () => {
+        const sizes = {};
+        for await (const file of readTarEntries(new Response(archive()).body)) {
+            sizes[file.path] = file.metadataSize;
+        }
+        assert.equal(sizes['README.md'], 0);
+        assert.equal(sizes[LONG_PATH.slice(2)], encoder.encode(paxRecord('path', LONG_PATH) + paxRecord('mtime', '1712345678.5')).length);
+        assert.ok(sizes['gnu/' + 'long-name-'.repeat(12) + '.txt'] > 100);
+    });
+});
+
+describe('site reader', () => {
+    let Tar;
+    before(() => {
+        // The site loads tarformat.js as a plain script ahead of tar.js
+        globalThis.TarFormat = TarFormat;
+        Tar = createRequire(import.meta.url)('../../frontend/js/tar.js');
+    });
+    after(() => {
+        delete globalThis.TarFormat;
+    });
+
+    test('decodes the same entries as the worker, without .git', async () => {
+        const entries = await Tar.readArchive(new Response(archive()).body);
+        const files = [];
+        for (const { blob, ...rest } of entries.filter(e => e.type !== 'directory')) {
+            files.push({ ...rest, text: blob ? await blob.text() : '' });
+        }
+        assert.deepEqual(files, EXPECTED);
+    });
+});
@@ -0,0 +1,99 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Routes from '../../frontend/js/routes.js';
+import { buildOpenApiDocument } from '../src/openapi.js';
+import { createSubscription, deleteSubscription, dispatchEvent, recordSourceStatus, validateWebhookUrl } from '../src/webhooks.js';
+import { fakeKv } from './helpers.js';
+
+const logger = { info() {}, warn() {}, error() {} };
+const deliveries = [];
+let realFetch;
+
+before(() => {
+    realFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+        deliveries.push({ url, body: JSON.parse(init.body) });
+        return new Response('ok');
+    };
+});
+
+after(() => {
+    globalThis.fetch = realFetch;
+});
+
+async function subscribe(env, fields) {
+    return createSubscription(env, { keyId: 'k1', url: 'https://hooks.example.com/in', events: ['archive.completed', 'source.unavailable'], ...fields });
+}
+
+describe('webhook scopes', () => {
+    test('subscribers only hear about their own host', async () => {
+        const env = { WEBHOOKS: fakeKv() };
+        const gitlab = await subscribe(env, { host: 'gitlab.com', owner: 'Octo', repo: null });
+        await subscribe(env, { host: 'github.com', owner: 'octo', repo: 'demo' });
+
+        deliveries.length = 0;
+        const result = await dispatchEvent(env, 'archive.completed', { host: 'gitlab.com', owner: 'octo', repo: 'demo' }, { tag: 't' }, logger);
+        assert.deepEqual(result, { matched: 1, delivered: 1, failed: 0 });
+        assert.deepEqual(deliveries[0].body.repository, {
+            host: 'gitlab.com', owner: 'octo', repo: 'demo', url: 'https://gitlab.com/octo/demo'
+        });
+
+        const stored = await env.WEBHOOKS.get(`webhook:${gitlab.id}`, { type: 'json' });
+        assert.equal(stored.last_delivery.ok, true);
+    });
+
+    test('events without a host are GitHub\'s', async () => {
+        const env = { WEBHOOKS: fakeKv() };
+        await subscribe(env, { host: 'github.com', owner: 'octo', repo: 'demo' });
+
+        deliveries.length = 0;
+        assert.equal((await dispatchEvent(env, 'archive.completed', { owner: 'octo', repo: 'demo' }, {}, logger)).matched, 1);
+        assert.equal(deliveries[0].body.repository.url, 'https://github.com/octo/demo');
+    });
+
+    test('subscriptions saved before hosts were recorded still match GitHub and can be deleted', async () => {
+        const env = { WEBHOOKS: fakeKv() };
+        const legacy = { id: 'old1', key_id: 'k1', url: 'https://hooks.example.com/in', owner: 'octo', repo: null, events: ['archive.completed'], secret: 's' };
+        await env.WEBHOOKS.put('webhook:old1', JSON.stringify(legacy));
+        await env.WEBHOOKS.put('webhook-scope:octo/*:old1', '1');
+        await env.WEBHOOKS.put('webhook-key:k1:old1', '1');
+
+        assert.equal((await dispatchEvent(env, 'archive.completed', { host: 'github.com', owner: 'octo', repo: 'x' }, {}, logger)).matched, 1);
+        assert.equal((await dispatchEvent(env, 'archive.completed', { host: 'codeberg.org', owner: 'octo', repo: 'x' }, {}, logger)).matched, 0);
+
+        assert.ok(await deleteSubscription(env, 'k1', 'old1'));
+        assert.deepEqual([...env.WEBHOOKS.values.keys()], []);
+    });
+});
+
+describe('recordSourceStatus', () => {
+    test('tracks each host separately', async () => {
+        const env = { WEBHOOKS: fakeKv() };
+        const codeberg = { host: 'codeberg.org', owner: 'octo', repo: 'demo' };
+        assert.equal(await recordSourceStatus(env, codeberg, 'active'), false);
+        assert.equal(await recordSourceStatus(env, { ...codeberg, host: 'gitlab.com' }, 'deleted'), false);
+        assert.equal(await recordSourceStatus(env, codeberg, 'deleted'), true);
+        assert.equal(await recordSourceStatus(env, codeberg, 'deleted'), false);
+        assert.ok(env.WEBHOOKS.values.has('source-status:codeberg.org/octo/demo'));
+    });
+
+    test('reads GitHub statuses saved without a host', async () => {
+        const env = { WEBHOOKS: fakeKv() };
+        await env.WEBHOOKS.put('source-status:octo/demo', JSON.stringify({ status: 'active' }));
+        assert.equal(await recordSourceStatus(env, { host: 'github.com', owner: 'octo', repo: 'demo' }, 'dmca'), true);
+    });
+});
+
+describe('validateWebhookUrl', () => {
+    test('accepts exactly the length the route table and /openapi.json advertise', () => {
+        const schema = buildOpenApiDocument(Routes, 'https://worker.test')
+            .paths['/webhooks'].post.requestBody.content['application/json'].schema.properties.url;
+        const base = 'https://hooks.example.com/';
+        const url = length => base + 'x'.repeat(length - base.length);
+
+        assert.equal(validateWebhookUrl(url(schema.maxLength)).valid, true);
+        assert.equal(validateWebhookUrl(url(schema.maxLength + 1)).valid, false);
+        assert.equal(Routes.validate(Routes.get('createWebhook'), { body: { url: url(schema.maxLength), owner: 'octo' } }).error, undefined);
+    });
+});